@@ -0,0 +1,44 @@
+// Remove duplicate ballots - a one-off clean-up of voters who got several ballots counted on a poll that takes one
+//
+// Usage: npm run votes:remove-duplicates [-- --dry-run]
+// Environment:
+//   MONGO_URL  the database to clean up (same default as the server)
+//
+// Before the unique ballot indexes, concurrent requests could store more than one ballot per voter. The server
+// leaves those voters' ballots unmarked on start (see migrateSingleBallotVotes); this script keeps each voter's
+// earliest ballot, deletes the others and takes them off the poll counts. Every poll and vote it touches is
+// listed, and --dry-run lists them without deleting anything.
+
+const mongoose = require('mongoose');
+const { internals: { mongoUrl, migrateSingleBallotVotes, removeDuplicateBallots } } = require('../server');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(mongoUrl);
+
+  const duplicates = await removeDuplicateBallots({ dryRun });
+  if (duplicates.length === 0) {
+    console.log('No duplicate ballots found');
+  }
+
+  duplicates.forEach(({ poll_id, voter_field, kept, extra, removed }) => {
+    const votes = dryRun ? extra : removed;
+    console.log(`Poll ${poll_id} (${voter_field}): kept vote ${kept}, ${dryRun ? 'would remove' : 'removed'} ${votes.join(', ') || 'nothing'}`);
+  });
+
+  const removedCount = duplicates.reduce((sum, duplicate) => sum + (dryRun ? duplicate.extra : duplicate.removed).length, 0);
+  console.log(`${dryRun ? 'Would remove' : 'Removed'} ${removedCount} ballots on ${new Set(duplicates.map(duplicate => duplicate.poll_id)).size} polls`);
+
+  // The remaining ballots of these voters can now be marked as single ballots
+  if (!dryRun) {
+    await migrateSingleBallotVotes();
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Remove duplicate ballots error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,113 @@
+// Vote load test - fires concurrent ballots at a running server and checks that every ballot is counted exactly once
+//
+// Usage: npm run load-test:votes (the server must be running, see API_URL below)
+// Environment:
+//   API_URL  base URL of the API (default http://localhost:8001/api)
+//   VOTERS   number of test accounts that vote (default 20)
+//   BALLOTS  ballots each voter casts at once on the multiple-vote poll (default 5)
+//
+// Creates throwaway accounts and polls, which are left in the database for inspection.
+
+const crypto = require('crypto');
+
+const API_URL = process.env.API_URL || 'http://localhost:8001/api';
+const VOTERS = parseInt(process.env.VOTERS, 10) || 20;
+const BALLOTS = parseInt(process.env.BALLOTS, 10) || 5;
+
+const runId = crypto.randomBytes(4).toString('hex');
+
+const request = async (method, path, { token, body, idempotencyKey } = {}) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => null);
+  return { status: response.status, data };
+};
+
+const registerUser = async (index) => {
+  const username = `loadtest_${runId}_${index}`;
+  const { status, data } = await request('POST', '/register', {
+    body: { username, email: `${username}@example.com`, password: 'loadtest-password' }
+  });
+  if (status !== 201) {
+    throw new Error(`Could not register ${username}: ${data?.error || status}`);
+  }
+  return data.token;
+};
+
+const createPoll = async (token, title, settings) => {
+  const { status, data } = await request('POST', '/polls', {
+    token,
+    body: { title, options: ['Option A', 'Option B', 'Option C'], ...settings }
+  });
+  if (status !== 201) {
+    throw new Error(`Could not create poll "${title}": ${data?.error || status}`);
+  }
+  return data;
+};
+
+// Compares the stored counts with the number of ballots that should have been counted
+const checkCounts = async (token, pollId, label, expectedBallots) => {
+  const { data: poll } = await request('GET', `/polls/${pollId}`, { token });
+  const optionVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+  const ok = poll.total_votes === expectedBallots && optionVotes === expectedBallots;
+
+  console.log(`${ok ? 'PASS' : 'FAIL'} ${label}: expected ${expectedBallots} ballots, total_votes ${poll.total_votes}, option votes ${optionVotes}`);
+  return ok;
+};
+
+const countStatuses = (results) => results.reduce((counts, { status }) => {
+  counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}, {});
+
+const run = async () => {
+  console.log(`Registering ${VOTERS} voters against ${API_URL}...`);
+  const tokens = [];
+  for (let index = 0; index < VOTERS; index += 1) {
+    tokens.push(await registerUser(index));
+  }
+  const [creatorToken] = tokens;
+
+  // Single-vote poll: every voter double-clicks, and also repeats one submission with the same key
+  const singlePoll = await createPoll(creatorToken, `Load test ${runId} - single vote`, {});
+  const singleResults = await Promise.all(tokens.flatMap((token, index) => {
+    const optionId = singlePoll.options[index % singlePoll.options.length].id;
+    const idempotencyKey = crypto.randomUUID();
+    const vote = (key) => request('POST', `/polls/${singlePoll.id}/vote`, { token, body: { option_id: optionId }, idempotencyKey: key });
+    return [vote(idempotencyKey), vote(idempotencyKey), vote(crypto.randomUUID()), vote(undefined)];
+  }));
+  console.log('Single vote poll responses by status:', countStatuses(singleResults));
+
+  // Multiple-vote poll: every voter casts several ballots at once, each sent twice with its key
+  const multiplePoll = await createPoll(creatorToken, `Load test ${runId} - multiple votes`, { allow_multiple_votes: true });
+  const multipleResults = await Promise.all(tokens.flatMap((token) => (
+    Array.from({ length: BALLOTS }, (_, ballot) => {
+      const optionId = multiplePoll.options[ballot % multiplePoll.options.length].id;
+      const idempotencyKey = crypto.randomUUID();
+      const vote = () => request('POST', `/polls/${multiplePoll.id}/vote`, { token, body: { option_id: optionId }, idempotencyKey });
+      return [vote(), vote()];
+    }).flat()
+  )));
+  console.log('Multiple vote poll responses by status:', countStatuses(multipleResults));
+
+  const results = [
+    await checkCounts(creatorToken, singlePoll.id, 'single vote poll', VOTERS),
+    await checkCounts(creatorToken, multiplePoll.id, 'multiple vote poll', VOTERS * BALLOTS)
+  ];
+
+  if (results.includes(false)) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch((error) => {
+  console.error('Vote load test error:', error);
+  process.exitCode = 1;
+});
@@ -8,6 +8,7 @@ const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const cron = require('node-cron');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
@@ -15,6 +16,12 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
 
 const app = express();
+// Behind a reverse proxy (Render adds one hop), req.ip must come from X-Forwarded-For for the guest vote and rate limits
+// TRUST_PROXY is the number of proxy hops in front of the server; it stays off when the server is reached directly
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY, 10) || 0;
+if (TRUST_PROXY_HOPS > 0) {
+  app.set('trust proxy', TRUST_PROXY_HOPS);
+}
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
@@ -53,7 +60,11 @@ const corsOptions = {
     'Host',
     'Origin',
     'Referer',
-    'User-Agent'
+    'User-Agent',
+    'X-Poll-Access',
+    'X-Guest-Token',
+    'X-Workspace-Id',
+    'Idempotency-Key'
   ],
   exposedHeaders: ['Content-Length', 'Content-Type'],
   maxAge: 600,
@@ -149,6 +160,36 @@ const createRateLimiter = () => {
 
 app.use(createRateLimiter());
 
+// Password attempts on protected polls get a much lower limit per poll, so passwords cannot be guessed
+const pollUnlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `poll_unlock_${req.params.id}_${req.ip}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many password attempts. Please try again later.',
+      retryAfter: 15 * 60
+    });
+  }
+});
+
+// Guest voter tokens are free to request, so each IP can only get a few of them
+const guestTokenLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `guest_token_${req.ip}`,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many guest sessions from this network. Please try again later.',
+      retryAfter: 60 * 60
+    });
+  }
+});
+
 // More permissive JSON parsing middleware
 app.use(express.json({ 
   limit: '50mb',
@@ -280,9 +321,16 @@ app.use((req, res, next) => {
 // MongoDB connection
 const mongoUrl = process.env.MONGO_URL || 'mongodb://127.0.0.1:27017/pollspace';
 
-mongoose.connect(mongoUrl)
-.then(() => console.log('MongoDB connected'))
-.catch(err => console.error('MongoDB connection error:', err));
+// Only connects when the server is started, so the tests can require the app without a database
+if (require.main === module) {
+  mongoose.connect(mongoUrl)
+  .then(() => {
+    console.log('MongoDB connected');
+    return migrateCategoriesToTags();
+  })
+  .then(() => migrateSingleBallotVotes())
+  .catch(err => console.error('MongoDB connection error:', err));
+}
 
 // Gemini AI setup
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -315,6 +363,84 @@ const userSchema = new mongoose.Schema({
 
 const User = mongoose.model('User', userSchema);
 
+// Roles inside a workspace, from least to most privileged
+// viewer: sees polls, results and comments; member: also votes, comments and creates polls;
+// admin: also manages every poll and the members; owner: also renames and deletes the workspace
+const WORKSPACE_ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// Workspace Schema - a team's own space for polls, separate from the shared space outside any workspace
+const workspaceSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  members: [{
+    user: { type: String, ref: 'User', required: true },
+    role: { type: String, enum: WORKSPACE_ROLES, required: true },
+    added_at: { type: Date, default: Date.now }
+  }],
+  creator: { type: String, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+// Supported voting methods
+// single: pick one option, ranked: instant-runoff ranking, approval: pick several options in one ballot,
+// rating: 1-5 star score, nps: 0-10 Net Promoter score
+const POLL_TYPES = ['single', 'ranked', 'approval', 'rating', 'nps'];
+
+// When voters may see the vote counts
+// always: from the start, after_vote: once they have voted (everyone once the poll closes),
+// after_close: once the poll closes, creator_only: never - only the creator sees them
+const RESULTS_VISIBILITY = ['always', 'after_vote', 'after_close', 'creator_only'];
+
+// Who may find and open a poll
+// public: listed for everyone, unlisted: only through a link carrying the share token,
+// invite_only: only invited users and users with an invited email domain
+const POLL_VISIBILITY = ['public', 'unlisted', 'invite_only'];
+
+// What the collaborators of a poll may do besides voting
+// results_viewer: sees the results and opens the poll whatever its reveal mode and visibility,
+// editor: also edits, closes and deletes the poll like its creator
+const COLLABORATOR_ROLES = ['results_viewer', 'editor'];
+
+// Limits on the free-form tags that group polls
+const MAX_POLL_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Numeric answer range for the score-based poll types
+const SCORE_SCALES = {
+  rating: { min: 1, max: 5 },
+  nps: { min: 0, max: 10 }
+};
+
+// Skip logic - picking option_id jumps to next_question_id (null ends the survey or poll)
+const branchSchema = new mongoose.Schema({
+  option_id: { type: String, required: true },
+  next_question_id: { type: String, default: null }
+}, { _id: false });
+
+// Question Schema - one question of a survey, or a follow-up question of a poll
+const questionSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  text: { type: String, required: true },
+  question_type: { type: String, enum: POLL_TYPES, default: 'single' },
+  required: { type: Boolean, default: true },
+  options: [{
+    id: { type: String, required: true },
+    text: { type: String, required: true },
+    value: { type: Number, default: null }, // Score this option stands for on rating and NPS questions
+    votes: { type: Number, default: 0 }
+  }],
+  min_choices: { type: Number, default: 1 },
+  max_choices: { type: Number, default: null },
+  branches: [branchSchema],
+  answer_count: { type: Number, default: 0 }, // Survey responses or poll ballots that answered this question
+  total_selections: { type: Number, default: 0 }
+}, { _id: false });
+
 // Poll Schema
 const pollSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true },
@@ -323,20 +449,101 @@ const pollSchema = new mongoose.Schema({
   options: [{
     id: { type: String, required: true },
     text: { type: String, required: true },
-    votes: { type: Number, default: 0 }
+    value: { type: Number, default: null }, // Score this option stands for on rating and NPS polls
+    image_url: { type: String, default: null }, // Uploaded picture shown with the option
+    votes: { type: Number, default: 0 },
+    guest_votes: { type: Number, default: 0 } // Part of votes that came from guests without an account
   }],
+  poll_type: { type: String, enum: POLL_TYPES, default: 'single' },
+  // Follow-up questions asked after the poll's own question, in order - the poll's own question is question 1
+  questions: [questionSchema],
+  branches: [branchSchema], // Skip logic on the poll's own options, jumping to a follow-up question or the end
+  min_choices: { type: Number, default: 1 }, // Approval polls: fewest options a ballot may select
+  max_choices: { type: Number, default: null }, // Approval polls: most options a ballot may select (null = no cap)
   status: { type: String, enum: ['active', 'closed', 'draft'], default: 'active' },
+  starts_at: { type: Date, default: null }, // Scheduled publishing: the poll stays a draft until this time
   ends_at: { type: Date, default: null },
   allow_multiple_votes: { type: Boolean, default: false },
-  show_results: { type: Boolean, default: true }, // New field for result visibility
-  total_votes: { type: Number, default: 0 },
-  category: { type: String, enum: ['general', 'technology', 'politics', 'entertainment', 'sports', 'business', 'other'], default: 'general' },
+  allow_vote_changes: { type: Boolean, default: true }, // Voters may change or withdraw their vote while the poll is active
+  allow_guest_votes: { type: Boolean, default: false }, // People without an account may vote through the public poll page
+  anonymous: { type: Boolean, default: false }, // Secret ballot: votes are not linked to voters
+  // Quiz mode: ballots are graded against the correct options
+  is_quiz: { type: Boolean, default: false },
+  correct_option_ids: [{ type: String }], // Hidden from voters until answers are revealed (see toJSON below)
+  quiz_points: { type: Number, default: 1 }, // Points for a correct answer
+  time_limit_seconds: { type: Number, default: null }, // Time to answer after starting the quiz (null = untimed)
+  reveal_answers: { type: String, enum: ['on_close', 'immediately'], default: 'on_close' },
+  show_results: { type: Boolean, default: true }, // Kept in step with results_visibility: false only for creator_only
+  results_visibility: { type: String, enum: RESULTS_VISIBILITY }, // Unset on polls from before reveal modes (see getResultsVisibility)
+  max_votes: { type: Number, default: null }, // Vote cap: the poll closes as soon as this many ballots are cast
+  quorum: { type: Number, default: null }, // Ballots needed for the outcome to count as valid
+  // Final outcome, recorded when the poll closes and cleared when it reopens
+  outcome: {
+    type: new mongoose.Schema({
+      winner_ids: [{ type: String }], // Several ids when the poll ended in a tie
+      tied: { type: Boolean, default: false },
+      quorum_met: { type: Boolean, default: true },
+      total_votes: { type: Number, default: 0 },
+      average_score: { type: Number, default: null }, // Rating and NPS polls have an average instead of a winner
+      reason: { type: String, enum: ['ends_at', 'max_votes', 'manual', 'series'] }, // What closed the poll
+      decided_at: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null
+  },
+  total_votes: { type: Number, default: 0 }, // Number of ballots cast
+  total_selections: { type: Number, default: 0 }, // Number of options selected across all ballots
+  guest_votes: { type: Number, default: 0 }, // Part of total_votes cast by guests
+  tags: [{ type: String }], // Lowercase and hyphenated, see normalizeTag; replaced the fixed category list
   comments_count: { type: Number, default: 0 },
   manual_status_override: { type: Boolean, default: false }, // Flag to prevent auto-closure after manual reopen
+  series_id: { type: String, ref: 'PollSeries', default: null }, // Recurring series this poll is a run of
+  series_run: { type: Number, default: null }, // 1 for the first run of the series, 2 for the next...
+  revision_count: { type: Number, default: 0 }, // Number of saved edits (see PollRevision)
+  edited_at: { type: Date, default: null },
+  visibility: { type: String, enum: POLL_VISIBILITY, default: 'public' }, // Missing on polls from before visibility levels
+  share_token: { type: String, default: null }, // Secret carried by unlisted poll links
+  invited_users: [{ type: String, ref: 'User' }], // Invite-only polls: users on the allow-list
+  invited_domains: [{ type: String }], // Invite-only polls: lowercase email domains on the allow-list
+  invited_emails: [{ type: String }], // Invite-only polls: lowercase email addresses on the allow-list, with or without an account yet
+  password_hash: { type: String, default: null }, // Password-protected polls: bcrypt hash of the shared password
+  workspace_id: { type: String, ref: 'Workspace', default: null }, // null for polls in the shared space outside any workspace
+  // Co-owners of the poll, added by its creator (see COLLABORATOR_ROLES)
+  collaborators: [{
+    _id: false,
+    user: { type: String, ref: 'User', required: true },
+    role: { type: String, enum: COLLABORATOR_ROLES, default: 'editor' },
+    added_at: { type: Date, default: Date.now }
+  }],
   creator: { type: String, ref: 'User', required: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+pollSchema.index({ 'collaborators.user': 1 });
+pollSchema.index({ tags: 1 });
+// Full-text search over the poll wording (see /api/polls/search) - titles weigh the most
+pollSchema.index(
+  { title: 'text', description: 'text', 'options.text': 'text' },
+  { name: 'poll_text_search', weights: { title: 5, 'options.text': 2, description: 1 } }
+);
+
+// Never serialize quiz answers or sharing details by default - routes add them back for the creator or once revealed
+pollSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.correct_option_ids;
+    delete ret.share_token;
+    delete ret.invited_users;
+    delete ret.invited_domains;
+    delete ret.invited_emails;
+    delete ret.collaborators;
+    // Poll lists leave the hash out, and with it the flag
+    if (doc.isSelected('password_hash')) {
+      ret.password_protected = Boolean(ret.password_hash);
+    }
+    delete ret.password_hash;
+    return ret;
+  }
+});
+
 const Poll = mongoose.model('Poll', pollSchema);
 
 // Vote Schema
@@ -344,13 +551,318 @@ const voteSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true },
   poll_id: { type: String, ref: 'Poll', required: true },
   option_id: { type: String, required: true },
-  voter_email: { type: String, required: true },
-  user: { type: String, ref: 'User', required: true },
+  option_ids: [{ type: String }], // Every option selected on an approval ballot
+  ranking: [{ type: String }], // Ordered option ids for ranked-choice ballots (first = top preference)
+  score: { type: Number, default: null }, // Numeric answer on rating and NPS polls
+  // Answers to the poll's follow-up questions on the voter's path, shaped like survey answers
+  answers: [{
+    question_id: { type: String, required: true },
+    option_ids: [{ type: String }],
+    ranking: [{ type: String }],
+    score: { type: Number, default: null },
+    _id: false
+  }],
+  voter_email: { type: String, default: null }, // Not stored on anonymous polls
+  user: { type: String, ref: 'User', default: null }, // Not stored on anonymous polls
+  voter_hash: { type: String, default: null }, // Keyed hash of the voter on anonymous polls, only used to prevent duplicates
+  guest_id: { type: String, default: null }, // Guest ballots: id from the guest voter token, one ballot per guest
+  guest_ip_hash: { type: String, default: null }, // Guest ballots: keyed hash of the voter's IP, used to limit ballots per network
+  is_correct: { type: Boolean, default: null }, // Quiz polls: whether the ballot matched the correct options
+  points: { type: Number, default: 0 }, // Quiz polls: points awarded for this ballot
+  answer_time_ms: { type: Number, default: null }, // Timed quizzes: time between starting and answering
+  single_ballot: { type: Boolean, default: false }, // Cast on a poll that takes one ballot per voter (see takesSingleBallot)
+  idempotency_key: { type: String, default: null }, // Key the client sent with the ballot, so a repeated submission counts once
   createdAt: { type: Date, default: Date.now }
 });
 
+// One ballot per voter on polls that take a single ballot, enforced by the database so concurrent requests cannot both count
+// Votes from before single_ballot existed are left out of these indexes
+voteSchema.index({ poll_id: 1, user: 1 }, { unique: true, partialFilterExpression: { single_ballot: true, user: { $type: 'string' } } });
+voteSchema.index({ poll_id: 1, voter_hash: 1 }, { unique: true, partialFilterExpression: { single_ballot: true, voter_hash: { $type: 'string' } } });
+voteSchema.index({ poll_id: 1, guest_id: 1 }, { unique: true, partialFilterExpression: { single_ballot: true, guest_id: { $type: 'string' } } });
+// An Idempotency-Key only identifies a ballot together with its voter, so one voter's key never matches another's ballot
+voteSchema.index({ poll_id: 1, user: 1, idempotency_key: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'string' }, idempotency_key: { $type: 'string' } } });
+voteSchema.index({ poll_id: 1, voter_hash: 1, idempotency_key: 1 }, { unique: true, partialFilterExpression: { voter_hash: { $type: 'string' }, idempotency_key: { $type: 'string' } } });
+
 const Vote = mongoose.model('Vote', voteSchema);
 
+// Quiz Start Schema - when a voter opened a timed quiz
+const quizStartSchema = new mongoose.Schema({
+  poll_id: { type: String, ref: 'Poll', required: true },
+  user: { type: String, ref: 'User', required: true },
+  started_at: { type: Date, default: Date.now }
+});
+
+quizStartSchema.index({ poll_id: 1, user: 1 }, { unique: true });
+
+const QuizStart = mongoose.model('QuizStart', quizStartSchema);
+
+// Poll Revision Schema - what changed in one edit of a poll
+const pollRevisionSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  poll_id: { type: String, ref: 'Poll', required: true },
+  revision: { type: Number, required: true }, // 1 for the first edit, 2 for the next...
+  editor: { type: String, ref: 'User', required: true },
+  changes: [{
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  options_added: [{ id: String, text: String }],
+  options_renamed: [{ id: String, before: String, after: String }],
+  options_image_changed: [{ id: String, text: String }],
+  options_removed: [{
+    id: String,
+    text: String,
+    votes: Number, // Votes the option had when it was removed
+    migrated_to: { type: String, default: null } // Option that took over the votes (null = votes discarded)
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+pollRevisionSchema.index({ poll_id: 1, revision: 1 }, { unique: true });
+
+const PollRevision = mongoose.model('PollRevision', pollRevisionSchema);
+
+// How often a recurring poll series runs - one of these or a five-field cron expression
+const SERIES_CADENCES = {
+  daily: { days: 1 },
+  weekly: { days: 7 },
+  biweekly: { days: 14 },
+  monthly: { months: 1 }
+};
+
+// Poll Series Schema - a poll that is asked again every period
+const pollSeriesSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  cadence: { type: String, required: true }, // A SERIES_CADENCES key or a cron expression
+  template: { type: mongoose.Schema.Types.Mixed, required: true }, // Poll fields every run is created from
+  first_run_at: { type: Date, required: true }, // Runs fall on whole periods after this time
+  next_run_at: { type: Date, default: null }, // null while the series is paused
+  active: { type: Boolean, default: true },
+  run_count: { type: Number, default: 0 },
+  last_poll_id: { type: String, ref: 'Poll', default: null },
+  workspace_id: { type: String, ref: 'Workspace', default: null }, // Workspace every run is created in
+  creator: { type: String, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const PollSeries = mongoose.model('PollSeries', pollSeriesSchema);
+
+// Poll Template Schema - reusable poll content and settings that pre-fill the create form
+const pollTemplateSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  poll: { type: mongoose.Schema.Types.Mixed, required: true }, // Poll fields, validated like a new poll
+  shared: { type: Boolean, default: false }, // Shared templates are listed for every user of their workspace
+  workspace_id: { type: String, ref: 'Workspace', default: null }, // null for templates in the shared space
+  creator: { type: String, ref: 'User', required: true },
+  creator_username: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const PollTemplate = mongoose.model('PollTemplate', pollTemplateSchema);
+
+// Starter templates offered to every user - they live here rather than in the database
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-yes-no',
+    name: 'Yes / No',
+    poll: {
+      title: 'Should we...?',
+      description: '',
+      tags: [],
+      poll_type: 'single',
+      options: [
+        { id: 'yes', text: 'Yes' },
+        { id: 'no', text: 'No' }
+      ]
+    }
+  },
+  {
+    id: 'builtin-agree-scale',
+    name: 'Agreement scale',
+    poll: {
+      title: 'How much do you agree with...?',
+      description: '',
+      tags: [],
+      poll_type: 'single',
+      options: [
+        { id: 'strongly-disagree', text: 'Strongly disagree' },
+        { id: 'disagree', text: 'Disagree' },
+        { id: 'neutral', text: 'Neither agree nor disagree' },
+        { id: 'agree', text: 'Agree' },
+        { id: 'strongly-agree', text: 'Strongly agree' }
+      ]
+    }
+  },
+  {
+    id: 'builtin-meeting-time',
+    name: 'Meeting time',
+    poll: {
+      title: 'When should we meet?',
+      description: 'Pick every time that works for you',
+      tags: ['meetings'],
+      poll_type: 'approval',
+      min_choices: 1,
+      options: [
+        { id: 'monday-morning', text: 'Monday morning' },
+        { id: 'monday-afternoon', text: 'Monday afternoon' },
+        { id: 'wednesday-morning', text: 'Wednesday morning' },
+        { id: 'wednesday-afternoon', text: 'Wednesday afternoon' },
+        { id: 'friday-morning', text: 'Friday morning' }
+      ]
+    }
+  }
+].map(template => ({ ...template, built_in: true, shared: true, creator: null, creator_username: 'PollSpace' }));
+
+// Helper function to turn the category of polls saved before tags into a tag
+// Runs on every start; once nothing is left to migrate it only costs three empty queries
+const migrateCategoriesToTags = async () => {
+  const migrations = [
+    { collection: Poll.collection, path: '' },
+    { collection: PollSeries.collection, path: 'template.' },
+    { collection: PollTemplate.collection, path: 'poll.' }
+  ];
+
+  try {
+    for (const { collection, path } of migrations) {
+      const result = await collection.updateMany(
+        { [`${path}category`]: { $type: 'string' } },
+        [
+          { $set: { [`${path}tags`]: { $setUnion: [{ $ifNull: [`$${path}tags`, []] }, [`$${path}category`]] } } },
+          { $unset: `${path}category` }
+        ]
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`Migrated ${result.modifiedCount} ${collection.collectionName} from categories to tags`);
+      }
+    }
+  } catch (error) {
+    console.error('Category migration error:', error);
+  }
+};
+
+// Helper function to build the filter of the votes on polls that take a single ballot, for the polls that still have votes from before single_ballot
+// Returns null once every vote is marked
+const getLegacySingleBallotFilter = async () => {
+  const pollIds = await Vote.distinct('poll_id', { single_ballot: { $exists: false } });
+  if (pollIds.length === 0) return null;
+
+  const polls = await Poll.find({ id: { $in: pollIds } }).select('id allow_multiple_votes poll_type');
+  const singleBallotPollIds = polls.filter(takesSingleBallot).map(poll => poll.id);
+  // Guests always cast a single ballot
+  return { $or: [{ poll_id: { $in: singleBallotPollIds } }, { guest_id: { $type: 'string' } }] };
+};
+
+// Helper function to find voters with several ballots on a poll that takes one - they slipped past the check before the unique indexes
+// Returns one entry per voter: the earliest ballot is kept, the others are extra
+const findDuplicateBallots = async (singleBallotFilter) => {
+  const duplicates = [];
+  for (const field of ['user', 'voter_hash', 'guest_id']) {
+    const groups = await Vote.aggregate([
+      { $match: { ...singleBallotFilter, [field]: { $type: 'string' } } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: { poll_id: '$poll_id', voter: `$${field}` }, votes: { $push: '$id' } } },
+      { $match: { 'votes.1': { $exists: true } } }
+    ]);
+    groups.forEach(({ _id, votes }) => {
+      duplicates.push({ poll_id: _id.poll_id, voter_field: field, kept: votes[0], extra: votes.slice(1) });
+    });
+  }
+  return duplicates;
+};
+
+// Helper function to mark the votes cast before single_ballot existed, so the one-ballot indexes cover them too
+// Voters with several ballots are left unmarked: scripts/remove-duplicate-ballots.js decides which ballot stays
+// Runs on every start; once every vote is marked it only costs one empty query
+const migrateSingleBallotVotes = async () => {
+  try {
+    const singleBallotFilter = await getLegacySingleBallotFilter();
+    if (!singleBallotFilter) return;
+
+    const duplicates = await findDuplicateBallots(singleBallotFilter);
+    const duplicateVoteIds = duplicates.flatMap(duplicate => [duplicate.kept, ...duplicate.extra]);
+
+    const marked = await Vote.updateMany(
+      { single_ballot: { $exists: false }, ...singleBallotFilter, id: { $nin: duplicateVoteIds } },
+      { $set: { single_ballot: true } }
+    );
+    await Vote.updateMany({ single_ballot: { $exists: false }, $nor: singleBallotFilter.$or }, { $set: { single_ballot: false } });
+    if (marked.modifiedCount > 0) {
+      console.log(`Marked ${marked.modifiedCount} single ballot votes`);
+    }
+    if (duplicates.length > 0) {
+      console.warn(`${duplicates.length} voters have several ballots on a poll that takes one; run npm run votes:remove-duplicates to review them`);
+    }
+  } catch (error) {
+    console.error('Single ballot migration error:', error);
+  }
+};
+
+// Helper function to delete the extra ballots found by findDuplicateBallots and take them off their polls' counts
+// Only run by scripts/remove-duplicate-ballots.js; with dryRun nothing is deleted. Returns the duplicates it found
+const removeDuplicateBallots = async ({ dryRun = false } = {}) => {
+  const singleBallotFilter = await getLegacySingleBallotFilter();
+  if (!singleBallotFilter) return [];
+
+  const duplicates = await findDuplicateBallots(singleBallotFilter);
+  if (dryRun) return duplicates;
+
+  for (const duplicate of duplicates) {
+    duplicate.removed = [];
+    for (const voteId of duplicate.extra) {
+      const vote = await Vote.findOneAndDelete({ id: voteId });
+      if (!vote) continue;
+      const { update, arrayFilters } = addAnswerCountUpdate(
+        buildVoteCountUpdate(getVoteSelections(vote), [], -1, Boolean(vote.guest_id)),
+        vote.answers || [],
+        []
+      );
+      await Poll.updateOne({ id: vote.poll_id }, update, { arrayFilters });
+      duplicate.removed.push(voteId);
+    }
+  }
+  return duplicates;
+};
+
+// Survey Schema - an ordered list of questions answered in a single submission
+const surveySchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  questions: [questionSchema],
+  status: { type: String, enum: ['active', 'closed', 'draft'], default: 'active' },
+  ends_at: { type: Date, default: null },
+  show_results: { type: Boolean, default: true },
+  response_count: { type: Number, default: 0 },
+  workspace_id: { type: String, ref: 'Workspace', default: null }, // null for surveys in the shared space
+  creator: { type: String, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Survey = mongoose.model('Survey', surveySchema);
+
+// Survey Response Schema - every answer a user gave to a survey
+const surveyResponseSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true },
+  survey_id: { type: String, ref: 'Survey', required: true },
+  user: { type: String, ref: 'User', required: true },
+  answers: [{
+    question_id: { type: String, required: true },
+    option_ids: [{ type: String }],
+    ranking: [{ type: String }],
+    score: { type: Number, default: null },
+    _id: false
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+surveyResponseSchema.index({ survey_id: 1, user: 1 }, { unique: true });
+
+const SurveyResponse = mongoose.model('SurveyResponse', surveyResponseSchema);
+
 // Comment Schema - Add liked_by array to track users who liked
 const commentSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true },
@@ -372,7 +884,7 @@ const Comment = mongoose.model('Comment', commentSchema);
 const notificationSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true },
   userId: { type: String, ref: 'User', required: true },
-  type: { type: String, enum: ['vote', 'comment', 'reply', 'comment_like', 'poll_created', 'poll_closed', 'system'], required: true },
+  type: { type: String, enum: ['vote', 'comment', 'reply', 'comment_like', 'poll_created', 'poll_published', 'poll_closed', 'collaborator_added', 'system'], required: true },
   message: { type: String, required: true },
   data: {
     pollId: { type: String, ref: 'Poll', default: null },
@@ -381,6 +893,7 @@ const notificationSchema = new mongoose.Schema({
     commenterName: { type: String, default: '' },
     replierName: { type: String, default: '' },
     likerName: { type: String, default: '' },
+    ownerName: { type: String, default: '' },
     pollTitle: { type: String, default: '' }
   },
   isRead: { type: Boolean, default: false },
@@ -438,6 +951,156 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+// Helper function to get a user's role in a workspace - null when they are not a member
+const getWorkspaceRole = (workspace, userId) => {
+  const member = workspace.members.find(item => item.user === userId);
+  return member ? member.role : null;
+};
+
+// Helper function to check whether a workspace role is at least minRole
+const hasWorkspaceRole = (role, minRole) => {
+  return WORKSPACE_ROLES.includes(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(minRole);
+};
+
+// Helper function to get a user's collaborator role on a poll - null when they do not collaborate on it
+const getCollaboratorRole = (poll, userId) => {
+  const collaborator = (poll.collaborators || []).find(item => item.user === userId);
+  return collaborator ? collaborator.role : null;
+};
+
+// Helper function to check whether a user is the creator of a poll or one of its collaborators
+const isPollTeamMember = (poll, userId) => Boolean(userId && (poll.creator === userId || getCollaboratorRole(poll, userId)));
+
+// Helper function to check whether a user owns a poll and manages its collaborators - its creator or a workspace admin
+// workspaceRole is the role set by requirePollWorkspaceRole
+const isPollOwner = (poll, userId, workspaceRole) => {
+  return poll.creator === userId || Boolean(poll.workspace_id && hasWorkspaceRole(workspaceRole, 'admin'));
+};
+
+// Helper function to check whether a user may edit, close or delete a poll - its owners and editor collaborators
+const canManagePoll = (poll, userId, workspaceRole) => {
+  return isPollOwner(poll, userId, workspaceRole) || getCollaboratorRole(poll, userId) === 'editor';
+};
+
+// Helper function to get the workspace a request works in, for filtering and creating polls (null = shared space)
+const getWorkspaceScope = (req) => (req.workspace ? req.workspace.id : null);
+
+// Middleware to check the caller's role in the workspace a request works in
+// The workspace comes from the X-Workspace-Id header by default; without one the request works in the shared space
+const requireWorkspaceRole = (minRole, getWorkspaceId = (req) => req.headers['x-workspace-id']) => async (req, res, next) => {
+  try {
+    const workspaceId = await getWorkspaceId(req);
+    req.workspace = null;
+    req.workspaceRole = null;
+    if (!workspaceId) {
+      return next();
+    }
+
+    const workspace = await Workspace.findOne({ id: workspaceId });
+    const role = workspace ? getWorkspaceRole(workspace, req.user.id) : null;
+    // Workspaces look missing to everyone outside them
+    if (!role) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!hasWorkspaceRole(role, minRole)) {
+      return res.status(403).json({ error: `This requires the ${minRole} role or higher in the workspace` });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Workspace role check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware to check the caller's role in the workspace of the poll a route works on
+// getPollId finds the poll in the request (the :id parameter by default); polls outside any workspace pass through
+const requirePollWorkspaceRole = (minRole, getPollId = async (req) => req.params.id) => async (req, res, next) => {
+  try {
+    req.workspaceRole = null;
+    const pollId = await getPollId(req);
+    const poll = pollId ? await Poll.findOne({ id: pollId }).select('workspace_id') : null;
+    if (!poll || !poll.workspace_id) {
+      return next();
+    }
+
+    // Routes open to visitors without an account only reach workspace polls with a valid login
+    const userId = req.user ? req.user.id : getOptionalUserId(req);
+    const workspace = userId ? await Workspace.findOne({ id: poll.workspace_id }) : null;
+    const role = workspace ? getWorkspaceRole(workspace, userId) : null;
+    // Workspace polls look missing to everyone outside the workspace
+    if (!role) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    if (!hasWorkspaceRole(role, minRole)) {
+      return res.status(403).json({ error: `This requires the ${minRole} role or higher in the workspace` });
+    }
+
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error('Workspace role check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Helper function to find the poll of the comment a route works on, for requirePollWorkspaceRole
+const getCommentPollId = async (req) => {
+  const comment = await Comment.findOne({ id: req.params.id }).select('poll_id');
+  return comment ? comment.poll_id : null;
+};
+
+// Helper function to find the workspace of the survey, template or series a route works on, for requireWorkspaceRole
+// Routes on one of them check the workspace it belongs to, so links to it work from any current workspace
+const getDocumentWorkspaceId = (Model) => async (req) => {
+  const document = await Model.findOne({ id: req.params.id }).select('workspace_id');
+  return document ? document.workspace_id : null;
+};
+
+// Helper function to check whether a member may give another member a role (nextRole null = removing them)
+// Nobody changes the owner, and only the owner grants or takes away the admin role
+const getMemberChangeError = (actorRole, targetRole, nextRole) => {
+  if (nextRole !== null && !['viewer', 'member', 'admin'].includes(nextRole)) {
+    return { status: 400, error: 'Role must be viewer, member or admin' };
+  }
+  if (targetRole === 'owner') {
+    return { status: 403, error: 'The owner of a workspace cannot be changed or removed' };
+  }
+  if (!hasWorkspaceRole(actorRole, 'admin')) {
+    return { status: 403, error: 'Only workspace admins can manage members' };
+  }
+  if ((targetRole === 'admin' || nextRole === 'admin') && actorRole !== 'owner') {
+    return { status: 403, error: 'Only the workspace owner can manage admins' };
+  }
+  return null;
+};
+
+// Helper function to describe a workspace to one of its members, with members listed by username
+const serializeWorkspace = async (workspace, userId) => {
+  const users = await User.find({ id: { $in: workspace.members.map(member => member.user) } }).select('id username email');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    description: workspace.description,
+    creator: workspace.creator,
+    createdAt: workspace.createdAt,
+    role: getWorkspaceRole(workspace, userId),
+    members: workspace.members
+      .filter(member => usersById.has(member.user))
+      .map(member => ({
+        id: member.user,
+        username: usersById.get(member.user).username,
+        email: usersById.get(member.user).email,
+        role: member.role,
+        added_at: member.added_at
+      }))
+  };
+};
+
 
 
 // File upload configuration
@@ -470,768 +1133,4478 @@ const generateId = () => {
   return Date.now().toString() + Math.random().toString(36).substr(2, 9);
 };
 
-// Routes
+// Option pictures are uploaded through the 'optionImage' field, so their files share this prefix
+const OPTION_IMAGE_PREFIX = '/uploads/optionImage-';
 
-// Auth Routes
-app.post('/api/register', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+// Helper function to accept only option image paths produced by the upload route
+const normalizeOptionImage = (imageUrl) => {
+  if (typeof imageUrl !== 'string' || !imageUrl.startsWith(OPTION_IMAGE_PREFIX)) {
+    return null;
+  }
+  const filename = imageUrl.substring('/uploads/'.length);
+  return filename === path.basename(filename) ? imageUrl : null;
+};
 
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'All fields are required' });
+// Helper function to remove an uploaded file given its /uploads/ path
+const deleteUploadedFile = (fileUrl) => {
+  const filePath = path.join(uploadsDir, path.basename(fileUrl));
+  if (fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (err) {
+      console.error(`Error deleting uploaded file: ${filePath}`, err);
     }
+  }
+};
 
-    // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
+// Helper function to list every option picture still in use by a poll, a recurring series or a template
+const getReferencedOptionImages = async () => {
+  const [pollImages, seriesImages, templateImages] = await Promise.all([
+    Poll.distinct('options.image_url'),
+    PollSeries.distinct('template.options.image_url'),
+    PollTemplate.distinct('poll.options.image_url')
+  ]);
+  return new Set([...pollImages, ...seriesImages, ...templateImages].filter(Boolean));
+};
 
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
+// Helper function to delete the pictures of options that no longer exist
+// A picture can be shared with another poll, series or template, so it is only deleted once nothing references it
+const deleteOrphanedOptionImages = async (previousOptions, nextOptions = []) => {
+  const keptImages = new Set(nextOptions.map(opt => opt.image_url).filter(Boolean));
+  const removedImages = previousOptions
+    .map(opt => opt.image_url)
+    .filter(imageUrl => imageUrl && !keptImages.has(imageUrl));
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+  if (removedImages.length === 0) {
+    return;
+  }
 
-    // Create user
-    const user = new User({
-      id: generateId(),
-      username,
-      email,
-      password: hashedPassword
-    });
+  const referencedImages = await getReferencedOptionImages();
+  removedImages
+    .filter(imageUrl => !referencedImages.has(imageUrl))
+    .forEach(deleteUploadedFile);
+};
 
-    await user.save();
+// Key for hashing voter ids on anonymous polls - set VOTER_HASH_SECRET separately in production
+const VOTER_HASH_SECRET = process.env.VOTER_HASH_SECRET || JWT_SECRET;
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+// Helper function to derive a per-poll voter key that cannot be traced back to the user without the secret
+const hashVoter = (pollId, userId) => {
+  return crypto.createHmac('sha256', VOTER_HASH_SECRET).update(`${pollId}:${userId}`).digest('hex');
+};
 
-    res.status(201).json({
-      message: 'User created successfully',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        profile_picture: user.profile_picture || '',
-        profilePicture: user.profile_picture || ''
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Helper function to build the query that finds a user's votes on a poll
+// Anonymous polls only know the hashed voter key
+const getVoterFilter = (poll, user) => {
+  return poll.anonymous
+    ? { poll_id: poll.id, voter_hash: hashVoter(poll.id, user.id) }
+    : { poll_id: poll.id, user: user.id };
+};
 
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Helper function to get the voter identity stored on a new vote
+const getVoterFields = (poll, user) => {
+  return poll.anonymous
+    ? { user: null, voter_email: null, voter_hash: hashVoter(poll.id, user.id) }
+    : { user: user.id, voter_email: user.email, voter_hash: null };
+};
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+// Helper function to get a poll's visibility level - older polls are public
+const getPollVisibility = (poll) => poll.visibility || 'public';
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid credentials' });
-    }
+// Helper function to create the secret that unlisted poll links carry
+const generateShareToken = () => crypto.randomBytes(16).toString('hex');
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(400).json({ error: 'Invalid credentials' });
-    }
+// Helper function to get the lowercase domain of an email address
+const getEmailDomain = (email) => (String(email || '').split('@')[1] || '').toLowerCase();
 
-    // Generate JWT token
-    const token = jwt.sign(
+// Helper function to check whether a user is on an invite-only poll's allow-list
+const isInvitedToPoll = (poll, user) => {
+  return (poll.invited_users || []).includes(user.id)
+    || (poll.invited_emails || []).includes(String(user.email || '').toLowerCase())
+    || (poll.invited_domains || []).includes(getEmailDomain(user.email));
+};
+
+// Helper function to check a share token against a poll's, in constant time so the token cannot be guessed from response times
+const isShareTokenValid = (poll, shareToken) => {
+  if (!shareToken || !poll.share_token) return false;
+  const given = Buffer.from(String(shareToken));
+  const expected = Buffer.from(poll.share_token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Helper function to check whether a user may open a poll
+// Unlisted polls need the share token unless the user already voted on them; invite-only polls need an invitation
+const canAccessPoll = async (poll, userId, shareToken) => {
+  const visibility = getPollVisibility(poll);
+  if (visibility === 'public' || isPollTeamMember(poll, userId)) return true;
+  if (visibility === 'unlisted' && isShareTokenValid(poll, shareToken)) return true;
+  if (!userId) return false;
+
+  const user = await User.findOne({ id: userId }).select('id email polls_voted');
+  if (!user) return false;
+  return visibility === 'unlisted' ? user.polls_voted.includes(poll.id) : isInvitedToPoll(poll, user);
+};
+
+// Helper function to build the query for polls listed to a user - unlisted polls are only listed for their creator and collaborators
+const getListedPollsFilter = async (userId) => {
+  const user = await User.findOne({ id: userId }).select('email');
+  const email = String(user?.email || '').toLowerCase();
+  const domain = getEmailDomain(email);
+
+  return {
+    $or: [
+      { visibility: { $in: ['public', null] } },
+      { creator: userId },
+      { 'collaborators.user': userId },
+      { visibility: 'invite_only', invited_users: userId },
+      ...(email ? [{ visibility: 'invite_only', invited_emails: email }] : []),
+      ...(domain ? [{ visibility: 'invite_only', invited_domains: domain }] : [])
+    ]
+  };
+};
+
+// Helper function to validate who a poll is shared with
+// Invitees are usernames of existing users or email addresses; current holds the poll's sharing when editing
+// Emails are stored as given, so the form never tells whether someone has an account with an address
+// Returns { error } or the sharing fields
+const normalizePollSharing = async (body, current = {}) => {
+  const visibility = body.visibility !== undefined ? body.visibility : getPollVisibility(current);
+  if (!POLL_VISIBILITY.includes(visibility)) {
+    return { error: 'Invalid poll visibility' };
+  }
+
+  let invitedUsers = [...(current.invited_users || [])];
+  let invitedEmails = [...(current.invited_emails || [])];
+  if (body.invitees !== undefined) {
+    if (!Array.isArray(body.invitees)) {
+      return { error: 'Invitees must be a list of usernames or emails' };
+    }
+
+    const identifiers = [...new Set(body.invitees.map(invitee => String(invitee).trim()).filter(Boolean))];
+    const emails = identifiers.filter(identifier => identifier.includes('@')).map(email => email.toLowerCase());
+    if (emails.some(email => !/^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(email))) {
+      return { error: 'Invited emails must look like name@example.com' };
+    }
+
+    const usernames = identifiers.filter(identifier => !identifier.includes('@'));
+    const users = await User.find({ username: { $in: usernames } }).select('id username');
+    const unknown = usernames.find(username => !users.some(user => user.username === username));
+    if (unknown) {
+      return { error: `No user found for "${unknown}"` };
+    }
+    invitedUsers = [...new Set(users.map(user => user.id))];
+    invitedEmails = [...new Set(emails)];
+  }
+
+  let invitedDomains = [...(current.invited_domains || [])];
+  if (body.invited_domains !== undefined) {
+    if (!Array.isArray(body.invited_domains)) {
+      return { error: 'Invited domains must be a list' };
+    }
+
+    invitedDomains = [...new Set(body.invited_domains
+      .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+      .filter(Boolean))];
+    if (invitedDomains.some(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain))) {
+      return { error: 'Invited domains must look like example.com' };
+    }
+  }
+
+  if (visibility === 'invite_only' && invitedUsers.length === 0 && invitedEmails.length === 0 && invitedDomains.length === 0) {
+    return { error: 'Invite at least one user or email domain' };
+  }
+
+  return {
+    visibility,
+    // Links keep working when a poll is switched back and forth, until the creator resets them
+    share_token: current.share_token || (visibility === 'unlisted' ? generateShareToken() : null),
+    invited_users: invitedUsers,
+    invited_emails: invitedEmails,
+    invited_domains: invitedDomains
+  };
+};
+
+// Helper function to describe a poll's sharing to its creator, with invitees as usernames
+const getPollSharing = async (poll) => {
+  const invitees = await User.find({ id: { $in: poll.invited_users || [] } }).select('id username email');
+
+  return {
+    visibility: getPollVisibility(poll),
+    share_token: poll.share_token,
+    invitees: invitees.map(user => ({ id: user.id, username: user.username, email: user.email })),
+    invited_emails: poll.invited_emails || [],
+    invited_domains: poll.invited_domains || []
+  };
+};
+
+// Helper function to list a poll's collaborators with their usernames
+const getPollCollaborators = async (poll) => {
+  const collaborators = poll.collaborators || [];
+  const users = await User.find({ id: { $in: collaborators.map(collaborator => collaborator.user) } }).select('id username email');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return collaborators
+    .filter(collaborator => usersById.has(collaborator.user))
+    .map(collaborator => ({
+      id: collaborator.user,
+      username: usersById.get(collaborator.user).username,
+      email: usersById.get(collaborator.user).email,
+      role: collaborator.role,
+      added_at: collaborator.added_at
+    }));
+};
+
+// How long unlocking a password-protected poll lasts
+const POLL_ACCESS_TTL = '2h';
+
+const POLL_LOCKED_ERROR = { error: 'This poll is password protected. Unlock it with its password first.', password_required: true };
+
+// Helper function to validate the password of a poll - returns { error } or { password_hash }
+const hashPollPassword = async (password) => {
+  if (typeof password !== 'string' || password.length < 4 || password.length > 100) {
+    return { error: 'Poll password must be between 4 and 100 characters' };
+  }
+  return { password_hash: await bcrypt.hash(password, 10) };
+};
+
+// Helper function to fingerprint a poll's password, so grants stop working when it changes
+const getPasswordFingerprint = (poll) => crypto.createHash('sha256').update(poll.password_hash).digest('hex').slice(0, 16);
+
+// Helper function to issue the short-lived grant a user gets for unlocking a poll
+const createPollAccessGrant = (poll, userId) => {
+  return jwt.sign(
+    { type: 'poll_access', poll_id: poll.id, user_id: userId, password: getPasswordFingerprint(poll) },
+    JWT_SECRET,
+    { expiresIn: POLL_ACCESS_TTL }
+  );
+};
+
+// Helper function to check whether a user may vote and comment on a poll - password-protected polls need a grant
+const hasPollAccess = (poll, userId, grant) => {
+  if (!poll.password_hash || isPollTeamMember(poll, userId)) return true;
+  if (!grant) return false;
+
+  try {
+    const payload = jwt.verify(grant, JWT_SECRET);
+    return payload.type === 'poll_access'
+      && payload.poll_id === poll.id
+      && payload.user_id === userId
+      && payload.password === getPasswordFingerprint(poll);
+  } catch (error) {
+    return false;
+  }
+};
+
+// How long a guest voter token lasts, and how many guest ballots one network may cast on a poll
+const GUEST_TOKEN_TTL = '30d';
+const GUEST_VOTES_PER_IP = 5;
+
+// Helper function to issue the signed token that identifies a guest voter across polls
+const createGuestToken = () => {
+  const guestId = generateId();
+  const token = jwt.sign({ type: 'guest_voter', guest_id: guestId }, JWT_SECRET, { expiresIn: GUEST_TOKEN_TTL });
+  return { guest_token: token, guest_id: guestId, expires_at: new Date(jwt.decode(token).exp * 1000) };
+};
+
+// Helper function to get the guest id from a request's guest token - null when it is missing or invalid
+const getGuestId = (req) => {
+  const token = req.headers['x-guest-token'];
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === 'guest_voter' ? payload.guest_id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to derive a per-poll key for a guest's IP address, so the address itself is never stored
+const hashGuestIp = (pollId, ip) => {
+  return crypto.createHmac('sha256', VOTER_HASH_SECRET).update(`${pollId}:ip:${ip}`).digest('hex');
+};
+
+// Helper function to get the connected sockets of a workspace's members (every socket for the shared space)
+const getWorkspaceSockets = async (workspaceId) => {
+  const sockets = [...io.of('/').sockets.values()];
+  if (!workspaceId) return sockets;
+
+  const workspace = await Workspace.findOne({ id: workspaceId }).select('members');
+  const memberIds = new Set((workspace ? workspace.members : []).map(member => member.user));
+  return sockets.filter(socket => socket.user && memberIds.has(socket.user.id));
+};
+
+// Helper function to list the connected sockets allowed to follow a poll
+// Sockets in the poll room were checked when they joined it (see joinPoll); workspace polls only reach members
+const getPollAudienceSockets = async (poll) => {
+  const sockets = await getWorkspaceSockets(poll.workspace_id);
+  if (getPollVisibility(poll) === 'public') return sockets;
+
+  return sockets.filter(socket => socket.user && (
+    isPollTeamMember(poll, socket.user.id)
+    || socket.rooms.has(`poll_${poll.id}`)
+    || (getPollVisibility(poll) === 'invite_only' && isInvitedToPoll(poll, socket.user))
+  ));
+};
+
+// Helper function to announce a newly published poll to the users allowed to see it
+const emitNewPoll = async (poll) => {
+  if (getPollVisibility(poll) === 'public' && !poll.workspace_id) {
+    io.emit('newPoll', poll);
+    return;
+  }
+
+  (await getPollAudienceSockets(poll)).forEach(socket => socket.emit('newPoll', poll));
+};
+
+// Helper function to get a poll's result reveal mode - older polls only have the show_results flag
+const getResultsVisibility = (poll) => poll.results_visibility || (poll.show_results === false ? 'creator_only' : 'always');
+
+// Helper function to read the result reveal mode of a poll from a request body
+// show_results is still accepted from older clients; fallback is used when neither is sent
+const normalizeResultsVisibility = (body, fallback = 'always') => {
+  let visibility = fallback;
+  if (body.results_visibility !== undefined) {
+    if (!RESULTS_VISIBILITY.includes(body.results_visibility)) {
+      return { error: 'Invalid result visibility' };
+    }
+    visibility = body.results_visibility;
+  } else if (body.show_results !== undefined) {
+    visibility = body.show_results ? 'always' : 'creator_only';
+  }
+  return { results_visibility: visibility, show_results: visibility !== 'creator_only' };
+};
+
+// Helper function to check whether a user may see a poll's vote counts yet
+const canSeeResults = (poll, userId, hasVoted) => {
+  if (isPollTeamMember(poll, userId)) return true;
+
+  switch (getResultsVisibility(poll)) {
+    case 'always':
+      return true;
+    case 'after_vote':
+      return hasVoted || poll.status === 'closed';
+    case 'after_close':
+      return poll.status === 'closed';
+    default:
+      return false;
+  }
+};
+
+// Helper function to strip the vote counts from a serialized poll - the number of ballots stays visible
+const redactPollResults = (pollJson) => ({
+  ...pollJson,
+  options: pollJson.options.map(option => ({ ...option, votes: null, guest_votes: null })),
+  ...(pollJson.questions && { questions: redactSurveyResults(pollJson).questions }),
+  total_selections: null,
+  outcome: null,
+  results_hidden: true
+});
+
+// Helper function to serialize a poll for one viewer, hiding counts they may not see yet
+const serializePollForViewer = (poll, userId, hasVoted, pollJson = poll.toJSON()) => {
+  return canSeeResults(poll, userId, hasVoted) ? pollJson : redactPollResults(pollJson);
+};
+
+// Helper function to build an inclusion projection from lists of poll fields
+const buildPollProjection = (...fieldLists) => Object.fromEntries(fieldLists.flat().map(field => [field, 1]));
+
+// Poll lists only load the fields their page shows - the poll page loads the rest, and nothing else leaves the server in a list
+// Counts are hidden per viewer: canSeeResults reads the team and reveal mode (collaborators are never serialized), redactPollResults the options
+const POLL_RESULTS_FIELDS = ['creator', 'collaborators', 'status', 'results_visibility', 'show_results', 'options', 'total_selections'];
+const POLL_CARD_FIELDS = ['id', 'title', 'description', 'options', 'status', 'total_votes', 'comments_count', 'tags', 'createdAt'];
+const POLL_LIST_PROJECTIONS = {
+  listed: buildPollProjection(POLL_CARD_FIELDS, POLL_RESULTS_FIELDS),
+  // Dashboard stats only count polls, ballots and recent polls
+  dashboard: buildPollProjection(['id', 'status', 'total_votes', 'createdAt'], POLL_RESULTS_FIELDS),
+  results: buildPollProjection(POLL_CARD_FIELDS, POLL_RESULTS_FIELDS),
+  voted: buildPollProjection(POLL_CARD_FIELDS, POLL_RESULTS_FIELDS),
+  // The creator's own polls, with their schedule, sharing level and series run
+  myPolls: buildPollProjection(POLL_CARD_FIELDS, ['starts_at', 'ends_at', 'visibility', 'series_id', 'series_run']),
+  // score is the text relevance that search cursors point at
+  search: buildPollProjection(POLL_CARD_FIELDS, POLL_RESULTS_FIELDS, ['score'])
+};
+
+// Helper function to serialize a list of polls for one viewer
+// Whether the viewer voted comes from their polls_voted list, which also covers anonymous polls
+const serializePollsForViewer = async (polls, userId) => {
+  const viewer = userId ? await User.findOne({ id: userId }).select('polls_voted') : null;
+  const votedPollIds = new Set(viewer ? viewer.polls_voted : []);
+
+  return polls.map(poll => serializePollForViewer(poll, userId, votedPollIds.has(poll.id)));
+};
+
+// Helper function to check whether the viewer of a route open to visitors voted on a poll
+// Visitors without an account are recognised by their guest token
+const hasViewerVoted = async (req, poll, viewerId) => {
+  if (viewerId) {
+    return Boolean(await Vote.exists(getVoterFilter(poll, { id: viewerId })));
+  }
+  const guestId = getGuestId(req);
+  return Boolean(guestId && await Vote.exists({ poll_id: poll.id, guest_id: guestId }));
+};
+
+// Helper function to broadcast a changed poll to its audience - sockets whose user may not see the results yet get redacted counts
+const emitPollUpdate = async (poll) => {
+  const visibility = getResultsVisibility(poll);
+  const isPublic = getPollVisibility(poll) === 'public' && !poll.workspace_id;
+  if (isPublic && (visibility === 'always' || (visibility !== 'creator_only' && poll.status === 'closed'))) {
+    io.emit('pollUpdate', poll);
+    return;
+  }
+
+  const sockets = await getPollAudienceSockets(poll);
+  const userIds = [...new Set(sockets.map(socket => socket.user?.id).filter(Boolean))];
+  const voters = visibility === 'after_vote'
+    ? await User.find({ id: { $in: userIds }, polls_voted: poll.id }).select('id')
+    : [];
+  const voterIds = new Set(voters.map(voter => voter.id));
+  const redacted = redactPollResults(poll.toJSON());
+
+  sockets.forEach(socket => {
+    const userId = socket.user?.id;
+    socket.emit('pollUpdate', canSeeResults(poll, userId, voterIds.has(userId)) ? poll : redacted);
+  });
+};
+
+// Helper function to run an instant-runoff count over ranked-choice ballots
+// Each ballot is an ordered array of option ids. Every round counts each ballot
+// towards its highest-ranked option still in the race; an option with a strict
+// majority of the non-exhausted ballots wins, otherwise every option tied for
+// last place is eliminated and the next round is counted.
+const computeInstantRunoff = (options, ballots) => {
+  const remaining = new Set(options.map(opt => opt.id));
+  const rounds = [];
+  let winner = null;
+  let tie = [];
+
+  while (remaining.size > 0) {
+    const tallies = {};
+    remaining.forEach(optionId => { tallies[optionId] = 0; });
+
+    let exhausted = 0;
+    ballots.forEach(ranking => {
+      const choice = ranking.find(optionId => remaining.has(optionId));
+      if (choice) {
+        tallies[choice] += 1;
+      } else {
+        exhausted += 1;
+      }
+    });
+
+    const round = { round: rounds.length + 1, tallies, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const activeBallots = ballots.length - exhausted;
+    if (activeBallots === 0) break;
+
+    const counts = Object.values(tallies);
+    const highest = Math.max(...counts);
+    if (highest * 2 > activeBallots) {
+      winner = Object.keys(tallies).find(optionId => tallies[optionId] === highest);
+      break;
+    }
+
+    const lowest = Math.min(...counts);
+    const lastPlace = Object.keys(tallies).filter(optionId => tallies[optionId] === lowest);
+
+    // Every remaining option is tied - nobody left to eliminate
+    if (lastPlace.length === remaining.size) {
+      tie = lastPlace;
+      break;
+    }
+
+    round.eliminated = lastPlace;
+    lastPlace.forEach(optionId => remaining.delete(optionId));
+  }
+
+  return { rounds, winner, tie, total_ballots: ballots.length };
+};
+
+// Helper function to validate the vote cap and quorum of a poll (null = not used)
+const normalizeVoteLimits = (maxVotes, quorum) => {
+  const toLimit = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const limits = { max_votes: toLimit(maxVotes), quorum: toLimit(quorum) };
+
+  if (limits.max_votes !== null && (!Number.isInteger(limits.max_votes) || limits.max_votes < 1)) {
+    return { error: 'Vote cap must be a whole number of at least 1' };
+  }
+  if (limits.quorum !== null && (!Number.isInteger(limits.quorum) || limits.quorum < 1)) {
+    return { error: 'Quorum must be a whole number of at least 1' };
+  }
+  if (limits.max_votes !== null && limits.quorum !== null && limits.quorum > limits.max_votes) {
+    return { error: 'Quorum cannot be larger than the vote cap' };
+  }
+  return limits;
+};
+
+// Helper function to work out the final outcome of a poll as it closes
+// reason is what closed it: 'ends_at', 'max_votes', 'manual' or 'series'
+const buildPollOutcome = async (poll, reason) => {
+  const outcome = {
+    winner_ids: [],
+    tied: false,
+    quorum_met: !poll.quorum || poll.total_votes >= poll.quorum,
+    total_votes: poll.total_votes,
+    average_score: null,
+    reason,
+    decided_at: new Date()
+  };
+  if (poll.total_votes === 0) return outcome;
+
+  if (SCORE_SCALES[poll.poll_type]) {
+    const total = poll.options.reduce((sum, opt) => sum + opt.value * opt.votes, 0);
+    outcome.average_score = Math.round((total / poll.total_votes) * 100) / 100;
+    return outcome;
+  }
+
+  if (poll.poll_type === 'ranked') {
+    // Ranked polls are decided by the instant runoff, not by first preferences
+    const votes = await Vote.find({ poll_id: poll.id }).select('ranking option_id');
+    const ballots = votes.map(v => (v.ranking && v.ranking.length > 0 ? v.ranking : [v.option_id]));
+    const runoff = computeInstantRunoff(poll.options, ballots);
+    outcome.winner_ids = runoff.winner ? [runoff.winner] : runoff.tie;
+  } else {
+    const highest = Math.max(...poll.options.map(opt => opt.votes));
+    outcome.winner_ids = poll.options.filter(opt => opt.votes === highest).map(opt => opt.id);
+  }
+
+  outcome.tied = outcome.winner_ids.length > 1;
+  return outcome;
+};
+
+// Helper function to summarize a closed poll's outcome for its creator
+const describePollOutcome = (poll) => {
+  const { outcome } = poll;
+  if (!outcome) return '';
+
+  const optionText = (optionId) => {
+    const option = poll.options.find(opt => opt.id === optionId);
+    return `"${option ? option.text : 'Removed option'}"`;
+  };
+
+  let summary;
+  if (outcome.total_votes === 0) {
+    summary = 'No votes were cast.';
+  } else if (outcome.average_score !== null) {
+    summary = `The average score was ${outcome.average_score}.`;
+  } else if (outcome.tied) {
+    summary = `It ended in a tie between ${outcome.winner_ids.map(optionText).join(' and ')}.`;
+  } else if (outcome.winner_ids.length === 1) {
+    summary = `${optionText(outcome.winner_ids[0])} won.`;
+  } else {
+    summary = 'No winner could be declared.';
+  }
+
+  if (!outcome.quorum_met) {
+    summary += ` The quorum of ${poll.quorum} votes was not met, so the result is not valid.`;
+  }
+  return summary;
+};
+
+// Notification reasons of the automatic closures
+const CLOSE_NOTIFICATION_REASONS = {
+  ends_at: 'automatic_closure',
+  max_votes: 'vote_cap',
+  series: 'series_run'
+};
+
+// Helper function to close an active poll automatically, record its outcome and tell the creator
+// reason is 'ends_at', 'max_votes' or 'series' (the next run of its series opened)
+const closePoll = async (poll, reason) => {
+  poll.status = 'closed';
+  poll.ends_at = null;
+  // Automatic closures reset the override so future end dates close the poll again
+  poll.manual_status_override = false;
+  poll.outcome = await buildPollOutcome(poll, reason);
+  await poll.save();
+
+  await createNotification('poll_closed', {
+    pollTitle: poll.title,
+    pollId: poll.id,
+    reason: CLOSE_NOTIFICATION_REASONS[reason] || 'automatic_closure',
+    maxVotes: poll.max_votes,
+    outcome: describePollOutcome(poll)
+  }, poll.creator);
+
+  await emitPollUpdate(poll);
+
+  io.to(`poll_${poll.id}`).emit('pollClosed', {
+    pollId: poll.id,
+    title: poll.title,
+    message: reason === 'max_votes'
+      ? `This poll has been closed as it reached its limit of ${poll.max_votes} votes.`
+      : reason === 'series'
+        ? 'This poll has been closed as the next poll of its series has opened.'
+        : 'This poll has been automatically closed as it reached its end date.'
+  });
+};
+
+// Helper function to build the fixed score options of a rating or NPS poll
+// Each score gets its own option so option vote counts form the answer distribution
+const buildScoreOptions = (pollType) => {
+  const { min, max } = SCORE_SCALES[pollType];
+  const scoreOptions = [];
+  for (let score = min; score <= max; score++) {
+    scoreOptions.push({ id: generateId(), text: String(score), value: score, votes: 0 });
+  }
+  return scoreOptions;
+};
+
+// Helper function to validate the selection limits of an approval poll
+const normalizeChoiceLimits = (minChoices, maxChoices, optionCount) => {
+  const isUnset = (value) => value === undefined || value === null || value === '';
+  const min = isUnset(minChoices) ? 1 : Number(minChoices);
+  const max = isUnset(maxChoices) ? null : Number(maxChoices);
+
+  if (!Number.isInteger(min) || min < 1 || min > optionCount) {
+    return { error: `Minimum choices must be between 1 and ${optionCount}` };
+  }
+  if (max !== null && (!Number.isInteger(max) || max < min || max > optionCount)) {
+    return { error: `Maximum choices must be between ${min} and ${optionCount}` };
+  }
+
+  return { min_choices: min, max_choices: max };
+};
+
+// Helper function to validate the publish time of a scheduled poll
+const normalizeSchedule = (startsAt, endsAt) => {
+  if (!startsAt) {
+    return { starts_at: null };
+  }
+
+  const start = new Date(startsAt);
+  if (isNaN(start.getTime())) {
+    return { error: 'Invalid start time' };
+  }
+  if (start <= new Date()) {
+    return { error: 'Start time must be in the future' };
+  }
+  if (endsAt && new Date(endsAt) <= start) {
+    return { error: 'End date must be after the start time' };
+  }
+
+  return { starts_at: start };
+};
+
+// Cron fields a series cadence is made of, in order - series run on whole minutes, so there is no seconds field
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Helper function to check a series cadence - a named cadence or a cron expression node-cron accepts
+const isValidSeriesCadence = (cadence) => {
+  if (typeof cadence !== 'string') return false;
+  if (SERIES_CADENCES[cadence]) return true;
+  return cadence.trim().split(/\s+/).length === CRON_FIELDS.length && cron.validate(cadence);
+};
+
+// Helper function to expand a cron expression into the values each field matches
+const parseCronExpression = (expression) => {
+  return expression.trim().toLowerCase().split(/\s+/).map((field, index) => {
+    const { min, max, names = [] } = CRON_FIELDS[index];
+    // Month and weekday names are matched by their first three letters, like node-cron does
+    const toNumber = (value) => {
+      const nameIndex = names.indexOf(value.slice(0, 3));
+      return nameIndex === -1 ? parseInt(value, 10) : nameIndex + min;
+    };
+
+    const values = new Set();
+    field.split(',').forEach(part => {
+      const [range, step] = part.split('/');
+      let [start, end] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+      if (end === undefined) end = step ? max : start;
+      for (let value = start; value <= end; value += step ? parseInt(step, 10) : 1) {
+        // Sunday can be written as 0 or 7
+        values.add(index === 4 && value === 7 ? 0 : value);
+      }
+    });
+    return values;
+  });
+};
+
+// Helper function to find the first minute after the given time that a cron expression matches
+// Like node-cron, a day has to match both the day of month and the weekday fields
+// Returns null when nothing matches within the next five years (e.g. February 30th)
+const getNextCronRun = (expression, after) => {
+  const [minutes, hours, days, months, weekdays] = parseCronExpression(expression);
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (date < limit) {
+    if (!months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!days.has(date.getDate()) || !weekdays.has(date.getDay())) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+// Helper function to get the time of a series run, counted in whole periods from its first run
+const getSeriesRunDate = (firstRunAt, cadence, index) => {
+  const step = SERIES_CADENCES[cadence];
+  const date = new Date(firstRunAt);
+
+  if (step.months) {
+    // Clamp to the end of shorter months so a series started on the 31st does not drift
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + step.months * index);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+  } else {
+    date.setDate(date.getDate() + step.days * index);
+  }
+  return date;
+};
+
+// Helper function to find the first run of a series after the given time (missed periods are skipped)
+const getNextSeriesRun = (series, after) => {
+  if (!SERIES_CADENCES[series.cadence]) {
+    // Cron series open their first run at its start time, then on every time the expression matches
+    return series.first_run_at > after ? new Date(series.first_run_at) : getNextCronRun(series.cadence, after);
+  }
+
+  let index = 0;
+  let runDate = getSeriesRunDate(series.first_run_at, series.cadence, index);
+  while (runDate <= after) {
+    index++;
+    runDate = getSeriesRunDate(series.first_run_at, series.cadence, index);
+  }
+  return runDate;
+};
+
+// Helper function to validate a ballot against the poll's voting method
+// Returns { error } or the option ids the ballot counts towards (plus the ranking for ranked polls)
+const parseBallot = (poll, body) => {
+  const isValidOption = (optionId) => poll.options.some(opt => opt.id === optionId);
+
+  switch (poll.poll_type) {
+    case 'ranked': {
+      // Ranked ballots must list each option at most once, best first
+      const { ranking } = body;
+      if (!Array.isArray(ranking) || ranking.length === 0) {
+        return { error: 'Ranking must be a non-empty array of option IDs' };
+      }
+      if (new Set(ranking).size !== ranking.length) {
+        return { error: 'Each option can only be ranked once' };
+      }
+      if (!ranking.every(isValidOption)) {
+        return { error: 'Invalid option' };
+      }
+      // Option vote counts hold first preferences
+      return { option_ids: [ranking[0]], ranking };
+    }
+    case 'approval': {
+      const { option_ids } = body;
+      if (!Array.isArray(option_ids) || option_ids.length === 0) {
+        return { error: 'Option IDs are required' };
+      }
+      if (new Set(option_ids).size !== option_ids.length) {
+        return { error: 'Each option can only be selected once' };
+      }
+      if (!option_ids.every(isValidOption)) {
+        return { error: 'Invalid option' };
+      }
+      const minChoices = poll.min_choices || 1;
+      const maxChoices = poll.max_choices || poll.options.length;
+      if (option_ids.length < minChoices || option_ids.length > maxChoices) {
+        return {
+          error: minChoices === maxChoices
+            ? `Select exactly ${minChoices} option${minChoices === 1 ? '' : 's'}`
+            : `Select between ${minChoices} and ${maxChoices} options`
+        };
+      }
+      return { option_ids };
+    }
+    case 'rating':
+    case 'nps': {
+      const { min, max } = SCORE_SCALES[poll.poll_type];
+      const score = Number(body.score);
+      if (body.score === undefined || body.score === null || !Number.isInteger(score) || score < min || score > max) {
+        return { error: `Score must be a whole number between ${min} and ${max}` };
+      }
+      const scoreOption = poll.options.find(opt => opt.value === score);
+      if (!scoreOption) {
+        return { error: 'Invalid option' };
+      }
+      return { option_ids: [scoreOption.id], score };
+    }
+    default: {
+      const { option_id } = body;
+      if (!option_id) {
+        return { error: 'Option ID is required' };
+      }
+      if (!isValidOption(option_id)) {
+        return { error: 'Invalid option' };
+      }
+      return { option_ids: [option_id] };
+    }
+  }
+};
+
+// Helper function to map a parsed ballot onto the Vote fields that store it
+const buildVoteFields = (poll, ballot) => ({
+  option_id: ballot.option_ids[0],
+  option_ids: poll.poll_type === 'approval' ? ballot.option_ids : [],
+  ranking: ballot.ranking || [],
+  score: ballot.score ?? null
+});
+
+// Longest Idempotency-Key accepted with a ballot
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// Helper function to check whether a poll takes a single ballot per voter
+// Ranked and approval polls always do; single choice polls unless they allow multiple votes
+const takesSingleBallot = (poll) => !poll.allow_multiple_votes || poll.poll_type !== 'single';
+
+// Helper function to check whether a write failed on a unique index
+const isDuplicateKeyError = (error) => Boolean(error) && error.code === 11000;
+
+// Helper function to read the Idempotency-Key header sent with a ballot
+// Returns { key } (null when none was sent) or { error }
+const getIdempotencyKey = (req) => {
+  const key = String(req.headers['idempotency-key'] || '').trim();
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters long` };
+  }
+  return { key: key || null };
+};
+
+// Helper function to get the option ids a stored vote counts towards
+const getVoteSelections = (vote) => {
+  return vote.option_ids && vote.option_ids.length > 0 ? vote.option_ids : [vote.option_id];
+};
+
+// Helper function to build a single atomic update that moves a ballot's counts between options
+// removedIds/addedIds are the option ids losing/gaining a vote, ballotDelta the change in total_votes
+// Guest ballots also move the separate guest tallies
+const buildVoteCountUpdate = (removedIds, addedIds, ballotDelta, isGuest = false) => {
+  const deltas = {};
+  removedIds.forEach(optionId => { deltas[optionId] = (deltas[optionId] || 0) - 1; });
+  addedIds.forEach(optionId => { deltas[optionId] = (deltas[optionId] || 0) + 1; });
+
+  const $inc = {
+    total_votes: ballotDelta,
+    total_selections: addedIds.length - removedIds.length,
+    ...(isGuest && { guest_votes: ballotDelta })
+  };
+  const arrayFilters = [];
+  Object.entries(deltas)
+    .filter(([, delta]) => delta !== 0)
+    .forEach(([optionId, delta], index) => {
+      $inc[`options.$[opt${index}].votes`] = delta;
+      if (isGuest) {
+        $inc[`options.$[opt${index}].guest_votes`] = delta;
+      }
+      arrayFilters.push({ [`opt${index}.id`]: optionId });
+    });
+
+  return { update: { $inc }, arrayFilters };
+};
+
+// Helper function to add the follow-up answers a ballot loses and gains to its vote count update
+// Each answered question moves its answer count, selections and option votes, netted per question and option
+const addAnswerCountUpdate = ({ update, arrayFilters }, removedAnswers, addedAnswers) => {
+  const deltas = new Map();
+  const moveAnswers = (answers, delta) => answers.forEach(answer => {
+    const entry = deltas.get(answer.question_id) || { answers: 0, selections: 0, options: {} };
+    entry.answers += delta;
+    entry.selections += delta * answer.option_ids.length;
+    answer.option_ids.forEach(optionId => { entry.options[optionId] = (entry.options[optionId] || 0) + delta; });
+    deltas.set(answer.question_id, entry);
+  });
+  moveAnswers(removedAnswers, -1);
+  moveAnswers(addedAnswers, 1);
+
+  [...deltas.entries()].forEach(([questionId, entry], questionIndex) => {
+    const question = `questions.$[q${questionIndex}]`;
+    update.$inc[`${question}.answer_count`] = entry.answers;
+    update.$inc[`${question}.total_selections`] = entry.selections;
+    arrayFilters.push({ [`q${questionIndex}.id`]: questionId });
+
+    Object.entries(entry.options)
+      .filter(([, delta]) => delta !== 0)
+      .forEach(([optionId, delta], optionIndex) => {
+        update.$inc[`${question}.options.$[q${questionIndex}o${optionIndex}].votes`] = delta;
+        arrayFilters.push({ [`q${questionIndex}o${optionIndex}.id`]: optionId });
+      });
+  });
+
+  return { update, arrayFilters };
+};
+
+// Helper function to count a new ballot on its poll in one atomic update
+// Resolves to the updated poll, or null when the poll stopped taking votes (closed or at its cap) after it was loaded
+const countNewBallot = (poll, optionIds, isGuest = false, answers = []) => {
+  const { update, arrayFilters } = addAnswerCountUpdate(buildVoteCountUpdate([], optionIds, 1, isGuest), [], answers);
+  const filter = { id: poll.id, status: 'active' };
+  if (poll.max_votes) {
+    filter.total_votes = { $lt: poll.max_votes };
+  }
+  return Poll.findOneAndUpdate(filter, update, { new: true, arrayFilters });
+};
+
+// Helper function to count a poll's ballots and option votes from its stored Vote records
+const countPollVotes = async (pollId) => {
+  const votes = await Vote.find({ poll_id: pollId }).select('option_id option_ids guest_id');
+  const optionVotes = {};
+  const optionGuestVotes = {};
+  let totalSelections = 0;
+  let guestVotes = 0;
+  votes.forEach(vote => {
+    const selections = getVoteSelections(vote);
+    selections.forEach(optionId => { optionVotes[optionId] = (optionVotes[optionId] || 0) + 1; });
+    if (vote.guest_id) {
+      selections.forEach(optionId => { optionGuestVotes[optionId] = (optionGuestVotes[optionId] || 0) + 1; });
+      guestVotes += 1;
+    }
+    totalSelections += selections.length;
+  });
+  return { optionVotes, optionGuestVotes, total_votes: votes.length, total_selections: totalSelections, guest_votes: guestVotes };
+};
+
+// Aggregation stages that give each stored ballot its poll, the option ids it counts towards and whether a guest cast it
+const VOTE_SELECTION_STAGES = [
+  {
+    $project: {
+      poll_id: 1,
+      guest: { $cond: [{ $ifNull: ['$guest_id', false] }, 1, 0] },
+      selections: { $cond: [{ $gt: [{ $size: { $ifNull: ['$option_ids', []] } }, 0] }, '$option_ids', ['$option_id']] }
+    }
+  }
+];
+
+// Helper function to build the $inc that brings a poll's counters in line with its stored comments and ballots
+// counts holds the counter values the poll should have; returns null when nothing is off
+const buildCounterRepair = (poll, counts) => {
+  const $inc = {};
+  const arrayFilters = [];
+
+  ['comments_count', 'total_votes', 'total_selections', 'guest_votes'].forEach(field => {
+    const delta = (counts[field] || 0) - (poll[field] || 0);
+    if (delta !== 0) $inc[field] = delta;
+  });
+
+  (poll.options || []).forEach((option, index) => {
+    const optionCounts = counts.options[option.id] || {};
+    const deltas = ['votes', 'guest_votes']
+      .map(field => [field, (optionCounts[field] || 0) - (option[field] || 0)])
+      .filter(([, delta]) => delta !== 0);
+    if (deltas.length === 0) return;
+
+    deltas.forEach(([field, delta]) => { $inc[`options.$[opt${index}].${field}`] = delta; });
+    arrayFilters.push({ [`opt${index}.id`]: option.id });
+  });
+
+  return Object.keys($inc).length > 0 ? { update: { $inc }, arrayFilters } : null;
+};
+
+// Counter drift found by the last reconciliation run, by poll id (see reconcilePollCounters)
+const lastCounterDrift = new Map();
+
+// Helper function to repair the comment and vote counters of polls that drifted from the stored comments and ballots
+// The counters are kept with $inc as comments and votes are written, so drift only comes from interrupted writes.
+// A comment or ballot is stored just before its $inc lands, so one run cannot tell drift from a write in progress:
+// drift is only repaired when the next run finds the same counters and the same difference, and then with $inc,
+// so votes cast in the meantime keep counting
+const reconcilePollCounters = async () => {
+  const [commentCounts, ballotCounts, optionCounts] = await Promise.all([
+    Comment.aggregate([{ $group: { _id: '$poll_id', count: { $sum: 1 } } }]),
+    Vote.aggregate([
+      ...VOTE_SELECTION_STAGES,
+      { $group: { _id: '$poll_id', total_votes: { $sum: 1 }, total_selections: { $sum: { $size: '$selections' } }, guest_votes: { $sum: '$guest' } } }
+    ]),
+    Vote.aggregate([
+      ...VOTE_SELECTION_STAGES,
+      { $unwind: '$selections' },
+      { $group: { _id: { poll_id: '$poll_id', option_id: '$selections' }, votes: { $sum: 1 }, guest_votes: { $sum: '$guest' } } }
+    ])
+  ]);
+  const commentsByPoll = new Map(commentCounts.map(({ _id, count }) => [_id, count]));
+  const ballotsByPoll = new Map(ballotCounts.map(({ _id, ...counts }) => [_id, counts]));
+  const optionsByPoll = new Map();
+  optionCounts.forEach(({ _id, votes, guest_votes }) => {
+    if (!optionsByPoll.has(_id.poll_id)) optionsByPoll.set(_id.poll_id, {});
+    optionsByPoll.get(_id.poll_id)[_id.option_id] = { votes, guest_votes };
+  });
+
+  const drift = new Map();
+  let repaired = 0;
+  const polls = Poll.find({})
+    .select('id comments_count total_votes total_selections guest_votes options.id options.votes options.guest_votes')
+    .lean()
+    .cursor();
+  for await (const poll of polls) {
+    const repair = buildCounterRepair(poll, {
+      comments_count: commentsByPoll.get(poll.id) || 0,
+      ...ballotsByPoll.get(poll.id),
+      options: optionsByPoll.get(poll.id) || {}
+    });
+    if (!repair) continue;
+
+    // The stored counters are part of the signature, so a busy poll with a different write in progress each run is left alone
+    const signature = JSON.stringify({ poll, inc: repair.update.$inc });
+    if (lastCounterDrift.get(poll.id) === signature) {
+      await Poll.updateOne({ id: poll.id }, repair.update, { arrayFilters: repair.arrayFilters });
+      repaired += 1;
+    } else {
+      drift.set(poll.id, signature);
+    }
+  }
+
+  lastCounterDrift.clear();
+  drift.forEach((signature, pollId) => lastCounterDrift.set(pollId, signature));
+
+  return repaired;
+};
+
+// Helper function to validate what happens to the votes of options removed in an edit
+// Returns a map of removed option id -> option taking over its votes (null = votes discarded)
+const normalizeOptionRemovals = (removedOptions, decisions, nextOptionIds) => {
+  const removals = new Map();
+  const undecided = [];
+
+  for (const option of removedOptions) {
+    const decision = (Array.isArray(decisions) ? decisions : []).find(item => item && item.option_id === option.id);
+    if (option.votes === 0 || (decision && decision.action === 'discard')) {
+      removals.set(option.id, null);
+    } else if (!decision) {
+      undecided.push(option);
+    } else if (decision.action === 'migrate' && nextOptionIds.includes(decision.target_option_id)) {
+      removals.set(option.id, decision.target_option_id);
+    } else {
+      return { error: 'Votes can only be moved to an option that stays on the poll' };
+    }
+  }
+
+  if (undecided.length > 0) {
+    return { error: 'Choose whether to move or discard the votes of each removed option', removed_options: undecided };
+  }
+  return { removals };
+};
+
+// Helper function to move or discard the votes of removed options on the stored ballots
+// Ballots left without any option are deleted, as if the voter had withdrawn
+// Returns the resulting changes to the poll's counters, for replacePollOptions
+const migrateRemovedOptionVotes = async (pollId, removals) => {
+  const removedIds = [...removals.keys()];
+  const votes = await Vote.find({
+    poll_id: pollId,
+    $or: [{ option_id: { $in: removedIds } }, { option_ids: { $in: removedIds } }, { ranking: { $in: removedIds } }]
+  });
+
+  // A replacement that the ballot already selects keeps its earlier (higher ranked) place
+  const replaceIds = (ids) => [...new Set(ids.map(id => (removals.has(id) ? removals.get(id) : id)).filter(Boolean))];
+
+  const countDeltas = { options: {}, total_votes: 0, total_selections: 0, guest_votes: 0 };
+  const addOptionDeltas = (optionIds, delta, isGuest) => optionIds.forEach(optionId => {
+    const optionDeltas = countDeltas.options[optionId] || { votes: 0, guest_votes: 0 };
+    optionDeltas.votes += delta;
+    if (isGuest) optionDeltas.guest_votes += delta;
+    countDeltas.options[optionId] = optionDeltas;
+  });
+
+  const withdrawnUsers = new Set();
+  for (const vote of votes) {
+    const isRanked = vote.ranking && vote.ranking.length > 0;
+    const selections = replaceIds(isRanked ? vote.ranking : getVoteSelections(vote));
+    const isGuest = Boolean(vote.guest_id);
+    const countedBefore = getVoteSelections(vote);
+
+    if (selections.length === 0) {
+      await Vote.deleteOne({ id: vote.id });
+      if (vote.user) withdrawnUsers.add(vote.user);
+      addOptionDeltas(countedBefore, -1, isGuest);
+      countDeltas.total_votes -= 1;
+      countDeltas.total_selections -= countedBefore.length;
+      if (isGuest) countDeltas.guest_votes -= 1;
+      continue;
+    }
+
+    vote.option_id = selections[0];
+    if (isRanked) vote.ranking = selections;
+    if (vote.option_ids && vote.option_ids.length > 0) vote.option_ids = selections;
+    await vote.save();
+
+    const countedAfter = getVoteSelections(vote);
+    addOptionDeltas(countedBefore, -1, isGuest);
+    addOptionDeltas(countedAfter, 1, isGuest);
+    countDeltas.total_selections += countedAfter.length - countedBefore.length;
+  }
+
+  // Anonymous ballots are not linked to a user, so only named voters lose the poll from their history
+  for (const userId of withdrawnUsers) {
+    if (!(await Vote.exists({ poll_id: pollId, user: userId }))) {
+      await User.findOneAndUpdate({ id: userId }, { $pull: { polls_voted: pollId } });
+    }
+  }
+
+  return countDeltas;
+};
+
+// Helper function to replace the options of a poll in one update that keeps the counts stored at that moment,
+// so ballots counted while the poll was being edited are not overwritten
+// countDeltas are the counter changes from moving the votes of removed options (see migrateRemovedOptionVotes)
+const replacePollOptions = (pollId, options, countDeltas) => {
+  const storedOptionCount = (optionId, field) => ({
+    $reduce: {
+      input: { $ifNull: ['$options', []] },
+      initialValue: 0,
+      in: { $cond: [{ $eq: ['$$this.id', optionId] }, { $add: ['$$value', { $ifNull: [`$$this.${field}`, 0] }] }, '$$value'] }
+    }
+  });
+  const addToStored = (field) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, countDeltas[field]] });
+
+  return Poll.findOneAndUpdate({ id: pollId }, [{
+    $set: {
+      // Option fields are literals, so text such as "$5" is not read as a field path
+      options: options.map(option => ({
+        _id: { $literal: option._id || new mongoose.Types.ObjectId() },
+        id: { $literal: option.id },
+        text: { $literal: option.text },
+        value: { $literal: option.value ?? null },
+        image_url: { $literal: option.image_url ?? null },
+        votes: { $add: [storedOptionCount(option.id, 'votes'), countDeltas.options[option.id]?.votes || 0] },
+        guest_votes: { $add: [storedOptionCount(option.id, 'guest_votes'), countDeltas.options[option.id]?.guest_votes || 0] }
+      })),
+      total_votes: addToStored('total_votes'),
+      total_selections: addToStored('total_selections'),
+      guest_votes: addToStored('guest_votes')
+    }
+  }], { new: true });
+};
+
+// Poll settings whose edits are recorded in the poll history
+const REVISION_FIELDS = ['title', 'description', 'tags', 'poll_type', 'ends_at', 'min_choices', 'max_choices', 'allow_multiple_votes', 'allow_vote_changes', 'allow_guest_votes', 'anonymous', 'results_visibility', 'visibility', 'max_votes', 'quorum'];
+
+// Helper function to describe one edit of a poll - returns null when nothing was changed
+// previous is the poll before the edit, removedVotes the votes each removed option had
+const diffPollRevision = (previous, poll, removals, removedVotes) => {
+  const toValue = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.join(', ');
+    return value ?? null;
+  };
+  const changes = REVISION_FIELDS
+    .filter(field => toValue(previous[field]) !== toValue(poll[field]))
+    .map(field => ({ field, before: toValue(previous[field]), after: toValue(poll[field]) }));
+
+  const previousOptions = new Map(previous.options.map(option => [option.id, option]));
+  const nextOptionIds = poll.options.map(option => option.id);
+  const keptOptions = poll.options.filter(option => previousOptions.has(option.id));
+
+  const revision = {
+    changes,
+    options_added: poll.options
+      .filter(option => !previousOptions.has(option.id))
+      .map(option => ({ id: option.id, text: option.text })),
+    options_renamed: keptOptions
+      .filter(option => previousOptions.get(option.id).text !== option.text)
+      .map(option => ({ id: option.id, before: previousOptions.get(option.id).text, after: option.text })),
+    options_image_changed: keptOptions
+      .filter(option => (previousOptions.get(option.id).image_url || null) !== (option.image_url || null))
+      .map(option => ({ id: option.id, text: option.text })),
+    options_removed: previous.options
+      .filter(option => !nextOptionIds.includes(option.id))
+      .map(option => ({
+        id: option.id,
+        text: option.text,
+        votes: removedVotes[option.id] || 0,
+        migrated_to: removals.get(option.id) || null
+      }))
+  };
+
+  const hasChanges = Object.values(revision).some(list => list.length > 0);
+  return hasChanges ? revision : null;
+};
+
+// Helper function to check whether a voter may change or withdraw their vote on a poll
+// Returns { status, error } when the change is not allowed
+const getVoteChangeError = (poll) => {
+  if (poll.status !== 'active') {
+    return { status: 403, error: poll.status === 'closed' ? 'This poll has been closed' : 'Voting is not allowed on this poll' };
+  }
+  if (poll.allow_vote_changes === false) {
+    return { status: 403, error: 'This poll does not allow votes to be changed' };
+  }
+  if (poll.allow_multiple_votes) {
+    return { status: 400, error: 'Votes cannot be changed on polls that allow multiple votes' };
+  }
+  if (poll.is_quiz) {
+    return { status: 403, error: 'Quiz answers cannot be changed' };
+  }
+  return null;
+};
+
+// Quiz mode works with the voting methods that have right and wrong options
+const QUIZ_POLL_TYPES = ['single', 'approval'];
+
+// Allowance for network latency on timed quizzes
+const QUIZ_TIME_GRACE_MS = 2000;
+
+// Helper function to validate quiz settings against the poll's voting method and options
+// Returns { error } or the quiz fields to store on the poll
+const normalizeQuizSettings = (settings, pollType, optionIds, anonymous) => {
+  if (!settings.is_quiz) {
+    return { is_quiz: false, correct_option_ids: [], quiz_points: 1, time_limit_seconds: null, reveal_answers: 'on_close' };
+  }
+
+  if (!QUIZ_POLL_TYPES.includes(pollType)) {
+    return { error: 'Quiz mode is only available for single and multiple choice polls' };
+  }
+  if (anonymous) {
+    return { error: 'Quiz polls cannot be anonymous' };
+  }
+
+  const correctOptionIds = Array.isArray(settings.correct_option_ids) ? [...new Set(settings.correct_option_ids)] : [];
+  if (correctOptionIds.length === 0 || !correctOptionIds.every(optionId => optionIds.includes(optionId))) {
+    return { error: 'Mark at least one option as correct' };
+  }
+  if (pollType === 'single' && correctOptionIds.length !== 1) {
+    return { error: 'Single choice quizzes must have exactly one correct option' };
+  }
+
+  const points = settings.quiz_points === undefined || settings.quiz_points === null || settings.quiz_points === ''
+    ? 1
+    : Number(settings.quiz_points);
+  if (!Number.isInteger(points) || points < 1 || points > 1000) {
+    return { error: 'Points must be a whole number between 1 and 1000' };
+  }
+
+  const timeLimit = settings.time_limit_seconds === undefined || settings.time_limit_seconds === null || settings.time_limit_seconds === ''
+    ? null
+    : Number(settings.time_limit_seconds);
+  if (timeLimit !== null && (!Number.isInteger(timeLimit) || timeLimit < 5 || timeLimit > 3600)) {
+    return { error: 'Time limit must be between 5 and 3600 seconds' };
+  }
+
+  const revealAnswers = settings.reveal_answers || 'on_close';
+  if (!['on_close', 'immediately'].includes(revealAnswers)) {
+    return { error: 'Invalid answer reveal setting' };
+  }
+
+  return {
+    is_quiz: true,
+    correct_option_ids: correctOptionIds,
+    quiz_points: points,
+    time_limit_seconds: timeLimit,
+    reveal_answers: revealAnswers
+  };
+};
+
+// Helper function to normalize a tag - lowercase words joined by hyphens, e.g. "Team Events" becomes "team-events"
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-');
+
+// Helper function to validate the tags of a poll - returns { error } or { tags }
+// Clients from before tags send a single category instead, which becomes the only tag
+const normalizePollTags = (body) => {
+  const rawTags = body.tags !== undefined ? body.tags : (body.category ? [body.category] : []);
+  if (!Array.isArray(rawTags)) {
+    return { error: 'Tags must be a list' };
+  }
+
+  const tags = [...new Set(rawTags.map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_POLL_TAGS) {
+    return { error: `A poll can have at most ${MAX_POLL_TAGS} tags` };
+  }
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters long` };
+  }
+  return { tags };
+};
+
+// Helper function to validate the content and voting method of a new poll
+// Returns { error } or the poll fields shared by one-off polls and recurring series
+const normalizePollSettings = (body) => {
+  const { title, description, options, allow_multiple_votes, allow_vote_changes, anonymous, poll_type, min_choices, max_choices } = body;
+
+  const pollType = poll_type || 'single';
+  if (!POLL_TYPES.includes(pollType)) {
+    return { error: 'Invalid poll type' };
+  }
+
+  // Rating and NPS polls answer with a score, so their options are generated
+  const isScorePoll = Boolean(SCORE_SCALES[pollType]);
+
+  if (!title || (!isScorePoll && (!options || options.length < 2))) {
+    return { error: 'Title and at least 2 options are required' };
+  }
+
+  // Normalize options (accept array of strings or array of objects)
+  const normalizedOptions = isScorePoll ? buildScoreOptions(pollType) : (Array.isArray(options) ? options : []).map((opt) => {
+    if (typeof opt === 'string') {
+      return { id: generateId(), text: opt, votes: 0 };
+    }
+    if (opt && typeof opt === 'object') {
+      return {
+        id: opt.id || generateId(),
+        text: String(opt.text || ''),
+        image_url: normalizeOptionImage(opt.image_url),
+        votes: 0 // Counts only ever come from ballots, never from the request
+      };
+    }
+    return null;
+  }).filter(Boolean);
+
+  if (normalizedOptions.length < 2 || normalizedOptions.some(o => !o.text || !o.text.trim())) {
+    return { error: 'Provide at least 2 valid options with non-empty text' };
+  }
+
+  const choiceLimits = pollType === 'approval'
+    ? normalizeChoiceLimits(min_choices, max_choices, normalizedOptions.length)
+    : { min_choices: 1, max_choices: null };
+  if (choiceLimits.error) {
+    return { error: choiceLimits.error };
+  }
+
+  const quizSettings = normalizeQuizSettings(body, pollType, normalizedOptions.map(o => o.id), !!anonymous);
+  if (quizSettings.error) {
+    return { error: quizSettings.error };
+  }
+
+  const questionFlow = normalizePollQuestions(body, normalizedOptions, quizSettings.is_quiz);
+  if (questionFlow.error) {
+    return { error: questionFlow.error };
+  }
+  const hasFollowUps = questionFlow.questions.length > 0;
+
+  const voteLimits = normalizeVoteLimits(body.max_votes, body.quorum);
+  if (voteLimits.error) {
+    return { error: voteLimits.error };
+  }
+
+  const resultsVisibility = normalizeResultsVisibility(body);
+  if (resultsVisibility.error) {
+    return { error: resultsVisibility.error };
+  }
+
+  const pollTags = normalizePollTags(body);
+  if (pollTags.error) {
+    return { error: pollTags.error };
+  }
+
+  return {
+    title,
+    description: description || '',
+    options: normalizedOptions,
+    tags: pollTags.tags,
+    poll_type: pollType,
+    min_choices: choiceLimits.min_choices,
+    max_choices: choiceLimits.max_choices,
+    questions: questionFlow.questions,
+    branches: questionFlow.branches,
+    // Only single-choice polls without follow-up questions may take more than one ballot per voter
+    allow_multiple_votes: pollType === 'single' && !quizSettings.is_quiz && !hasFollowUps ? !!allow_multiple_votes : false,
+    allow_vote_changes: allow_vote_changes !== undefined ? !!allow_vote_changes : true,
+    // Quizzes are graded and ranked per account, so they never take guest ballots
+    allow_guest_votes: !quizSettings.is_quiz && !!body.allow_guest_votes,
+    anonymous: !!anonymous,
+    ...quizSettings,
+    ...voteLimits,
+    ...resultsVisibility
+  };
+};
+
+// Helper function to start the next run of a recurring series and close the previous one
+const runPollSeries = async (series) => {
+  const previousPoll = series.last_poll_id ? await Poll.findOne({ id: series.last_poll_id }) : null;
+  if (previousPoll && previousPoll.status === 'active') {
+    await closePoll(previousPoll, 'series');
+  }
+
+  const { template } = series;
+  const poll = new Poll({
+    ...template,
+    id: generateId(),
+    // Options keep their ids from run to run so results can be compared
+    options: template.options.map(option => ({ ...option, votes: 0 })),
+    status: 'active',
+    series_id: series.id,
+    series_run: series.run_count + 1,
+    workspace_id: series.workspace_id || null,
+    total_votes: 0,
+    total_selections: 0,
+    comments_count: 0,
+    manual_status_override: false,
+    creator: series.creator
+  });
+  await poll.save();
+
+  await User.findOneAndUpdate(
+    { id: series.creator },
+    { $push: { polls_created: poll.id } }
+  );
+
+  series.run_count += 1;
+  series.last_poll_id = poll.id;
+  series.next_run_at = getNextSeriesRun(series, new Date());
+  await series.save();
+
+  await createNotification('poll_published', {
+    pollTitle: poll.title,
+    pollId: poll.id
+  }, series.creator);
+
+  await emitNewPoll(poll);
+
+  return poll;
+};
+
+// Helper function to validate the poll a template pre-fills - the same rules as creating that poll
+const normalizeTemplatePoll = (poll) => {
+  const settings = normalizePollSettings(poll || {});
+  if (settings.error) {
+    return settings;
+  }
+
+  return {
+    ...settings,
+    // Templates carry no votes
+    options: settings.options.map(option => ({
+      id: option.id,
+      text: option.text,
+      value: option.value !== undefined ? option.value : null,
+      image_url: option.image_url || null
+    }))
+  };
+};
+
+// Helper function to serialize a template for one user - the answer key of a shared quiz template stays with its creator
+const serializeTemplateForViewer = (template, userId) => {
+  const templateJson = template.toJSON();
+  if (template.creator === userId) {
+    return templateJson;
+  }
+
+  const { correct_option_ids, ...poll } = templateJson.poll;
+  return { ...templateJson, poll };
+};
+
+// Helper function to grade a quiz ballot - every correct option and nothing else must be selected
+const gradeBallot = (poll, optionIds) => {
+  const correctIds = poll.correct_option_ids || [];
+  const isCorrect = optionIds.length === correctIds.length && optionIds.every(optionId => correctIds.includes(optionId));
+  return { is_correct: isCorrect, points: isCorrect ? poll.quiz_points : 0 };
+};
+
+// Helper function to check whether a voter may see the quiz answers
+const areQuizAnswersRevealed = (poll, hasVoted) => {
+  return poll.status === 'closed' || (poll.reveal_answers === 'immediately' && hasVoted);
+};
+
+// Helper function to describe a graded ballot to the voter who cast it
+const buildQuizResult = (poll, vote) => ({
+  is_correct: vote.is_correct,
+  points: vote.points,
+  correct_option_ids: poll.correct_option_ids
+});
+
+// Helper function to view a survey question through the poll fields parseBallot reads
+const asBallotTarget = (question) => ({
+  poll_type: question.question_type,
+  options: question.options,
+  min_choices: question.min_choices,
+  max_choices: question.max_choices
+});
+
+// Helper function to validate one question of a survey or one follow-up question of a poll
+// Returns { error } or { question, optionIdMap } - optionIdMap maps the option ids the client sent (scores for
+// rating and NPS questions) to the stored ids, for resolving skip logic
+const normalizeQuestion = (question, label) => {
+  if (!question || typeof question.text !== 'string' || !question.text.trim()) {
+    return { error: `${label}: Question text is required` };
+  }
+
+  const questionType = question.question_type || 'single';
+  if (!POLL_TYPES.includes(questionType)) {
+    return { error: `${label}: Invalid question type` };
+  }
+
+  // Rating and NPS questions answer with a score, so their options are generated
+  const optionIdMap = new Map();
+  let options;
+  if (SCORE_SCALES[questionType]) {
+    options = buildScoreOptions(questionType);
+    options.forEach(opt => optionIdMap.set(String(opt.value), opt.id));
+    // A copied question sends its stored score options, which are matched up by score
+    (Array.isArray(question.options) ? question.options : [])
+      .filter(opt => opt?.id && options.some(option => option.value === opt.value))
+      .forEach(opt => optionIdMap.set(String(opt.id), options.find(option => option.value === opt.value).id));
+  } else {
+    options = (Array.isArray(question.options) ? question.options : []).map((opt) => {
+      const option = {
+        id: generateId(),
+        text: String((typeof opt === 'string' ? opt : opt?.text) || '').trim(),
+        votes: 0
+      };
+      if (opt?.id) optionIdMap.set(String(opt.id), option.id);
+      return option;
+    });
+  }
+
+  if (options.length < 2 || options.some(o => !o.text)) {
+    return { error: `${label}: Provide at least 2 valid options with non-empty text` };
+  }
+
+  const choiceLimits = questionType === 'approval'
+    ? normalizeChoiceLimits(question.min_choices, question.max_choices, options.length)
+    : { min_choices: 1, max_choices: null };
+  if (choiceLimits.error) {
+    return { error: `${label}: ${choiceLimits.error}` };
+  }
+
+  return {
+    optionIdMap,
+    question: {
+      id: generateId(),
+      text: question.text.trim(),
+      question_type: questionType,
+      required: question.required !== false,
+      options,
+      min_choices: choiceLimits.min_choices,
+      max_choices: choiceLimits.max_choices,
+      branches: [],
+      answer_count: 0,
+      total_selections: 0
+    }
+  };
+};
+
+// Helper function to resolve the skip logic of a question once every question has its stored id
+// Returns { error } or { branches } pointing at the stored option and question ids
+const normalizeBranches = (branches, optionIdMap, questionIdMap, label) => {
+  const normalized = [];
+  const seenOptions = new Set();
+
+  for (const branch of (Array.isArray(branches) ? branches : [])) {
+    const optionId = optionIdMap.get(String(branch?.option_id));
+    if (!optionId) {
+      return { error: `${label}: Skip logic refers to an unknown option` };
+    }
+    if (seenOptions.has(optionId)) {
+      return { error: `${label}: Each option can only have one skip rule` };
+    }
+    seenOptions.add(optionId);
+
+    let nextQuestionId = null;
+    if (branch.next_question_id) {
+      nextQuestionId = questionIdMap.get(String(branch.next_question_id));
+      if (!nextQuestionId) {
+        return { error: `${label}: Skip logic refers to an unknown question` };
+      }
+    }
+
+    normalized.push({ option_id: optionId, next_question_id: nextQuestionId });
+  }
+
+  return { branches: normalized };
+};
+
+// Helper function to describe a loop found by findBranchCycle - positions are counted from firstNumber
+const describeBranchCycle = (cycle, firstNumber = 1) => {
+  return `Skip logic creates a loop: ${cycle.map(position => `Question ${position + firstNumber}`).join(' -> ')}`;
+};
+
+// Helper function to validate the questions of a new survey
+// Questions and options may carry client ids so branches can refer to them; score options are referred to by value.
+// Returns { error } or { questions } ready to store
+const normalizeSurveyQuestions = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return { error: 'A survey needs at least one question' };
+  }
+  if (questions.length > 50) {
+    return { error: 'A survey can have at most 50 questions' };
+  }
+
+  const normalized = [];
+  const questionIdMap = new Map();
+  const optionIdMaps = [];
+  for (const [index, question] of questions.entries()) {
+    const result = normalizeQuestion(question, `Question ${index + 1}`);
+    if (result.error) {
+      return result;
+    }
+    if (question.id) questionIdMap.set(String(question.id), result.question.id);
+    optionIdMaps.push(result.optionIdMap);
+    normalized.push(result.question);
+  }
+
+  // Branches are resolved once every question has its stored id
+  for (const [index, question] of questions.entries()) {
+    const result = normalizeBranches(question.branches, optionIdMaps[index], questionIdMap, `Question ${index + 1}`);
+    if (result.error) {
+      return result;
+    }
+    normalized[index].branches = result.branches;
+  }
+
+  const cycle = findBranchCycle(normalized);
+  if (cycle) {
+    return { error: describeBranchCycle(cycle) };
+  }
+
+  return { questions: normalized };
+};
+
+// Helper function to validate the follow-up questions of a poll and the skip logic on its own options
+// The poll's own question is question 1, so follow-up questions are numbered from 2. Its options keep their ids;
+// rating and NPS options can also be referred to by their score. Returns { error } or { questions, branches }.
+const normalizePollQuestions = (body, options, isQuiz) => {
+  const questions = Array.isArray(body.questions) ? body.questions : [];
+  if (questions.length === 0) {
+    if (Array.isArray(body.branches) && body.branches.length > 0) {
+      return { error: 'Skip logic needs follow-up questions to skip to' };
+    }
+    return { questions: [], branches: [] };
+  }
+  if (isQuiz) {
+    return { error: 'Quiz polls cannot have follow-up questions' };
+  }
+  if (questions.length > 49) {
+    return { error: 'A poll can have at most 49 follow-up questions' };
+  }
+
+  const normalized = [];
+  const questionIdMap = new Map();
+  const optionIdMaps = [];
+  for (const [index, question] of questions.entries()) {
+    const result = normalizeQuestion(question, `Question ${index + 2}`);
+    if (result.error) {
+      return result;
+    }
+    if (question.id) questionIdMap.set(String(question.id), result.question.id);
+    optionIdMaps.push(result.optionIdMap);
+    normalized.push(result.question);
+  }
+
+  for (const [index, question] of questions.entries()) {
+    const result = normalizeBranches(question.branches, optionIdMaps[index], questionIdMap, `Question ${index + 2}`);
+    if (result.error) {
+      return result;
+    }
+    normalized[index].branches = result.branches;
+  }
+
+  const pollOptionIds = new Map(options.map(option => [String(option.id), option.id]));
+  const scoreOptionIds = new Map(options
+    .filter(option => option.value !== null && option.value !== undefined)
+    .map(option => [option.value, option.id]));
+  scoreOptionIds.forEach((optionId, score) => pollOptionIds.set(String(score), optionId));
+  // Score options are generated again for a copied poll, so the ids it sent are matched up by score
+  (Array.isArray(body.options) ? body.options : [])
+    .filter(option => option?.id && scoreOptionIds.has(option.value))
+    .forEach(option => pollOptionIds.set(String(option.id), scoreOptionIds.get(option.value)));
+  const pollBranches = normalizeBranches(body.branches, pollOptionIds, questionIdMap, 'Question 1');
+  if (pollBranches.error) {
+    return pollBranches;
+  }
+
+  // Nothing can skip back to the poll's own question, so loops only run through the follow-up questions
+  const cycle = findBranchCycle(normalized);
+  if (cycle) {
+    return { error: describeBranchCycle(cycle, 2) };
+  }
+
+  return { questions: normalized, branches: pollBranches.branches };
+};
+
+// Helper function to find a loop in the question flow - each question leads to the next one
+// and to the targets of its branches. Returns the question positions forming the loop, or null.
+const findBranchCycle = (questions) => {
+  const positions = new Map(questions.map((question, index) => [question.id, index]));
+  const state = new Array(questions.length).fill(0); // 0 unvisited, 1 on the current path, 2 done
+  const path = [];
+
+  const visit = (index) => {
+    state[index] = 1;
+    path.push(index);
+
+    const targets = questions[index].branches
+      .filter(branch => branch.next_question_id)
+      .map(branch => positions.get(branch.next_question_id));
+    if (index + 1 < questions.length) targets.push(index + 1);
+
+    for (const target of targets) {
+      if (state[target] === 1) {
+        return [...path.slice(path.indexOf(target)), target];
+      }
+      if (state[target] === 0) {
+        const cycle = visit(target);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state[index] = 2;
+    return null;
+  };
+
+  for (let index = 0; index < questions.length; index++) {
+    if (state[index] === 0) {
+      const cycle = visit(index);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+// Helper function to follow the skip logic through a survey
+// getSelection(question) returns the chosen option ids (best first for ranked questions) or null when unanswered.
+// The first branch whose option was chosen decides where to go; otherwise the next question follows.
+const getSurveyPath = (survey, getSelection) => {
+  const positions = new Map(survey.questions.map((question, index) => [question.id, index]));
+  const path = [];
+
+  let index = 0;
+  while (index < survey.questions.length && path.length < survey.questions.length) {
+    const question = survey.questions[index];
+    path.push(question.id);
+
+    const selection = getSelection(question) || [];
+    // Ranked questions branch on the first preference only
+    const chosen = question.question_type === 'ranked' ? selection.slice(0, 1) : selection;
+    const branch = (question.branches || []).find(b => chosen.includes(b.option_id));
+
+    if (!branch) {
+      index += 1;
+    } else if (branch.next_question_id) {
+      index = positions.get(branch.next_question_id);
+    } else {
+      break;
+    }
+  }
+
+  return path;
+};
+
+// Helper function to validate a whole survey submission against the questions and their skip logic
+// Returns { error } or the parsed answers in question order
+const parseSurveyAnswers = (survey, answers) => {
+  const answersByQuestion = new Map(
+    (Array.isArray(answers) ? answers : [])
+      .filter(answer => answer && answer.question_id)
+      .map(answer => [answer.question_id, answer])
+  );
+
+  const parsedByQuestion = new Map();
+  for (const [index, question] of survey.questions.entries()) {
+    const answer = answersByQuestion.get(question.id);
+    if (!answer) continue;
+
+    const ballot = parseBallot(asBallotTarget(question), answer);
+    if (ballot.error) {
+      return { error: `Question ${index + 1}: ${ballot.error}` };
+    }
+
+    parsedByQuestion.set(question.id, {
+      question_id: question.id,
+      option_ids: ballot.option_ids,
+      ranking: ballot.ranking || [],
+      score: ballot.score ?? null
+    });
+  }
+
+  const path = new Set(getSurveyPath(survey, (question) => {
+    const parsed = parsedByQuestion.get(question.id);
+    if (!parsed) return null;
+    return parsed.ranking.length > 0 ? parsed.ranking : parsed.option_ids;
+  }));
+
+  const parsed = [];
+  for (const [index, question] of survey.questions.entries()) {
+    const answer = parsedByQuestion.get(question.id);
+    if (!path.has(question.id)) {
+      if (answer) {
+        return { error: `Question ${index + 1}: This question should have been skipped` };
+      }
+      continue;
+    }
+    if (!answer) {
+      if (question.required) {
+        return { error: `Question ${index + 1}: An answer is required` };
+      }
+      continue;
+    }
+    parsed.push(answer);
+  }
+
+  return { answers: parsed };
+};
+
+// Id of a poll's own question in its question flow - stored question ids come from generateId, so it never clashes
+const POLL_QUESTION_ID = 'poll';
+
+// Helper function to view a poll with follow-up questions as a survey whose first question is the poll's own
+const getPollQuestionFlow = (poll) => ({
+  questions: [
+    {
+      id: POLL_QUESTION_ID,
+      question_type: poll.poll_type,
+      required: true,
+      options: poll.options,
+      min_choices: poll.min_choices,
+      max_choices: poll.max_choices,
+      branches: poll.branches || []
+    },
+    ...(poll.questions || [])
+  ]
+});
+
+// Helper function to validate the follow-up answers sent with a ballot against the poll's skip logic
+// The ballot fields of the body answer the poll's own question, body.answers the follow-up questions.
+// Returns { error } or the parsed answers to the follow-up questions on the voter's path
+const parseFollowUpAnswers = (poll, body) => {
+  if (!poll.questions || poll.questions.length === 0) {
+    return { answers: [] };
+  }
+
+  const followUpAnswers = (Array.isArray(body.answers) ? body.answers : [])
+    .filter(answer => answer && answer.question_id !== POLL_QUESTION_ID);
+  const parsed = parseSurveyAnswers(getPollQuestionFlow(poll), [{ ...body, question_id: POLL_QUESTION_ID }, ...followUpAnswers]);
+  if (parsed.error) {
+    return parsed;
+  }
+  return { answers: parsed.answers.filter(answer => answer.question_id !== POLL_QUESTION_ID) };
+};
+
+// Helper function to build a single atomic update that counts one survey response
+// Every answered question gains an answer and one vote per selected option
+const buildSurveyCountUpdate = (answers) => {
+  const $inc = { response_count: 1 };
+  const arrayFilters = [];
+  answers.forEach((answer, questionIndex) => {
+    const question = `questions.$[q${questionIndex}]`;
+    $inc[`${question}.answer_count`] = 1;
+    $inc[`${question}.total_selections`] = answer.option_ids.length;
+    arrayFilters.push({ [`q${questionIndex}.id`]: answer.question_id });
+
+    answer.option_ids.forEach((optionId, optionIndex) => {
+      $inc[`${question}.options.$[q${questionIndex}o${optionIndex}].votes`] = 1;
+      arrayFilters.push({ [`q${questionIndex}o${optionIndex}.id`]: optionId });
+    });
+  });
+  return { update: { $inc }, arrayFilters };
+};
+
+// Helper function to strip the answer counts from a serialized survey - the number of responses stays visible
+const redactSurveyResults = (surveyJson) => ({
+  ...surveyJson,
+  questions: surveyJson.questions.map(question => ({
+    ...question,
+    options: question.options.map(option => ({ ...option, votes: null })),
+    answer_count: null,
+    total_selections: null
+  })),
+  results_hidden: true
+});
+
+// Helper function to serialize a survey for one viewer - private results are only shown to the survey's creator
+const serializeSurveyForViewer = (survey, userId) => {
+  const surveyJson = survey.toJSON();
+  return survey.show_results === false && survey.creator !== userId ? redactSurveyResults(surveyJson) : surveyJson;
+};
+
+// Helper function to broadcast a changed survey - when its results are private, only its creator's sockets get the counts
+const emitSurveyUpdate = async (survey) => {
+  if (survey.show_results !== false && !survey.workspace_id) {
+    io.emit('surveyUpdate', survey);
+    return;
+  }
+
+  // Workspace surveys only reach the workspace's members
+  const sockets = await getWorkspaceSockets(survey.workspace_id);
+  const redacted = survey.show_results === false ? redactSurveyResults(survey.toJSON()) : survey;
+  sockets.forEach(socket => {
+    socket.emit('surveyUpdate', socket.user?.id === survey.creator ? survey : redacted);
+  });
+};
+
+// Helper function to read the user id from an optional bearer token (public routes)
+const getOptionalUserId = (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, JWT_SECRET).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Routes
+
+// Auth Routes
+app.post('/api/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Create user
+    const user = new User({
+      id: generateId(),
+      username,
+      email,
+      password: hashedPassword
+    });
+
+    await user.save();
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { id: user.id, username: user.username, email: user.email },
+      JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+
+    res.status(201).json({
+      message: 'User created successfully',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        profile_picture: user.profile_picture || '',
+        profilePicture: user.profile_picture || ''
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    // Generate JWT token
+    const token = jwt.sign(
       { id: user.id, username: user.username, email: user.email },
       JWT_SECRET,
       { expiresIn: '24h' }
     );
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        profile_picture: user.profile_picture || '',
-        profilePicture: user.profile_picture || ''
-      }
+      message: 'Login successful',
+      token,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        profile_picture: user.profile_picture || '',
+        profilePicture: user.profile_picture || ''
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Profile Routes
+app.get('/api/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      profile_picture: user.profile_picture || '',
+      profilePicture: user.profile_picture || '',
+      bio: user.bio || '',
+      location: user.location || '',
+      polls_created: user.polls_created || [],
+      polls_voted: user.polls_voted || [],
+      createdAt: user.createdAt
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/profile', authenticateToken, async (req, res) => {
+  try {
+    const { bio, location } = req.body;
+
+    const user = await User.findOne({ id: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    user.bio = bio !== undefined ? bio : user.bio;
+    user.location = location !== undefined ? location : user.location;
+    await user.save();
+
+res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        profile_picture: user.profile_picture || '',
+        profilePicture: user.profile_picture || '',
+        bio: user.bio,
+        location: user.location
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/profile/picture', authenticateToken, upload.single('profilePicture'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const user = await User.findOne({ id: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Delete old profile picture if exists
+    if (user.profile_picture) {
+      try {
+        // Extract filename from the profile picture URL - handle both formats
+        let filename = '';
+        if (user.profile_picture.startsWith('/uploads/')) {
+          // If it's already a relative path like /uploads/filename
+          filename = user.profile_picture.substring(9); // Remove '/uploads/' prefix (9 characters)
+        } else if (user.profile_picture.includes('/uploads/')) {
+          // If it's a full URL, extract the filename
+          filename = path.basename(user.profile_picture);
+        } else {
+          // If it's just a filename
+          filename = user.profile_picture;
+        }
+        
+        if (filename) {
+          const uploadsDir = path.join(__dirname, 'uploads');
+          const oldPath = path.join(uploadsDir, filename);
+          console.log('Attempting to delete file at path:', oldPath);
+          
+          if (fs.existsSync(oldPath)) {
+            try { 
+              fs.unlinkSync(oldPath);
+              console.log(`Deleted profile picture: ${oldPath}`);
+            } catch (err) {
+              console.error(`Error deleting profile picture: ${oldPath}`, err);
+            }
+          } else {
+            console.log('File does not exist at path:', oldPath);
+          }
+        } else {
+          console.log('Could not extract filename from profile_picture:', user.profile_picture);
+        }
+      } catch (err) {
+        console.error('Error processing profile picture removal:', err);
+      }
+    }
+
+    // Update user profile picture
+    user.profile_picture = `/uploads/${req.file.filename}`;
+    await user.save();
+
+    res.json({
+      message: 'Profile picture updated successfully',
+      profile_picture: user.profile_picture,
+      profilePicture: user.profile_picture
+    });
+  } catch (error) {
+    console.error('Upload profile picture error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Poll Routes
+// Upload a picture for a poll option - the returned image_url is then sent with the option
+app.post('/api/polls/option-images', authenticateToken, upload.single('optionImage'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    res.status(201).json({ image_url: `/uploads/${req.file.filename}` });
+  } catch (error) {
+    console.error('Upload option image error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/polls', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    // This endpoint is for general poll listing (dashboard, profile, etc.)
+    // Include all polls that should be visible to users:
+    // 1. All active and closed polls (no drafts) in the current workspace
+    const polls = await Poll.find({ 
+      status: { $in: ['active', 'closed'] },
+      workspace_id: getWorkspaceScope(req),
+      ...(await getListedPollsFilter(req.user.id)) // Unlisted and invite-only polls stay out of other users' lists
+    }).select(POLL_LIST_PROJECTIONS.listed).sort({ createdAt: -1 });
+    
+    res.json(await serializePollsForViewer(polls, req.user.id));
+  } catch (error) {
+    console.error('Get polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Special endpoint for poll results page - excludes private polls from other users
+// Sort orders of poll search - each ends on id so a cursor always points between two polls
+const POLL_SEARCH_SORTS = {
+  relevance: { score: -1, createdAt: -1, id: -1 },
+  votes: { total_votes: -1, createdAt: -1, id: -1 },
+  recent: { createdAt: -1, id: -1 }
+};
+
+const POLL_SEARCH_PAGE_SIZE = 20;
+const MAX_POLL_SEARCH_PAGE_SIZE = 50;
+
+// Helper function to encode the position after a poll in a search - the poll's sort key values
+const encodeSearchCursor = (poll, sort) => {
+  const values = Object.keys(sort).map(field => (poll[field] instanceof Date ? poll[field].toISOString() : poll[field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+// Values a search cursor may hold for each sort key - a cursor is sent back by the client, so its values go into the query only once checked
+const SEARCH_CURSOR_CHECKS = {
+  score: value => typeof value === 'number' && Number.isFinite(value),
+  total_votes: value => Number.isInteger(value) && value >= 0,
+  createdAt: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString() === value,
+  id: value => typeof value === 'string' && /^[\w-]{1,64}$/.test(value)
+};
+
+// Helper function to turn a search cursor into a filter for the polls after it - returns null for invalid cursors
+// Every sort key is descending: a later poll has a lower first key, or the same first key and a lower second key...
+const decodeSearchCursor = (cursor, sort) => {
+  try {
+    const fields = Object.keys(sort);
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Array.isArray(values) || values.length !== fields.length) return null;
+    if (values.some((value, index) => !SEARCH_CURSOR_CHECKS[fields[index]](value))) return null;
+
+    const typedValues = values.map((value, index) => (fields[index] === 'createdAt' ? new Date(value) : value));
+    return {
+      $or: fields.map((field, index) => ({
+        ...Object.fromEntries(fields.slice(0, index).map((previous, i) => [previous, typedValues[i]])),
+        [field]: { $lt: typedValues[index] }
+      }))
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to build the filter of a poll search from its query parameters - returns { error } or { filter }
+const buildPollSearchFilter = async (req) => {
+  const { q, status, tag, creator, from, to, results_only } = req.query;
+  const conditions = [await getListedPollsFilter(req.user.id)];
+  const filter = {
+    status: ['active', 'closed'].includes(status) ? status : { $in: ['active', 'closed'] },
+    workspace_id: getWorkspaceScope(req)
+  };
+
+  const text = String(q || '').trim();
+  if (text.length > 200) {
+    return { error: 'Search text must be at most 200 characters long' };
+  }
+  if (text) {
+    filter.$text = { $search: text };
+  }
+
+  if (tag) {
+    filter.tags = normalizeTag(tag);
+  }
+
+  // creator is "me" or a username
+  if (creator) {
+    const creatorUser = creator === 'me' ? { id: req.user.id } : await User.findOne({ username: creator }).select('id');
+    filter.creator = creatorUser ? creatorUser.id : null;
+  }
+
+  if (from || to) {
+    const range = {};
+    for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { error: 'Invalid date range' };
+      }
+      range[operator] = date;
+    }
+    filter.createdAt = range;
+  }
+
+  // The results page leaves out polls whose results only their creator sees
+  if (results_only === 'true') {
+    conditions.push({
+      $or: [
+        { show_results: true },
+        { show_results: { $exists: false } },
+        { creator: req.user.id }
+      ]
+    });
+  }
+
+  return { filter: { ...filter, $and: conditions } };
+};
+
+// Search the polls listed to the user in the current workspace, one page at a time
+// Pages are cursor based: pass next_cursor back as ?cursor= for the following page
+app.get('/api/polls/search', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const search = await buildPollSearchFilter(req);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+
+    // Relevance needs search text; without it the newest polls come first
+    const hasText = Boolean(search.filter.$text);
+    let sortName = POLL_SEARCH_SORTS[req.query.sort] ? req.query.sort : 'relevance';
+    if (sortName === 'relevance' && !hasText) {
+      sortName = 'recent';
+    }
+    const sort = POLL_SEARCH_SORTS[sortName];
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || POLL_SEARCH_PAGE_SIZE, 1), MAX_POLL_SEARCH_PAGE_SIZE);
+
+    const cursorFilter = req.query.cursor ? decodeSearchCursor(req.query.cursor, sort) : null;
+    if (req.query.cursor && !cursorFilter) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const [results, total] = await Promise.all([
+      Poll.aggregate([
+        { $match: search.filter },
+        ...(hasText ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+        { $sort: sort },
+        { $limit: limit + 1 },
+        { $project: POLL_LIST_PROJECTIONS.search }
+      ]),
+      Poll.countDocuments(search.filter)
+    ]);
+
+    const page = results.slice(0, limit);
+    const nextCursor = results.length > limit ? encodeSearchCursor(page[page.length - 1], sort) : null;
+    const polls = page.map(({ score, ...fields }) => Poll.hydrate(fields, POLL_LIST_PROJECTIONS.search));
+
+    res.json({
+      polls: await serializePollsForViewer(polls, req.user.id),
+      total,
+      next_cursor: nextCursor
+    });
+  } catch (error) {
+    console.error('Search polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/polls/results', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    // This endpoint is specifically for the poll results page
+    // Show all polls of the current workspace except private polls from other users
+    const polls = await Poll.find({ 
+      status: { $in: ['active', 'closed'] },
+      workspace_id: getWorkspaceScope(req),
+      $and: [
+        {
+          $or: [
+            { show_results: true }, // Show public polls
+            { show_results: { $exists: false } }, // Show polls created before this field existed
+            { creator: req.user.id } // Always show user's own polls (even private ones)
+          ]
+        },
+        await getListedPollsFilter(req.user.id)
+      ]
+    }).select(POLL_LIST_PROJECTIONS.results).sort({ createdAt: -1 });
+    
+    res.json(await serializePollsForViewer(polls, req.user.id));
+  } catch (error) {
+    console.error('Get polls for results error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Special endpoint for dashboard - includes all polls except drafts
+app.get('/api/polls/dashboard', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    // This endpoint is specifically for the dashboard
+    // Show all active and closed polls (including private ones) of the current workspace except drafts
+    const polls = await Poll.find({ 
+      status: { $in: ['active', 'closed'] },
+      workspace_id: getWorkspaceScope(req),
+      ...(await getListedPollsFilter(req.user.id)) // Unlisted and invite-only polls stay out of other users' lists
+    }).select(POLL_LIST_PROJECTIONS.dashboard).sort({ createdAt: -1 });
+    
+    res.json(await serializePollsForViewer(polls, req.user.id));
+  } catch (error) {
+    console.error('Get polls for dashboard error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Place specific routes before parameterized :id route to avoid conflicts
+app.get('/api/polls/my-polls', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const polls = await Poll.find({ creator: req.user.id, workspace_id: getWorkspaceScope(req) }).select(POLL_LIST_PROJECTIONS.myPolls).sort({ createdAt: -1 });
+    
+    res.json(polls);
+  } catch (error) {
+    console.error('Get user polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/polls/voted', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const user = await User.findOne({ id: req.user.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const polls = await Poll.find({ id: { $in: (user.polls_voted || []) }, workspace_id: getWorkspaceScope(req) }).select(POLL_LIST_PROJECTIONS.voted).sort({ createdAt: -1 });
+    
+    res.json(await serializePollsForViewer(polls, req.user.id));
+  } catch (error) {
+    console.error('Get voted polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/polls/:id', requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const viewerId = getOptionalUserId(req);
+    // The creator, editor collaborators and workspace admins can always open the poll
+    const canManage = canManagePoll(poll, viewerId, req.workspaceRole);
+
+    // Security check: For draft polls, only allow access to the people who manage the poll
+    if (poll.status === 'draft' && !canManage) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Unlisted and invite-only polls look missing to users who may not open them
+    if (!canManage && !(await canAccessPoll(poll, viewerId, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Quiz answers are only shown to the people who manage the poll until the quiz closes
+    let pollJson = poll.is_quiz && (canManage || poll.status === 'closed')
+      ? { ...poll.toJSON(), correct_option_ids: poll.correct_option_ids }
+      : poll.toJSON();
+
+    // Only the creator (and workspace admins) manage the share link and the invitees
+    if (canManage) {
+      pollJson = { ...pollJson, ...(await getPollSharing(poll)) };
+    }
+
+    // The poll's creator and collaborators see who else runs the poll
+    if (canManage || isPollTeamMember(poll, viewerId)) {
+      pollJson = { ...pollJson, collaborators: await getPollCollaborators(poll) };
+    }
+
+    // The viewer's roles decide what the poll page offers them
+    pollJson = {
+      ...pollJson,
+      workspace_role: req.workspaceRole,
+      collaborator_role: getCollaboratorRole(poll, viewerId),
+      can_manage: canManage,
+      can_manage_collaborators: isPollOwner(poll, viewerId, req.workspaceRole)
+    };
+
+    // Counts stay hidden until the poll's reveal mode allows this viewer to see them
+    const hasVoted = await hasViewerVoted(req, poll, viewerId);
+    res.json(serializePollForViewer(poll, viewerId, hasVoted, pollJson));
+  } catch (error) {
+    console.error('Get poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit history of a poll, newest first
+app.get('/api/polls/:id/revisions', requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    const viewerId = getOptionalUserId(req);
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, viewerId, req.workspaceRole)) || !(await canAccessPoll(poll, viewerId, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const revisions = await PollRevision.find({ poll_id: poll.id }).sort({ revision: -1 });
+
+    // The votes removed options had are results too, hidden until the poll's reveal mode allows this viewer to see them
+    if (!canSeeResults(poll, viewerId, await hasViewerVoted(req, poll, viewerId))) {
+      return res.json(revisions.map(revision => {
+        const revisionJson = revision.toJSON();
+        return {
+          ...revisionJson,
+          options_removed: revisionJson.options_removed.map(option => ({ ...option, votes: null }))
+        };
+      }));
+    }
+
+    res.json(revisions);
+  } catch (error) {
+    console.error('Get poll revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/polls', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { status, starts_at, ends_at } = req.body;
+
+    const settings = normalizePollSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+
+    const schedule = normalizeSchedule(starts_at, ends_at);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const sharing = await normalizePollSharing(req.body);
+    if (sharing.error) {
+      return res.status(400).json({ error: sharing.error });
+    }
+
+    // An optional password voters must enter before voting or commenting
+    const password = req.body.password ? await hashPollPassword(req.body.password) : { password_hash: null };
+    if (password.error) {
+      return res.status(400).json({ error: password.error });
+    }
+
+    const poll = new Poll({
+      id: generateId(),
+      ...settings,
+      ...sharing,
+      ...password,
+      workspace_id: getWorkspaceScope(req),
+      // Scheduled polls are published by the cron job once their start time arrives
+      status: schedule.starts_at ? 'draft' : (['active', 'closed', 'draft'].includes(status) ? status : 'active'),
+      starts_at: schedule.starts_at,
+      ends_at: ends_at ? new Date(ends_at) : null,
+      total_votes: 0,
+      total_selections: 0,
+      comments_count: 0,
+      manual_status_override: false, // Initialize override flag
+      creator: req.user.id
+    });
+
+    await poll.save();
+
+    // Add poll to user's created polls
+    await User.findOneAndUpdate(
+      { id: req.user.id },
+      { $push: { polls_created: poll.id } },
+      { new: true }
+    );
+
+    // Create notification for poll creator
+    await createNotification('poll_created', {
+      pollTitle: poll.title,
+      pollId: poll.id
+    }, req.user.id);
+
+    // Only emit new poll to all connected clients if it's not a draft
+    // Draft polls should only be visible to their creators
+    if (poll.status !== 'draft') {
+      await emitNewPoll(poll);
+    }
+
+    res.status(201).json({ ...poll.toJSON(), ...(await getPollSharing(poll)) });
+  } catch (error) {
+    console.error('Create poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Duplicate a poll into a new draft owned by the caller - votes are not copied
+app.post('/api/polls/:id/clone', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { include_images, include_tags } = req.body;
+
+    const sourcePoll = await Poll.findOne({ id: req.params.id });
+    if (!sourcePoll || (sourcePoll.status === 'draft' && !canManagePoll(sourcePoll, req.user.id, req.workspaceRole))
+      || !(await canAccessPoll(sourcePoll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const source = sourcePoll.toObject();
+    const isCreator = sourcePoll.creator === req.user.id;
+
+    const settings = normalizePollSettings({
+      ...source,
+      options: source.options.map(option => ({
+        id: option.id,
+        text: option.text,
+        value: option.value,
+        image_url: include_images === false ? null : option.image_url
+      })),
+      tags: include_tags === false ? [] : source.tags,
+      // Quiz answers stay with the creator - anyone else gets a plain poll
+      is_quiz: isCreator && source.is_quiz
+    });
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
+
+    const poll = new Poll({
+      id: generateId(),
+      ...settings,
+      options: settings.options.map(option => ({ ...option, votes: 0 })),
+      // The creator's copy is shared with the same people, through a new link; anyone else's copy starts public
+      ...(isCreator && {
+        visibility: getPollVisibility(sourcePoll),
+        share_token: getPollVisibility(sourcePoll) === 'unlisted' ? generateShareToken() : null,
+        invited_users: sourcePoll.invited_users,
+        invited_emails: sourcePoll.invited_emails,
+        invited_domains: sourcePoll.invited_domains,
+        password_hash: sourcePoll.password_hash
+      }),
+      // Copies stay in the workspace of the poll they were made from
+      workspace_id: sourcePoll.workspace_id || null,
+      status: 'draft',
+      total_votes: 0,
+      total_selections: 0,
+      comments_count: 0,
+      manual_status_override: false,
+      creator: req.user.id
+    });
+    await poll.save();
+
+    await User.findOneAndUpdate(
+      { id: req.user.id },
+      { $push: { polls_created: poll.id } }
+    );
+
+    await createNotification('poll_created', {
+      pollTitle: poll.title,
+      pollId: poll.id
+    }, req.user.id);
+
+    // Drafts stay private, so there is no newPoll broadcast
+    res.status(201).json(poll);
+  } catch (error) {
+    console.error('Clone poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock a password-protected poll - the grant lets the caller vote and comment for a while
+app.post('/api/polls/:id/unlock', authenticateToken, pollUnlockLimiter, requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole))
+      || !(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!poll.password_hash) {
+      return res.status(400).json({ error: 'This poll is not password protected' });
+    }
+
+    const { password } = req.body;
+    if (!password || !(await bcrypt.compare(String(password), poll.password_hash))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    const accessToken = createPollAccessGrant(poll, req.user.id);
+    res.json({
+      access_token: accessToken,
+      expires_at: new Date(jwt.decode(accessToken).exp * 1000)
+    });
+  } catch (error) {
+    console.error('Unlock poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the share token of a poll, so links shared before stop working
+app.post('/api/polls/:id/share-token', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    poll.share_token = generateShareToken();
+    await poll.save();
+
+    res.json({ share_token: poll.share_token });
+  } catch (error) {
+    console.error('Reset share token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a collaborator to a poll by username or email - only its owners manage collaborators
+app.post('/api/polls/:id/collaborators', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!isPollOwner(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Only the poll owner can manage collaborators' });
+    }
+
+    const role = req.body.role || 'editor';
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Role must be editor or results_viewer' });
+    }
+
+    const identifier = String(req.body.user || '').trim();
+    const user = identifier ? await User.findOne({ $or: [{ username: identifier }, { email: identifier }] }).select('id') : null;
+    if (!user) {
+      return res.status(404).json({ error: `No user found for "${identifier}"` });
+    }
+    if (user.id === poll.creator || getCollaboratorRole(poll, user.id)) {
+      return res.status(400).json({ error: 'This user already runs the poll' });
+    }
+
+    // Workspace polls stay within the workspace
+    if (poll.workspace_id) {
+      const workspace = await Workspace.findOne({ id: poll.workspace_id }).select('members');
+      if (!workspace || !getWorkspaceRole(workspace, user.id)) {
+        return res.status(400).json({ error: 'Only members of the workspace can collaborate on its polls' });
+      }
+    }
+
+    poll.collaborators.push({ user: user.id, role });
+    await poll.save();
+
+    await createNotification('collaborator_added', {
+      ownerName: req.user.username,
+      pollTitle: poll.title,
+      pollId: poll.id,
+      role
+    }, user.id);
+
+    res.status(201).json(await getPollCollaborators(poll));
+  } catch (error) {
+    console.error('Add poll collaborator error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/polls/:id/collaborators/:userId', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!isPollOwner(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Only the poll owner can manage collaborators' });
+    }
+
+    const collaborator = poll.collaborators.find(item => item.user === req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+    if (!COLLABORATOR_ROLES.includes(req.body.role)) {
+      return res.status(400).json({ error: 'Role must be editor or results_viewer' });
+    }
+
+    collaborator.role = req.body.role;
+    await poll.save();
+
+    res.json(await getPollCollaborators(poll));
+  } catch (error) {
+    console.error('Update poll collaborator error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a collaborator - collaborators may also remove themselves to stop running the poll
+app.delete('/api/polls/:id/collaborators/:userId', authenticateToken, requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const isLeaving = req.params.userId === req.user.id;
+    if (!isLeaving && !isPollOwner(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Only the poll owner can manage collaborators' });
+    }
+    if (!getCollaboratorRole(poll, req.params.userId)) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    poll.collaborators = poll.collaborators.filter(item => item.user !== req.params.userId);
+    await poll.save();
+
+    res.json(isLeaving ? { message: 'You no longer collaborate on this poll' } : await getPollCollaborators(poll));
+  } catch (error) {
+    console.error('Remove poll collaborator error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Poll management routes
+app.patch('/api/polls/:id', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['active', 'closed', 'draft'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Only allow reopening if the user is the poll creator or a workspace admin
+    if (!canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Set manual override flag to true when manually changing status
+    if (status === 'active' && poll.status === 'closed') {
+      // User is manually reopening a closed poll
+      poll.manual_status_override = true;
+      // Always clear end date when reactivating a poll
+      poll.ends_at = null;
+      // A reached vote cap would close the poll again straight away, so reopening lifts it
+      if (poll.max_votes && poll.total_votes >= poll.max_votes) {
+        poll.max_votes = null;
+      }
+    } else if (status === 'closed') {
+      // User is manually closing poll - set override flag to true
+      poll.manual_status_override = true;
+      // Clear the end date when poll is manually closed
+      poll.ends_at = null;
+    }
+
+    // Publishing, closing or unpublishing by hand cancels any schedule
+    poll.starts_at = null;
+    // The outcome is declared at closure and no longer holds once the poll reopens
+    if (status === 'closed' && poll.status !== 'closed') {
+      poll.outcome = await buildPollOutcome(poll, 'manual');
+    } else if (status !== 'closed') {
+      poll.outcome = null;
+    }
+    poll.status = status;
+    await poll.save();
+
+    if (status === 'closed') {
+      await createNotification('poll_closed', {
+        pollTitle: poll.title,
+        pollId: poll.id,
+        outcome: describePollOutcome(poll)
+      }, req.user.id);
+    }
+
+    // Only emit updates for non-draft polls to prevent leaking draft polls to other users
+    if (poll.status !== 'draft') {
+      await emitPollUpdate(poll);
+    }
+
+    res.json({ message: 'Poll updated', poll });
+  } catch (error) {
+    console.error('Update poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Full poll update route (for editing)
+app.put('/api/polls/:id', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { title, description, options, status, starts_at, ends_at, allow_multiple_votes, allow_vote_changes, anonymous, poll_type, min_choices, max_choices, max_votes, quorum, removed_options } = req.body;
+
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Prevent editing closed polls - user must activate first
+    if (poll.status === 'closed') {
+      return res.status(403).json({ error: 'Cannot edit a closed poll. Please activate the poll first.' });
+    }
+
+    // The voting method can only change while the poll has no votes
+    const pollType = poll.total_votes === 0 && poll_type !== undefined ? poll_type : poll.poll_type;
+    if (!POLL_TYPES.includes(pollType)) {
+      return res.status(400).json({ error: 'Invalid poll type' });
+    }
+    const isScorePoll = Boolean(SCORE_SCALES[pollType]);
+
+    if (!title || (!isScorePoll && (!options || options.length < 2))) {
+      return res.status(400).json({ error: 'Title and at least 2 options are required' });
+    }
+
+    // Score options are fixed by the scale; keep them unless the poll switches to a scale type
+    const scoreOptions = isScorePoll
+      ? (pollType === poll.poll_type ? poll.options : buildScoreOptions(pollType))
+      : null;
+
+    // Normalize options - the options keep their vote counts (see replacePollOptions below)
+    const normalizedOptions = (scoreOptions ? scoreOptions.map(opt => (opt.toObject ? opt.toObject() : opt)) : options.map((opt) => {
+      if (typeof opt === 'string') {
+        return { id: generateId(), text: opt };
+      }
+      if (opt && typeof opt === 'object') {
+        return {
+          id: opt.id || generateId(),
+          text: String(opt.text || ''),
+          image_url: normalizeOptionImage(opt.image_url)
+        };
+      }
+      return null;
+    })).filter(Boolean);
+
+    if (normalizedOptions.length < 2 || normalizedOptions.some(o => !o.text || !o.text.trim())) {
+      return res.status(400).json({ error: 'Provide at least 2 valid options with non-empty text' });
+    }
+
+    // Removing an option that has votes needs an explicit decision to move or discard them
+    const voteCounts = await countPollVotes(poll.id);
+    const nextOptionIds = normalizedOptions.map(o => o.id);
+    const removedOptions = poll.options
+      .filter(opt => !nextOptionIds.includes(opt.id))
+      .map(opt => ({ id: opt.id, text: opt.text, votes: voteCounts.optionVotes[opt.id] || 0 }));
+
+    if (poll.is_quiz && removedOptions.some(opt => opt.votes > 0)) {
+      return res.status(400).json({ error: 'Options that have already been answered cannot be removed from a quiz' });
+    }
+
+    // Moving the votes of a removed option would put ballots on a path their follow-up answers did not take
+    if (poll.questions.length > 0 && poll.total_votes > 0 && removedOptions.length > 0) {
+      return res.status(400).json({ error: 'Options cannot be removed once a poll with follow-up questions has votes' });
+    }
+
+    const optionRemovals = normalizeOptionRemovals(removedOptions, removed_options, nextOptionIds);
+    if (optionRemovals.error) {
+      return res.status(400).json({ error: optionRemovals.error, removed_options: optionRemovals.removed_options });
+    }
+
+    // The vote cap and quorum can be changed at any time, but the cap must stay above the votes already cast
+    const voteLimits = normalizeVoteLimits(
+      max_votes !== undefined ? max_votes : poll.max_votes,
+      quorum !== undefined ? quorum : poll.quorum
+    );
+    if (voteLimits.error) {
+      return res.status(400).json({ error: voteLimits.error });
+    }
+    if (voteLimits.max_votes !== null && voteLimits.max_votes <= voteCounts.total_votes) {
+      return res.status(400).json({ error: `The vote cap must be higher than the ${voteCounts.total_votes} votes already cast` });
+    }
+
+    const resultsVisibility = normalizeResultsVisibility(req.body, getResultsVisibility(poll));
+    if (resultsVisibility.error) {
+      return res.status(400).json({ error: resultsVisibility.error });
+    }
+
+    const sharing = await normalizePollSharing(req.body, poll);
+    if (sharing.error) {
+      return res.status(400).json({ error: sharing.error });
+    }
+
+    // password: null removes the password, a string replaces it and leaving it out keeps the current one
+    let password = { password_hash: poll.password_hash };
+    if (req.body.password === null) {
+      password = { password_hash: null };
+    } else if (req.body.password !== undefined) {
+      password = await hashPollPassword(req.body.password);
+      if (password.error) {
+        return res.status(400).json({ error: password.error });
+      }
+    }
+
+    const previous = poll.toObject();
+    // Older polls have no reveal mode or visibility stored yet - compare against the ones they behaved as
+    previous.results_visibility = getResultsVisibility(previous);
+    previous.visibility = getPollVisibility(previous);
+
+    // Update poll fields
+    poll.title = title;
+    poll.description = description || '';
+    // Tags are only replaced when sent
+    if (req.body.tags !== undefined || req.body.category !== undefined) {
+      const pollTags = normalizePollTags(req.body);
+      if (pollTags.error) {
+        return res.status(400).json({ error: pollTags.error });
+      }
+      poll.tags = pollTags.tags;
+    }
+    poll.status = ['active', 'closed', 'draft'].includes(status) ? status : 'active';
+    poll.ends_at = ends_at ? new Date(ends_at) : null;
+    
+    // Automatically reactivate poll ONLY if it was closed automatically (not manually)
+    // This happens when:
+    // 1. The poll currently has a 'closed' status
+    // 2. The poll has manual_status_override = false (meaning it was automatically closed)
+    // 3. A new end date is provided that is in the future
+    if (ends_at && poll.status === 'closed' && !poll.manual_status_override) {
+      const newEndDate = new Date(ends_at);
+      const now = new Date();
+      // Check if the poll was automatically closed (ends_at was in the past) and new end date is in future
+      if (poll.ends_at && new Date(poll.ends_at) <= now && newEndDate > now) {
+        poll.status = 'active';
+        // Set manual_status_override to true since it's now being manually managed
+        poll.manual_status_override = true;
+      }
+    }
+
+    // A poll can be scheduled (or rescheduled) only before anyone has voted on it
+    if (starts_at !== undefined) {
+      const schedule = normalizeSchedule(starts_at, ends_at);
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+      if (schedule.starts_at && poll.total_votes > 0) {
+        return res.status(400).json({ error: 'A poll that already has votes cannot be scheduled' });
+      }
+      poll.starts_at = schedule.starts_at;
+    }
+    if (poll.starts_at) {
+      poll.status = 'draft';
+    }
+    
+    // Only allow changing the voting method, selection limits, anonymity, quiz answers or multiple votes if no votes have been cast
+    // (switching anonymity later would either expose or orphan existing votes, changing answers would need regrading)
+    if (poll.total_votes === 0) {
+      poll.poll_type = pollType;
+      poll.anonymous = anonymous !== undefined ? !!anonymous : poll.anonymous;
+
+      if (req.body.is_quiz !== undefined) {
+        const quizSettings = normalizeQuizSettings(req.body, pollType, normalizedOptions.map(o => o.id), poll.anonymous);
+        if (quizSettings.error) {
+          return res.status(400).json({ error: quizSettings.error });
+        }
+        Object.assign(poll, quizSettings);
+      }
+
+      // Follow-up questions and their skip logic are replaced when sent; otherwise rules on options that are gone are dropped
+      const pollQuestions = req.body.questions !== undefined || req.body.branches !== undefined
+        ? normalizePollQuestions(req.body, normalizedOptions, poll.is_quiz)
+        : {
+          questions: poll.questions,
+          branches: poll.branches.filter(branch => nextOptionIds.includes(branch.option_id))
+        };
+      if (pollQuestions.error) {
+        return res.status(400).json({ error: pollQuestions.error });
+      }
+      poll.questions = pollQuestions.questions;
+      poll.branches = pollQuestions.branches;
+
+      // Each voter answers the follow-up questions once, so they rule out multiple votes
+      poll.allow_multiple_votes = poll.poll_type === 'single' && !poll.is_quiz && poll.questions.length === 0
+        ? !!allow_multiple_votes
+        : false;
+    }
+
+    // Selection limits must still fit the (possibly edited) option list
+    if (poll.poll_type === 'approval') {
+      const choiceLimits = poll.total_votes === 0
+        ? normalizeChoiceLimits(min_choices, max_choices, normalizedOptions.length)
+        : normalizeChoiceLimits(poll.min_choices, poll.max_choices, normalizedOptions.length);
+      if (choiceLimits.error) {
+        return res.status(400).json({ error: choiceLimits.error });
+      }
+      poll.min_choices = choiceLimits.min_choices;
+      poll.max_choices = choiceLimits.max_choices;
+    }
+    
+    // The reveal mode can be changed at any time
+    poll.results_visibility = resultsVisibility.results_visibility;
+    poll.show_results = resultsVisibility.show_results;
+
+    // Sharing and the password can be changed at any time
+    Object.assign(poll, sharing, password);
+
+    // Vote changes and guest voting can be switched on or off at any time
+    poll.allow_vote_changes = allow_vote_changes !== undefined ? !!allow_vote_changes : poll.allow_vote_changes;
+    poll.allow_guest_votes = !poll.is_quiz && (req.body.allow_guest_votes !== undefined ? !!req.body.allow_guest_votes : poll.allow_guest_votes);
+
+    poll.max_votes = voteLimits.max_votes;
+    poll.quorum = voteLimits.quorum;
+    
+    // The options and their counts are written separately below, so the save leaves the counters alone
+    poll.outcome = null;
+    const revision = diffPollRevision(previous, { ...poll.toObject(), options: normalizedOptions }, optionRemovals.removals, voteCounts.optionVotes);
+    if (revision) {
+      poll.revision_count = (poll.revision_count || 0) + 1;
+      poll.edited_at = new Date();
+    }
+    await poll.save();
+
+    const countDeltas = optionRemovals.removals.size > 0
+      ? await migrateRemovedOptionVotes(poll.id, optionRemovals.removals)
+      : { options: {}, total_votes: 0, total_selections: 0, guest_votes: 0 };
+    const updatedPoll = await replacePollOptions(poll.id, normalizedOptions, countDeltas);
+
+    // Closing the poll from the edit form declares its outcome like any other closure
+    if (updatedPoll.status === 'closed') {
+      updatedPoll.outcome = await buildPollOutcome(updatedPoll, 'manual');
+      await updatedPoll.save();
+    }
+
+    if (revision) {
+      await PollRevision.create({
+        id: generateId(),
+        poll_id: poll.id,
+        revision: poll.revision_count,
+        editor: req.user.id,
+        ...revision
+      });
+    }
+
+    // Pictures of removed or replaced options are no longer referenced
+    await deleteOrphanedOptionImages(previous.options, normalizedOptions);
+
+    // Only emit real-time updates for non-draft polls to prevent leaking draft polls to other users
+    if (updatedPoll.status !== 'draft') {
+      await emitPollUpdate(updatedPoll);
+    }
+
+    res.json({ message: 'Poll updated successfully', poll: { ...updatedPoll.toJSON(), ...(await getPollSharing(updatedPoll)) } });
+  } catch (error) {
+    console.error('Update poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/polls/:id', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await Vote.deleteMany({ poll_id: poll.id });
+    await QuizStart.deleteMany({ poll_id: poll.id });
+    await PollRevision.deleteMany({ poll_id: poll.id });
+    await Comment.deleteMany({ poll_id: poll.id });
+    await Poll.deleteOne({ id: poll.id });
+    await deleteOrphanedOptionImages(poll.options);
+
+    await User.findOneAndUpdate(
+      { id: poll.creator },
+      { $pull: { polls_created: poll.id } }
+    );
+
+    res.json({ message: 'Poll deleted successfully' });
+  } catch (error) {
+    console.error('Delete poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vote Routes
+app.post('/api/polls/:id/vote', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const pollId = req.params.id;
+
+    // Check if poll exists
+    const poll = await Poll.findOne({ id: pollId });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
+    const { key: idempotencyKey, error: keyError } = getIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    // Answers the same way for a new ballot and for a repeated submission of one
+    const sendVoteResult = (votedPoll, vote) => res.json({
+      message: 'Vote recorded successfully',
+      poll: serializePollForViewer(votedPoll, req.user.id, true),
+      quiz_result: votedPoll.is_quiz && areQuizAnswersRevealed(votedPoll, true) ? buildQuizResult(votedPoll, vote) : null
+    });
+
+    // A ballot submitted again with the same key returns the original result instead of counting twice
+    const findOriginalVote = () => Vote.findOne({ ...getVoterFilter(poll, req.user), idempotency_key: idempotencyKey });
+    if (idempotencyKey) {
+      const originalVote = await findOriginalVote();
+      if (originalVote) {
+        return sendVoteResult(poll, originalVote);
+      }
+    }
+
+    // Security check: Only allow voting on active polls
+    if (poll.status !== 'active') {
+      if (poll.status === 'draft') {
+        return res.status(403).json({ error: 'Cannot vote on draft polls' });
+      }
+      if (poll.status === 'closed') {
+        return res.status(403).json({ error: 'This poll has been closed' });
+      }
+      return res.status(403).json({ error: 'Voting is not allowed on this poll' });
+    }
+
+    if (poll.max_votes && poll.total_votes >= poll.max_votes) {
+      return res.status(403).json({ error: 'This poll has reached its vote limit' });
+    }
+
+    // Check if user has already voted on this poll (unless multiple votes allowed)
+    // Ranked and approval polls always take a single ballot per voter
+    const singleBallot = takesSingleBallot(poll);
+    if (singleBallot) {
+      const existingVote = await Vote.findOne(getVoterFilter(poll, req.user));
+
+      if (existingVote) {
+        return res.status(400).json({
+          error: poll.allow_vote_changes === false
+            ? 'You have already voted on this poll'
+            : 'You have already voted on this poll. Change or withdraw your vote instead.'
+        });
+      }
+    }
+
+    const ballot = parseBallot(poll, req.body || {});
+    if (ballot.error) {
+      return res.status(400).json({ error: ballot.error });
+    }
+
+    const followUps = parseFollowUpAnswers(poll, req.body || {});
+    if (followUps.error) {
+      return res.status(400).json({ error: followUps.error });
+    }
+
+    // Quiz ballots are graded, and timed quizzes must be answered within the limit
+    let quizFields = {};
+    if (poll.is_quiz) {
+      const quizStart = await QuizStart.findOne({ poll_id: pollId, user: req.user.id });
+      const answerTime = quizStart ? Date.now() - quizStart.started_at.getTime() : null;
+
+      if (poll.time_limit_seconds) {
+        if (!quizStart) {
+          return res.status(400).json({ error: 'Start the quiz before answering' });
+        }
+        if (answerTime > poll.time_limit_seconds * 1000 + QUIZ_TIME_GRACE_MS) {
+          return res.status(400).json({ error: 'Time is up for this question' });
+        }
+      }
+
+      quizFields = { ...gradeBallot(poll, ballot.option_ids), answer_time_ms: answerTime };
+    }
+
+    // Create vote record
+    const vote = new Vote({
+      id: generateId(),
+      poll_id: pollId,
+      ...getVoterFields(poll, req.user),
+      ...buildVoteFields(poll, ballot),
+      answers: followUps.answers,
+      ...quizFields,
+      single_ballot: singleBallot,
+      idempotency_key: idempotencyKey
+    });
+
+    // The unique indexes settle requests racing past the checks above
+    try {
+      await vote.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+
+      const originalVote = error.keyPattern?.idempotency_key ? await findOriginalVote() : null;
+      if (originalVote) {
+        return sendVoteResult(await Poll.findOne({ id: pollId }), originalVote);
+      }
+      return res.status(400).json({ error: 'You have already voted on this poll' });
+    }
+
+    // Update poll vote counts - one ballot, one count per selected option
+    // Counted with $inc so concurrent ballots never overwrite each other's counts
+    const updatedPoll = await countNewBallot(poll, ballot.option_ids, false, followUps.answers);
+    if (!updatedPoll) {
+      await Vote.deleteOne({ id: vote.id });
+      return res.status(403).json({ error: poll.max_votes ? 'This poll has reached its vote limit' : 'This poll has been closed' });
+    }
+
+    // A poll with a vote cap closes as soon as the last allowed ballot arrives
+    if (updatedPoll.max_votes && updatedPoll.total_votes >= updatedPoll.max_votes) {
+      await closePoll(updatedPoll, 'max_votes');
+    }
+
+    // Add poll to user's voted polls (only once)
+    await User.findOneAndUpdate(
+      { id: req.user.id },
+      { $addToSet: { polls_voted: pollId } }
+    );
+
+    // Notify the poll's creator and collaborators (other than the voter)
+    // Anonymous polls leave the voter out, which reads as "Someone voted"
+    await notifyPollTeam(updatedPoll, 'vote', {
+      voterName: updatedPoll.anonymous ? '' : req.user.username,
+      pollTitle: updatedPoll.title,
+      pollId: pollId
+    }, req.user.id);
+
+// Emit updated poll results only for non-draft polls
+    if (updatedPoll.status !== 'draft') {
+      await emitPollUpdate(updatedPoll);
+    }
+
+    sendVoteResult(updatedPoll, vote);
+  } catch (error) {
+    console.error('Vote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change the current user's vote
+app.put('/api/polls/:id/vote', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const pollId = req.params.id;
+
+    const poll = await Poll.findOne({ id: pollId });
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
+    const changeError = getVoteChangeError(poll);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    const ballot = parseBallot(poll, req.body || {});
+    if (ballot.error) {
+      return res.status(400).json({ error: ballot.error });
+    }
+
+    // A new answer can change the voter's path, so the follow-up answers are replaced as well
+    const followUps = parseFollowUpAnswers(poll, req.body || {});
+    if (followUps.error) {
+      return res.status(400).json({ error: followUps.error });
+    }
+
+    // Swap the ballot in place; the previous version tells us which counts to move
+    const previousVote = await Vote.findOneAndUpdate(
+      getVoterFilter(poll, req.user),
+      { $set: { ...buildVoteFields(poll, ballot), answers: followUps.answers } }
+    );
+    if (!previousVote) {
+      return res.status(404).json({ error: 'You have not voted on this poll' });
+    }
+
+    const { update, arrayFilters } = addAnswerCountUpdate(
+      buildVoteCountUpdate(getVoteSelections(previousVote), ballot.option_ids, 0),
+      previousVote.answers || [],
+      followUps.answers
+    );
+    const updatedPoll = await Poll.findOneAndUpdate({ id: pollId }, update, { new: true, arrayFilters });
+
+    await emitPollUpdate(updatedPoll);
+
+    res.json({ message: 'Vote updated successfully', poll: serializePollForViewer(updatedPoll, req.user.id, true) });
+  } catch (error) {
+    console.error('Change vote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw the current user's vote
+app.delete('/api/polls/:id/vote', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const pollId = req.params.id;
+
+    const poll = await Poll.findOne({ id: pollId });
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
+    const changeError = getVoteChangeError(poll);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    const removedVote = await Vote.findOneAndDelete(getVoterFilter(poll, req.user));
+    if (!removedVote) {
+      return res.status(404).json({ error: 'You have not voted on this poll' });
+    }
+
+    const { update, arrayFilters } = addAnswerCountUpdate(
+      buildVoteCountUpdate(getVoteSelections(removedVote), [], -1),
+      removedVote.answers || [],
+      []
+    );
+    const updatedPoll = await Poll.findOneAndUpdate({ id: pollId }, update, { new: true, arrayFilters });
+
+    await User.findOneAndUpdate(
+      { id: req.user.id },
+      { $pull: { polls_voted: pollId } }
+    );
+
+    await emitPollUpdate(updatedPoll);
+
+    res.json({ message: 'Vote withdrawn successfully', poll: serializePollForViewer(updatedPoll, req.user.id, false) });
+  } catch (error) {
+    console.error('Withdraw vote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vote status for current user
+app.get('/api/polls/:id/vote-status', authenticateToken, requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const pollId = req.params.id;
+    
+    // Check if poll exists and is accessible
+    const poll = await Poll.findOne({ id: pollId });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    // Security check: Only allow vote status check on active/closed polls or drafts the user manages
+    if (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    
+    const votes = await Vote.find(getVoterFilter(poll, req.user));
+    const hasVoted = votes.length > 0;
+    res.json({
+      hasVoted,
+      votes: votes.flatMap(getVoteSelections),
+      ranking: hasVoted ? (votes[0].ranking || []) : [],
+      answers: hasVoted ? (votes[0].answers || []) : [],
+      quiz_result: poll.is_quiz && hasVoted && areQuizAnswersRevealed(poll, true) ? buildQuizResult(poll, votes[0]) : null
+    });
+  } catch (error) {
+    console.error('Vote status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Guest Voting Routes
+// Issue a guest voter token to someone without an account
+app.post('/api/guest/token', guestTokenLimiter, (req, res) => {
+  try {
+    res.status(201).json(createGuestToken());
+  } catch (error) {
+    console.error('Guest token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cast a guest ballot on a poll that allows guest voting
+// Guests get one ballot per token and per poll, a few per network, and cannot change or withdraw it
+app.post('/api/polls/:id/guest-vote', requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const guestId = getGuestId(req);
+    if (!guestId) {
+      return res.status(401).json({ error: 'A guest token is required to vote without an account' });
+    }
+
+    const pollId = req.params.id;
+    const poll = await Poll.findOne({ id: pollId });
+    if (!poll || poll.status === 'draft' || !(await canAccessPoll(poll, null, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!poll.allow_guest_votes || poll.is_quiz) {
+      return res.status(403).json({ error: 'This poll does not accept guest votes. Sign in to vote.' });
+    }
+
+    // Password grants belong to accounts, so protected polls need a signed-in voter
+    if (poll.password_hash) {
+      return res.status(403).json({ error: 'This poll is password protected. Sign in to vote.' });
+    }
+
+    if (poll.status === 'closed') {
+      return res.status(403).json({ error: 'This poll has been closed' });
+    }
+
+    if (poll.max_votes && poll.total_votes >= poll.max_votes) {
+      return res.status(403).json({ error: 'This poll has reached its vote limit' });
+    }
+
+    if (await Vote.exists({ poll_id: pollId, guest_id: guestId })) {
+      return res.status(400).json({ error: 'You have already voted on this poll' });
+    }
+
+    const guestIpHash = hashGuestIp(pollId, req.ip);
+    if (await Vote.countDocuments({ poll_id: pollId, guest_ip_hash: guestIpHash }) >= GUEST_VOTES_PER_IP) {
+      return res.status(429).json({ error: 'Too many guest votes from this network. Sign in to vote.' });
+    }
+
+    const ballot = parseBallot(poll, req.body || {});
+    if (ballot.error) {
+      return res.status(400).json({ error: ballot.error });
+    }
+
+    const followUps = parseFollowUpAnswers(poll, req.body || {});
+    if (followUps.error) {
+      return res.status(400).json({ error: followUps.error });
+    }
+
+    const vote = new Vote({
+      id: generateId(),
+      poll_id: pollId,
+      user: null,
+      voter_email: null,
+      voter_hash: null,
+      guest_id: guestId,
+      guest_ip_hash: guestIpHash,
+      ...buildVoteFields(poll, ballot),
+      answers: followUps.answers,
+      single_ballot: true
+    });
+
+    try {
+      await vote.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      return res.status(400).json({ error: 'You have already voted on this poll' });
+    }
+
+    // The check above races with concurrent guest ballots, so recount now that this one is stored;
+    // ballots that push the network over the limit are withdrawn before they are counted
+    if (await Vote.countDocuments({ poll_id: pollId, guest_ip_hash: guestIpHash }) > GUEST_VOTES_PER_IP) {
+      await Vote.deleteOne({ id: vote.id });
+      return res.status(429).json({ error: 'Too many guest votes from this network. Sign in to vote.' });
+    }
+
+    // Guest ballots count like any other, and are also tallied separately
+    const updatedPoll = await countNewBallot(poll, ballot.option_ids, true, followUps.answers);
+    if (!updatedPoll) {
+      await Vote.deleteOne({ id: vote.id });
+      return res.status(403).json({ error: poll.max_votes ? 'This poll has reached its vote limit' : 'This poll has been closed' });
+    }
+
+    if (updatedPoll.max_votes && updatedPoll.total_votes >= updatedPoll.max_votes) {
+      await closePoll(updatedPoll, 'max_votes');
+    }
+
+    await notifyPollTeam(updatedPoll, 'vote', {
+      voterName: 'A guest',
+      pollTitle: updatedPoll.title,
+      pollId: pollId
+    });
+
+    await emitPollUpdate(updatedPoll);
+
+    res.json({ message: 'Vote recorded successfully', poll: serializePollForViewer(updatedPoll, null, true) });
+  } catch (error) {
+    console.error('Guest vote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vote status for the guest holding the request's guest token
+app.get('/api/polls/:id/guest-vote-status', requirePollWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll || poll.status === 'draft' || !(await canAccessPoll(poll, null, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const guestId = getGuestId(req);
+    const vote = guestId ? await Vote.findOne({ poll_id: poll.id, guest_id: guestId }) : null;
+    res.json({
+      hasVoted: Boolean(vote),
+      votes: vote ? getVoteSelections(vote) : [],
+      ranking: vote ? (vote.ranking || []) : [],
+      answers: vote ? (vote.answers || []) : []
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Guest vote status error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Profile Routes
-app.get('/api/profile', authenticateToken, async (req, res) => {
+// Instant-runoff rounds for ranked-choice polls
+app.get('/api/polls/:id/runoff', authenticateToken, requirePollWorkspaceRole('viewer'), async (req, res) => {
   try {
-    const user = await User.findOne({ id: req.user.id });
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    // Security check: Only allow results on active/closed polls or drafts the user manages
+    if (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (poll.poll_type !== 'ranked') {
+      return res.status(400).json({ error: 'This poll is not a ranked-choice poll' });
+    }
+
+    // Workspace admins see the results like the poll team does
+    const hasVoted = Boolean(await Vote.exists(getVoterFilter(poll, req.user)));
+    if (!canManagePoll(poll, req.user.id, req.workspaceRole) && !canSeeResults(poll, req.user.id, hasVoted)) {
+      return res.status(403).json({ error: 'Results are not available for this poll yet' });
+    }
+
+    const votes = await Vote.find({ poll_id: poll.id }).select('ranking option_id');
+    const ballots = votes.map(v => (v.ranking && v.ranking.length > 0 ? v.ranking : [v.option_id]));
+
+    res.json(computeInstantRunoff(poll.options, ballots));
+  } catch (error) {
+    console.error('Runoff results error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a timed quiz - the answer must arrive within the time limit from here
+app.post('/api/polls/:id/quiz/start', authenticateToken, requirePollWorkspaceRole('member'), async (req, res) => {
+  try {
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
     }
 
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
+    if (!poll.is_quiz) {
+      return res.status(400).json({ error: 'This poll is not a quiz' });
+    }
+
+    if (poll.status !== 'active') {
+      return res.status(403).json({ error: 'This quiz is not accepting answers' });
+    }
+
+    // Starting again keeps the original start time
+    const quizStart = await QuizStart.findOneAndUpdate(
+      { poll_id: poll.id, user: req.user.id },
+      { $setOnInsert: { started_at: new Date() } },
+      { new: true, upsert: true }
+    );
+
     res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      profile_picture: user.profile_picture || '',
-      profilePicture: user.profile_picture || '',
-      bio: user.bio || '',
-      location: user.location || '',
-      polls_created: user.polls_created || [],
-      polls_voted: user.polls_voted || [],
-      createdAt: user.createdAt
+      started_at: quizStart.started_at,
+      time_limit_seconds: poll.time_limit_seconds,
+      expires_at: poll.time_limit_seconds
+        ? new Date(quizStart.started_at.getTime() + poll.time_limit_seconds * 1000)
+        : null
     });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Start quiz error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.put('/api/profile', authenticateToken, async (req, res) => {
+// Quiz leaderboard and accuracy
+app.get('/api/polls/:id/leaderboard', authenticateToken, requirePollWorkspaceRole('viewer'), async (req, res) => {
   try {
-    const { bio, location } = req.body;
+    const poll = await Poll.findOne({ id: req.params.id });
+    if (!poll || (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole))) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
 
-    const user = await User.findOne({ id: req.user.id });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Poll not found' });
     }
 
-    user.bio = bio !== undefined ? bio : user.bio;
-    user.location = location !== undefined ? location : user.location;
-    await user.save();
+    if (!poll.is_quiz) {
+      return res.status(400).json({ error: 'This poll is not a quiz' });
+    }
 
-res.json({
-      message: 'Profile updated successfully',
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        profile_picture: user.profile_picture || '',
-        profilePicture: user.profile_picture || '',
-        bio: user.bio,
-        location: user.location
+    // The poll team and workspace admins see it any time; voters once the answers are out for everyone
+    if (!isPollTeamMember(poll, req.user.id) && !canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      if (getResultsVisibility(poll) === 'creator_only') {
+        return res.status(403).json({ error: 'Results are private for this poll' });
+      }
+      if (poll.status !== 'closed') {
+        return res.status(403).json({ error: 'The leaderboard is available once the quiz closes' });
       }
+    }
+
+    const votes = await Vote.find({ poll_id: poll.id }).select('user is_correct points answer_time_ms createdAt');
+    const users = await User.find({ id: { $in: votes.map(v => v.user) } }).select('id username');
+    const usernames = new Map(users.map(u => [u.id, u.username]));
+
+    // Most points first, then the fastest answer, then the earliest
+    const sortedVotes = [...votes].sort((a, b) =>
+      (b.points - a.points) ||
+      ((a.answer_time_ms ?? Infinity) - (b.answer_time_ms ?? Infinity)) ||
+      (a.createdAt - b.createdAt)
+    );
+
+    const correctCount = votes.filter(v => v.is_correct).length;
+
+    res.json({
+      total_participants: votes.length,
+      correct_count: correctCount,
+      accuracy: votes.length > 0 ? Math.round((correctCount / votes.length) * 100) : 0,
+      correct_option_ids: poll.correct_option_ids,
+      entries: sortedVotes.map((v, index) => ({
+        rank: index + 1,
+        user_id: v.user,
+        username: usernames.get(v.user) || 'Unknown user',
+        points: v.points,
+        is_correct: v.is_correct,
+        answer_time_ms: v.answer_time_ms
+      }))
     });
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Leaderboard error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/profile/picture', authenticateToken, upload.single('profilePicture'), async (req, res) => {
+// Tag Routes
+// Tags of the polls listed to the user in the current workspace, most used first
+// ?q= keeps the tags starting with the typed text, for autocomplete
+app.get('/api/tags', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const prefix = normalizeTag(req.query.q);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const tags = await Poll.aggregate([
+      {
+        $match: {
+          status: { $in: ['active', 'closed'] },
+          workspace_id: getWorkspaceScope(req),
+          ...(await getListedPollsFilter(req.user.id))
+        }
+      },
+      { $unwind: '$tags' },
+      ...(prefix ? [{ $match: { $expr: { $eq: [{ $indexOfCP: ['$tags', prefix] }, 0] } } }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ]);
+
+    res.json(tags.map(tag => ({ tag: tag._id, count: tag.count })));
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Workspace Routes
+// Workspaces the current user belongs to, with their role in each
+app.get('/api/workspaces', authenticateToken, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user.id }).sort({ name: 1 });
+    res.json(workspaces.map(workspace => ({
+      id: workspace.id,
+      name: workspace.name,
+      description: workspace.description,
+      role: getWorkspaceRole(workspace, req.user.id),
+      member_count: workspace.members.length
+    })));
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/workspaces', authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 60) {
+      return res.status(400).json({ error: 'Workspace name must be between 1 and 60 characters' });
     }
 
-    const user = await User.findOne({ id: req.user.id });
+    // The creator owns the workspace
+    const workspace = new Workspace({
+      id: generateId(),
+      name,
+      description: String(req.body.description || '').trim(),
+      members: [{ user: req.user.id, role: 'owner' }],
+      creator: req.user.id
+    });
+    await workspace.save();
+
+    res.status(201).json(await serializeWorkspace(workspace, req.user.id));
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('viewer', (req) => req.params.id), async (req, res) => {
+  try {
+    res.json(await serializeWorkspace(req.workspace, req.user.id));
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('owner', (req) => req.params.id), async (req, res) => {
+  try {
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : req.workspace.name;
+    if (!name || name.length > 60) {
+      return res.status(400).json({ error: 'Workspace name must be between 1 and 60 characters' });
+    }
+
+    req.workspace.name = name;
+    if (req.body.description !== undefined) {
+      req.workspace.description = String(req.body.description).trim();
+    }
+    await req.workspace.save();
+
+    res.json(await serializeWorkspace(req.workspace, req.user.id));
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Only empty workspaces can be deleted, so no poll is left without a workspace
+app.delete('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('owner', (req) => req.params.id), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    if (await Poll.exists({ workspace_id: workspaceId }) || await PollSeries.exists({ workspace_id: workspaceId })) {
+      return res.status(400).json({ error: 'Delete the polls and recurring polls of this workspace first' });
+    }
+
+    await Workspace.deleteOne({ id: workspaceId });
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an existing user to a workspace by username or email
+app.post('/api/workspaces/:id/members', authenticateToken, requireWorkspaceRole('admin', (req) => req.params.id), async (req, res) => {
+  try {
+    const identifier = String(req.body.user || '').trim();
+    const role = req.body.role || 'member';
+
+    const changeError = getMemberChangeError(req.workspaceRole, null, role);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    const user = identifier ? await User.findOne({ $or: [{ username: identifier }, { email: identifier }] }).select('id') : null;
     if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+      return res.status(404).json({ error: `No user found for "${identifier}"` });
+    }
+    if (getWorkspaceRole(req.workspace, user.id)) {
+      return res.status(400).json({ error: 'This user is already a member of the workspace' });
     }
 
-    // Delete old profile picture if exists
-    if (user.profile_picture) {
-      try {
-        // Extract filename from the profile picture URL - handle both formats
-        let filename = '';
-        if (user.profile_picture.startsWith('/uploads/')) {
-          // If it's already a relative path like /uploads/filename
-          filename = user.profile_picture.substring(9); // Remove '/uploads/' prefix (9 characters)
-        } else if (user.profile_picture.includes('/uploads/')) {
-          // If it's a full URL, extract the filename
-          filename = path.basename(user.profile_picture);
-        } else {
-          // If it's just a filename
-          filename = user.profile_picture;
-        }
-        
-        if (filename) {
-          const uploadsDir = path.join(__dirname, 'uploads');
-          const oldPath = path.join(uploadsDir, filename);
-          console.log('Attempting to delete file at path:', oldPath);
-          
-          if (fs.existsSync(oldPath)) {
-            try { 
-              fs.unlinkSync(oldPath);
-              console.log(`Deleted profile picture: ${oldPath}`);
-            } catch (err) {
-              console.error(`Error deleting profile picture: ${oldPath}`, err);
-            }
-          } else {
-            console.log('File does not exist at path:', oldPath);
-          }
-        } else {
-          console.log('Could not extract filename from profile_picture:', user.profile_picture);
-        }
-      } catch (err) {
-        console.error('Error processing profile picture removal:', err);
-      }
+    req.workspace.members.push({ user: user.id, role });
+    await req.workspace.save();
+
+    res.status(201).json(await serializeWorkspace(req.workspace, req.user.id));
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/workspaces/:id/members/:userId', authenticateToken, requireWorkspaceRole('admin', (req) => req.params.id), async (req, res) => {
+  try {
+    const member = req.workspace.members.find(item => item.user === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
     }
 
-    // Update user profile picture
-    user.profile_picture = `/uploads/${req.file.filename}`;
-    await user.save();
+    const changeError = getMemberChangeError(req.workspaceRole, member.role, req.body.role);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
 
-    res.json({
-      message: 'Profile picture updated successfully',
-      profile_picture: user.profile_picture,
-      profilePicture: user.profile_picture
-    });
+    member.role = req.body.role;
+    await req.workspace.save();
+
+    res.json(await serializeWorkspace(req.workspace, req.user.id));
   } catch (error) {
-    console.error('Upload profile picture error:', error);
+    console.error('Update workspace member error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Poll Routes
-app.get('/api/polls', authenticateToken, async (req, res) => {
+// Remove a member - anyone but the owner may also remove themselves to leave the workspace
+app.delete('/api/workspaces/:id/members/:userId', authenticateToken, requireWorkspaceRole('viewer', (req) => req.params.id), async (req, res) => {
   try {
-    // This endpoint is for general poll listing (dashboard, profile, etc.)
-    // Include all polls that should be visible to users:
-    // 1. All active and closed polls (no drafts)
-    const polls = await Poll.find({ 
-      status: { $in: ['active', 'closed'] }
-    }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy across all components
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        console.log(`📊 Poll "${poll.title}" - Comment count updated to: ${actualCommentCount}`);
-        
-        return poll;
-      })
+    const member = req.workspace.members.find(item => item.user === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const isLeaving = member.user === req.user.id && member.role !== 'owner';
+    const changeError = isLeaving ? null : getMemberChangeError(req.workspaceRole, member.role, null);
+    if (changeError) {
+      return res.status(changeError.status).json({ error: changeError.error });
+    }
+
+    req.workspace.members = req.workspace.members.filter(item => item.user !== member.user);
+    await req.workspace.save();
+
+    // Former members lose their place on the workspace's poll teams, so notifyPollTeam stops reaching them
+    await Poll.updateMany(
+      { workspace_id: req.workspace.id, 'collaborators.user': member.user },
+      { $pull: { collaborators: { user: member.user } } }
     );
-    
-    res.json(pollsWithAccurateComments);
+    // Their recurring polls stop opening new runs in a workspace they have left
+    await PollSeries.updateMany(
+      { workspace_id: req.workspace.id, creator: member.user },
+      { $set: { active: false, next_run_at: null } }
+    );
+
+    res.json({ message: isLeaving ? 'You left the workspace' : 'Member removed successfully' });
   } catch (error) {
-    console.error('Get polls error:', error);
+    console.error('Remove workspace member error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Special endpoint for poll results page - excludes private polls from other users
-app.get('/api/polls/results', authenticateToken, async (req, res) => {
+// Poll Template Routes
+app.get('/api/poll-templates', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
   try {
-    // This endpoint is specifically for the poll results page
-    // Show all polls except private polls from other users
-    const polls = await Poll.find({ 
-      status: { $in: ['active', 'closed'] },
+    // Built-in starters, the user's own templates and the ones others have shared in the current workspace
+    const templates = await PollTemplate.find({
+      workspace_id: getWorkspaceScope(req),
       $or: [
-        { show_results: true }, // Show public polls
-        { show_results: { $exists: false } }, // Show polls created before this field existed
-        { creator: req.user.id } // Always show user's own polls (even private ones)
+        { creator: req.user.id },
+        { shared: true }
       ]
-    }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy across all components
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
+    }).sort({ updatedAt: -1 });
+
+    res.json([...BUILT_IN_TEMPLATES, ...templates.map(template => serializeTemplateForViewer(template, req.user.id))]);
   } catch (error) {
-    console.error('Get polls for results error:', error);
+    console.error('Get poll templates error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Special endpoint for dashboard - includes all polls except drafts
-app.get('/api/polls/dashboard', authenticateToken, async (req, res) => {
+app.get('/api/poll-templates/:id', authenticateToken, requireWorkspaceRole('viewer', getDocumentWorkspaceId(PollTemplate)), async (req, res) => {
   try {
-    // This endpoint is specifically for the dashboard
-    // Show all active and closed polls (including private ones) except drafts
-    const polls = await Poll.find({ 
-      status: { $in: ['active', 'closed'] }
-    }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy across all components
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
+    const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === req.params.id);
+    if (builtIn) {
+      return res.json(builtIn);
+    }
+
+    const template = await PollTemplate.findOne({ id: req.params.id });
+    if (!template || (!template.shared && template.creator !== req.user.id)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json(serializeTemplateForViewer(template, req.user.id));
   } catch (error) {
-    console.error('Get polls for dashboard error:', error);
+    console.error('Get poll template error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Place specific routes before parameterized :id route to avoid conflicts
-app.get('/api/polls/my-polls', authenticateToken, async (req, res) => {
+// Save a template from poll fields, or from one of the user's existing polls via poll_id
+app.post('/api/poll-templates', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
   try {
-    const polls = await Poll.find({ creator: req.user.id }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
+    const { name, shared, poll_id } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    let pollFields = req.body.poll;
+    if (poll_id) {
+      const sourcePoll = await Poll.findOne({ id: poll_id, workspace_id: getWorkspaceScope(req) });
+      if (!sourcePoll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+      if (sourcePoll.creator !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+      // toObject keeps the quiz answers that toJSON leaves out
+      pollFields = sourcePoll.toObject();
+    }
+
+    const templatePoll = normalizeTemplatePoll(pollFields);
+    if (templatePoll.error) {
+      return res.status(400).json({ error: templatePoll.error });
+    }
+
+    const user = await User.findOne({ id: req.user.id });
+
+    const template = new PollTemplate({
+      id: generateId(),
+      name: name.trim(),
+      poll: templatePoll,
+      shared: !!shared,
+      workspace_id: getWorkspaceScope(req),
+      creator: req.user.id,
+      creator_username: user ? user.username : ''
+    });
+    await template.save();
+
+    res.status(201).json(template);
   } catch (error) {
-    console.error('Get user polls error:', error);
+    console.error('Create poll template error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/polls/voted', authenticateToken, async (req, res) => {
+app.put('/api/poll-templates/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(PollTemplate)), async (req, res) => {
   try {
-    const user = await User.findOne({ id: req.user.id });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { name, shared, poll } = req.body;
+
+    const template = await PollTemplate.findOne({ id: req.params.id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
     }
-    
-    const polls = await Poll.find({ id: { $in: (user.polls_voted || []) } }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
+
+    if (template.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ error: 'Template name is required' });
+      }
+      template.name = name.trim();
+    }
+    if (shared !== undefined) template.shared = !!shared;
+
+    const previousOptions = template.poll.options || [];
+    if (poll !== undefined) {
+      const templatePoll = normalizeTemplatePoll(poll);
+      if (templatePoll.error) {
+        return res.status(400).json({ error: templatePoll.error });
+      }
+      template.poll = templatePoll;
+    }
+
+    template.updatedAt = new Date();
+    await template.save();
+
+    await deleteOrphanedOptionImages(previousOptions, template.poll.options);
+
+    res.json(template);
   } catch (error) {
-    console.error('Get voted polls error:', error);
+    console.error('Update poll template error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/polls/:id', async (req, res) => {
+app.delete('/api/poll-templates/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(PollTemplate)), async (req, res) => {
   try {
-    const poll = await Poll.findOne({ id: req.params.id });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    const template = await PollTemplate.findOne({ id: req.params.id });
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Security check: For draft polls, only allow access to the creator
-    if (poll.status === 'draft') {
-      // Check if user is authenticated
-      const token = req.headers.authorization?.split(' ')[1];
-      if (!token) {
-        return res.status(404).json({ error: 'Poll not found' });
-      }
-
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (decoded.id !== poll.creator) {
-          return res.status(404).json({ error: 'Poll not found' });
-        }
-      } catch (error) {
-        return res.status(404).json({ error: 'Poll not found' });
-      }
+    if (template.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // ALWAYS sync comment count for this specific poll
-    const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-    poll.comments_count = actualCommentCount;
-    await poll.save();
-    
-    res.json(poll);
+    await PollTemplate.deleteOne({ id: template.id });
+    await deleteOrphanedOptionImages(template.poll.options || []);
+
+    res.json({ message: 'Template deleted successfully' });
   } catch (error) {
-    console.error('Get poll error:', error);
+    console.error('Delete poll template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Poll Series Routes - recurring polls
+app.get('/api/poll-series', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const series = await PollSeries.find({ creator: req.user.id, workspace_id: getWorkspaceScope(req) }).sort({ createdAt: -1 });
+    res.json(series);
+  } catch (error) {
+    console.error('Get poll series error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/api/polls', authenticateToken, async (req, res) => {
+app.post('/api/poll-series', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
   try {
-    const { title, description, options, category, status, ends_at, allow_multiple_votes } = req.body;
+    const { cadence, first_run_at } = req.body;
 
-    if (!title || !options || options.length < 2) {
-      return res.status(400).json({ error: 'Title and at least 2 options are required' });
+    if (!isValidSeriesCadence(cadence)) {
+      return res.status(400).json({ error: 'Choose how often the poll repeats, or enter a valid cron expression' });
     }
 
-    // Normalize options (accept array of strings or array of objects)
-    const normalizedOptions = (Array.isArray(options) ? options : []).map((opt) => {
-      if (typeof opt === 'string') {
-        return { id: generateId(), text: opt, votes: 0 };
-      }
-      if (opt && typeof opt === 'object') {
-        return {
-          id: opt.id || generateId(),
-          text: String(opt.text || ''),
-          votes: Number(opt.votes || 0)
-        };
-      }
-      return null;
-    }).filter(Boolean);
+    const settings = normalizePollSettings(req.body);
+    if (settings.error) {
+      return res.status(400).json({ error: settings.error });
+    }
 
-    if (normalizedOptions.length < 2 || normalizedOptions.some(o => !o.text || !o.text.trim())) {
-      return res.status(400).json({ error: 'Provide at least 2 valid options with non-empty text' });
+    // Without a start time the first run opens straight away
+    const schedule = normalizeSchedule(first_run_at);
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
     }
+    const firstRunAt = schedule.starts_at || new Date();
 
-    const poll = new Poll({
+    // An expression like February 30th passes validation but would never open a second run
+    if (!SERIES_CADENCES[cadence] && !getNextCronRun(cadence, firstRunAt)) {
+      return res.status(400).json({ error: 'This cron expression never matches a date' });
+    }
+
+    const series = new PollSeries({
       id: generateId(),
-      title,
-      description: description || '',
-      options: normalizedOptions,
-      category: category || 'general',
-      status: ['active', 'closed', 'draft'].includes(status) ? status : 'active',
-      ends_at: ends_at ? new Date(ends_at) : null,
-      allow_multiple_votes: !!allow_multiple_votes,
-      total_votes: 0,
-      comments_count: 0,
-      manual_status_override: false, // Initialize override flag
+      cadence,
+      template: settings,
+      first_run_at: firstRunAt,
+      next_run_at: firstRunAt,
+      workspace_id: getWorkspaceScope(req),
       creator: req.user.id
     });
+    await series.save();
 
-    await poll.save();
+    if (!schedule.starts_at) {
+      await runPollSeries(series);
+    }
 
-    // Add poll to user's created polls
-    await User.findOneAndUpdate(
-      { id: req.user.id },
-      { $push: { polls_created: poll.id } },
-      { new: true }
-    );
+    res.status(201).json(series);
+  } catch (error) {
+    console.error('Create poll series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Create notification for poll creator
-    await createNotification('poll_created', {
-      pollTitle: poll.title,
-      pollId: poll.id
-    }, req.user.id);
+// A series with every one of its runs, oldest first, for comparing results
+app.get('/api/poll-series/:id', authenticateToken, requireWorkspaceRole('viewer', getDocumentWorkspaceId(PollSeries)), async (req, res) => {
+  try {
+    const series = await PollSeries.findOne({ id: req.params.id });
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
 
-    // Only emit new poll to all connected clients if it's not a draft
-    // Draft polls should only be visible to their creators
-    if (poll.status !== 'draft') {
-      io.emit('newPoll', poll);
+    if (series.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
-    res.status(201).json(poll);
+    const polls = await Poll.find({ series_id: series.id }).sort({ series_run: 1 });
+
+    res.json({ series, polls });
   } catch (error) {
-    console.error('Create poll error:', error);
+    console.error('Get poll series error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Poll management routes
-app.patch('/api/polls/:id', authenticateToken, async (req, res) => {
+// Pause or resume a series
+app.patch('/api/poll-series/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(PollSeries)), async (req, res) => {
   try {
-    const { status } = req.body;
-    if (!['active', 'closed', 'draft'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+    const { active } = req.body;
 
-    const poll = await Poll.findOne({ id: req.params.id });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    const series = await PollSeries.findOne({ id: req.params.id });
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
     }
 
-    // Only allow reopening if the user is the poll creator
-    if (poll.creator !== req.user.id) {
+    if (series.creator !== req.user.id) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Set manual override flag to true when manually changing status
-    if (status === 'active' && poll.status === 'closed') {
-      // User is manually reopening a closed poll
-      poll.manual_status_override = true;
-      // Always clear end date when reactivating a poll
-      poll.ends_at = null;
-    } else if (status === 'closed') {
-      // User is manually closing poll - set override flag to true
-      poll.manual_status_override = true;
-      // Clear the end date when poll is manually closed
-      poll.ends_at = null;
+    if (typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid series state' });
     }
 
-    poll.status = status;
-    await poll.save();
+    series.active = active;
+    // Periods missed while paused are skipped rather than run all at once
+    series.next_run_at = active ? getNextSeriesRun(series, new Date()) : null;
+    await series.save();
 
-    if (status === 'closed') {
-      await createNotification('poll_closed', { pollTitle: poll.title, pollId: poll.id }, req.user.id);
+    res.json(series);
+  } catch (error) {
+    console.error('Update poll series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stop a series - polls it already created are kept as ordinary polls
+app.delete('/api/poll-series/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(PollSeries)), async (req, res) => {
+  try {
+    const series = await PollSeries.findOne({ id: req.params.id });
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
     }
 
-    // Only emit updates for non-draft polls to prevent leaking draft polls to other users
-    if (poll.status !== 'draft') {
-      io.to(`poll_${poll.id}`).emit('pollUpdate', poll);
-      io.emit('pollUpdate', poll);
+    if (series.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
-    res.json({ message: 'Poll updated', poll });
+    await Poll.updateMany({ series_id: series.id }, { $set: { series_id: null, series_run: null } });
+    await PollSeries.deleteOne({ id: series.id });
+    await deleteOrphanedOptionImages(series.template.options || []);
+
+    res.json({ message: 'Series deleted successfully' });
   } catch (error) {
-    console.error('Update poll error:', error);
+    console.error('Delete poll series error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Full poll update route (for editing)
-app.put('/api/polls/:id', authenticateToken, async (req, res) => {
+// Survey Routes
+app.get('/api/surveys', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
   try {
-    const { title, description, options, category, status, ends_at, allow_multiple_votes, show_results } = req.body;
+    // Published surveys plus the user's own drafts, in the current workspace
+    const surveys = await Survey.find({
+      workspace_id: getWorkspaceScope(req),
+      $or: [
+        { status: { $in: ['active', 'closed'] } },
+        { creator: req.user.id }
+      ]
+    }).sort({ createdAt: -1 });
 
-    if (!title || !options || options.length < 2) {
-      return res.status(400).json({ error: 'Title and at least 2 options are required' });
-    }
+    const responses = await SurveyResponse.find({
+      user: req.user.id,
+      survey_id: { $in: surveys.map(survey => survey.id) }
+    }).select('survey_id');
+    const respondedIds = new Set(responses.map(response => response.survey_id));
+
+    res.json(surveys.map(survey => ({
+      ...serializeSurveyForViewer(survey, req.user.id),
+      has_responded: respondedIds.has(survey.id)
+    })));
+  } catch (error) {
+    console.error('Get surveys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const poll = await Poll.findOne({ id: req.params.id });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+app.post('/api/surveys', authenticateToken, requireWorkspaceRole('member'), async (req, res) => {
+  try {
+    const { title, description, questions, status, ends_at, show_results } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
     }
 
-    if (poll.creator !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const normalized = normalizeSurveyQuestions(questions);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
     }
 
-    // Prevent editing closed polls - user must activate first
-    if (poll.status === 'closed') {
-      return res.status(403).json({ error: 'Cannot edit a closed poll. Please activate the poll first.' });
+    const survey = new Survey({
+      id: generateId(),
+      title: title.trim(),
+      description: description || '',
+      questions: normalized.questions,
+      status: ['active', 'draft'].includes(status) ? status : 'active',
+      ends_at: ends_at ? new Date(ends_at) : null,
+      show_results: show_results !== undefined ? !!show_results : true,
+      response_count: 0,
+      workspace_id: getWorkspaceScope(req),
+      creator: req.user.id
+    });
+
+    await survey.save();
+
+    res.status(201).json(serializeSurveyForViewer(survey, req.user.id));
+  } catch (error) {
+    console.error('Create survey error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/surveys/:id', authenticateToken, requireWorkspaceRole('viewer', getDocumentWorkspaceId(Survey)), async (req, res) => {
+  try {
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey || (survey.status === 'draft' && survey.creator !== req.user.id)) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    // Normalize options (preserve existing votes)
-    const normalizedOptions = options.map((opt) => {
-      if (typeof opt === 'string') {
-        return { id: generateId(), text: opt, votes: 0 };
-      }
-      if (opt && typeof opt === 'object') {
-        return {
-          id: opt.id || generateId(),
-          text: String(opt.text || ''),
-          votes: Number(opt.votes || 0)
-        };
-      }
-      return null;
-    }).filter(Boolean);
+    // Include the user's own answers so the survey can show what they submitted
+    const response = await SurveyResponse.findOne({ survey_id: survey.id, user: req.user.id });
+
+    res.json({
+      ...serializeSurveyForViewer(survey, req.user.id),
+      my_answers: response ? response.answers : null
+    });
+  } catch (error) {
+    console.error('Get survey error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a survey - questions and their skip logic are locked once responses have been recorded
+app.put('/api/surveys/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(Survey)), async (req, res) => {
+  try {
+    const { title, description, questions, ends_at, show_results } = req.body;
 
-    if (normalizedOptions.length < 2 || normalizedOptions.some(o => !o.text || !o.text.trim())) {
-      return res.status(400).json({ error: 'Provide at least 2 valid options with non-empty text' });
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    // Update poll fields
-    poll.title = title;
-    poll.description = description || '';
-    poll.category = category || 'general';
-    poll.status = ['active', 'closed', 'draft'].includes(status) ? status : 'active';
-    poll.ends_at = ends_at ? new Date(ends_at) : null;
-    
-    // Automatically reactivate poll ONLY if it was closed automatically (not manually)
-    // This happens when:
-    // 1. The poll currently has a 'closed' status
-    // 2. The poll has manual_status_override = false (meaning it was automatically closed)
-    // 3. A new end date is provided that is in the future
-    if (ends_at && poll.status === 'closed' && !poll.manual_status_override) {
-      const newEndDate = new Date(ends_at);
-      const now = new Date();
-      // Check if the poll was automatically closed (ends_at was in the past) and new end date is in future
-      if (poll.ends_at && new Date(poll.ends_at) <= now && newEndDate > now) {
-        poll.status = 'active';
-        // Set manual_status_override to true since it's now being manually managed
-        poll.manual_status_override = true;
+    if (survey.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (title !== undefined) {
+      if (!title || !title.trim()) {
+        return res.status(400).json({ error: 'Title is required' });
       }
+      survey.title = title.trim();
     }
-    
-    // Only allow changing multiple votes if no votes have been cast
-    if (poll.total_votes === 0) {
-      poll.allow_multiple_votes = !!allow_multiple_votes;
+    if (description !== undefined) survey.description = description || '';
+    if (ends_at !== undefined) survey.ends_at = ends_at ? new Date(ends_at) : null;
+    if (show_results !== undefined) survey.show_results = !!show_results;
+
+    if (questions !== undefined) {
+      if (survey.response_count > 0) {
+        return res.status(400).json({ error: 'Questions cannot be changed once responses have been recorded' });
+      }
+      const normalized = normalizeSurveyQuestions(questions);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      survey.questions = normalized.questions;
     }
-    
-    // Update show_results field
-    poll.show_results = show_results !== undefined ? !!show_results : poll.show_results;
-    
-    poll.options = normalizedOptions;
-    await poll.save();
 
-    // Only emit real-time updates for non-draft polls to prevent leaking draft polls to other users
-    if (poll.status !== 'draft') {
-      io.to(`poll_${poll.id}`).emit('pollUpdate', poll);
-      io.emit('pollUpdate', poll);
+    await survey.save();
+
+    if (survey.status !== 'draft') {
+      await emitSurveyUpdate(survey);
     }
 
-    res.json({ message: 'Poll updated successfully', poll });
+    res.json(serializeSurveyForViewer(survey, req.user.id));
   } catch (error) {
-    console.error('Update poll error:', error);
+    console.error('Edit survey error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.delete('/api/polls/:id', authenticateToken, async (req, res) => {
+// Open, close or unpublish a survey
+app.patch('/api/surveys/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(Survey)), async (req, res) => {
   try {
-    const poll = await Poll.findOne({ id: req.params.id });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    const { status } = req.body;
+
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    if (poll.creator !== req.user.id) {
+    if (survey.creator !== req.user.id) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    await Vote.deleteMany({ poll_id: poll.id });
-    await Comment.deleteMany({ poll_id: poll.id });
-    await Poll.deleteOne({ id: poll.id });
+    if (!['active', 'closed', 'draft'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
 
-    await User.findOneAndUpdate(
-      { id: req.user.id },
-      { $pull: { polls_created: poll.id } }
-    );
+    survey.status = status;
+    // Reopening a survey past its end date would close it again straight away
+    if (status === 'active' && survey.ends_at && survey.ends_at <= new Date()) {
+      survey.ends_at = null;
+    }
+    await survey.save();
 
-    res.json({ message: 'Poll deleted successfully' });
+    // Draft surveys stay visible to their creator only
+    if (survey.status !== 'draft') {
+      await emitSurveyUpdate(survey);
+    }
+
+    res.json(serializeSurveyForViewer(survey, req.user.id));
   } catch (error) {
-    console.error('Delete poll error:', error);
+    console.error('Update survey error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Vote Routes
-app.post('/api/polls/:id/vote', authenticateToken, async (req, res) => {
+app.delete('/api/surveys/:id', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(Survey)), async (req, res) => {
   try {
-    const { option_id } = req.body;
-    const pollId = req.params.id;
-
-    if (!option_id) {
-      return res.status(400).json({ error: 'Option ID is required' });
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    // Check if poll exists
-    const poll = await Poll.findOne({ id: pollId });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    if (survey.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Security check: Only allow voting on active polls
-    if (poll.status !== 'active') {
-      if (poll.status === 'draft') {
-        return res.status(403).json({ error: 'Cannot vote on draft polls' });
-      }
-      if (poll.status === 'closed') {
-        return res.status(403).json({ error: 'This poll has been closed' });
-      }
-      return res.status(403).json({ error: 'Voting is not allowed on this poll' });
+    await SurveyResponse.deleteMany({ survey_id: survey.id });
+    await Survey.deleteOne({ id: survey.id });
+
+    res.json({ message: 'Survey deleted successfully' });
+  } catch (error) {
+    console.error('Delete survey error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submit every answer of a survey at once
+app.post('/api/surveys/:id/responses', authenticateToken, requireWorkspaceRole('member', getDocumentWorkspaceId(Survey)), async (req, res) => {
+  try {
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey || (survey.status === 'draft' && survey.creator !== req.user.id)) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    // Check if user has already voted on this poll (unless multiple votes allowed)
-    if (!poll.allow_multiple_votes) {
-      const existingVote = await Vote.findOne({
-        user: req.user.id,
-        poll_id: pollId
-      });
+    if (survey.status !== 'active') {
+      return res.status(403).json({ error: survey.status === 'closed' ? 'This survey has been closed' : 'This survey is not accepting responses' });
+    }
 
-      if (existingVote) {
-        return res.status(400).json({ error: 'You have already voted on this poll' });
-      }
+    const existingResponse = await SurveyResponse.findOne({ survey_id: survey.id, user: req.user.id });
+    if (existingResponse) {
+      return res.status(400).json({ error: 'You have already responded to this survey' });
     }
 
-    // Find the option
-    const option = poll.options.find(opt => opt.id === option_id);
-    if (!option) {
-      return res.status(400).json({ error: 'Invalid option' });
+    const parsed = parseSurveyAnswers(survey, req.body?.answers);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
 
-    // Create vote record
-    const vote = new Vote({
+    const response = new SurveyResponse({
       id: generateId(),
+      survey_id: survey.id,
       user: req.user.id,
-      poll_id: pollId,
-      option_id: option_id,
-      voter_email: req.user.email
+      answers: parsed.answers
     });
 
-    await vote.save();
-
-    // Update poll vote counts
-    option.votes += 1;
-    poll.total_votes = (poll.total_votes || 0) + 1;
-    await poll.save();
-
-    // Add poll to user's voted polls (only once)
-    await User.findOneAndUpdate(
-      { id: req.user.id },
-      { $addToSet: { polls_voted: pollId } }
-    );
-
-    // Create notification for poll creator (if not the same user)
-    if (poll.creator !== req.user.id) {
-      await createNotification('vote', {
-        voterName: req.user.username,
-        pollTitle: poll.title,
-        pollId: pollId
-      }, poll.creator);
+    // The unique index settles requests racing past the check above
+    try {
+      await response.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      return res.status(400).json({ error: 'You have already responded to this survey' });
     }
 
-// Emit updated poll results only for non-draft polls
-    if (poll.status !== 'draft') {
-      io.to(`poll_${pollId}`).emit('pollUpdate', poll);
-      io.emit('pollUpdate', poll);
-    }
+    // Update per-question counts - one count per selected option
+    // Counted with $inc so concurrent responses never overwrite each other's counts
+    const { update, arrayFilters } = buildSurveyCountUpdate(parsed.answers);
+    const updatedSurvey = await Survey.findOneAndUpdate({ id: survey.id }, update, { new: true, arrayFilters });
 
-    res.json({ message: 'Vote recorded successfully', poll });
+    await emitSurveyUpdate(updatedSurvey);
+
+    res.status(201).json({ message: 'Response recorded successfully', survey: serializeSurveyForViewer(updatedSurvey, req.user.id) });
   } catch (error) {
-    console.error('Vote error:', error);
+    console.error('Survey response error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Vote status for current user
-app.get('/api/polls/:id/vote-status', authenticateToken, async (req, res) => {
+// Per-question results, including instant-runoff rounds for ranked questions
+app.get('/api/surveys/:id/results', authenticateToken, requireWorkspaceRole('viewer', getDocumentWorkspaceId(Survey)), async (req, res) => {
   try {
-    const pollId = req.params.id;
-    
-    // Check if poll exists and is accessible
-    const poll = await Poll.findOne({ id: pollId });
-    if (!poll) {
-      return res.status(404).json({ error: 'Poll not found' });
+    const survey = await Survey.findOne({ id: req.params.id });
+    if (!survey || (survey.status === 'draft' && survey.creator !== req.user.id)) {
+      return res.status(404).json({ error: 'Survey not found' });
     }
 
-    // Security check: Only allow vote status check on active/closed polls or user's own drafts
-    if (poll.status === 'draft' && poll.creator !== req.user.id) {
-      return res.status(404).json({ error: 'Poll not found' });
+    if (survey.show_results === false && survey.creator !== req.user.id) {
+      return res.status(403).json({ error: 'Results are private for this survey' });
     }
-    
-    const votes = await Vote.find({ user: req.user.id, poll_id: pollId });
-    res.json({ hasVoted: votes.length > 0, votes: votes.map(v => v.option_id) });
+
+    const rankedQuestions = survey.questions.filter(q => q.question_type === 'ranked');
+    const runoffs = {};
+    if (rankedQuestions.length > 0) {
+      const responses = await SurveyResponse.find({ survey_id: survey.id }).select('answers');
+      rankedQuestions.forEach(question => {
+        const ballots = responses
+          .map(response => response.answers.find(answer => answer.question_id === question.id))
+          .filter(Boolean)
+          .map(answer => (answer.ranking.length > 0 ? answer.ranking : answer.option_ids));
+        runoffs[question.id] = computeInstantRunoff(question.options, ballots);
+      });
+    }
+
+    res.json({ survey, runoffs });
   } catch (error) {
-    console.error('Vote status error:', error);
+    console.error('Survey results error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Comment Routes
-app.get('/api/polls/:id/comments', authenticateToken, async (req, res) => {
+app.get('/api/polls/:id/comments', authenticateToken, requirePollWorkspaceRole('viewer'), async (req, res) => {
   try {
     // Check if poll exists and is accessible
     const poll = await Poll.findOne({ id: req.params.id });
@@ -1239,11 +5612,19 @@ app.get('/api/polls/:id/comments', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Security check: Only allow comments access on active polls or user's own drafts
-    if (poll.status === 'draft' && poll.creator !== req.user.id) {
+    // Security check: Only allow comments access on active polls or drafts the user manages
+    if (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole)) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!(await canAccessPoll(poll, req.user.id, req.query.token))) {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
     
     // Return all comments for the poll with user's like status
     const comments = await Comment.find({ poll_id: req.params.id }).sort({ createdAt: -1 });
@@ -1262,7 +5643,7 @@ app.get('/api/polls/:id/comments', authenticateToken, async (req, res) => {
 });
 
 // Single unified comment creation endpoint with duplicate prevention
-app.post('/api/comments', authenticateToken, async (req, res) => {
+app.post('/api/comments', authenticateToken, requirePollWorkspaceRole('member', async (req) => req.body.poll_id), async (req, res) => {
   try {
     const { poll_id, content, parent_comment_id } = req.body;
 
@@ -1276,12 +5657,16 @@ app.post('/api/comments', authenticateToken, async (req, res) => {
     }
 
     const poll = await Poll.findOne({ id: poll_id });
-    if (!poll) {
+    if (!poll || !(await canAccessPoll(poll, req.user.id, req.query.token))) {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Security check: Only allow comments on active polls or user's own drafts
-    if (poll.status === 'draft' && poll.creator !== req.user.id) {
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
+    // Security check: Only allow comments on active polls or drafts the user manages
+    if (poll.status === 'draft' && !canManagePoll(poll, req.user.id, req.workspaceRole)) {
       return res.status(403).json({ error: 'Cannot comment on draft polls' });
     }
 
@@ -1322,23 +5707,17 @@ app.post('/api/comments', authenticateToken, async (req, res) => {
       );
     }
     
-    // ALWAYS update comment count based on actual database count to ensure accuracy
-    const actualCommentCount = await Comment.countDocuments({ poll_id: poll_id });
-    poll.comments_count = actualCommentCount;
-    await poll.save();
+    await Poll.updateOne({ id: poll_id }, { $inc: { comments_count: 1 } });
     
-    // Create notification for poll creator (if not the same user)
-    if (poll.creator !== req.user.id) {
-      const notificationType = parent_comment_id ? 'reply' : 'comment';
-      const notificationData = {
-        [parent_comment_id ? 'replierName' : 'commenterName']: req.user.username,
-        pollTitle: poll.title,
-        pollId: poll_id,
-        commentId: comment.id
-      };
-      
-      await createNotification(notificationType, notificationData, poll.creator);
-    }
+    // Notify the poll's creator and collaborators (other than the commenter)
+    const notificationType = parent_comment_id ? 'reply' : 'comment';
+    const notificationData = {
+      [parent_comment_id ? 'replierName' : 'commenterName']: req.user.username,
+      pollTitle: poll.title,
+      pollId: poll_id,
+      commentId: comment.id
+    };
+    await notifyPollTeam(poll, notificationType, notificationData, req.user.id);
 
     // Emit new comment to clients viewing this poll
     io.to(`poll_${poll_id}`).emit('newComment', comment);
@@ -1351,13 +5730,23 @@ app.post('/api/comments', authenticateToken, async (req, res) => {
 });
 
 // Like/Unlike comment with duplicate prevention
-app.post('/api/comments/:id/like', authenticateToken, async (req, res) => {
+app.post('/api/comments/:id/like', authenticateToken, requirePollWorkspaceRole('member', getCommentPollId), async (req, res) => {
   try {
     const comment = await Comment.findOne({ id: req.params.id });
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
+    // Comments are only reachable by users who may open their poll
+    const poll = await Poll.findOne({ id: comment.poll_id });
+    if (!poll || !(await canAccessPoll(poll, req.user.id, req.query.token))) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (!hasPollAccess(poll, req.user.id, req.headers['x-poll-access'])) {
+      return res.status(403).json(POLL_LOCKED_ERROR);
+    }
+
     // Check if user already liked this comment
     const hasLiked = comment.liked_by && comment.liked_by.includes(req.user.id);
     
@@ -1425,21 +5814,22 @@ app.post('/api/comments/:id/like', authenticateToken, async (req, res) => {
 });
 
 // Delete comment endpoint
-app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
+app.delete('/api/comments/:id', authenticateToken, requirePollWorkspaceRole('viewer', getCommentPollId), async (req, res) => {
   try {
     const comment = await Comment.findOne({ id: req.params.id });
     if (!comment) {
       return res.status(404).json({ error: 'Comment not found' });
     }
 
-    // Check if user owns the comment
-    if (comment.user !== req.user.id) {
+    // Check if user owns the comment - workspace admins may remove any comment in their workspace
+    if (comment.user !== req.user.id && !hasWorkspaceRole(req.workspaceRole, 'admin')) {
       return res.status(403).json({ error: 'You can only delete your own comments' });
     }
 
     // If this is a parent comment, also delete all replies
+    let deletedReplies = 0;
     if (!comment.parent_comment_id) {
-      await Comment.deleteMany({ parent_comment_id: comment.id });
+      ({ deletedCount: deletedReplies } = await Comment.deleteMany({ parent_comment_id: comment.id }));
     } else {
       // Remove reply from parent comment's replies array
       await Comment.findOneAndUpdate(
@@ -1448,16 +5838,12 @@ app.delete('/api/comments/:id', authenticateToken, async (req, res) => {
       );
     }
 
-    // Delete the comment
-    await Comment.findOneAndDelete({ id: req.params.id });
+    // Delete the comment - a concurrent delete may already have removed it and counted it off
+    const deletedComment = await Comment.findOneAndDelete({ id: req.params.id });
 
-    // ALWAYS update comment count based on actual database count to ensure accuracy
-    const poll = await Poll.findOne({ id: comment.poll_id });
-    if (poll) {
-      const actualCommentCount = await Comment.countDocuments({ poll_id: comment.poll_id });
-      poll.comments_count = actualCommentCount;
-      await poll.save();
-      
+    const deletedCount = deletedReplies + (deletedComment ? 1 : 0);
+    if (deletedCount > 0) {
+      await Poll.updateOne({ id: comment.poll_id }, { $inc: { comments_count: -deletedCount } });
     }
 
     // Emit real-time update
@@ -1612,6 +5998,16 @@ const createNotification = async (type, data, userId) => {
   }
 };
 
+// Notification helper for the people running a poll - its creator and collaborators, except the user who acted
+const notifyPollTeam = async (poll, type, data, actorId = null) => {
+  const recipients = [poll.creator, ...(poll.collaborators || []).map(collaborator => collaborator.user)];
+  for (const userId of new Set(recipients)) {
+    if (userId !== actorId) {
+      await createNotification(type, data, userId);
+    }
+  }
+};
+
 const formatNotificationMessage = (type, data) => {
   switch (type) {
     case 'vote':
@@ -1624,11 +6020,23 @@ const formatNotificationMessage = (type, data) => {
       return `${data.likerName || 'Someone'} liked your comment on "${data.pollTitle}"`;
     case 'poll_created':
       return `Your poll "${data.pollTitle}" has been created successfully`;
-    case 'poll_closed':
+    case 'poll_published':
+      return `Your scheduled poll "${data.pollTitle}" is now live and accepting votes`;
+    case 'poll_closed': {
+      const outcome = data.outcome || 'Final results are now available.';
       if (data.reason === 'automatic_closure') {
-        return `Your poll "${data.pollTitle}" has been automatically closed as it reached its end date. Final results are now available.`;
+        return `Your poll "${data.pollTitle}" has been automatically closed as it reached its end date. ${outcome}`;
+      }
+      if (data.reason === 'vote_cap') {
+        return `Your poll "${data.pollTitle}" has been closed as it reached its limit of ${data.maxVotes} votes. ${outcome}`;
+      }
+      if (data.reason === 'series_run') {
+        return `Your poll "${data.pollTitle}" has been closed as the next poll of its series has opened. ${outcome}`;
       }
-      return `Your poll "${data.pollTitle}" has been closed. Final results are now available.`;
+      return `Your poll "${data.pollTitle}" has been closed. ${outcome}`;
+    }
+    case 'collaborator_added':
+      return `${data.ownerName || 'Someone'} added you as ${data.role === 'results_viewer' ? 'a results viewer' : 'an editor'} of the poll "${data.pollTitle}"`;
     case 'system':
       return data.message || 'System notification';
     default:
@@ -1642,7 +6050,9 @@ const getNotificationPriority = (type) => {
       return 'high';
     case 'reply':
     case 'comment':
+    case 'poll_published':
     case 'poll_closed':
+    case 'collaborator_added':
       return 'medium';
     case 'vote':
     case 'comment_like':
@@ -1830,88 +6240,15 @@ app.get('/api/user/voted-polls', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const polls = await Poll.find({ id: { $in: (user.polls_voted || []) } }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy for voted polls too
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
+    const polls = await Poll.find({ id: { $in: (user.polls_voted || []) } }).select(POLL_LIST_PROJECTIONS.voted).sort({ createdAt: -1 });
     
-    res.json(pollsWithAccurateComments);
+    res.json(await serializePollsForViewer(polls, req.user.id));
   } catch (error) {
     console.error('Get user voted polls error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/api/polls', authenticateToken, async (req, res) => {
-  try {
-    // This endpoint is for general poll listing (dashboard, profile, etc.)
-    // Include all polls that should be visible to users:
-    // 1. All active and closed polls (no drafts)
-    const polls = await Poll.find({ 
-      status: { $in: ['active', 'closed'] }
-    }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy across all components
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
-  } catch (error) {
-    console.error('Get polls error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Special endpoint for dashboard - includes all polls except drafts
-app.get('/api/polls/dashboard', authenticateToken, async (req, res) => {
-  try {
-    // This endpoint is specifically for the dashboard
-    // Show all active and closed polls (including private ones) except drafts
-    const polls = await Poll.find({ 
-      status: { $in: ['active', 'closed'] }
-    }).sort({ createdAt: -1 });
-    
-    // ALWAYS update comment counts to ensure accuracy across all components
-    const pollsWithAccurateComments = await Promise.all(
-      polls.map(async (poll) => {
-        const actualCommentCount = await Comment.countDocuments({ poll_id: poll.id });
-        
-        // Force update comment count regardless of current value
-        poll.comments_count = actualCommentCount;
-        await poll.save();
-        
-        console.log(`📊 Poll "${poll.title}" - Comment count updated to: ${actualCommentCount}`);
-        
-        return poll;
-      })
-    );
-    
-    res.json(pollsWithAccurateComments);
-  } catch (error) {
-    console.error('Get polls for dashboard error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // Chatbot Routes
 app.post('/api/chat', authenticateToken, async (req, res) => {
   try {
@@ -1929,7 +6266,7 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
     
     CORE FEATURES:
     - Create polls with title, description, and multiple options
-    - Set poll categories (General, Technology, Politics, Entertainment, Sports, Business, Other)
+    - Group polls with free-form tags (e.g. "marketing", "team-events")
     - Configure poll settings (end dates, multiple votes per user, result visibility)
     - Real-time voting with instant result updates
     - Visualize results with interactive pie charts
@@ -1938,13 +6275,13 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
     - Comment system with threaded replies and likes
     - Real-time notifications for votes and comments
     - User profiles with bio, location, and profile pictures
-    - Search and filter polls by category, status, or keywords
+    - Search and filter polls by tag, status, or keywords
     - Mobile-responsive design for all devices
     
     POLL CREATION:
     - Create polls with custom titles and descriptions
     - Add multiple options for users to vote on
-    - Select from 7 categories (General, Technology, Politics, Entertainment, Sports, Business, Other)
+    - Add up to 10 tags, with suggestions from tags already in use
     - Set optional end date for polls (automatically close when date is reached)
     - Enable/disable multiple votes per user
     - Control result visibility (public/private results)
@@ -1995,7 +6332,7 @@ app.post('/api/chat', authenticateToken, async (req, res) => {
     
     SEARCH & DISCOVERY:
     - Search polls by keywords in title or description
-    - Filter polls by category
+    - Filter polls by tag
     - Filter polls by status (active, closed, draft)
     - Sort polls by creation date or popularity
     - View all public poll results in one place
@@ -2117,9 +6454,25 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Join poll room for real-time updates
-  socket.on('joinPoll', (pollId) => {
-    socket.join(`poll_${pollId}`);
+  // Join poll room for real-time updates - unlisted polls need the share token from the link
+  // and password-protected polls the grant from unlocking them
+  socket.on('joinPoll', async (pollId, shareToken, accessGrant) => {
+    try {
+      const poll = await Poll.findOne({ id: pollId });
+      if (!poll || !(await canAccessPoll(poll, socket.user?.id, shareToken)) || !hasPollAccess(poll, socket.user?.id, accessGrant)) {
+        return;
+      }
+      // Workspace polls are only followed by the workspace's members
+      if (poll.workspace_id) {
+        const workspace = await Workspace.findOne({ id: poll.workspace_id }).select('members');
+        if (!workspace || !getWorkspaceRole(workspace, socket.user?.id)) {
+          return;
+        }
+      }
+      socket.join(`poll_${pollId}`);
+    } catch (error) {
+      console.error('Join poll room error:', error);
+    }
   });
 
   // Leave poll room
@@ -2308,22 +6661,6 @@ app.get('*', (req, res) => {
 
 const PORT = process.env.PORT || 8001;
 
-// Enhanced server startup with health monitoring
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`API Base URL: http://localhost:${PORT}/api`);
-  
-  // Log memory usage
-  const memUsage = process.memoryUsage();
-  console.log(`Memory usage: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`);
-});
-
-// Graceful shutdown handling
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
-
 function gracefulShutdown(signal) {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
   
@@ -2344,72 +6681,186 @@ function gracefulShutdown(signal) {
   }, 10000);
 }
 
-// Automatic Poll Closure System
-// Schedule a job to run every minute and check for expired polls
-cron.schedule('* * * * *', async () => {
-  try {
-    const currentTime = new Date();
-    
-    // Find all active polls that have passed their end date
-    // We auto-close polls that either:
-    // 1. Don't have manual override set, OR
-    // 2. Have manual override set but no future end date (user wants it to stay closed)
-    const expiredPolls = await Poll.find({
-      status: 'active',
-      ends_at: { $lte: currentTime }
-    });
-    
-    if (expiredPolls.length > 0) {
-      for (const poll of expiredPolls) {
+// The server, its scheduled jobs and process handlers only start when run directly (npm start), not when the tests require the app
+if (require.main === module) {
+  // Enhanced server startup with health monitoring
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
+    console.log(`API Base URL: http://localhost:${PORT}/api`);
+
+    // Log memory usage
+    const memUsage = process.memoryUsage();
+    console.log(`Memory usage: ${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`);
+  });
+
+  // Graceful shutdown handling
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+
+  // Automatic Poll Publishing and Closure System
+  // Schedule a job to run every minute and check for scheduled polls, due recurring series and expired polls
+  cron.schedule('* * * * *', async () => {
+    // Publish scheduled polls whose start time has arrived
+    try {
+      const scheduledPolls = await Poll.find({
+        status: 'draft',
+        starts_at: { $lte: new Date() }
+      });
+
+      for (const poll of scheduledPolls) {
         try {
-          // Update poll status to closed
-          poll.status = 'closed';
-          // Clear the end date when poll expires automatically
-          poll.ends_at = null;
-          // If this poll had manual override, it means user previously reopened it
-          // Now that it's expired again, we reset the manual override flag
-          // to allow future automatic closures if user sets new end dates
-          poll.manual_status_override = false;
+          poll.status = 'active';
+          poll.starts_at = null;
           await poll.save();
-          
-          // Create notification for poll creator
-          await createNotification('poll_closed', {
+
+          await createNotification('poll_published', {
             pollTitle: poll.title,
-            pollId: poll.id,
-            reason: 'automatic_closure'
+            pollId: poll.id
           }, poll.creator);
-          
-          // Emit real-time update to all connected clients
-          io.to(`poll_${poll.id}`).emit('pollUpdate', poll);
-          io.emit('pollUpdate', poll);
-          
-          // Emit poll closure notification
-          io.to(`poll_${poll.id}`).emit('pollClosed', {
-            pollId: poll.id,
-            title: poll.title,
-            message: 'This poll has been automatically closed as it reached its end date.'
-          });
-          
+
+          await emitNewPoll(poll);
+        } catch (pollError) {
+          console.error(`Error publishing poll ${poll.id}:`, pollError);
+        }
+      }
+    } catch (error) {
+      console.error('Poll publishing cron job error:', error);
+    }
+
+    // Start the next run of recurring series that are due
+    try {
+      const dueSeries = await PollSeries.find({
+        active: true,
+        next_run_at: { $lte: new Date() }
+      });
+
+      for (const series of dueSeries) {
+        try {
+          await runPollSeries(series);
+        } catch (seriesError) {
+          console.error(`Error running poll series ${series.id}:`, seriesError);
+        }
+      }
+    } catch (error) {
+      console.error('Poll series cron job error:', error);
+    }
+
+    try {
+      const currentTime = new Date();
+
+      // Find all active polls that have passed their end date
+      // We auto-close polls that either:
+      // 1. Don't have manual override set, OR
+      // 2. Have manual override set but no future end date (user wants it to stay closed)
+      const expiredPolls = await Poll.find({
+        status: 'active',
+        ends_at: { $lte: currentTime }
+      });
+
+      if (expiredPolls.length > 0) {
+        for (const poll of expiredPolls) {
+          try {
+            // Closing clears the end date and records the final outcome
+            await closePoll(poll, 'ends_at');
+          } catch (pollError) {
+            console.error(`Error closing poll ${poll.id}:`, pollError);
+          }
+        }
+      }
+
+      // Polls that reached their vote cap are normally closed by the vote route,
+      // this catches caps lowered by an edit or ballots that arrived at the same time
+      const cappedPolls = await Poll.find({
+        status: 'active',
+        max_votes: { $ne: null },
+        $expr: { $gte: ['$total_votes', '$max_votes'] }
+      });
+
+      for (const poll of cappedPolls) {
+        try {
+          await closePoll(poll, 'max_votes');
         } catch (pollError) {
           console.error(`Error closing poll ${poll.id}:`, pollError);
         }
       }
+    } catch (error) {
+      console.error('Poll closure cron job error:', error);
     }
-  } catch (error) {
-    console.error('Poll closure cron job error:', error);
-  }
-});
 
-console.log('Automatic poll closure system initialized - checking every minute for expired polls');
+    // Surveys close the same way once they pass their end date
+    try {
+      const expiredSurveys = await Survey.find({ status: 'active', ends_at: { $lte: new Date() } });
+      for (const survey of expiredSurveys) {
+        survey.status = 'closed';
+        await survey.save();
+        await emitSurveyUpdate(survey);
+      }
+    } catch (error) {
+      console.error('Survey closure cron job error:', error);
+    }
+  });
+
+  // Option pictures uploaded for a poll that was never saved are removed after a day
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const referencedImages = await getReferencedOptionImages();
+      const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+
+      fs.readdirSync(uploadsDir)
+        .filter(filename => filename.startsWith('optionImage-'))
+        .forEach(filename => {
+          const imageUrl = `/uploads/${filename}`;
+          if (!referencedImages.has(imageUrl) && fs.statSync(path.join(uploadsDir, filename)).mtimeMs < cutoff) {
+            deleteUploadedFile(imageUrl);
+          }
+        });
+    } catch (error) {
+      console.error('Option image cleanup cron job error:', error);
+    }
+  });
 
-// Monitor for unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
+  // Comment and vote counters are checked against the stored comments and ballots every hour
+  cron.schedule('30 * * * *', async () => {
+    try {
+      const repaired = await reconcilePollCounters();
+      if (repaired > 0) {
+        console.log(`Repaired ${repaired} poll counters`);
+      }
+    } catch (error) {
+      console.error('Poll counter reconciliation cron job error:', error);
+    }
+  });
 
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  console.log('Automatic poll closure system initialized - checking every minute for expired polls');
+
+  // Monitor for unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+// Exposed for the tests and the maintenance scripts
+module.exports.internals = {
+  mongoUrl,
+  migrateSingleBallotVotes,
+  removeDuplicateBallots,
+  computeInstantRunoff,
+  getSeriesRunDate,
+  getNextSeriesRun,
+  isValidSeriesCadence,
+  normalizeOptionRemovals,
+  findBranchCycle,
+  normalizePollQuestions,
+  parseFollowUpAnswers,
+  addAnswerCountUpdate,
+  encodeSearchCursor,
+  decodeSearchCursor
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { internals: { findBranchCycle } } = require('../server');
+
+const question = (id, branches = []) => ({
+  id,
+  branches: branches.map(([optionId, nextQuestionId]) => ({ option_id: optionId, next_question_id: nextQuestionId }))
+});
+
+describe('findBranchCycle', () => {
+  it('accepts a survey without skip logic', () => {
+    expect(findBranchCycle([question('q1'), question('q2'), question('q3')])).toBeNull();
+  });
+
+  it('accepts branches that skip ahead or end the survey', () => {
+    const questions = [
+      question('q1', [['yes', 'q3'], ['no', null]]),
+      question('q2'),
+      question('q3')
+    ];
+
+    expect(findBranchCycle(questions)).toBeNull();
+  });
+
+  it('finds a branch that jumps back to an earlier question', () => {
+    const questions = [
+      question('q1'),
+      question('q2'),
+      question('q3', [['again', 'q2']])
+    ];
+
+    expect(findBranchCycle(questions)).toEqual([1, 2, 1]);
+  });
+
+  it('finds a question that branches to itself', () => {
+    const questions = [question('q1', [['repeat', 'q1']]), question('q2')];
+
+    expect(findBranchCycle(questions)).toEqual([0, 0]);
+  });
+
+  it('finds a loop reached only through a branch', () => {
+    const questions = [
+      question('q1', [['skip', 'q3']]),
+      question('q2'),
+      question('q3'),
+      question('q4', [['back', 'q3']])
+    ];
+
+    expect(findBranchCycle(questions)).toEqual([2, 3, 2]);
+  });
+});
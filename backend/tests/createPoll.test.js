@@ -0,0 +1,54 @@
+// Poll creation - a new poll starts without votes, whatever the request says
+// No database runs in the tests, so the model methods the route calls are mocked
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+
+const Poll = mongoose.model('Poll');
+const User = mongoose.model('User');
+const Notification = mongoose.model('Notification');
+
+const token = jwt.sign({ id: 'creator-1', username: 'creator', email: 'creator@example.com' }, process.env.JWT_SECRET);
+
+// Stands in for a Mongoose query: awaitable, and select() keeps the result
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('POST /api/polls', () => {
+  let savePoll;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'find').mockImplementation(() => query([]));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(() => query(null));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    savePoll = jest.spyOn(Poll.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the options of a new poll without the vote counts sent with them', async () => {
+    const response = await request(app)
+      .post('/api/polls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Best lunch spot',
+        options: [{ id: 'a', text: 'Pizza', votes: 500 }, { id: 'b', text: 'Salad', votes: '12' }],
+        total_votes: 512
+      });
+
+    expect(response.status).toBe(201);
+    expect(savePoll).toHaveBeenCalledTimes(1);
+    const savedPoll = savePoll.mock.contexts[0];
+    expect(savedPoll.options.map(option => option.votes)).toEqual([0, 0]);
+    expect(savedPoll.total_votes).toBe(0);
+    expect(response.body.options.map(option => option.votes)).toEqual([0, 0]);
+  });
+});
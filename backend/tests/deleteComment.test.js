@@ -0,0 +1,60 @@
+// Comment deletion - the poll's comment count only goes down for comments that were actually removed
+// No database runs in the tests, so the model methods the route calls are mocked
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+
+const Poll = mongoose.model('Poll');
+const Comment = mongoose.model('Comment');
+
+const token = jwt.sign({ id: 'author-1', username: 'author', email: 'author@example.com' }, process.env.JWT_SECRET);
+
+// Stands in for a Mongoose query: awaitable, and select() keeps the result
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const deleteComment = () => request(app)
+  .delete('/api/comments/comment-1')
+  .set('Authorization', `Bearer ${token}`);
+
+describe('DELETE /api/comments/:id', () => {
+  let comment;
+  let deleteOne;
+  let updateCount;
+
+  beforeEach(() => {
+    comment = new Comment({ id: 'comment-1', poll_id: 'poll-1', user: 'author-1', username: 'author', text: 'Nice' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Comment, 'findOne').mockImplementation(() => query(comment));
+    jest.spyOn(Poll, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    deleteOne = jest.spyOn(Comment, 'findOneAndDelete').mockImplementation(() => query(comment));
+    updateCount = jest.spyOn(Poll, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the comment and its replies off the poll count', async () => {
+    const response = await deleteComment();
+
+    expect(response.status).toBe(200);
+    expect(updateCount).toHaveBeenCalledWith({ id: 'poll-1' }, { $inc: { comments_count: -3 } });
+  });
+
+  it('does not count a comment that a concurrent request already deleted', async () => {
+    deleteOne.mockImplementation(() => query(null));
+    Comment.deleteMany.mockResolvedValue({ deletedCount: 0 });
+
+    const response = await deleteComment();
+
+    expect(response.status).toBe(200);
+    expect(updateCount).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+const { internals: { computeInstantRunoff } } = require('../server');
+
+const options = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+describe('computeInstantRunoff', () => {
+  it('elects an option with a first-round majority', () => {
+    const result = computeInstantRunoff(options, [['a', 'b'], ['a', 'c'], ['b', 'a']]);
+
+    expect(result.winner).toBe('a');
+    expect(result.rounds).toHaveLength(1);
+    expect(result.rounds[0].tallies).toEqual({ a: 2, b: 1, c: 0 });
+    expect(result.total_ballots).toBe(3);
+  });
+
+  it('eliminates the last option and transfers its ballots to their next preference', () => {
+    const ballots = [['a'], ['a'], ['b'], ['b'], ['c', 'b']];
+    const result = computeInstantRunoff(options, ballots);
+
+    expect(result.rounds[0].eliminated).toEqual(['c']);
+    expect(result.rounds[1].tallies).toEqual({ a: 2, b: 3 });
+    expect(result.winner).toBe('b');
+  });
+
+  it('eliminates every option tied for last place at once', () => {
+    const fourOptions = [...options, { id: 'd' }];
+    const ballots = [['a'], ['a'], ['a'], ['b'], ['b'], ['b'], ['c', 'a'], ['d', 'a']];
+    const result = computeInstantRunoff(fourOptions, ballots);
+
+    expect(result.rounds[0].eliminated.sort()).toEqual(['c', 'd']);
+    expect(result.winner).toBe('a');
+  });
+
+  it('counts ballots that rank no remaining option as exhausted', () => {
+    const ballots = [['a'], ['a'], ['b'], ['b'], ['c']];
+    const result = computeInstantRunoff(options, ballots);
+
+    expect(result.rounds[1].exhausted).toBe(1);
+    expect(result.tie.sort()).toEqual(['a', 'b']);
+    expect(result.winner).toBeNull();
+  });
+
+  it('reports a tie between every remaining option', () => {
+    const result = computeInstantRunoff(options, [['a'], ['b'], ['c']]);
+
+    expect(result.winner).toBeNull();
+    expect(result.tie.sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('has no winner without ballots', () => {
+    const result = computeInstantRunoff(options, []);
+
+    expect(result.winner).toBeNull();
+    expect(result.rounds).toHaveLength(1);
+    expect(result.total_ballots).toBe(0);
+  });
+});
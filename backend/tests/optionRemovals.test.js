@@ -0,0 +1,44 @@
+const { internals: { normalizeOptionRemovals } } = require('../server');
+
+const removed = [{ id: 'a', votes: 3 }, { id: 'b', votes: 0 }];
+const nextOptionIds = ['c', 'd'];
+
+describe('normalizeOptionRemovals', () => {
+  it('discards removed options without votes without asking', () => {
+    const result = normalizeOptionRemovals([{ id: 'b', votes: 0 }], undefined, nextOptionIds);
+
+    expect(result.removals).toEqual(new Map([['b', null]]));
+  });
+
+  it('asks what to do with the votes of removed options that have them', () => {
+    const result = normalizeOptionRemovals(removed, [], nextOptionIds);
+
+    expect(result.error).toMatch(/move or discard/);
+    expect(result.removed_options).toEqual([{ id: 'a', votes: 3 }]);
+  });
+
+  it('moves votes to an option that stays on the poll', () => {
+    const result = normalizeOptionRemovals(removed, [{ option_id: 'a', action: 'migrate', target_option_id: 'd' }], nextOptionIds);
+
+    expect(result.removals).toEqual(new Map([['a', 'd'], ['b', null]]));
+  });
+
+  it('discards votes when asked to', () => {
+    const result = normalizeOptionRemovals(removed, [{ option_id: 'a', action: 'discard' }], nextOptionIds);
+
+    expect(result.removals.get('a')).toBeNull();
+  });
+
+  it('rejects moving votes to an option that is not on the edited poll', () => {
+    const result = normalizeOptionRemovals(removed, [{ option_id: 'a', action: 'migrate', target_option_id: 'b' }], nextOptionIds);
+
+    expect(result.error).toBe('Votes can only be moved to an option that stays on the poll');
+  });
+
+  it('rejects unknown actions', () => {
+    const result = normalizeOptionRemovals(removed, [{ option_id: 'a', action: 'keep' }], nextOptionIds);
+
+    expect(result.error).toBeDefined();
+    expect(result.removals).toBeUndefined();
+  });
+});
@@ -0,0 +1,210 @@
+// Follow-up questions on polls - skip logic validation, path checking of ballots and answer counting
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+const { internals: { normalizePollQuestions, parseFollowUpAnswers, addAnswerCountUpdate } } = app;
+
+const Poll = mongoose.model('Poll');
+const Vote = mongoose.model('Vote');
+const User = mongoose.model('User');
+const Notification = mongoose.model('Notification');
+
+const token = jwt.sign({ id: 'voter-1', username: 'voter', email: 'voter@example.com' }, process.env.JWT_SECRET);
+
+// Stands in for a Mongoose query: awaitable, and select() keeps the result
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const pollOptions = [{ id: 'yes', text: 'Yes' }, { id: 'no', text: 'No' }];
+
+const followUp = (id, text, branches = []) => ({
+  id,
+  text,
+  options: [{ id: `${id}-a`, text: 'A' }, { id: `${id}-b`, text: 'B' }],
+  branches
+});
+
+// Q1 "No" skips Q2 and Q3 and goes straight to Q4
+const buildPoll = () => {
+  const settings = normalizePollQuestions({
+    questions: [followUp('q2', 'Why?'), followUp('q3', 'How often?'), followUp('q4', 'Anything else?')],
+    branches: [{ option_id: 'no', next_question_id: 'q4' }]
+  }, pollOptions, false);
+  return new Poll({ id: 'poll-1', title: 'Feedback', options: pollOptions, creator: 'creator-1', ...settings });
+};
+
+describe('normalizePollQuestions', () => {
+  it('resolves the skip logic to the stored question ids', () => {
+    const settings = normalizePollQuestions({
+      questions: [followUp('q2', 'Why?'), followUp('q3', 'Anything else?')],
+      branches: [{ option_id: 'no', next_question_id: 'q3' }]
+    }, pollOptions, false);
+
+    expect(settings.questions).toHaveLength(2);
+    expect(settings.branches).toEqual([{ option_id: 'no', next_question_id: settings.questions[1].id }]);
+  });
+
+  it('resolves rules on rating options by their score', () => {
+    const ratingOptions = [1, 2, 3, 4, 5].map(value => ({ id: `star-${value}`, text: String(value), value }));
+    const settings = normalizePollQuestions({
+      questions: [followUp('q2', 'What went wrong?')],
+      branches: [{ option_id: '5', next_question_id: null }]
+    }, ratingOptions, false);
+
+    expect(settings.branches).toEqual([{ option_id: 'star-5', next_question_id: null }]);
+  });
+
+  it('rejects skip logic that loops between follow-up questions', () => {
+    const settings = normalizePollQuestions({
+      questions: [
+        followUp('q2', 'Why?', [{ option_id: 'q2-a', next_question_id: 'q3' }]),
+        followUp('q3', 'How often?', [{ option_id: 'q3-a', next_question_id: 'q2' }])
+      ]
+    }, pollOptions, false);
+
+    expect(settings.error).toBe('Skip logic creates a loop: Question 2 -> Question 3 -> Question 2');
+  });
+
+  it('rejects skip logic without follow-up questions and follow-up questions on quizzes', () => {
+    expect(normalizePollQuestions({ branches: [{ option_id: 'no' }] }, pollOptions, false).error).toMatch(/follow-up questions/);
+    expect(normalizePollQuestions({ questions: [followUp('q2', 'Why?')] }, pollOptions, true).error).toMatch(/Quiz polls/);
+  });
+});
+
+describe('parseFollowUpAnswers', () => {
+  it('accepts the answers on the path the voter took', () => {
+    const poll = buildPoll();
+    const [q2, q3, q4] = poll.questions;
+
+    const parsed = parseFollowUpAnswers(poll, {
+      option_id: 'yes',
+      answers: [
+        { question_id: q2.id, option_id: q2.options[0].id },
+        { question_id: q3.id, option_id: q3.options[1].id },
+        { question_id: q4.id, option_id: q4.options[0].id }
+      ]
+    });
+
+    expect(parsed.answers.map(answer => answer.question_id)).toEqual([q2.id, q3.id, q4.id]);
+  });
+
+  it('rejects an answer to a question that should have been skipped', () => {
+    const poll = buildPoll();
+    const [q2, , q4] = poll.questions;
+
+    const parsed = parseFollowUpAnswers(poll, {
+      option_id: 'no',
+      answers: [
+        { question_id: q2.id, option_id: q2.options[0].id },
+        { question_id: q4.id, option_id: q4.options[0].id }
+      ]
+    });
+
+    expect(parsed.error).toBe('Question 2: This question should have been skipped');
+  });
+
+  it('requires the follow-up questions on the path', () => {
+    const poll = buildPoll();
+
+    expect(parseFollowUpAnswers(poll, { option_id: 'no', answers: [] }).error).toBe('Question 4: An answer is required');
+  });
+});
+
+describe('addAnswerCountUpdate', () => {
+  it('nets out the answers a changed ballot keeps', () => {
+    const counts = { update: { $inc: { total_votes: 0 } }, arrayFilters: [] };
+
+    addAnswerCountUpdate(
+      counts,
+      [{ question_id: 'q2', option_ids: ['q2-a'] }, { question_id: 'q3', option_ids: ['q3-a'] }],
+      [{ question_id: 'q2', option_ids: ['q2-b'] }, { question_id: 'q4', option_ids: ['q4-a'] }]
+    );
+
+    expect(counts.update.$inc).toEqual({
+      total_votes: 0,
+      'questions.$[q0].answer_count': 0,
+      'questions.$[q0].total_selections': 0,
+      'questions.$[q0].options.$[q0o0].votes': -1,
+      'questions.$[q0].options.$[q0o1].votes': 1,
+      'questions.$[q1].answer_count': -1,
+      'questions.$[q1].total_selections': -1,
+      'questions.$[q1].options.$[q1o0].votes': -1,
+      'questions.$[q2].answer_count': 1,
+      'questions.$[q2].total_selections': 1,
+      'questions.$[q2].options.$[q2o0].votes': 1
+    });
+    expect(counts.arrayFilters).toEqual([
+      { 'q0.id': 'q2' },
+      { 'q0o0.id': 'q2-a' },
+      { 'q0o1.id': 'q2-b' },
+      { 'q1.id': 'q3' },
+      { 'q1o0.id': 'q3-a' },
+      { 'q2.id': 'q4' },
+      { 'q2o0.id': 'q4-a' }
+    ]);
+  });
+});
+
+describe('POST /api/polls/:id/vote with follow-up questions', () => {
+  let poll;
+  let countBallot;
+  let saveVote;
+
+  beforeEach(() => {
+    poll = buildPoll();
+    // Keep the request log and expected error logs out of the test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Poll, 'findOne').mockImplementation(() => query(poll));
+    jest.spyOn(Vote, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(() => query(null));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    saveVote = jest.spyOn(Vote.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    countBallot = jest.spyOn(Poll, 'findOneAndUpdate').mockImplementation(() => query(poll));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const castVote = (body) => request(app)
+    .post('/api/polls/poll-1/vote')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('stores and counts the follow-up answers with the ballot', async () => {
+    const q4 = poll.questions[2];
+
+    const response = await castVote({ option_id: 'no', answers: [{ question_id: q4.id, option_id: q4.options[1].id }] });
+
+    expect(response.status).toBe(200);
+    expect(saveVote.mock.contexts[0].answers.toObject()).toEqual([
+      { question_id: q4.id, option_ids: [q4.options[1].id], ranking: [], score: null }
+    ]);
+    expect(countBallot.mock.calls[0][1].$inc).toMatchObject({
+      total_votes: 1,
+      'questions.$[q0].answer_count': 1,
+      'questions.$[q0].options.$[q0o0].votes': 1
+    });
+  });
+
+  it('turns away a ballot that answers a skipped question', async () => {
+    const q2 = poll.questions[0];
+    const q4 = poll.questions[2];
+
+    const response = await castVote({
+      option_id: 'no',
+      answers: [{ question_id: q2.id, option_id: q2.options[0].id }, { question_id: q4.id, option_id: q4.options[0].id }]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/should have been skipped/);
+    expect(saveVote).not.toHaveBeenCalled();
+    expect(countBallot).not.toHaveBeenCalled();
+  });
+});
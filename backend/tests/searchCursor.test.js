@@ -0,0 +1,53 @@
+const { internals: { encodeSearchCursor, decodeSearchCursor } } = require('../server');
+
+const votesSort = { total_votes: -1, createdAt: -1, id: -1 };
+const poll = { id: 'poll-7', total_votes: 12, createdAt: new Date('2025-03-04T05:06:07.000Z'), title: 'Lunch' };
+
+describe('search cursors', () => {
+  it('encode only the sort key values of the last poll', () => {
+    const cursor = encodeSearchCursor(poll, votesSort);
+
+    expect(JSON.parse(Buffer.from(cursor, 'base64url').toString())).toEqual([12, '2025-03-04T05:06:07.000Z', 'poll-7']);
+  });
+
+  it('decode into a filter for the polls sorted after the cursor', () => {
+    const filter = decodeSearchCursor(encodeSearchCursor(poll, votesSort), votesSort);
+
+    expect(filter).toEqual({
+      $or: [
+        { total_votes: { $lt: 12 } },
+        { total_votes: 12, createdAt: { $lt: poll.createdAt } },
+        { total_votes: 12, createdAt: poll.createdAt, id: { $lt: 'poll-7' } }
+      ]
+    });
+  });
+
+  it('turn createdAt back into a date', () => {
+    const recentSort = { createdAt: -1, id: -1 };
+    const filter = decodeSearchCursor(encodeSearchCursor(poll, recentSort), recentSort);
+
+    expect(filter.$or[0].createdAt.$lt).toBeInstanceOf(Date);
+  });
+
+  it('reject cursors that are not ours', () => {
+    expect(decodeSearchCursor('not a cursor', votesSort)).toBeNull();
+    expect(decodeSearchCursor(Buffer.from('{"a":1}').toString('base64url'), votesSort)).toBeNull();
+  });
+
+  it('reject cursors whose values could turn into query operators', () => {
+    const encode = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+    const recentSort = { createdAt: -1, id: -1 };
+
+    expect(decodeSearchCursor(encode([{ $gt: 0 }, '2025-03-04T05:06:07.000Z', 'poll-7']), votesSort)).toBeNull();
+    expect(decodeSearchCursor(encode(['12', '2025-03-04T05:06:07.000Z', 'poll-7']), votesSort)).toBeNull();
+    expect(decodeSearchCursor(encode([12, 'yesterday', 'poll-7']), votesSort)).toBeNull();
+    expect(decodeSearchCursor(encode(['2025-03-04T05:06:07.000Z', { $ne: null }]), recentSort)).toBeNull();
+    expect(decodeSearchCursor(encode([null, '2025-03-04T05:06:07.000Z', 'poll-7']), { score: -1, createdAt: -1, id: -1 })).toBeNull();
+  });
+
+  it('reject cursors made for another sort order', () => {
+    const cursor = encodeSearchCursor(poll, { createdAt: -1, id: -1 });
+
+    expect(decodeSearchCursor(cursor, votesSort)).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+const { internals: { getSeriesRunDate, getNextSeriesRun, isValidSeriesCadence } } = require('../server');
+
+// Dates are built in local time, like the series themselves
+const firstRun = new Date(2025, 0, 31, 9, 30);
+
+describe('getSeriesRunDate', () => {
+  it('returns the first run for index 0', () => {
+    expect(getSeriesRunDate(firstRun, 'weekly', 0)).toEqual(firstRun);
+  });
+
+  it('counts daily, weekly and biweekly runs in whole days', () => {
+    expect(getSeriesRunDate(firstRun, 'daily', 3)).toEqual(new Date(2025, 1, 3, 9, 30));
+    expect(getSeriesRunDate(firstRun, 'weekly', 2)).toEqual(new Date(2025, 1, 14, 9, 30));
+    expect(getSeriesRunDate(firstRun, 'biweekly', 1)).toEqual(new Date(2025, 1, 14, 9, 30));
+  });
+
+  it('clamps monthly runs to the end of shorter months', () => {
+    expect(getSeriesRunDate(firstRun, 'monthly', 1)).toEqual(new Date(2025, 1, 28, 9, 30));
+  });
+
+  it('returns to the original day after a shorter month instead of drifting', () => {
+    expect(getSeriesRunDate(firstRun, 'monthly', 2)).toEqual(new Date(2025, 2, 31, 9, 30));
+    expect(getSeriesRunDate(firstRun, 'monthly', 3)).toEqual(new Date(2025, 3, 30, 9, 30));
+  });
+
+  it('rolls monthly runs over into the next year', () => {
+    expect(getSeriesRunDate(firstRun, 'monthly', 12)).toEqual(new Date(2026, 0, 31, 9, 30));
+  });
+
+  it('does not change the date it was given', () => {
+    const start = new Date(firstRun);
+    getSeriesRunDate(start, 'monthly', 5);
+
+    expect(start).toEqual(firstRun);
+  });
+});
+
+describe('getNextSeriesRun', () => {
+  it('skips named cadence periods that have passed', () => {
+    const series = { cadence: 'weekly', first_run_at: firstRun };
+
+    expect(getNextSeriesRun(series, new Date(2025, 1, 8))).toEqual(new Date(2025, 1, 14, 9, 30));
+  });
+
+  it('opens the first run of a cron series at its start time', () => {
+    const series = { cadence: '0 9 * * mon', first_run_at: firstRun };
+
+    expect(getNextSeriesRun(series, new Date(2025, 0, 1))).toEqual(firstRun);
+  });
+
+  it('finds the next time a cron expression matches', () => {
+    // 31 January 2025 is a Friday
+    expect(getNextSeriesRun({ cadence: '0 9 * * mon', first_run_at: firstRun }, firstRun)).toEqual(new Date(2025, 1, 3, 9, 0));
+    expect(getNextSeriesRun({ cadence: '*/15 * * * *', first_run_at: firstRun }, firstRun)).toEqual(new Date(2025, 0, 31, 9, 45));
+    expect(getNextSeriesRun({ cadence: '0 8 1 jan-mar *', first_run_at: firstRun }, firstRun)).toEqual(new Date(2025, 1, 1, 8, 0));
+    expect(getNextSeriesRun({ cadence: '30 17 * * 7', first_run_at: firstRun }, firstRun)).toEqual(new Date(2025, 1, 2, 17, 30));
+  });
+
+  it('has no next run for an expression that never matches', () => {
+    expect(getNextSeriesRun({ cadence: '0 9 30 feb *', first_run_at: firstRun }, firstRun)).toBeNull();
+  });
+});
+
+describe('isValidSeriesCadence', () => {
+  it('accepts named cadences and five-field cron expressions', () => {
+    expect(isValidSeriesCadence('biweekly')).toBe(true);
+    expect(isValidSeriesCadence('0 9 * * 1-5')).toBe(true);
+  });
+
+  it('rejects unknown names, invalid expressions and expressions with a seconds field', () => {
+    expect(isValidSeriesCadence('hourly')).toBe(false);
+    expect(isValidSeriesCadence('61 * * * *')).toBe(false);
+    expect(isValidSeriesCadence('0 0 9 * * mon')).toBe(false);
+    expect(isValidSeriesCadence(undefined)).toBe(false);
+  });
+});
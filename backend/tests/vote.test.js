@@ -0,0 +1,134 @@
+// Vote route - duplicate ballots and repeated submissions
+// No database runs in the tests, so the model methods the route calls are mocked
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../server');
+
+const Poll = mongoose.model('Poll');
+const Vote = mongoose.model('Vote');
+const User = mongoose.model('User');
+const Notification = mongoose.model('Notification');
+
+const token = jwt.sign({ id: 'voter-1', username: 'voter', email: 'voter@example.com' }, process.env.JWT_SECRET);
+
+// Stands in for a Mongoose query: awaitable, and select() keeps the result
+const query = (value) => ({
+  select: () => query(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const duplicateKeyError = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+const buildPoll = (fields = {}) => new Poll({
+  id: 'poll-1',
+  title: 'Lunch',
+  options: [{ id: 'a', text: 'Pizza' }, { id: 'b', text: 'Salad' }],
+  creator: 'creator-1',
+  ...fields
+});
+
+const castVote = (idempotencyKey) => {
+  const vote = request(app)
+    .post('/api/polls/poll-1/vote')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ option_id: 'a' });
+  return idempotencyKey ? vote.set('Idempotency-Key', idempotencyKey) : vote;
+};
+
+describe('POST /api/polls/:id/vote', () => {
+  let poll;
+  let countBallot;
+  let saveVote;
+
+  beforeEach(() => {
+    poll = buildPoll();
+    // Keep the request log and expected error logs out of the test output
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Poll, 'findOne').mockImplementation(() => query(poll));
+    jest.spyOn(Vote, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(() => query(null));
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    saveVote = jest.spyOn(Vote.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    countBallot = jest.spyOn(Poll, 'findOneAndUpdate').mockImplementation(() => (
+      query(buildPoll({ total_votes: 1, total_selections: 1, options: [{ id: 'a', text: 'Pizza', votes: 1 }, { id: 'b', text: 'Salad' }] }))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores and counts a new ballot once', async () => {
+    const response = await castVote();
+
+    expect(response.status).toBe(200);
+    expect(response.body.poll.total_votes).toBe(1);
+    expect(saveVote).toHaveBeenCalledTimes(1);
+    expect(saveVote.mock.contexts[0]).toMatchObject({ poll_id: 'poll-1', user: 'voter-1', option_id: 'a', single_ballot: true });
+    expect(countBallot).toHaveBeenCalledTimes(1);
+    expect(countBallot.mock.calls[0][1]).toEqual({
+      $inc: { total_votes: 1, total_selections: 1, 'options.$[opt0].votes': 1 }
+    });
+  });
+
+  it('turns away a second ballot on a single vote poll', async () => {
+    Vote.findOne.mockImplementation(() => query(new Vote({ id: 'vote-1', poll_id: 'poll-1', user: 'voter-1', option_id: 'b' })));
+
+    const response = await castVote();
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/already voted/);
+    expect(saveVote).not.toHaveBeenCalled();
+    expect(countBallot).not.toHaveBeenCalled();
+  });
+
+  it('does not count a ballot that lost the race to the one-ballot index', async () => {
+    saveVote.mockRejectedValue(duplicateKeyError({ poll_id: 1, user: 1 }));
+
+    const response = await castVote();
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('You have already voted on this poll');
+    expect(countBallot).not.toHaveBeenCalled();
+  });
+
+  it('answers a repeated submission with the original result without counting it again', async () => {
+    const originalVote = new Vote({ id: 'vote-1', poll_id: 'poll-1', user: 'voter-1', option_id: 'a', idempotency_key: 'key-1' });
+    Vote.findOne.mockImplementation((filter) => query(filter.idempotency_key === 'key-1' ? originalVote : null));
+
+    const response = await castVote('key-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Vote recorded successfully');
+    expect(Vote.findOne).toHaveBeenCalledWith({ poll_id: 'poll-1', user: 'voter-1', idempotency_key: 'key-1' });
+    expect(saveVote).not.toHaveBeenCalled();
+    expect(countBallot).not.toHaveBeenCalled();
+  });
+
+  it('answers the slower of two concurrent submissions of a ballot with the original result', async () => {
+    const originalVote = new Vote({ id: 'vote-1', poll_id: 'poll-1', user: 'voter-1', option_id: 'a', idempotency_key: 'key-1' });
+    saveVote.mockImplementation(() => {
+      // The other request stored the ballot between this one's checks and its insert
+      Vote.findOne.mockImplementation((filter) => query(filter.idempotency_key === 'key-1' ? originalVote : null));
+      return Promise.reject(duplicateKeyError({ poll_id: 1, user: 1, idempotency_key: 1 }));
+    });
+
+    const response = await castVote('key-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Vote recorded successfully');
+    expect(countBallot).not.toHaveBeenCalled();
+  });
+
+  it('rejects an overly long Idempotency-Key', async () => {
+    const response = await castVote('k'.repeat(101));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/Idempotency-Key/);
+    expect(saveVote).not.toHaveBeenCalled();
+  });
+});
@@ -3,10 +3,12 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import { Toaster, toast } from 'sonner';
 import { getValidAuthData, cleanupInvalidTokens, isValidTokenFormat } from './utils/tokenUtils';
+import { setCurrentWorkspaceId } from './utils/workspaceUtils';
 import './App.css';
 
 // Context
 import { NotificationProvider } from './context/NotificationContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
 
 // Components
 import Layout from './components/Layout';
@@ -17,11 +19,20 @@ import CreatePoll from './components/CreatePoll';
 import EditPoll from './components/EditPoll';
 import PollView from './components/PollView';
 import PollResults from './components/PollResults';
+import GuestPollView from './components/GuestPollView';
 import Profile from './components/Profile';
 import Notifications from './components/Notifications';
 import MyPolls from './components/MyPolls';
 import AllPollResults from './components/AllPollResults';
+import PollSeries from './components/PollSeries';
+import Templates from './components/Templates';
+import Surveys from './components/Surveys';
+import CreateSurvey from './components/CreateSurvey';
+import EditSurvey from './components/EditSurvey';
+import SurveyView from './components/SurveyView';
+import SurveyResults from './components/SurveyResults';
 import Chatbot from './components/Chatbot';
+import Workspaces from './components/Workspaces';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || window.location.origin;
 
@@ -167,6 +178,7 @@ function App() {
   const logout = () => {
     sessionStorage.removeItem('token');
     sessionStorage.removeItem('user');
+    setCurrentWorkspaceId(null);
     // Token removal handled by api.js interceptor
     setUser(null);
     
@@ -194,84 +206,100 @@ function App() {
       }}
     >
         <NotificationProvider>
-          <Toaster 
-            richColors 
-            position="top-right" 
-            expand={true}
-            visibleToasts={4}
-            duration={4000}
-            closeButton={true}
-            toastOptions={{
-              style: {
-                padding: '16px',
-                fontSize: '14px',
-                borderRadius: '12px',
-                boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1), 0 8px 10px -6px rgba(0, 0, 0, 0.1)',
-                border: '1px solid rgba(255, 255, 255, 0.2)',
-                backdropFilter: 'blur(8px)',
-                maxWidth: '420px',
-              },
-              className: 'custom-toast',
-              success: {
+          <WorkspaceProvider user={user}>
+            <Toaster 
+              richColors 
+              position="top-right" 
+              expand={true}
+              visibleToasts={4}
+              duration={4000}
+              closeButton={true}
+              toastOptions={{
                 style: {
-                  background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
-                  color: 'white',
-                  border: '1px solid rgba(16, 185, 129, 0.3)',
+                  padding: '16px',
+                  fontSize: '14px',
+                  borderRadius: '12px',
+                  boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1), 0 8px 10px -6px rgba(0, 0, 0, 0.1)',
+                  border: '1px solid rgba(255, 255, 255, 0.2)',
+                  backdropFilter: 'blur(8px)',
+                  maxWidth: '420px',
                 },
-              },
-              error: {
-                style: {
-                  background: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
-                  color: 'white',
-                  border: '1px solid rgba(239, 68, 68, 0.3)',
+                className: 'custom-toast',
+                success: {
+                  style: {
+                    background: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+                    color: 'white',
+                    border: '1px solid rgba(16, 185, 129, 0.3)',
+                  },
                 },
-              },
-              info: {
-                style: {
-                  background: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
-                  color: 'white',
-                  border: '1px solid rgba(59, 130, 246, 0.3)',
+                error: {
+                  style: {
+                    background: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
+                    color: 'white',
+                    border: '1px solid rgba(239, 68, 68, 0.3)',
+                  },
                 },
-              },
-              warning: {
-                style: {
-                  background: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
-                  color: 'white',
-                  border: '1px solid rgba(245, 158, 11, 0.3)',
+                info: {
+                  style: {
+                    background: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+                    color: 'white',
+                    border: '1px solid rgba(59, 130, 246, 0.3)',
+                  },
+                },
+                warning: {
+                  style: {
+                    background: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
+                    color: 'white',
+                    border: '1px solid rgba(245, 158, 11, 0.3)',
+                  },
                 },
-              },
-            }}
-          />
+              }}
+            />
           
-          <Layout user={user} onLogout={logout}>
             <Routes>
-              {/* Public routes */}
-              {!user ? (
-                <>
-                  <Route path="/login" element={<Login onLogin={login} />} />
-                  <Route path="/register" element={<Register onLogin={login} />} />
-                  <Route path="*" element={<Navigate to="/login" replace />} />
-                </>
-              ) : (
-                <>
-                  {/* Protected routes */}
-                  <Route path="/" element={<Dashboard socket={socket} />} />
-                  <Route path="/create" element={<CreatePoll socket={socket} />} />
-                  <Route path="/my-polls" element={<MyPolls />} />
-                  <Route path="/poll/:id" element={<PollView socket={socket} />} />
-                  <Route path="/poll/:id/edit" element={<EditPoll socket={socket} />} />
-                  <Route path="/poll/:id/results" element={<PollResults />} />
-                  <Route path="/results" element={<AllPollResults />} />
-                  <Route path="/profile" element={<Profile />} />
-                  <Route path="/notifications" element={<Notifications />} />
-                  <Route path="*" element={<Navigate to="/" replace />} />
-                </>
-              )}
+              {/* Guest voting page - open to everyone and shown without the app layout */}
+              <Route path="/p/:id" element={<GuestPollView user={user} />} />
+              <Route path="*" element={
+                <Layout user={user} onLogout={logout}>
+                  <Routes>
+                    {/* Public routes */}
+                    {!user ? (
+                      <>
+                        <Route path="/login" element={<Login onLogin={login} />} />
+                        <Route path="/register" element={<Register onLogin={login} />} />
+                        <Route path="*" element={<Navigate to="/login" replace />} />
+                      </>
+                    ) : (
+                      <>
+                        {/* Protected routes */}
+                        <Route path="/" element={<Dashboard socket={socket} />} />
+                        <Route path="/create" element={<CreatePoll socket={socket} />} />
+                        <Route path="/my-polls" element={<MyPolls />} />
+                        <Route path="/poll/:id" element={<PollView socket={socket} />} />
+                        <Route path="/poll/:id/edit" element={<EditPoll socket={socket} />} />
+                        <Route path="/poll/:id/results" element={<PollResults />} />
+                        <Route path="/results" element={<AllPollResults />} />
+                        <Route path="/series/:id" element={<PollSeries />} />
+                        <Route path="/templates" element={<Templates />} />
+                        <Route path="/workspaces" element={<Workspaces />} />
+                        <Route path="/surveys" element={<Surveys />} />
+                        <Route path="/surveys/create" element={<CreateSurvey />} />
+                        <Route path="/survey/:id" element={<SurveyView />} />
+                        <Route path="/survey/:id/edit" element={<EditSurvey />} />
+                        <Route path="/survey/:id/results" element={<SurveyResults socket={socket} />} />
+                        <Route path="/profile" element={<Profile />} />
+                        <Route path="/notifications" element={<Notifications />} />
+                        <Route path="*" element={<Navigate to="/" replace />} />
+                      </>
+                    )}
+                  </Routes>
+                
+                  {/* Chatbot - only show when user is logged in */}
+                  {user && <Chatbot />}
+                </Layout>
+              } />
             </Routes>
-            
-            {/* Chatbot - only show when user is logged in */}
-            {user && <Chatbot />}
-          </Layout>
+          </WorkspaceProvider>
         </NotificationProvider>
     </BrowserRouter>
   );
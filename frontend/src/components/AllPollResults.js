@@ -1,20 +1,30 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Search, CheckCircle, XCircle, Eye, EyeOff, Clock, Users, BarChart3, Activity, PieChart } from 'lucide-react';
-import { toast } from 'sonner';
 import api from '../utils/api';
+import { getResultsVisibility, formatResultsVisibility, getHiddenResultsMessage } from '../utils/resultsVisibilityUtils';
+import { SEARCH_SORTS, usePollSearch } from '../utils/searchUtils';
 import PageHeader from './PageHeader';
+import PollTags from './PollTags';
 
 const AllPollResults = () => {
-  const [polls, setPolls] = useState([]);
-  const [filteredPolls, setFilteredPolls] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
-  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState('all');
+  const [sort, setSort] = useState('relevance');
+  const [tags, setTags] = useState([]);
+
+  // The server searches and pages the polls as the filters change
+  const { polls, total, hasMore, loading, searching, loadingMore, loadMore, refresh } = usePollSearch({
+    q: searchTerm,
+    status: statusFilter,
+    tag: tagFilter,
+    sort,
+    resultsOnly: true
+  });
 
   useEffect(() => {
-    fetchAllPolls();
+    fetchTags();
   }, []);
 
   // Listen for storage events to refresh data when returning from poll pages
@@ -24,14 +34,14 @@ const AllPollResults = () => {
         // Clear the flag
         localStorage.removeItem('pollDataChanged');
         // Refresh poll data
-        fetchAllPolls();
+        refresh();
       }
     };
 
     const handleWindowFocus = () => {
       if (localStorage.getItem('pollDataChanged') === 'true') {
         localStorage.removeItem('pollDataChanged');
-        fetchAllPolls();
+        refresh();
       }
     };
 
@@ -42,49 +52,16 @@ const AllPollResults = () => {
       window.removeEventListener('storage', handleStorageChange);
       window.removeEventListener('focus', handleWindowFocus);
     };
-  }, []);
-
-  const filterPolls = useCallback(() => {
-    let filtered = polls;
-
-    // Search filter
-    if (searchTerm) {
-      filtered = filtered.filter(poll =>
-        poll.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        poll.description?.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    // Status filter
-    if (statusFilter !== 'all') {
-      filtered = filtered.filter(poll => poll.status === statusFilter);
-    }
+  }, [refresh]);
 
-    // Category filter
-    if (categoryFilter !== 'all') {
-      filtered = filtered.filter(poll => poll.category === categoryFilter);
-    }
-
-    setFilteredPolls(filtered);
-  }, [polls, searchTerm, statusFilter, categoryFilter]);
-
-  useEffect(() => {
-    filterPolls();
-  }, [filterPolls]);
-
-  const fetchAllPolls = async () => {
+  const fetchTags = async () => {
     try {
-      // Use the special endpoint for poll results page
-      const response = await api.get('/polls/results');
-      const allPolls = response.data;
-      
-      // The backend now handles filtering correctly for the results page
-      setPolls(allPolls);
+      const response = await api.get('/tags', { params: { limit: 50 } });
+      if (response.status < 400) {
+        setTags(response.data);
+      }
     } catch (error) {
-      console.error('Error fetching polls:', error);
-      toast.error('Failed to load poll results');
-    } finally {
-      setLoading(false);
+      console.error('Error fetching tags:', error);
     }
   };
 
@@ -114,19 +91,6 @@ const AllPollResults = () => {
     return statusMap[status] || statusMap.active;
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      technology: 'bg-blue-100 text-blue-700',
-      politics: 'bg-red-100 text-red-700',
-      entertainment: 'bg-pink-100 text-pink-700',
-      sports: 'bg-green-100 text-green-700',
-      business: 'bg-yellow-100 text-yellow-700',
-      general: 'bg-gray-100 text-gray-700',
-      other: 'bg-purple-100 text-purple-700'
-    };
-    return colors[category] || colors.general;
-  };
-
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -147,14 +111,11 @@ const AllPollResults = () => {
         <div className="flex items-start justify-between mb-4">
           <div className="flex-1">
             <div className="flex items-center space-x-2 mb-2">
-              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getCategoryColor(poll.category)}`}>
-                {poll.category || 'general'}
-              </span>
               <div className={`flex items-center px-2 py-1 rounded-lg border text-xs font-medium ${statusInfo.color}`}>
                 <StatusIcon className="w-3 h-3 mr-1" />
                 <span>{statusInfo.label}</span>
               </div>
-              {poll.show_results ? (
+              {getResultsVisibility(poll) === 'always' ? (
                 <div className="flex items-center px-2 py-1 rounded-lg bg-blue-100 text-blue-700 border border-blue-200 text-xs">
                   <Eye className="w-3 h-3 mr-1" />
                   <span>Public</span>
@@ -162,7 +123,7 @@ const AllPollResults = () => {
               ) : (
                 <div className="flex items-center px-2 py-1 rounded-lg bg-gray-100 text-gray-700 border border-gray-200 text-xs">
                   <EyeOff className="w-3 h-3 mr-1" />
-                  <span>Private</span>
+                  <span>{formatResultsVisibility(getResultsVisibility(poll))}</span>
                 </div>
               )}
             </div>
@@ -174,6 +135,7 @@ const AllPollResults = () => {
                 {poll.description}
               </p>
             )}
+            <PollTags poll={poll} />
           </div>
         </div>
 
@@ -189,14 +151,19 @@ const AllPollResults = () => {
           </div>
           <div className="text-center">
             <div className="text-lg font-bold text-green-600">
-              {poll.total_votes > 0 ? `${calculatePercentage(topOption.votes, poll.total_votes)}%` : '0%'}
+              {poll.results_hidden ? '—' : poll.total_votes > 0 ? `${calculatePercentage(topOption.votes, poll.total_votes)}%` : '0%'}
             </div>
             <div className="text-xs text-gray-500">Leading</div>
           </div>
         </div>
 
         {/* Top Results Preview */}
-        {poll.total_votes > 0 && (
+        {poll.results_hidden ? (
+          <p className="flex items-center text-sm text-gray-500 mb-4">
+            <EyeOff className="w-4 h-4 mr-2" />
+            {getHiddenResultsMessage(poll)}
+          </p>
+        ) : poll.total_votes > 0 && (
           <div className="space-y-2 mb-4">
             <div className="text-sm font-medium text-gray-700 mb-2">Top Results:</div>
             {poll.options
@@ -280,17 +247,6 @@ const AllPollResults = () => {
     );
   }
 
-  const categories = [
-    { value: 'all', label: 'All Categories' },
-    { value: 'general', label: 'General' },
-    { value: 'technology', label: 'Technology' },
-    { value: 'politics', label: 'Politics' },
-    { value: 'entertainment', label: 'Entertainment' },
-    { value: 'sports', label: 'Sports' },
-    { value: 'business', label: 'Business' },
-    { value: 'other', label: 'Other' }
-  ];
-
   return (
     <div className="max-w-7xl mx-auto p-6 space-y-6">
       {/* Header */}
@@ -301,7 +257,7 @@ const AllPollResults = () => {
           <div className="flex items-center space-x-2">
             <div className="flex items-center px-3 py-2 bg-blue-50 text-blue-700 rounded-lg border border-blue-200">
               <Activity className="w-4 h-4 mr-2" />
-              <span className="text-sm font-medium">{filteredPolls.length} Results</span>
+              <span className="text-sm font-medium">{total} Results</span>
             </div>
           </div>
         )}
@@ -324,7 +280,7 @@ const AllPollResults = () => {
             />
           </div>
           
-          {/* Status and Category Filters - Right Side */}
+          {/* Status and Tag Filters - Right Side */}
           <div className="flex space-x-4">
             {/* Status Filter */}
             <select
@@ -336,18 +292,30 @@ const AllPollResults = () => {
               <option value="active">Active</option>
               <option value="closed">Closed</option>
             </select>
-            {/* Category Filter */}
+            {/* Tag Filter */}
             <select
-              value={categoryFilter}
-              onChange={(e) => setCategoryFilter(e.target.value)}
+              value={tagFilter}
+              onChange={(e) => setTagFilter(e.target.value)}
               className="block py-3 px-3 border border-gray-300 rounded-lg bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-sm min-w-[180px]"
             >
-              {categories.map(category => (
-                <option key={category.value} value={category.value}>
-                  {category.label}
+              <option value="all">All Tags</option>
+              {tags.map(({ tag, count }) => (
+                <option key={tag} value={tag}>
+                  #{tag} ({count})
                 </option>
               ))}
             </select>
+            {/* Sort Order */}
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              className="block py-3 px-3 border border-gray-300 rounded-lg bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-sm min-w-[160px]"
+              aria-label="Sort poll results"
+            >
+              {SEARCH_SORTS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
           </div>
         </div>
       </div>
@@ -355,19 +323,23 @@ const AllPollResults = () => {
       {/* Results Summary */}
       <div className="flex items-center justify-between text-sm text-gray-600">
         <div>
-          Showing {filteredPolls.length} of {polls.length} poll results
+          Showing {polls.length} of {total} poll results
           {searchTerm && ` for "${searchTerm}"`}
           {statusFilter !== 'all' && ` • ${statusFilter} polls`}
-          {categoryFilter !== 'all' && ` • ${categories.find(c => c.value === categoryFilter)?.label}`}
+          {tagFilter !== 'all' && ` • #${tagFilter}`}
         </div>
         <div className="flex items-center space-x-1">
-          <PieChart className="w-4 h-4" />
+          {searching ? (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+          ) : (
+            <PieChart className="w-4 h-4" />
+          )}
           <span>Live Results</span>
         </div>
       </div>
 
       {/* Results Grid */}
-      {filteredPolls.length === 0 ? (
+      {polls.length === 0 ? (
         <div className="text-center py-12">
           <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-6">
             <BarChart3 className="w-12 h-12 text-gray-400" />
@@ -384,11 +356,23 @@ const AllPollResults = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredPolls.map((poll) => (
+          {polls.map((poll) => (
             <PollResultCard key={poll.id} poll={poll} />
           ))}
         </div>
       )}
+
+      {hasMore && (
+        <div className="text-center">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-all disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load More Results'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { CheckSquare, Square, Info } from 'lucide-react';
+import { getOptionImageUrl } from '../utils/optionImageUtils';
+
+// Ballot for approval polls: voters tick several options and submit them together
+// When a vote is being changed the previous selection is used as the starting point
+// Passing onChange embeds the ballot in a larger form (surveys) without its own submit button
+const ApprovalBallot = ({ poll, hasVoted, submittedSelection = [], voting, onSubmit, onChange }) => {
+  const [selection, setSelection] = useState(hasVoted ? [] : submittedSelection);
+
+  const minChoices = poll.min_choices || 1;
+  const maxChoices = poll.max_choices || poll.options.length;
+  const isLocked = hasVoted || poll.status === 'closed';
+  const selected = hasVoted ? submittedSelection : selection;
+
+  const toggleOption = (optionId) => {
+    if (isLocked || voting) return;
+    if (!selection.includes(optionId) && selection.length >= maxChoices) return;
+
+    const next = selection.includes(optionId)
+      ? selection.filter(selectedId => selectedId !== optionId)
+      : [...selection, optionId];
+    setSelection(next);
+    if (onChange) onChange(next);
+  };
+
+  const getLimitText = () => {
+    if (minChoices === maxChoices) {
+      return `Select exactly ${minChoices} option${minChoices === 1 ? '' : 's'}.`;
+    }
+    if (maxChoices === poll.options.length) {
+      return `Select at least ${minChoices} option${minChoices === 1 ? '' : 's'}.`;
+    }
+    return `Select between ${minChoices} and ${maxChoices} options.`;
+  };
+
+  const canSubmit = selection.length >= minChoices && selection.length <= maxChoices;
+
+  return (
+    <div className="space-y-4">
+      <div className="p-3 bg-blue-50 rounded-lg border border-blue-200">
+        <div className="flex items-start">
+          <Info className="w-5 h-5 text-blue-600 mr-2 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-blue-800 font-medium">Multiple choice poll</p>
+            <p className="text-blue-700 text-sm mt-1">
+              {hasVoted
+                ? 'Your selections were submitted as a single ballot.'
+                : `${getLimitText()} Your selections are submitted together as one ballot.`}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {poll.options.map(option => {
+        const isSelected = selected.includes(option.id);
+        const isFull = !isSelected && selection.length >= maxChoices;
+        const Icon = isSelected ? CheckSquare : Square;
+
+        return (
+          <button
+            key={option.id}
+            onClick={() => toggleOption(option.id)}
+            disabled={voting || isLocked || isFull}
+            className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:cursor-not-allowed ${
+              isSelected
+                ? 'border-blue-500 bg-blue-50 text-blue-900'
+                : 'border-gray-200 bg-white text-gray-900 disabled:opacity-50'
+            }`}
+          >
+            <div className="flex items-center">
+              <Icon className={`w-5 h-5 mr-3 flex-shrink-0 ${isSelected ? 'text-blue-600' : 'text-gray-400'}`} />
+              {option.image_url && (
+                <img
+                  src={getOptionImageUrl(option.image_url)}
+                  alt={option.text}
+                  className="w-12 h-12 rounded-md object-cover mr-3 flex-shrink-0"
+                />
+              )}
+              <span>{option.text}</span>
+            </div>
+          </button>
+        );
+      })}
+
+      {!isLocked && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-gray-500">
+            {selection.length} of {maxChoices} selected
+          </span>
+          {!onChange && (
+            <button
+              onClick={() => onSubmit(selection)}
+              disabled={voting || !canSubmit}
+              className="btn-primary px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {voting ? (
+                <div className="flex items-center">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                  Submitting...
+                </div>
+              ) : (
+                'Submit Vote'
+              )}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApprovalBallot;
@@ -1,9 +1,27 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { Plus, X, Calendar, Settings, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Plus, X, Calendar, Settings, AlertCircle, CheckCircle, LayoutTemplate, BookmarkPlus } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
+import { isScorePoll } from '../utils/scoreUtils';
+import { isQuizEnabled, toggleCorrectOption, validateQuizSettings, buildQuizPayload } from '../utils/quizUtils';
+import { validateSchedule } from '../utils/scheduleUtils';
+import { SERIES_CADENCES, CUSTOM_CADENCE, validateCronCadence } from '../utils/seriesUtils';
+import { templateToFormData } from '../utils/templateUtils';
+import { validateVoteLimits, buildVoteLimitsPayload } from '../utils/outcomeUtils';
+import { validateSharing, buildSharingPayload } from '../utils/sharingUtils';
+import { validatePollPassword, buildPasswordPayload } from '../utils/pollAccessUtils';
+import { validateTags } from '../utils/tagUtils';
+import { validatePollQuestions, buildPollQuestionsPayload } from '../utils/surveyUtils';
+import QuizSettings from './QuizSettings';
+import VoteLimitsSettings from './VoteLimitsSettings';
+import ResultsVisibilitySettings from './ResultsVisibilitySettings';
+import SharingSettings from './SharingSettings';
+import PollPasswordSettings from './PollPasswordSettings';
+import TagInput from './TagInput';
+import OptionImagePicker from './OptionImagePicker';
 import PageHeader from './PageHeader';
+import PollQuestionsEditor from './PollQuestionsEditor';
 
 // Helper function to convert datetime-local input value to proper format for backend
 const formatInputForBackend = (inputValue) => {
@@ -27,38 +45,85 @@ const getCurrentTimeForMin = () => {
 
 const CreatePoll = ({ socket }) => {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [loading, setLoading] = useState(false);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [templateName, setTemplateName] = useState(null); // Template the form was pre-filled from
   const [errors, setErrors] = useState({});
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: 'general',
+    tags: [],
     status: 'active',
+    starts_at: '', // Publish time when the poll is scheduled
     ends_at: '',
-    allow_multiple_votes: false,
-    show_results: true, // New field for result visibility
+    repeat: '', // Cadence of a recurring poll (empty for a one-off poll)
+    repeat_cron: '', // Cron expression of a recurring poll on a custom schedule
+    poll_type: 'single',
+    min_choices: 1,
+    max_choices: '', // Empty means no upper limit
+    results_visibility: 'always', // When voters get to see the results
+    visibility: 'public', // Who can open the poll
+    invitees: [], // Invite-only polls: usernames or emails
+    invited_domains: [],
+    password_protected: false, // Voters unlock the poll with a password
+    password: '',
+    allow_vote_changes: true,
+    allow_guest_votes: false, // People without an account may vote
+    anonymous: false,
+    is_quiz: false,
+    correct_option_ids: [],
+    quiz_points: 1,
+    time_limit_seconds: '', // Empty means untimed
+    reveal_answers: 'on_close',
+    max_votes: '', // Empty means no vote cap
+    quorum: '', // Empty means no quorum
     options: [
       { id: '1', text: '' },
       { id: '2', text: '' }
-    ]
+    ],
+    questions: [], // Follow-up questions, numbered from 2
+    branches: [] // Skip rules on the poll's own options
   });
 
-  const categories = [
-    { value: 'general', label: 'General' },
-    { value: 'technology', label: 'Technology' },
-    { value: 'politics', label: 'Politics' },
-    { value: 'entertainment', label: 'Entertainment' },
-    { value: 'sports', label: 'Sports' },
-    { value: 'business', label: 'Business' },
-    { value: 'other', label: 'Other' }
+  const pollTypes = [
+    { value: 'single', label: 'Single choice - Voters pick one option' },
+    { value: 'ranked', label: 'Ranked choice - Voters rank options, decided by instant runoff' },
+    { value: 'approval', label: 'Multiple choice - Voters select several options in one ballot' },
+    { value: 'rating', label: 'Star rating - Voters give a score from 1 to 5' },
+    { value: 'nps', label: 'Net Promoter Score - Voters give a score from 0 to 10' }
   ];
 
   const statusOptions = [
     { value: 'active', label: 'Active - Visible and accepting votes' },
+    { value: 'scheduled', label: 'Publish later - Goes live automatically at a set time' },
     { value: 'draft', label: 'Draft - Save for later editing' }
   ];
 
+  // "Create from template" links open this page with ?template=<id>
+  const templateId = searchParams.get('template');
+  useEffect(() => {
+    if (!templateId) return;
+
+    const loadTemplate = async () => {
+      try {
+        const response = await api.get(`/poll-templates/${templateId}`);
+        if (response.status >= 400) {
+          toast.error(response.data?.error || 'Failed to load template');
+          return;
+        }
+        setFormData(prev => ({ ...prev, ...templateToFormData(response.data.poll) }));
+        setTemplateName(response.data.name);
+      } catch (error) {
+        console.error('Error loading template:', error);
+        toast.error('Failed to load template');
+      }
+    };
+
+    loadTemplate();
+  }, [templateId]);
+
   const generateOptionId = () => {
     return Date.now().toString() + Math.random().toString(36).substr(2, 5);
   };
@@ -67,7 +132,9 @@ const CreatePoll = ({ socket }) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      // Skip rules refer to the poll's answers, which change with the voting method
+      ...(name === 'poll_type' && { branches: [] })
     }));
     
         // Clear specific field error when user starts typing
@@ -101,6 +168,27 @@ const CreatePoll = ({ socket }) => {
     }));
   };
 
+  // Replaced or removed pictures are cleaned up by the server
+  const handleOptionImageChange = (optionId, imageUrl) => {
+    setFormData(prev => ({
+      ...prev,
+      options: prev.options.map(option =>
+        option.id === optionId ? { ...option, image_url: imageUrl } : option
+      )
+    }));
+  };
+
+  const handleCorrectOptionToggle = (optionId) => {
+    setFormData(prev => ({
+      ...prev,
+      correct_option_ids: toggleCorrectOption(prev, optionId)
+    }));
+
+    if (errors.correct_option_ids) {
+      setErrors(prev => ({ ...prev, correct_option_ids: null }));
+    }
+  };
+
   const removeOption = (optionId) => {
     if (formData.options.length <= 2) {
       toast.error('A poll must have at least 2 options');
@@ -109,10 +197,19 @@ const CreatePoll = ({ socket }) => {
     
     setFormData(prev => ({
       ...prev,
-      options: prev.options.filter(option => option.id !== optionId)
+      options: prev.options.filter(option => option.id !== optionId),
+      branches: prev.branches.filter(branch => branch.option_id !== optionId)
     }));
   };
 
+  const handleQuestionsChange = (changes, errorKey) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+
+    if (errorKey && errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: null }));
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -129,26 +226,28 @@ const CreatePoll = ({ socket }) => {
       newErrors.description = 'Description must not exceed 500 characters';
     }
 
-    // Options validation
-    const validOptions = formData.options.filter(option => option.text.trim());
-    if (validOptions.length < 2) {
-      newErrors.options = 'At least 2 options are required';
-    }
-
-    // Individual option validation
-    formData.options.forEach(option => {
-      if (!option.text.trim()) {
-        newErrors[`option_${option.id}`] = 'Option text is required';
-      } else if (option.text.length > 100) {
-        newErrors[`option_${option.id}`] = 'Option text must not exceed 100 characters';
+    // Options validation (rating and NPS polls use a fixed score scale)
+    if (!isScorePoll(formData)) {
+      const validOptions = formData.options.filter(option => option.text.trim());
+      if (validOptions.length < 2) {
+        newErrors.options = 'At least 2 options are required';
       }
-    });
 
-    // Check for duplicate options
-    const optionTexts = formData.options.map(option => option.text.trim().toLowerCase());
-    const duplicates = optionTexts.filter((text, index) => optionTexts.indexOf(text) !== index);
-    if (duplicates.length > 0) {
-      newErrors.options = 'All options must be unique';
+      // Individual option validation
+      formData.options.forEach(option => {
+        if (!option.text.trim()) {
+          newErrors[`option_${option.id}`] = 'Option text is required';
+        } else if (option.text.length > 100) {
+          newErrors[`option_${option.id}`] = 'Option text must not exceed 100 characters';
+        }
+      });
+
+      // Check for duplicate options
+      const optionTexts = formData.options.map(option => option.text.trim().toLowerCase());
+      const duplicates = optionTexts.filter((text, index) => optionTexts.indexOf(text) !== index);
+      if (duplicates.length > 0) {
+        newErrors.options = 'All options must be unique';
+      }
     }
 
     // End date validation - fixed to properly handle timezone
@@ -167,10 +266,118 @@ const CreatePoll = ({ socket }) => {
       }
     }
 
+    // Scheduled polls need a publish time in the future that comes before the end date
+    Object.assign(newErrors, validateSchedule(formData));
+
+    if (formData.repeat && formData.status === 'draft') {
+      newErrors.repeat = 'Recurring polls open on their schedule and cannot be saved as drafts';
+    }
+
+    if (formData.repeat === CUSTOM_CADENCE) {
+      const cronError = validateCronCadence(formData.repeat_cron);
+      if (cronError) {
+        newErrors.repeat_cron = cronError;
+      }
+    }
+
+    // Selection limits for multiple choice polls
+    if (formData.poll_type === 'approval') {
+      const optionCount = formData.options.length;
+      const minChoices = Number(formData.min_choices);
+      if (!Number.isInteger(minChoices) || minChoices < 1 || minChoices > optionCount) {
+        newErrors.min_choices = `Minimum selections must be between 1 and ${optionCount}`;
+      }
+      if (formData.max_choices !== '') {
+        const maxChoices = Number(formData.max_choices);
+        if (!Number.isInteger(maxChoices) || maxChoices < minChoices || maxChoices > optionCount) {
+          newErrors.max_choices = `Maximum selections must be between ${minChoices} and ${optionCount}`;
+        }
+      }
+    }
+
+    // Quiz mode needs correct answers and sensible scoring
+    Object.assign(newErrors, validateQuizSettings(formData));
+
+    // Follow-up questions and skip logic (quizzes have neither)
+    Object.assign(newErrors, validatePollQuestions(formData));
+
+    // Optional vote cap and quorum
+    Object.assign(newErrors, validateVoteLimits(formData));
+
+    Object.assign(newErrors, validateTags(formData.tags));
+
+    // Invite-only polls need someone to invite and protected polls a password (recurring polls are public)
+    if (!formData.repeat) {
+      Object.assign(newErrors, validateSharing(formData));
+      Object.assign(newErrors, validatePollPassword(formData));
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Request payload for the poll described by the form
+  const buildPollPayload = () => ({
+    title: formData.title.trim(),
+    description: formData.description.trim(),
+    tags: formData.tags,
+    // The server keeps scheduled polls as drafts until their publish time
+    status: formData.status === 'scheduled' ? 'draft' : formData.status,
+    starts_at: formData.status === 'scheduled' ? formatInputForBackend(formData.starts_at) : null,
+    ends_at: formData.ends_at ? formatInputForBackend(formData.ends_at) : null,
+    poll_type: formData.poll_type,
+    ...(formData.poll_type === 'approval' && {
+      min_choices: Number(formData.min_choices),
+      max_choices: formData.max_choices === '' ? null : Number(formData.max_choices)
+    }),
+    results_visibility: formData.results_visibility,
+    allow_vote_changes: formData.allow_vote_changes,
+    allow_guest_votes: !formData.is_quiz && formData.allow_guest_votes,
+    anonymous: formData.anonymous,
+    ...buildQuizPayload(formData),
+    ...buildPollQuestionsPayload(formData),
+    ...buildVoteLimitsPayload(formData),
+    options: isScorePoll(formData) ? [] : formData.options
+      .filter(option => option.text.trim())
+      .map(option => ({
+        id: option.id,
+        text: option.text.trim(),
+        image_url: option.image_url || null,
+        votes: 0
+      }))
+  });
+
+  const handleSaveTemplate = async () => {
+    if (savingTemplate) return;
+
+    if (!validateForm()) {
+      toast.error('Please fix the form errors before saving a template');
+      return;
+    }
+
+    const name = window.prompt('Name this template', formData.title.trim());
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    setSavingTemplate(true);
+    try {
+      const response = await api.post('/poll-templates', { name: name.trim(), poll: buildPollPayload() });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to save template');
+        return;
+      }
+      toast.success('Template saved', {
+        description: `"${response.data.name}" is now in your templates`
+      });
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error('Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -184,25 +391,34 @@ const CreatePoll = ({ socket }) => {
     setLoading(true);
 
     try {
-      // Prepare poll data
-      const pollData = {
-        title: formData.title.trim(),
-        description: formData.description.trim(),
-        category: formData.category,
-        status: formData.status,
-        ends_at: formData.ends_at ? formatInputForBackend(formData.ends_at) : null,
-        allow_multiple_votes: formData.allow_multiple_votes,
-        show_results: formData.show_results, // Include result visibility
-        options: formData.options
-          .filter(option => option.text.trim())
-          .map(option => ({
-            id: option.id,
-            text: option.text.trim(),
-            votes: 0
-          }))
-      };
-
-      const response = await api.post('/polls', pollData);
+      const pollData = buildPollPayload();
+
+      // Recurring polls are saved as a series that opens a fresh poll every period
+      if (formData.repeat) {
+        const response = await api.post('/poll-series', {
+          ...pollData,
+          cadence: formData.repeat === CUSTOM_CADENCE ? formData.repeat_cron.trim() : formData.repeat,
+          first_run_at: pollData.starts_at
+        });
+        if (response.status >= 400) {
+          toast.error(response.data?.error || 'Failed to create recurring poll');
+          return;
+        }
+
+        toast.success('Recurring poll created!', {
+          description: response.data.run_count > 0
+            ? `The first "${response.data.template.title}" poll is now live`
+            : `The first poll opens on ${new Date(response.data.first_run_at).toLocaleString()}`
+        });
+        navigate(`/series/${response.data.id}`);
+        return;
+      }
+
+      const response = await api.post('/polls', { ...pollData, ...buildSharingPayload(formData), ...buildPasswordPayload(formData) });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to create poll');
+        return;
+      }
       const newPoll = response.data;
 
       // Emit real-time update if socket is available (but don't show duplicate toast)
@@ -211,7 +427,9 @@ const CreatePoll = ({ socket }) => {
       }
 
       toast.success('Poll created successfully!', {
-        description: `"${newPoll.title}" is now live`
+        description: newPoll.starts_at
+          ? `"${newPoll.title}" will be published on ${new Date(newPoll.starts_at).toLocaleString()}`
+          : `"${newPoll.title}" is now live`
       });
 
       // Navigate to the new poll
@@ -230,11 +448,31 @@ const CreatePoll = ({ socket }) => {
     setFormData({
       title: '',
       description: '',
-      category: 'general',
+      tags: [],
       status: 'active',
+      starts_at: '',
       ends_at: '',
-      allow_multiple_votes: false,
-      show_results: true, // Reset to default
+      repeat: '',
+      repeat_cron: '',
+      poll_type: 'single',
+      min_choices: 1,
+      max_choices: '',
+      results_visibility: 'always', // Reset to default
+      visibility: 'public',
+      invitees: [],
+      invited_domains: [],
+      password_protected: false,
+      password: '',
+      allow_vote_changes: true,
+      allow_guest_votes: false,
+      anonymous: false,
+      is_quiz: false,
+      correct_option_ids: [],
+      quiz_points: 1,
+      time_limit_seconds: '', // Empty means untimed
+      reveal_answers: 'on_close',
+      max_votes: '',
+      quorum: '',
       options: [
         { id: generateOptionId(), text: '' },
         { id: generateOptionId(), text: '' }
@@ -248,8 +486,24 @@ const CreatePoll = ({ socket }) => {
       <PageHeader
         title="Create New Poll"
         subtitle="Create an engaging poll and start collecting responses"
+        actions={
+          <Link
+            to="/templates"
+            className="btn-secondary inline-flex items-center px-4 py-2 rounded-lg font-medium"
+          >
+            <LayoutTemplate className="w-4 h-4 mr-2" />
+            Browse Templates
+          </Link>
+        }
       />
 
+      {templateName && (
+        <div className="mb-6 p-3 bg-blue-50 rounded-lg border border-blue-200 flex items-center text-sm text-blue-800">
+          <LayoutTemplate className="w-4 h-4 mr-2 flex-shrink-0" />
+          Started from the "{templateName}" template. Change anything you like before creating the poll.
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-8">
         {/* Basic Information Section */}
         <div className="card">
@@ -307,26 +561,13 @@ const CreatePoll = ({ socket }) => {
               <p className="mt-1 text-sm text-gray-500">{formData.description.length}/500 characters</p>
             </div>
 
-            {/* Category and Status */}
+            {/* Tags and Status */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label htmlFor="category" className="label">
-                  Category
-                </label>
-                <select
-                  id="category"
-                  name="category"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                  className="input"
-                >
-                  {categories.map(category => (
-                    <option key={category.value} value={category.value}>
-                      {category.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <TagInput
+                formData={formData}
+                errors={errors}
+                onChange={handleInputChange}
+              />
 
               <div>
                 <label htmlFor="status" className="label">
@@ -347,73 +588,128 @@ const CreatePoll = ({ socket }) => {
                 </select>
               </div>
             </div>
+
+            {/* Publish Time */}
+            {formData.status === 'scheduled' && (
+              <div>
+                <label htmlFor="starts_at" className="label">
+                  Publish At *
+                </label>
+                <input
+                  type="datetime-local"
+                  id="starts_at"
+                  name="starts_at"
+                  value={formData.starts_at}
+                  onChange={handleInputChange}
+                  className={`input ${errors.starts_at ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  min={getCurrentTimeForMin()}
+                />
+                {errors.starts_at && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.starts_at}
+                  </p>
+                )}
+                <p className="mt-1 text-sm text-gray-500">
+                  The poll stays hidden as a draft until then and you will be notified when it goes live
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
         {/* Poll Options Section */}
-        <div className="card">
-          <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
-              <Plus className="w-5 h-5 mr-2" />
-              Poll Options
-            </h2>
-            <button
-              type="button"
-              onClick={addOption}
-              className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all flex items-center"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              Add Option
-            </button>
-          </div>
+        {!isScorePoll(formData) && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+                <Plus className="w-5 h-5 mr-2" />
+                Poll Options
+              </h2>
+              <button
+                type="button"
+                onClick={addOption}
+                className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all flex items-center"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add Option
+              </button>
+            </div>
 
-          <div className="space-y-4">
-            {formData.options.map((option, index) => (
-              <div key={option.id} className="flex items-start space-x-4">
-                <div className="flex-shrink-0 w-8 h-10 bg-gray-100 rounded-lg flex items-center justify-center text-sm font-medium text-gray-600">
-                  {index + 1}
-                </div>
-                <div className="flex-1">
-                  <input
-                    type="text"
-                    value={option.text}
-                    onChange={(e) => handleOptionChange(option.id, e.target.value)}
-                    className={`input ${errors[`option_${option.id}`] ? 'border-red-300 focus:ring-red-500' : ''}`}
-                    placeholder={`Option ${index + 1}`}
-                    maxLength={100}
+            <div className="space-y-4">
+              {formData.options.map((option, index) => (
+                <div key={option.id} className="flex items-start space-x-4">
+                  <div className="flex-shrink-0 w-8 h-10 bg-gray-100 rounded-lg flex items-center justify-center text-sm font-medium text-gray-600">
+                    {index + 1}
+                  </div>
+                  <div className="flex-1">
+                    <input
+                      type="text"
+                      value={option.text}
+                      onChange={(e) => handleOptionChange(option.id, e.target.value)}
+                      className={`input ${errors[`option_${option.id}`] ? 'border-red-300 focus:ring-red-500' : ''}`}
+                      placeholder={`Option ${index + 1}`}
+                      maxLength={100}
+                    />
+                    {errors[`option_${option.id}`] && (
+                      <p className="mt-1 text-sm text-red-600 flex items-center">
+                        <AlertCircle className="w-4 h-4 mr-1" />
+                        {errors[`option_${option.id}`]}
+                      </p>
+                    )}
+                  </div>
+                  <OptionImagePicker
+                    imageUrl={option.image_url}
+                    optionLabel={option.text || `Option ${index + 1}`}
+                    onChange={(imageUrl) => handleOptionImageChange(option.id, imageUrl)}
                   />
-                  {errors[`option_${option.id}`] && (
-                    <p className="mt-1 text-sm text-red-600 flex items-center">
-                      <AlertCircle className="w-4 h-4 mr-1" />
-                      {errors[`option_${option.id}`]}
-                    </p>
+                  {isQuizEnabled(formData) && (
+                    <button
+                      type="button"
+                      onClick={() => handleCorrectOptionToggle(option.id)}
+                      className={`flex-shrink-0 p-2 transition-colors ${
+                        formData.correct_option_ids.includes(option.id) ? 'text-green-600' : 'text-gray-300 hover:text-green-500'
+                      }`}
+                      title={formData.correct_option_ids.includes(option.id) ? 'Correct answer' : 'Mark as correct answer'}
+                    >
+                      <CheckCircle className="w-5 h-5" />
+                    </button>
+                  )}
+                  {formData.options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => removeOption(option.id)}
+                      className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
+                      title="Remove option"
+                    >
+                      <X className="w-5 h-5" />
+                    </button>
                   )}
                 </div>
-                {formData.options.length > 2 && (
-                  <button
-                    type="button"
-                    onClick={() => removeOption(option.id)}
-                    className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
-                    title="Remove option"
-                  >
-                    <X className="w-5 h-5" />
-                  </button>
-                )}
-              </div>
-            ))}
+              ))}
 
-            {errors.options && (
-              <p className="text-sm text-red-600 flex items-center">
-                <AlertCircle className="w-4 h-4 mr-1" />
-                {errors.options}
-              </p>
-            )}
+              {errors.options && (
+                <p className="text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.options}
+                </p>
+              )}
 
-            <p className="text-sm text-gray-500">
-              Minimum 2 options required. You can add up to 10 options total.
-            </p>
+              <p className="text-sm text-gray-500">
+                Minimum 2 options required. You can add up to 10 options total.
+              </p>
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Follow-up Questions Section - quizzes are graded on a single question */}
+        {!formData.is_quiz && (
+          <PollQuestionsEditor
+            formData={formData}
+            errors={errors}
+            onChange={handleQuestionsChange}
+          />
+        )}
 
         {/* Advanced Settings Section */}
         <div className="card">
@@ -423,68 +719,260 @@ const CreatePoll = ({ socket }) => {
           </h2>
 
           <div className="space-y-6">
-            {/* End Date */}
+            {/* Repeat */}
             <div>
-              <label htmlFor="ends_at" className="label">
-                End Date (Optional)
+              <label htmlFor="repeat" className="label">
+                Repeat
               </label>
-              <input
-                type="datetime-local"
-                id="ends_at"
-                name="ends_at"
-                value={formData.ends_at}
+              <select
+                id="repeat"
+                name="repeat"
+                value={formData.repeat}
                 onChange={handleInputChange}
-                className={`input ${errors.ends_at ? 'border-red-300 focus:ring-red-500' : ''}`}
-                min={getCurrentTimeForMin()}
-              />
-              {errors.ends_at && (
+                className={`input ${errors.repeat ? 'border-red-300 focus:ring-red-500' : ''}`}
+              >
+                <option value="">Does not repeat</option>
+                {SERIES_CADENCES.map(cadence => (
+                  <option key={cadence.value} value={cadence.value}>
+                    {cadence.label}
+                  </option>
+                ))}
+                <option value={CUSTOM_CADENCE}>Custom schedule (cron expression)</option>
+              </select>
+              {errors.repeat && (
                 <p className="mt-1 text-sm text-red-600 flex items-center">
                   <AlertCircle className="w-4 h-4 mr-1" />
-                  {errors.ends_at}
+                  {errors.repeat}
                 </p>
               )}
+              {formData.repeat === CUSTOM_CADENCE && (
+                <>
+                  <input
+                    id="repeat_cron"
+                    name="repeat_cron"
+                    type="text"
+                    value={formData.repeat_cron}
+                    onChange={handleInputChange}
+                    placeholder="0 9 * * mon"
+                    aria-label="Cron expression"
+                    className={`input mt-2 font-mono ${errors.repeat_cron ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  />
+                  {errors.repeat_cron && (
+                    <p className="mt-1 text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.repeat_cron}
+                    </p>
+                  )}
+                </>
+              )}
               <p className="mt-1 text-sm text-gray-500">
-                Leave empty for polls that never expire
+                {formData.repeat
+                  ? 'A fresh poll opens every period and closes the previous one. The first opens now, or at the publish time if you schedule it.'
+                  : 'Ask the same poll again on a schedule, for example a sprint retro every two weeks'}
               </p>
             </div>
 
-            {/* Multiple Votes */}
+            {/* End Date - each run of a recurring poll ends when the next one opens */}
+            {!formData.repeat && (
+              <div>
+                <label htmlFor="ends_at" className="label">
+                  End Date (Optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  id="ends_at"
+                  name="ends_at"
+                  value={formData.ends_at}
+                  onChange={handleInputChange}
+                  className={`input ${errors.ends_at ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  min={getCurrentTimeForMin()}
+                />
+                {errors.ends_at && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.ends_at}
+                  </p>
+                )}
+                <p className="mt-1 text-sm text-gray-500">
+                  Leave empty for polls that never expire
+                </p>
+              </div>
+            )}
+
+            {/* Voting Method */}
+            <div>
+              <label htmlFor="poll_type" className="label">
+                Voting Method
+              </label>
+              <select
+                id="poll_type"
+                name="poll_type"
+                value={formData.poll_type}
+                onChange={handleInputChange}
+                className="input"
+              >
+                {pollTypes.map(pollType => (
+                  <option key={pollType.value} value={pollType.value}>
+                    {pollType.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Selection Limits */}
+            {formData.poll_type === 'approval' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="min_choices" className="label">
+                    Minimum selections
+                  </label>
+                  <input
+                    type="number"
+                    id="min_choices"
+                    name="min_choices"
+                    value={formData.min_choices}
+                    onChange={handleInputChange}
+                    className={`input ${errors.min_choices ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    min={1}
+                    max={formData.options.length}
+                  />
+                  {errors.min_choices && (
+                    <p className="mt-1 text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.min_choices}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="max_choices" className="label">
+                    Maximum selections (Optional)
+                  </label>
+                  <input
+                    type="number"
+                    id="max_choices"
+                    name="max_choices"
+                    value={formData.max_choices}
+                    onChange={handleInputChange}
+                    className={`input ${errors.max_choices ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    min={1}
+                    max={formData.options.length}
+                    placeholder="No limit"
+                  />
+                  {errors.max_choices && (
+                    <p className="mt-1 text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.max_choices}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Vote Cap and Quorum */}
+            <VoteLimitsSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+            />
+
+            {/* Quiz Mode */}
+            <QuizSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+            />
+
+            {/* Show Results */}
+            <ResultsVisibilitySettings
+              formData={formData}
+              onChange={handleInputChange}
+            />
+
+            {/* Sharing - recurring polls are always public */}
+            {formData.repeat ? (
+              <p className="text-sm text-gray-500">
+                Recurring polls are public. Create a one-off poll to share it by link, invitation or password.
+              </p>
+            ) : (
+              <>
+                <SharingSettings
+                  formData={formData}
+                  errors={errors}
+                  onChange={handleInputChange}
+                />
+                <PollPasswordSettings
+                  formData={formData}
+                  errors={errors}
+                  onChange={handleInputChange}
+                />
+              </>
+            )}
+
+            {/* Vote Changes */}
             <div className="flex items-start space-x-3">
               <input
                 type="checkbox"
-                id="allow_multiple_votes"
-                name="allow_multiple_votes"
-                checked={formData.allow_multiple_votes}
+                id="allow_vote_changes"
+                name="allow_vote_changes"
+                checked={formData.allow_vote_changes}
                 onChange={handleInputChange}
                 className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
               />
               <div>
-                <label htmlFor="allow_multiple_votes" className="block text-sm font-medium text-gray-700">
-                  Allow multiple votes
+                <label htmlFor="allow_vote_changes" className="block text-sm font-medium text-gray-700">
+                  Allow vote changes
                 </label>
                 <p className="text-sm text-gray-500">
-                  Allow users to select multiple options in this poll
+                  Let voters change or withdraw their vote while the poll is active.
                 </p>
               </div>
             </div>
 
-            {/* Show Results */}
+            {/* Guest Voting - quizzes are graded per account */}
+            {!formData.is_quiz && (
+              <div className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  id="allow_guest_votes"
+                  name="allow_guest_votes"
+                  checked={formData.allow_guest_votes}
+                  onChange={handleInputChange}
+                  className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div>
+                  <label htmlFor="allow_guest_votes" className="block text-sm font-medium text-gray-700">
+                    Allow guest voting
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    People without an account can vote once through the poll's public page. Not available on password-protected polls.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Anonymous Voting */}
             <div className="flex items-start space-x-3">
               <input
                 type="checkbox"
-                id="show_results"
-                name="show_results"
-                checked={formData.show_results}
+                id="anonymous"
+                name="anonymous"
+                checked={formData.anonymous}
                 onChange={handleInputChange}
                 className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
               />
               <div>
-                <label htmlFor="show_results" className="block text-sm font-medium text-gray-700">
-                  Public results
+                <label htmlFor="anonymous" className="block text-sm font-medium text-gray-700">
+                  Anonymous voting
                 </label>
                 <p className="text-sm text-gray-500">
-                  Allow anyone to view the poll results. When disabled, only you can see the results.
+                  Votes are not linked to voters, not even for you. This cannot be changed once votes are cast.
                 </p>
+                {errors.anonymous && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.anonymous}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -501,6 +989,15 @@ const CreatePoll = ({ socket }) => {
           </button>
           
           <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={handleSaveTemplate}
+              disabled={savingTemplate}
+              className="btn-secondary px-6 py-3 rounded-lg font-medium transition-all disabled:opacity-50 flex items-center"
+            >
+              <BookmarkPlus className="w-4 h-4 mr-2" />
+              Save as Template
+            </button>
             <button
               type="button"
               onClick={() => navigate('/')}
@@ -0,0 +1,346 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Plus, Settings, AlertCircle } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { createFormQuestion, validateFormQuestion, buildQuestionsPayload } from '../utils/surveyUtils';
+import SurveyQuestionEditor from './SurveyQuestionEditor';
+import PageHeader from './PageHeader';
+
+// Helper function to get current time formatted for min attribute
+const getCurrentTimeForMin = () => {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+};
+
+const CreateSurvey = () => {
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    status: 'active',
+    ends_at: '',
+    show_results: true,
+    questions: [createFormQuestion()]
+  });
+
+  const statusOptions = [
+    { value: 'active', label: 'Active - Visible and accepting responses' },
+    { value: 'draft', label: 'Draft - Only visible to you' }
+  ];
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const updateQuestion = (questionId, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map(question =>
+        question.id === questionId ? { ...question, ...changes } : question
+      )
+    }));
+
+    if (errors[`question_${questionId}`]) {
+      setErrors(prev => ({ ...prev, [`question_${questionId}`]: null }));
+    }
+  };
+
+  const addQuestion = () => {
+    if (formData.questions.length >= 50) {
+      toast.error('A survey can have at most 50 questions');
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      questions: [...prev.questions, createFormQuestion()]
+    }));
+  };
+
+  const removeQuestion = (questionId) => {
+    if (formData.questions.length <= 1) {
+      toast.error('A survey must have at least 1 question');
+      return;
+    }
+    // Skip rules pointing at the removed question go with it
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions
+        .filter(question => question.id !== questionId)
+        .map(question => ({
+          ...question,
+          branches: question.branches.filter(branch => branch.next_question_id !== questionId)
+        }))
+    }));
+  };
+
+  const moveQuestion = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= formData.questions.length) return;
+    setFormData(prev => {
+      const questions = [...prev.questions];
+      [questions[index], questions[target]] = [questions[target], questions[index]];
+      return { ...prev, questions };
+    });
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Survey title is required';
+    } else if (formData.title.length > 200) {
+      newErrors.title = 'Title must not exceed 200 characters';
+    }
+
+    if (formData.description && formData.description.length > 500) {
+      newErrors.description = 'Description must not exceed 500 characters';
+    }
+
+    if (formData.ends_at && new Date(formData.ends_at) < new Date(Date.now() + 60000)) {
+      newErrors.ends_at = 'End date must be in the future (at least 1 minute from now)';
+    }
+
+    formData.questions.forEach((question, index) => {
+      const error = validateFormQuestion(question, index, formData.questions);
+      if (error) {
+        newErrors[`question_${question.id}`] = error;
+      }
+    });
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (loading) return;
+
+    if (!validateForm()) {
+      toast.error('Please fix the form errors before submitting');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const surveyData = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        status: formData.status,
+        ends_at: formData.ends_at ? new Date(formData.ends_at).toISOString() : null,
+        show_results: formData.show_results,
+        questions: buildQuestionsPayload(formData.questions)
+      };
+
+      const response = await api.post('/surveys', surveyData);
+      toast.success('Survey created successfully!', {
+        description: `"${response.data.title}" has ${response.data.questions.length} questions`
+      });
+      navigate(`/survey/${response.data.id}`);
+    } catch (error) {
+      console.error('Error creating survey:', error);
+      const message = error.response?.data?.error || 'Failed to create survey';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <PageHeader
+        title="Create New Survey"
+        subtitle="Combine several questions that respondents answer in one submission"
+      />
+
+      <form onSubmit={handleSubmit} className="space-y-8">
+        {/* Basic Information Section */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
+            <Settings className="w-5 h-5 mr-2" />
+            Basic Information
+          </h2>
+
+          <div className="space-y-6">
+            {/* Title */}
+            <div>
+              <label htmlFor="title" className="label">
+                Survey Title *
+              </label>
+              <input
+                type="text"
+                id="title"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className={`input ${errors.title ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="What is this survey about?"
+                maxLength={200}
+              />
+              {errors.title && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.title}
+                </p>
+              )}
+            </div>
+
+            {/* Description */}
+            <div>
+              <label htmlFor="description" className="label">
+                Description (Optional)
+              </label>
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                rows={3}
+                className={`input resize-none ${errors.description ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="Tell respondents why you are asking (optional)"
+                maxLength={500}
+              />
+              {errors.description && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.description}
+                </p>
+              )}
+            </div>
+
+            {/* Status and End Date */}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="status" className="label">
+                  Status
+                </label>
+                <select
+                  id="status"
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                  className="input"
+                >
+                  {statusOptions.map(status => (
+                    <option key={status.value} value={status.value}>
+                      {status.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="ends_at" className="label">
+                  End Date (Optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  id="ends_at"
+                  name="ends_at"
+                  value={formData.ends_at}
+                  onChange={handleInputChange}
+                  className={`input ${errors.ends_at ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  min={getCurrentTimeForMin()}
+                />
+                {errors.ends_at && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.ends_at}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            {/* Show Results */}
+            <div className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                id="show_results"
+                name="show_results"
+                checked={formData.show_results}
+                onChange={handleInputChange}
+                className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div>
+                <label htmlFor="show_results" className="block text-sm font-medium text-gray-700">
+                  Public results
+                </label>
+                <p className="text-sm text-gray-500">
+                  Allow anyone to view the survey results. When disabled, only you can see the results.
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Questions Section */}
+        {formData.questions.map((question, index) => (
+          <SurveyQuestionEditor
+            key={question.id}
+            question={question}
+            index={index}
+            questions={formData.questions}
+            error={errors[`question_${question.id}`]}
+            onChange={(changes) => updateQuestion(question.id, changes)}
+            onMove={(direction) => moveQuestion(index, direction)}
+            onRemove={() => removeQuestion(question.id)}
+          />
+        ))}
+
+        <button
+          type="button"
+          onClick={addQuestion}
+          className="btn-secondary w-full px-4 py-3 rounded-lg font-medium transition-all flex items-center justify-center"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add Question
+        </button>
+
+        {/* Form Actions */}
+        <div className="flex items-center justify-end space-x-4 pt-6">
+          <button
+            type="button"
+            onClick={() => navigate('/surveys')}
+            className="px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-all flex items-center"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn-primary px-6 py-3 rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center min-w-[160px]"
+          >
+            {loading ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Creating Survey...
+              </>
+            ) : (
+              'Create Survey'
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateSurvey;
@@ -1,36 +1,40 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { Plus, BarChart3, Users, Activity, Search } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
 import PollCard from './PollCard';
 import PageHeader from './PageHeader';
+import { isInCurrentWorkspace } from '../utils/workspaceUtils';
+import { SEARCH_SORTS, usePollSearch } from '../utils/searchUtils';
 
 const Dashboard = ({ socket }) => {
-  const [polls, setPolls] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('all');
+  const [selectedTag, setSelectedTag] = useState('all');
+  const [sort, setSort] = useState('relevance');
+  const [popularTags, setPopularTags] = useState([]);
   const [stats, setStats] = useState({
     totalPolls: 0,
     totalVotes: 0,
     recentActivity: 0
   });
 
-  const categories = [
-    { value: 'all', label: 'All Categories' },
-    { value: 'general', label: 'General' },
-    { value: 'technology', label: 'Technology' },
-    { value: 'politics', label: 'Politics' },
-    { value: 'entertainment', label: 'Entertainment' },
-    { value: 'sports', label: 'Sports' },
-    { value: 'business', label: 'Business' },
-    { value: 'other', label: 'Other' }
-  ];
+  // The server searches and pages the polls as the filters change
+  const { polls, setPolls, total, hasMore, loading, searching, loadingMore, loadMore, refresh } = usePollSearch({
+    q: searchTerm,
+    tag: selectedTag,
+    sort
+  });
+
+  // Live updates only add new polls to the unfiltered list, where they belong at the top
+  const isUnfilteredRef = useRef(true);
+  useEffect(() => {
+    isUnfilteredRef.current = !searchTerm.trim() && selectedTag === 'all' && sort !== 'votes';
+  }, [searchTerm, selectedTag, sort]);
 
   useEffect(() => {
-    fetchPolls();
     fetchStats();
+    fetchPopularTags();
     
     // Track that user visited Dashboard page
     sessionStorage.setItem('lastVisitedPage', '/');
@@ -38,8 +42,8 @@ const Dashboard = ({ socket }) => {
     // Listen for real-time poll updates
     if (socket) {
       socket.on('newPoll', (poll) => {
-        // Only add non-draft polls to prevent draft polls from appearing
-        if (poll.status !== 'draft') {
+        // Only add non-draft polls of the current workspace to prevent other polls from appearing
+        if (poll.status !== 'draft' && isInCurrentWorkspace(poll) && isUnfilteredRef.current) {
           setPolls(prev => [poll, ...prev]);
         }
         // No toast here - CreatePoll component already shows success message
@@ -66,7 +70,7 @@ const Dashboard = ({ socket }) => {
         socket.off('pollClosed');
       };
     }
-  }, [socket]);
+  }, [socket, setPolls]);
 
   // Listen for storage events to refresh data when returning from poll pages
   useEffect(() => {
@@ -75,16 +79,18 @@ const Dashboard = ({ socket }) => {
         // Clear the flag
         localStorage.removeItem('pollDataChanged');
         // Refresh poll data
-        fetchPolls();
+        refresh();
         fetchStats();
+        fetchPopularTags();
       }
     };
 
     const handleWindowFocus = () => {
       if (localStorage.getItem('pollDataChanged') === 'true') {
         localStorage.removeItem('pollDataChanged');
-        fetchPolls();
+        refresh();
         fetchStats();
+        fetchPopularTags();
       }
     };
 
@@ -95,20 +101,17 @@ const Dashboard = ({ socket }) => {
       window.removeEventListener('storage', handleStorageChange);
       window.removeEventListener('focus', handleWindowFocus);
     };
-  }, []);
+  }, [refresh]);
 
-  const fetchPolls = async () => {
+  // Most used tags of the workspace, offered as filter tabs
+  const fetchPopularTags = async () => {
     try {
-      // Use the special endpoint for dashboard
-      const response = await api.get('/polls/dashboard');
-      // Additional frontend filter to ensure no draft polls are displayed
-      const publicPolls = response.data.filter(poll => poll.status !== 'draft');
-      setPolls(publicPolls);
+      const response = await api.get('/tags', { params: { limit: 12 } });
+      if (response.status < 400) {
+        setPopularTags(response.data);
+      }
     } catch (error) {
-      console.error('Error fetching polls:', error);
-      toast.error('Failed to load polls');
-    } finally {
-      setLoading(false);
+      console.error('Error fetching tags:', error);
     }
   };
 
@@ -136,13 +139,6 @@ const Dashboard = ({ socket }) => {
     }
   };
 
-  const filteredPolls = polls.filter(poll => {
-    const matchesSearch = poll.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         poll.description?.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = selectedCategory === 'all' || poll.category === selectedCategory;
-    return matchesSearch && matchesCategory;
-  });
-
   const StatCard = ({ icon: Icon, title, value, color }) => (
     <div className="card">
       <div className="flex items-center">
@@ -260,19 +256,31 @@ const Dashboard = ({ socket }) => {
             />
           </div>
 
-          {/* Category Tabs */}
+          {/* Sort Order */}
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="block py-3 px-3 border border-gray-300 rounded-lg bg-white text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-sm lg:mx-4"
+            aria-label="Sort polls"
+          >
+            {SEARCH_SORTS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+
+          {/* Tag Tabs */}
           <div className="flex flex-wrap gap-2">
-            {categories.map(category => (
+            {[{ tag: 'all' }, ...popularTags].map(({ tag }) => (
               <button
-                key={category.value}
-                onClick={() => setSelectedCategory(category.value)}
+                key={tag}
+                onClick={() => setSelectedTag(tag)}
                 className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
-                  selectedCategory === category.value
+                  selectedTag === tag
                     ? 'bg-blue-600 text-white shadow-sm'
                     : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                 }`}
               >
-                {category.label}
+                {tag === 'all' ? 'All Tags' : `#${tag}`}
               </button>
             ))}
           </div>
@@ -282,14 +290,17 @@ const Dashboard = ({ socket }) => {
       {/* Results Summary */}
       <div className="flex items-center justify-between">
         <p className="text-sm text-gray-600">
-          Showing {filteredPolls.length} of {polls.length} polls
+          Showing {polls.length} of {total} polls
           {searchTerm && ` for "${searchTerm}"`}
-          {selectedCategory !== 'all' && ` in ${categories.find(c => c.value === selectedCategory)?.label}`}
+          {selectedTag !== 'all' && ` tagged #${selectedTag}`}
         </p>
+        {searching && (
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
+        )}
       </div>
 
       {/* Polls Grid */}
-      {filteredPolls.length === 0 ? (
+      {polls.length === 0 ? (
         <div className="text-center py-12">
           <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-6">
             <BarChart3 className="w-12 h-12 text-gray-400" />
@@ -315,11 +326,23 @@ const Dashboard = ({ socket }) => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {filteredPolls.map((poll) => (
+          {polls.map((poll) => (
             <PollCard key={poll.id} poll={poll} />
           ))}
         </div>
       )}
+
+      {hasMore && (
+        <div className="text-center">
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-all disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load More Polls'}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { X, Copy, Image, Tag, ArrowRight } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { pollHasImages } from '../utils/optionImageUtils';
+import { getPollTags } from '../utils/tagUtils';
+
+const DuplicatePollModal = ({ isOpen, onClose, poll }) => {
+  const navigate = useNavigate();
+  const [includeImages, setIncludeImages] = useState(true);
+  const [includeTags, setIncludeTags] = useState(true);
+  const [isDuplicating, setIsDuplicating] = useState(false);
+
+  const handleDuplicate = async () => {
+    if (!poll) return;
+
+    setIsDuplicating(true);
+
+    try {
+      const response = await api.post(`/polls/${poll.id}/clone`, {
+        include_images: includeImages,
+        include_tags: includeTags
+      });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to duplicate poll');
+        return;
+      }
+
+      toast.success('Poll duplicated', {
+        description: 'The copy was saved as a draft - review it before publishing'
+      });
+      onClose();
+      navigate(`/poll/${response.data.id}/edit`, { state: { from: '/my-polls' } });
+    } catch (error) {
+      console.error('Duplicate poll error:', error);
+      toast.error('Failed to duplicate poll. Please try again.');
+    } finally {
+      setIsDuplicating(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const hasImages = poll ? pollHasImages(poll) : false;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Duplicate Poll</h2>
+            <p className="text-sm text-gray-600 mt-1">Create a new draft with the same questions and settings</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        {/* Poll Info */}
+        <div className="p-6 bg-gray-50 border-b border-gray-200">
+          <h3 className="font-medium text-gray-900 mb-1">{poll?.title}</h3>
+          <div className="flex items-center space-x-4 text-sm text-gray-600">
+            <span>{poll?.options?.length} options</span>
+            <span>•</span>
+            <span>Votes are not copied</span>
+          </div>
+        </div>
+
+        {/* Copy Options */}
+        <div className="p-6 space-y-4">
+          {hasImages && (
+            <label className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={includeImages}
+                onChange={(e) => setIncludeImages(e.target.checked)}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <div>
+                <div className="flex items-center font-medium text-gray-900">
+                  <Image className="w-4 h-4 mr-2 text-gray-500" />
+                  Include option images
+                </div>
+                <p className="text-sm text-gray-600">Otherwise the copy starts with text-only options</p>
+              </div>
+            </label>
+          )}
+
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeTags}
+              onChange={(e) => setIncludeTags(e.target.checked)}
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            <div>
+              <div className="flex items-center font-medium text-gray-900">
+                <Tag className="w-4 h-4 mr-2 text-gray-500" />
+                Keep tags
+              </div>
+              <p className="text-sm text-gray-600">
+                Otherwise the copy starts without tags
+                {getPollTags(poll).length > 0 && <span> instead of {getPollTags(poll).map(tag => `#${tag}`).join(', ')}</span>}
+              </p>
+            </div>
+          </label>
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-between p-6 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors"
+          >
+            Cancel
+          </button>
+
+          <button
+            onClick={handleDuplicate}
+            disabled={isDuplicating}
+            className="btn-primary inline-flex items-center px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isDuplicating ? (
+              <>
+                <div className="w-4 h-4 mr-2 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                Duplicating...
+              </>
+            ) : (
+              <>
+                <Copy className="w-4 h-4 mr-2" />
+                Duplicate as Draft
+                <ArrowRight className="w-4 h-4 ml-2" />
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicatePollModal;
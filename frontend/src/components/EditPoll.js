@@ -1,9 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { ArrowLeft, Plus, X, Calendar, Settings, AlertCircle } from 'lucide-react';
+import { ArrowLeft, Plus, X, Calendar, Settings, AlertCircle, CheckCircle } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
+import { isScorePoll } from '../utils/scoreUtils';
+import { isQuizEnabled, toggleCorrectOption, validateQuizSettings, buildQuizPayload } from '../utils/quizUtils';
+import { validateSchedule, getPollDisplayStatus } from '../utils/scheduleUtils';
+import { getRemovedVotedOptions, validateOptionRemovals, buildRemovedOptionsPayload } from '../utils/revisionUtils';
+import { validateVoteLimits, buildVoteLimitsPayload } from '../utils/outcomeUtils';
+import { getResultsVisibility } from '../utils/resultsVisibilityUtils';
+import { validateSharing, sharingToFormData, buildSharingPayload } from '../utils/sharingUtils';
+import { validatePollPassword, buildPasswordPayload } from '../utils/pollAccessUtils';
+import { getPollTags, validateTags } from '../utils/tagUtils';
+import { validatePollQuestions, buildPollQuestionsPayload, pollToFormQuestions } from '../utils/surveyUtils';
+import QuizSettings from './QuizSettings';
+import VoteLimitsSettings from './VoteLimitsSettings';
+import ResultsVisibilitySettings from './ResultsVisibilitySettings';
+import SharingSettings from './SharingSettings';
+import PollPasswordSettings from './PollPasswordSettings';
+import TagInput from './TagInput';
+import OptionImagePicker from './OptionImagePicker';
+import PollCollaborators from './PollCollaborators';
 import PageHeader from './PageHeader';
+import PollQuestionsEditor from './PollQuestionsEditor';
 
 // Helper function to format date for datetime-local input
 const formatDateForInput = (dateString) => {
@@ -45,34 +64,61 @@ const EditPoll = ({ socket }) => {
   const [saving, setSaving] = useState(false);
   const [errors, setErrors] = useState({});
   const [poll, setPoll] = useState(null);
+  const [voteDecisions, setVoteDecisions] = useState({}); // Removed option id -> option taking its votes, or 'discard'
   
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    category: 'general',
+    tags: [],
     status: 'active',
+    starts_at: '', // Publish time when the poll is scheduled
     ends_at: '',
+    poll_type: 'single',
+    min_choices: 1,
+    max_choices: '', // Empty means no upper limit
     allow_multiple_votes: false,
-    show_results: true, // New field for result visibility
-    options: []
+    results_visibility: 'always', // When voters get to see the results
+    visibility: 'public', // Who can open the poll
+    invitees: [], // Invite-only polls: usernames or emails
+    invited_domains: [],
+    password_protected: false, // Voters unlock the poll with a password
+    password: '',
+    allow_vote_changes: true,
+    allow_guest_votes: false, // People without an account may vote
+    anonymous: false,
+    is_quiz: false,
+    correct_option_ids: [],
+    quiz_points: 1,
+    time_limit_seconds: '', // Empty means untimed
+    reveal_answers: 'on_close',
+    max_votes: '', // Empty means no vote cap
+    quorum: '', // Empty means no quorum
+    options: [],
+    questions: [], // Follow-up questions, numbered from 2
+    branches: [] // Skip rules on the poll's own options
   });
 
-  const categories = [
-    { value: 'general', label: 'General' },
-    { value: 'technology', label: 'Technology' },
-    { value: 'politics', label: 'Politics' },
-    { value: 'entertainment', label: 'Entertainment' },
-    { value: 'sports', label: 'Sports' },
-    { value: 'business', label: 'Business' },
-    { value: 'other', label: 'Other' }
+  const pollTypes = [
+    { value: 'single', label: 'Single choice - Voters pick one option' },
+    { value: 'ranked', label: 'Ranked choice - Voters rank options, decided by instant runoff' },
+    { value: 'approval', label: 'Multiple choice - Voters select several options in one ballot' },
+    { value: 'rating', label: 'Star rating - Voters give a score from 1 to 5' },
+    { value: 'nps', label: 'Net Promoter Score - Voters give a score from 0 to 10' }
   ];
 
   const statusOptions = [
     { value: 'active', label: 'Active - Visible and accepting votes' },
+    // Only polls nobody has voted on yet can be scheduled
+    ...(!poll || poll.total_votes === 0
+      ? [{ value: 'scheduled', label: 'Publish later - Goes live automatically at a set time' }]
+      : []),
     { value: 'closed', label: 'Closed - Visible but not accepting votes' },
     { value: 'draft', label: 'Draft - Save for later editing' }
   ];
 
+  // Score polls keep their fixed scale, so only choice options can be removed
+  const removedVotedOptions = poll && !isScorePoll(formData) ? getRemovedVotedOptions(poll.options, formData.options) : [];
+
   // Enhanced smart navigation back function
   const handleBackNavigation = () => {
     const referrer = location.state?.from;
@@ -129,9 +175,8 @@ const EditPoll = ({ socket }) => {
       const response = await api.get(`/polls/${id}`);
       const pollData = response.data;
       
-      // Check if user owns this poll
-      const user = JSON.parse(sessionStorage.getItem('user') || '{}');
-      if (pollData.creator !== user.id) {
+      // Check if user owns this poll, edits it as a collaborator or is an admin of its workspace
+      if (!pollData.can_manage) {
         toast.error('You can only edit your own polls');
         navigate('/my-polls');
         return;
@@ -151,12 +196,30 @@ const EditPoll = ({ socket }) => {
       setFormData({
         title: pollData.title || '',
         description: pollData.description || '',
-        category: pollData.category || 'general',
-        status: pollData.status || 'active',
+        tags: getPollTags(pollData),
+        status: getPollDisplayStatus(pollData),
+        starts_at: pollData.starts_at ? formatDateForInput(pollData.starts_at) : '',
         ends_at: pollData.ends_at ? formatDateForInput(pollData.ends_at) : '',
+        poll_type: pollData.poll_type || 'single',
+        min_choices: pollData.min_choices || 1,
+        max_choices: pollData.max_choices || '',
         allow_multiple_votes: pollData.allow_multiple_votes || false,
-        show_results: pollData.show_results !== undefined ? pollData.show_results : true, // Handle existing polls
-        options: pollData.options || []
+        results_visibility: getResultsVisibility(pollData), // Handle existing polls
+        ...sharingToFormData(pollData),
+        password_protected: Boolean(pollData.password_protected),
+        password: '', // Never sent back by the server; blank keeps the current password
+        allow_vote_changes: pollData.allow_vote_changes !== false,
+        allow_guest_votes: Boolean(pollData.allow_guest_votes),
+        anonymous: pollData.anonymous || false,
+        is_quiz: pollData.is_quiz || false,
+        correct_option_ids: pollData.correct_option_ids || [],
+        quiz_points: pollData.quiz_points || 1,
+        time_limit_seconds: pollData.time_limit_seconds || '',
+        reveal_answers: pollData.reveal_answers || 'on_close',
+        max_votes: pollData.max_votes || '',
+        quorum: pollData.quorum || '',
+        options: pollData.options || [],
+        ...pollToFormQuestions(pollData)
       });
     } catch (error) {
       console.error('Error fetching poll:', error);
@@ -180,7 +243,9 @@ const EditPoll = ({ socket }) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      // Skip rules refer to the poll's answers, which change with the voting method
+      ...(name === 'poll_type' && { branches: [] })
     }));
     
     // Clear specific field error when user starts typing
@@ -215,18 +280,60 @@ const EditPoll = ({ socket }) => {
     }));
   };
 
+  // Replaced or removed pictures are cleaned up by the server
+  const handleOptionImageChange = (optionId, imageUrl) => {
+    setFormData(prev => ({
+      ...prev,
+      options: prev.options.map(option =>
+        option.id === optionId ? { ...option, image_url: imageUrl } : option
+      )
+    }));
+  };
+
+  const handleCorrectOptionToggle = (optionId) => {
+    setFormData(prev => ({
+      ...prev,
+      correct_option_ids: toggleCorrectOption(prev, optionId)
+    }));
+
+    if (errors.correct_option_ids) {
+      setErrors(prev => ({ ...prev, correct_option_ids: null }));
+    }
+  };
+
   const removeOption = (optionId) => {
     if (formData.options.length <= 2) {
       toast.error('A poll must have at least 2 options');
       return;
     }
+
+    // Answers already given to a quiz would have to be regraded
+    if (poll?.is_quiz && poll.options.some(option => option.id === optionId && option.votes > 0)) {
+      toast.error('Options that have already been answered cannot be removed from a quiz');
+      return;
+    }
+
+    // Moved votes would no longer match the follow-up questions their voters answered
+    if (poll?.total_votes > 0 && formData.questions.length > 0) {
+      toast.error('Options cannot be removed once a poll with follow-up questions has votes');
+      return;
+    }
     
     setFormData(prev => ({
       ...prev,
-      options: prev.options.filter(option => option.id !== optionId)
+      options: prev.options.filter(option => option.id !== optionId),
+      branches: prev.branches.filter(branch => branch.option_id !== optionId)
     }));
   };
 
+  const handleQuestionsChange = (changes, errorKey) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+
+    if (errorKey && errors[errorKey]) {
+      setErrors(prev => ({ ...prev, [errorKey]: null }));
+    }
+  };
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -243,26 +350,28 @@ const EditPoll = ({ socket }) => {
       newErrors.description = 'Description must not exceed 500 characters';
     }
 
-    // Options validation
-    const validOptions = formData.options.filter(option => option.text.trim());
-    if (validOptions.length < 2) {
-      newErrors.options = 'At least 2 options are required';
-    }
-
-    // Individual option validation
-    formData.options.forEach(option => {
-      if (!option.text.trim()) {
-        newErrors[`option_${option.id}`] = 'Option text is required';
-      } else if (option.text.length > 100) {
-        newErrors[`option_${option.id}`] = 'Option text must not exceed 100 characters';
+    // Options validation (rating and NPS polls use a fixed score scale)
+    if (!isScorePoll(formData)) {
+      const validOptions = formData.options.filter(option => option.text.trim());
+      if (validOptions.length < 2) {
+        newErrors.options = 'At least 2 options are required';
       }
-    });
 
-    // Check for duplicate options
-    const optionTexts = formData.options.map(option => option.text.trim().toLowerCase());
-    const duplicates = optionTexts.filter((text, index) => optionTexts.indexOf(text) !== index);
-    if (duplicates.length > 0) {
-      newErrors.options = 'All options must be unique';
+      // Individual option validation
+      formData.options.forEach(option => {
+        if (!option.text.trim()) {
+          newErrors[`option_${option.id}`] = 'Option text is required';
+        } else if (option.text.length > 100) {
+          newErrors[`option_${option.id}`] = 'Option text must not exceed 100 characters';
+        }
+      });
+
+      // Check for duplicate options
+      const optionTexts = formData.options.map(option => option.text.trim().toLowerCase());
+      const duplicates = optionTexts.filter((text, index) => optionTexts.indexOf(text) !== index);
+      if (duplicates.length > 0) {
+        newErrors.options = 'All options must be unique';
+      }
     }
 
     // End date validation - fixed to properly handle timezone
@@ -281,6 +390,46 @@ const EditPoll = ({ socket }) => {
       }
     }
 
+    // Scheduled polls need a publish time in the future that comes before the end date
+    Object.assign(newErrors, validateSchedule(formData));
+
+    // Selection limits for multiple choice polls
+    if (formData.poll_type === 'approval') {
+      const optionCount = formData.options.length;
+      const minChoices = Number(formData.min_choices);
+      if (!Number.isInteger(minChoices) || minChoices < 1 || minChoices > optionCount) {
+        newErrors.min_choices = `Minimum selections must be between 1 and ${optionCount}`;
+      }
+      if (formData.max_choices !== '') {
+        const maxChoices = Number(formData.max_choices);
+        if (!Number.isInteger(maxChoices) || maxChoices < minChoices || maxChoices > optionCount) {
+          newErrors.max_choices = `Maximum selections must be between ${minChoices} and ${optionCount}`;
+        }
+      }
+    }
+
+    // Quiz mode needs correct answers and sensible scoring
+    Object.assign(newErrors, validateQuizSettings(formData));
+
+    // Follow-up questions and skip logic can only change before anyone has voted
+    if (!poll?.total_votes) {
+      Object.assign(newErrors, validatePollQuestions(formData));
+    }
+
+    // The vote cap can change at any time but must stay above the votes already cast
+    Object.assign(newErrors, validateVoteLimits(formData, poll?.total_votes || 0));
+
+    Object.assign(newErrors, validateTags(formData.tags));
+
+    // Invite-only polls need someone to invite
+    Object.assign(newErrors, validateSharing(formData));
+
+    // A new password is only needed when the poll did not have one
+    Object.assign(newErrors, validatePollPassword(formData, poll?.password_protected));
+
+    // Votes on removed options must be moved to another option or discarded
+    Object.assign(newErrors, validateOptionRemovals(removedVotedOptions, voteDecisions, formData.options));
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -300,20 +449,41 @@ const EditPoll = ({ socket }) => {
       const pollData = {
         title: formData.title.trim(),
         description: formData.description.trim(),
-        category: formData.category,
-        status: formData.status,
+        tags: formData.tags,
+        // The server keeps scheduled polls as drafts until their publish time
+        status: formData.status === 'scheduled' ? 'draft' : formData.status,
+        starts_at: formData.status === 'scheduled' ? formatInputForBackend(formData.starts_at) : null,
         ends_at: formData.ends_at ? formatInputForBackend(formData.ends_at) : null,
-        allow_multiple_votes: formData.allow_multiple_votes,
-        show_results: formData.show_results, // Include result visibility
-        options: formData.options
+        poll_type: formData.poll_type,
+        ...(formData.poll_type === 'approval' && {
+          min_choices: Number(formData.min_choices),
+          max_choices: formData.max_choices === '' ? null : Number(formData.max_choices)
+        }),
+        allow_multiple_votes: formData.poll_type === 'single' && formData.allow_multiple_votes,
+        results_visibility: formData.results_visibility,
+        allow_vote_changes: formData.allow_vote_changes,
+      allow_guest_votes: !formData.is_quiz && formData.allow_guest_votes,
+        anonymous: formData.anonymous,
+        ...buildQuizPayload(formData),
+        ...(!poll?.total_votes && buildPollQuestionsPayload(formData)),
+        ...buildVoteLimitsPayload(formData),
+        ...buildSharingPayload(formData),
+        ...buildPasswordPayload(formData),
+        options: isScorePoll(formData) ? [] : formData.options
           .filter(option => option.text.trim())
           .map(option => ({
-            ...option,
-            text: option.text.trim()
-          }))
+            id: option.id,
+            text: option.text.trim(),
+            image_url: option.image_url || null
+          })),
+        removed_options: buildRemovedOptionsPayload(removedVotedOptions, voteDecisions)
       };
 
-      await api.put(`/polls/${id}`, pollData);
+      const response = await api.put(`/polls/${id}`, pollData);
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to update poll');
+        return;
+      }
       
       // Emit real-time update if socket is available
       if (socket) {
@@ -457,26 +627,13 @@ const EditPoll = ({ socket }) => {
               <p className="mt-1 text-sm text-gray-500">{formData.description.length}/500 characters</p>
             </div>
 
-            {/* Category and Status */}
+            {/* Tags and Status */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label htmlFor="category" className="label">
-                  Category
-                </label>
-                <select
-                  id="category"
-                  name="category"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                  className="input"
-                >
-                  {categories.map(category => (
-                    <option key={category.value} value={category.value}>
-                      {category.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <TagInput
+                formData={formData}
+                errors={errors}
+                onChange={handleInputChange}
+              />
 
               <div>
                 <label htmlFor="status" className="label">
@@ -497,78 +654,174 @@ const EditPoll = ({ socket }) => {
                 </select>
               </div>
             </div>
+
+            {/* Publish Time */}
+            {formData.status === 'scheduled' && (
+              <div>
+                <label htmlFor="starts_at" className="label">
+                  Publish At *
+                </label>
+                <input
+                  type="datetime-local"
+                  id="starts_at"
+                  name="starts_at"
+                  value={formData.starts_at}
+                  onChange={handleInputChange}
+                  className={`input ${errors.starts_at ? 'border-red-300 focus:ring-red-500' : ''}`}
+                  min={getCurrentTimeForMin()}
+                />
+                {errors.starts_at && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.starts_at}
+                  </p>
+                )}
+                <p className="mt-1 text-sm text-gray-500">
+                  The poll stays hidden as a draft until then and you will be notified when it goes live
+                </p>
+              </div>
+            )}
           </div>
         </div>
 
         {/* Poll Options Section */}
-        <div className="card">
-          <div className="flex items-center justify-between mb-6">
-            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
-              <Plus className="w-5 h-5 mr-2" />
-              Poll Options
-            </h2>
-            <button
-              type="button"
-              onClick={addOption}
-              className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              Add Option
-            </button>
-          </div>
+        {!isScorePoll(formData) && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+                <Plus className="w-5 h-5 mr-2" />
+                Poll Options
+              </h2>
+              <button
+                type="button"
+                onClick={addOption}
+                className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add Option
+              </button>
+            </div>
 
-          <div className="space-y-4">
-            {formData.options.map((option, index) => (
-              <div key={option.id} className="flex items-start space-x-4">
-                <div className="flex-shrink-0 w-8 h-10 bg-gray-100 rounded-lg flex items-center justify-center text-sm font-medium text-gray-600">
-                  {index + 1}
-                </div>
-                <div className="flex-1">
-                  <input
-                    type="text"
-                    value={option.text}
-                    onChange={(e) => handleOptionChange(option.id, e.target.value)}
-                    className={`input ${errors[`option_${option.id}`] ? 'border-red-300 focus:ring-red-500' : ''}`}
-                    placeholder={`Option ${index + 1}`}
-                    maxLength={100}
+            <div className="space-y-4">
+              {formData.options.map((option, index) => (
+                <div key={option.id} className="flex items-start space-x-4">
+                  <div className="flex-shrink-0 w-8 h-10 bg-gray-100 rounded-lg flex items-center justify-center text-sm font-medium text-gray-600">
+                    {index + 1}
+                  </div>
+                  <div className="flex-1">
+                    <input
+                      type="text"
+                      value={option.text}
+                      onChange={(e) => handleOptionChange(option.id, e.target.value)}
+                      className={`input ${errors[`option_${option.id}`] ? 'border-red-300 focus:ring-red-500' : ''}`}
+                      placeholder={`Option ${index + 1}`}
+                      maxLength={100}
+                    />
+                    {errors[`option_${option.id}`] && (
+                      <p className="mt-1 text-sm text-red-600 flex items-center">
+                        <AlertCircle className="w-4 h-4 mr-1" />
+                        {errors[`option_${option.id}`]}
+                      </p>
+                    )}
+                    {poll?.total_votes > 0 && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Current votes: {option.votes || 0}
+                      </p>
+                    )}
+                  </div>
+                  <OptionImagePicker
+                    imageUrl={option.image_url}
+                    optionLabel={option.text || `Option ${index + 1}`}
+                    onChange={(imageUrl) => handleOptionImageChange(option.id, imageUrl)}
                   />
-                  {errors[`option_${option.id}`] && (
-                    <p className="mt-1 text-sm text-red-600 flex items-center">
-                      <AlertCircle className="w-4 h-4 mr-1" />
-                      {errors[`option_${option.id}`]}
-                    </p>
+                  {isQuizEnabled(formData) && (
+                    <button
+                      type="button"
+                      onClick={() => handleCorrectOptionToggle(option.id)}
+                      disabled={poll?.total_votes > 0}
+                      className={`flex-shrink-0 p-2 transition-colors disabled:cursor-not-allowed ${
+                        formData.correct_option_ids.includes(option.id) ? 'text-green-600' : 'text-gray-300 hover:text-green-500'
+                      }`}
+                      title={formData.correct_option_ids.includes(option.id) ? 'Correct answer' : 'Mark as correct answer'}
+                    >
+                      <CheckCircle className="w-5 h-5" />
+                    </button>
                   )}
-                  {poll?.total_votes > 0 && (
-                    <p className="mt-1 text-xs text-gray-500">
-                      Current votes: {option.votes || 0}
-                    </p>
+                  {formData.options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => removeOption(option.id)}
+                      className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
+                      title="Remove option"
+                    >
+                      <X className="w-5 h-5" />
+                    </button>
                   )}
                 </div>
-                {formData.options.length > 2 && (
-                  <button
-                    type="button"
-                    onClick={() => removeOption(option.id)}
-                    className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
-                    title="Remove option"
-                  >
-                    <X className="w-5 h-5" />
-                  </button>
-                )}
-              </div>
-            ))}
+              ))}
 
-            {errors.options && (
-              <p className="text-sm text-red-600 flex items-center">
-                <AlertCircle className="w-4 h-4 mr-1" />
-                {errors.options}
+              {errors.options && (
+                <p className="text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.options}
+                </p>
+              )}
+
+              <p className="text-sm text-gray-500">
+                Minimum 2 options required. {poll?.total_votes > 0 && 'Note: Votes stay with an option when you reword it, and voters can see the edit history.'}
               </p>
-            )}
 
-            <p className="text-sm text-gray-500">
-              Minimum 2 options required. {poll?.total_votes > 0 && 'Note: Vote counts will be preserved when editing options.'}
-            </p>
+              {removedVotedOptions.length > 0 && (
+                <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg space-y-3">
+                  <p className="text-sm font-medium text-amber-800">
+                    Removed options with votes - choose what happens to their votes
+                  </p>
+                  {removedVotedOptions.map(option => (
+                    <div key={option.id} className="flex items-center space-x-4">
+                      <div className="flex-1 text-sm text-gray-700">
+                        <span className="line-through">{option.text}</span>
+                        <span className="ml-2 text-gray-500">({option.votes} votes)</span>
+                      </div>
+                      <select
+                        value={voteDecisions[option.id] || ''}
+                        onChange={(e) => {
+                          const { value } = e.target;
+                          setVoteDecisions(prev => ({ ...prev, [option.id]: value }));
+                          if (errors.removed_options) {
+                            setErrors(prev => ({ ...prev, removed_options: null }));
+                          }
+                        }}
+                        className="input w-64"
+                      >
+                        <option value="">Choose...</option>
+                        {formData.options.filter(target => target.text.trim()).map(target => (
+                          <option key={target.id} value={target.id}>Move votes to "{target.text}"</option>
+                        ))}
+                        <option value="discard">Discard these votes</option>
+                      </select>
+                    </div>
+                  ))}
+                  {errors.removed_options && (
+                    <p className="text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.removed_options}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Follow-up Questions Section - quizzes are graded on a single question */}
+        {!formData.is_quiz && (!poll?.total_votes || formData.questions.length > 0) && (
+          <PollQuestionsEditor
+            formData={formData}
+            errors={errors}
+            locked={poll?.total_votes > 0}
+            onChange={handleQuestionsChange}
+          />
+        )}
 
         {/* Advanced Settings Section */}
         <div className="card">
@@ -603,49 +856,219 @@ const EditPoll = ({ socket }) => {
               </p>
             </div>
 
-            {/* Multiple Votes */}
+            {/* Voting Method */}
+            <div>
+              <label htmlFor="poll_type" className="label">
+                Voting Method
+              </label>
+              <select
+                id="poll_type"
+                name="poll_type"
+                value={formData.poll_type}
+                onChange={handleInputChange}
+                className="input"
+                disabled={poll?.total_votes > 0}
+              >
+                {pollTypes.map(pollType => (
+                  <option key={pollType.value} value={pollType.value}>
+                    {pollType.label}
+                  </option>
+                ))}
+              </select>
+              {poll?.total_votes > 0 && (
+                <p className="mt-1 text-sm text-gray-500">
+                  Cannot be changed after votes are cast ({poll.total_votes} votes)
+                </p>
+              )}
+            </div>
+
+            {/* Multiple Votes (legacy repeat voting, kept for polls created with it) */}
+            {formData.poll_type === 'single' && poll?.allow_multiple_votes && (
+              <div className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  id="allow_multiple_votes"
+                  name="allow_multiple_votes"
+                  checked={formData.allow_multiple_votes}
+                  onChange={handleInputChange}
+                  className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  disabled={poll?.total_votes > 0}
+                />
+                <div>
+                  <label htmlFor="allow_multiple_votes" className="block text-sm font-medium text-gray-700">
+                    Allow multiple votes
+                    {poll?.total_votes > 0 && (
+                      <span className="text-gray-500 text-xs block mt-1">
+                        Cannot be changed after votes are cast ({poll.total_votes} votes)
+                      </span>
+                    )}
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    Allow users to vote repeatedly in this poll. Use the multiple choice voting method to collect several options in one ballot.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Selection Limits */}
+            {formData.poll_type === 'approval' && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="min_choices" className="label">
+                    Minimum selections
+                  </label>
+                  <input
+                    type="number"
+                    id="min_choices"
+                    name="min_choices"
+                    value={formData.min_choices}
+                    onChange={handleInputChange}
+                    className={`input ${errors.min_choices ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    min={1}
+                    max={formData.options.length}
+                    disabled={poll?.total_votes > 0}
+                  />
+                  {errors.min_choices && (
+                    <p className="mt-1 text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.min_choices}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="max_choices" className="label">
+                    Maximum selections (Optional)
+                  </label>
+                  <input
+                    type="number"
+                    id="max_choices"
+                    name="max_choices"
+                    value={formData.max_choices}
+                    onChange={handleInputChange}
+                    className={`input ${errors.max_choices ? 'border-red-300 focus:ring-red-500' : ''}`}
+                    min={1}
+                    max={formData.options.length}
+                    placeholder="No limit"
+                    disabled={poll?.total_votes > 0}
+                  />
+                  {errors.max_choices && (
+                    <p className="mt-1 text-sm text-red-600 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-1" />
+                      {errors.max_choices}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Vote Cap and Quorum */}
+            <VoteLimitsSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+              votesCast={poll?.total_votes || 0}
+            />
+
+            {/* Quiz Mode */}
+            <QuizSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+              locked={poll?.total_votes > 0}
+              lockedReason={poll?.total_votes > 0 ? `Cannot be changed after votes are cast (${poll.total_votes} votes)` : null}
+            />
+
+            {/* Show Results */}
+            <ResultsVisibilitySettings
+              formData={formData}
+              onChange={handleInputChange}
+            />
+
+            {/* Sharing */}
+            <SharingSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+            />
+
+            <PollPasswordSettings
+              formData={formData}
+              errors={errors}
+              onChange={handleInputChange}
+              hasPassword={Boolean(poll?.password_protected)}
+            />
+
+            {/* Vote Changes */}
             <div className="flex items-start space-x-3">
               <input
                 type="checkbox"
-                id="allow_multiple_votes"
-                name="allow_multiple_votes"
-                checked={formData.allow_multiple_votes}
+                id="allow_vote_changes"
+                name="allow_vote_changes"
+                checked={formData.allow_vote_changes}
                 onChange={handleInputChange}
                 className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                disabled={poll?.total_votes > 0}
               />
               <div>
-                <label htmlFor="allow_multiple_votes" className="block text-sm font-medium text-gray-700">
-                  Allow multiple votes
-                  {poll?.total_votes > 0 && (
-                    <span className="text-gray-500 text-xs block mt-1">
-                      Cannot be changed after votes are cast ({poll.total_votes} votes)
-                    </span>
-                  )}
+                <label htmlFor="allow_vote_changes" className="block text-sm font-medium text-gray-700">
+                  Allow vote changes
                 </label>
                 <p className="text-sm text-gray-500">
-                  Allow users to select multiple options in this poll
+                  Let voters change or withdraw their vote while the poll is active.
                 </p>
               </div>
             </div>
 
-            {/* Show Results */}
+            {/* Guest Voting - quizzes are graded per account */}
+            {!formData.is_quiz && (
+              <div className="flex items-start space-x-3">
+                <input
+                  type="checkbox"
+                  id="allow_guest_votes"
+                  name="allow_guest_votes"
+                  checked={formData.allow_guest_votes}
+                  onChange={handleInputChange}
+                  className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <div>
+                  <label htmlFor="allow_guest_votes" className="block text-sm font-medium text-gray-700">
+                    Allow guest voting
+                  </label>
+                  <p className="text-sm text-gray-500">
+                    People without an account can vote once through the poll's public page. Not available on password-protected polls.
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Anonymous Voting */}
             <div className="flex items-start space-x-3">
               <input
                 type="checkbox"
-                id="show_results"
-                name="show_results"
-                checked={formData.show_results}
+                id="anonymous"
+                name="anonymous"
+                checked={formData.anonymous}
                 onChange={handleInputChange}
                 className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                disabled={poll?.total_votes > 0}
               />
               <div>
-                <label htmlFor="show_results" className="block text-sm font-medium text-gray-700">
-                  Public results
+                <label htmlFor="anonymous" className="block text-sm font-medium text-gray-700">
+                  Anonymous voting
+                  {poll?.total_votes > 0 && (
+                    <span className="text-gray-500 text-xs block mt-1">
+                      Cannot be changed after votes are cast ({poll.total_votes} votes)
+                    </span>
+                  )}
                 </label>
                 <p className="text-sm text-gray-500">
-                  Allow anyone to view the poll results. When disabled, only you can see the results.
+                  Votes are not linked to voters, not even for you.
                 </p>
+                {errors.anonymous && (
+                  <p className="mt-1 text-sm text-red-600 flex items-center">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    {errors.anonymous}
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -687,6 +1110,13 @@ const EditPoll = ({ socket }) => {
           </div>
         </div>
       </form>
+
+      {/* Collaborators - saved on their own, outside the poll form */}
+      {poll && (
+        <div className="mt-8">
+          <PollCollaborators poll={poll} onLeave={() => navigate('/my-polls')} />
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,409 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Plus, Settings, AlertCircle, Info } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { createFormQuestion, validateFormQuestion, buildQuestionsPayload, surveyToFormQuestions } from '../utils/surveyUtils';
+import SurveyQuestionEditor from './SurveyQuestionEditor';
+import PageHeader from './PageHeader';
+
+// Helper function to format date for datetime-local input
+const formatDateForInput = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+};
+
+// Helper function to get current time formatted for min attribute
+const getCurrentTimeForMin = () => {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  return `${year}-${month}-${day}T${hours}:${minutes}`;
+};
+
+const EditSurvey = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [survey, setSurvey] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [fetchLoading, setFetchLoading] = useState(true);
+  const [errors, setErrors] = useState({});
+
+  const [formData, setFormData] = useState({
+    title: '',
+    description: '',
+    ends_at: '',
+    show_results: true,
+    questions: []
+  });
+
+  // Questions and their skip logic are fixed once someone has responded
+  const questionsLocked = (survey?.response_count || 0) > 0;
+
+  useEffect(() => {
+    fetchSurvey();
+  }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fetchSurvey = async () => {
+    try {
+      const response = await api.get(`/surveys/${id}`);
+      const surveyData = response.data;
+
+      const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+      if (surveyData.creator !== user.id) {
+        toast.error('You can only edit your own surveys');
+        navigate('/surveys');
+        return;
+      }
+
+      setSurvey(surveyData);
+      setFormData({
+        title: surveyData.title || '',
+        description: surveyData.description || '',
+        ends_at: surveyData.ends_at ? formatDateForInput(surveyData.ends_at) : '',
+        show_results: surveyData.show_results !== false,
+        questions: surveyToFormQuestions(surveyData)
+      });
+    } catch (error) {
+      console.error('Error fetching survey:', error);
+      toast.error(error.response?.status === 404 ? 'Survey not found' : 'Failed to load survey');
+      navigate('/surveys');
+    } finally {
+      setFetchLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: null }));
+    }
+  };
+
+  const updateQuestion = (questionId, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions.map(question =>
+        question.id === questionId ? { ...question, ...changes } : question
+      )
+    }));
+
+    if (errors[`question_${questionId}`]) {
+      setErrors(prev => ({ ...prev, [`question_${questionId}`]: null }));
+    }
+  };
+
+  const addQuestion = () => {
+    if (formData.questions.length >= 50) {
+      toast.error('A survey can have at most 50 questions');
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      questions: [...prev.questions, createFormQuestion()]
+    }));
+  };
+
+  const removeQuestion = (questionId) => {
+    if (formData.questions.length <= 1) {
+      toast.error('A survey must have at least 1 question');
+      return;
+    }
+    // Skip rules pointing at the removed question go with it
+    setFormData(prev => ({
+      ...prev,
+      questions: prev.questions
+        .filter(question => question.id !== questionId)
+        .map(question => ({
+          ...question,
+          branches: question.branches.filter(branch => branch.next_question_id !== questionId)
+        }))
+    }));
+  };
+
+  const moveQuestion = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= formData.questions.length) return;
+    setFormData(prev => {
+      const questions = [...prev.questions];
+      [questions[index], questions[target]] = [questions[target], questions[index]];
+      return { ...prev, questions };
+    });
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Survey title is required';
+    } else if (formData.title.length > 200) {
+      newErrors.title = 'Title must not exceed 200 characters';
+    }
+
+    if (formData.description && formData.description.length > 500) {
+      newErrors.description = 'Description must not exceed 500 characters';
+    }
+
+    // An end date that has not changed may already be in the past on a closed survey
+    const endDateChanged = formData.ends_at !== formatDateForInput(survey.ends_at);
+    if (formData.ends_at && endDateChanged && new Date(formData.ends_at) < new Date(Date.now() + 60000)) {
+      newErrors.ends_at = 'End date must be in the future (at least 1 minute from now)';
+    }
+
+    if (questionsLocked) {
+      setErrors(newErrors);
+      return Object.keys(newErrors).length === 0;
+    }
+
+    formData.questions.forEach((question, index) => {
+      const error = validateFormQuestion(question, index, formData.questions);
+      if (error) {
+        newErrors[`question_${question.id}`] = error;
+      }
+    });
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (loading) return;
+
+    if (!validateForm()) {
+      toast.error('Please fix the form errors before submitting');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const surveyData = {
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        ends_at: formData.ends_at ? new Date(formData.ends_at).toISOString() : null,
+        show_results: formData.show_results,
+        ...(!questionsLocked && { questions: buildQuestionsPayload(formData.questions) })
+      };
+
+      await api.put(`/surveys/${id}`, surveyData);
+      toast.success('Survey updated successfully!');
+      navigate(`/survey/${id}`);
+    } catch (error) {
+      console.error('Error updating survey:', error);
+      const message = error.response?.data?.error || 'Failed to update survey';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (fetchLoading) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="animate-pulse space-y-6">
+          <div className="h-8 bg-gray-300 rounded w-1/2"></div>
+          {[1, 2].map(i => (
+            <div key={i} className="bg-white rounded-xl p-6 border border-gray-200 h-48"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (!survey) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      <button
+        onClick={() => navigate(`/survey/${id}`)}
+        className="flex items-center text-gray-600 hover:text-gray-900 transition-colors mb-6"
+      >
+        <ArrowLeft className="w-4 h-4 mr-2" />
+        Back to Survey
+      </button>
+
+      <PageHeader
+        title="Edit Survey"
+        subtitle="Update your survey, its questions and skip logic"
+      />
+
+      <form onSubmit={handleSubmit} className="space-y-8">
+        {/* Basic Information Section */}
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
+            <Settings className="w-5 h-5 mr-2" />
+            Basic Information
+          </h2>
+
+          <div className="space-y-6">
+            {/* Title */}
+            <div>
+              <label htmlFor="title" className="label">
+                Survey Title *
+              </label>
+              <input
+                type="text"
+                id="title"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className={`input ${errors.title ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="What is this survey about?"
+                maxLength={200}
+              />
+              {errors.title && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.title}
+                </p>
+              )}
+            </div>
+
+            {/* Description */}
+            <div>
+              <label htmlFor="description" className="label">
+                Description (Optional)
+              </label>
+              <textarea
+                id="description"
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                rows={3}
+                className={`input resize-none ${errors.description ? 'border-red-300 focus:ring-red-500' : ''}`}
+                placeholder="Tell respondents why you are asking (optional)"
+                maxLength={500}
+              />
+              {errors.description && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.description}
+                </p>
+              )}
+            </div>
+
+            {/* End Date */}
+            <div>
+              <label htmlFor="ends_at" className="label">
+                End Date (Optional)
+              </label>
+              <input
+                type="datetime-local"
+                id="ends_at"
+                name="ends_at"
+                value={formData.ends_at}
+                onChange={handleInputChange}
+                className={`input ${errors.ends_at ? 'border-red-300 focus:ring-red-500' : ''}`}
+                min={getCurrentTimeForMin()}
+              />
+              {errors.ends_at && (
+                <p className="mt-1 text-sm text-red-600 flex items-center">
+                  <AlertCircle className="w-4 h-4 mr-1" />
+                  {errors.ends_at}
+                </p>
+              )}
+            </div>
+
+            {/* Show Results */}
+            <div className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                id="show_results"
+                name="show_results"
+                checked={formData.show_results}
+                onChange={handleInputChange}
+                className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <div>
+                <label htmlFor="show_results" className="block text-sm font-medium text-gray-700">
+                  Public results
+                </label>
+                <p className="text-sm text-gray-500">
+                  Allow anyone to view the survey results. When disabled, only you can see the results.
+                </p>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Questions Section */}
+        {questionsLocked && (
+          <div className="p-3 bg-blue-50 rounded-lg border border-blue-200 flex items-start">
+            <Info className="w-5 h-5 text-blue-600 mr-2 mt-0.5 flex-shrink-0" />
+            <p className="text-blue-800 text-sm">
+              This survey already has responses, so its questions and skip logic can no longer be changed.
+            </p>
+          </div>
+        )}
+
+        {formData.questions.map((question, index) => (
+          <SurveyQuestionEditor
+            key={question.id}
+            question={question}
+            index={index}
+            questions={formData.questions}
+            error={errors[`question_${question.id}`]}
+            locked={questionsLocked}
+            onChange={(changes) => updateQuestion(question.id, changes)}
+            onMove={(direction) => moveQuestion(index, direction)}
+            onRemove={() => removeQuestion(question.id)}
+          />
+        ))}
+
+        {!questionsLocked && (
+          <button
+            type="button"
+            onClick={addQuestion}
+            className="btn-secondary w-full px-4 py-3 rounded-lg font-medium transition-all flex items-center justify-center"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Question
+          </button>
+        )}
+
+        {/* Form Actions */}
+        <div className="flex items-center justify-end space-x-4 pt-6">
+          <button
+            type="button"
+            onClick={() => navigate(`/survey/${id}`)}
+            className="px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-all flex items-center"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn-primary px-6 py-3 rounded-lg font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center min-w-[160px]"
+          >
+            {loading ? (
+              <>
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Saving Changes...
+              </>
+            ) : (
+              'Save Changes'
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default EditSurvey;
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams, Link, Navigate } from 'react-router-dom';
+import { AlertCircle, BarChart3, CheckCircle, Users } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import RankedBallot from './RankedBallot';
+import ApprovalBallot from './ApprovalBallot';
+import ScaleBallot from './ScaleBallot';
+import PollQuestionsForm from './PollQuestionsForm';
+import { isScorePoll } from '../utils/scoreUtils';
+import { getOptionImageUrl, pollHasImages } from '../utils/optionImageUtils';
+import { getShareConfig } from '../utils/sharingUtils';
+import { getHiddenResultsMessage } from '../utils/resultsVisibilityUtils';
+import { ensureGuestToken, withGuestToken } from '../utils/guestUtils';
+import { hasFollowUpQuestions } from '../utils/surveyUtils';
+
+// Public poll page for guests voting without an account - rendered outside the app layout
+const GuestPollView = ({ user }) => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  // Unlisted polls are opened through a link carrying their share token
+  const shareToken = searchParams.get('token');
+  const [poll, setPoll] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [voting, setVoting] = useState(false);
+  const [hasVoted, setHasVoted] = useState(false);
+  const [userVotes, setUserVotes] = useState([]);
+  const [userRanking, setUserRanking] = useState([]);
+  const [userAnswers, setUserAnswers] = useState([]); // Answers to the follow-up questions
+
+  useEffect(() => {
+    if (user) return;
+
+    const fetchPoll = async () => {
+      try {
+        const config = withGuestToken(getShareConfig(shareToken));
+        const [pollResponse, statusResponse] = await Promise.all([
+          api.get(`/polls/${id}`, config),
+          api.get(`/polls/${id}/guest-vote-status`, config)
+        ]);
+        if (pollResponse.status >= 400) {
+          setPoll(null);
+          return;
+        }
+
+        setPoll(pollResponse.data);
+        if (statusResponse.status < 400) {
+          setHasVoted(statusResponse.data.hasVoted);
+          setUserVotes(statusResponse.data.votes || []);
+          setUserRanking(statusResponse.data.ranking || []);
+          setUserAnswers(statusResponse.data.answers || []);
+        }
+      } catch (error) {
+        console.error('Fetch guest poll error:', error);
+        toast.error('Failed to load poll');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPoll();
+  }, [id, shareToken, user]);
+
+  // Signed-in users vote with their account on the regular poll page
+  if (user) {
+    return <Navigate to={`/poll/${id}${shareToken ? `?token=${shareToken}` : ''}`} replace />;
+  }
+
+  const handleBallotSubmit = async (ballot) => {
+    if (hasVoted || voting) return;
+
+    setVoting(true);
+    try {
+      const guestToken = await ensureGuestToken();
+      const config = withGuestToken(getShareConfig(shareToken), guestToken);
+      const response = await api.post(`/polls/${id}/guest-vote`, ballot, config);
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to record vote');
+        return;
+      }
+
+      setPoll(response.data.poll);
+      setHasVoted(true);
+      if (ballot.ranking) {
+        setUserVotes([ballot.ranking[0]]);
+        setUserRanking(ballot.ranking);
+      } else if (ballot.score !== undefined) {
+        const scoredOption = poll.options.find(option => option.value === ballot.score);
+        setUserVotes(scoredOption ? [scoredOption.id] : []);
+      } else {
+        setUserVotes(ballot.option_ids || [ballot.option_id]);
+      }
+      // The server stores the follow-up answers in their final form, so they are read back from it
+      if (ballot.answers) {
+        const statusResponse = await api.get(`/polls/${id}/guest-vote-status`, config);
+        setUserAnswers(statusResponse.data.answers || []);
+      }
+      toast.success('Vote recorded successfully!');
+    } catch (error) {
+      console.error('Guest vote error:', error);
+      toast.error(error.message || 'Failed to record vote');
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  const renderBallot = () => {
+    if (hasFollowUpQuestions(poll)) {
+      return (
+        <PollQuestionsForm
+          poll={poll}
+          hasVoted={hasVoted}
+          submittedVotes={userVotes}
+          submittedRanking={userRanking}
+          submittedAnswers={userAnswers}
+          voting={voting}
+          onSubmit={handleBallotSubmit}
+        />
+      );
+    }
+    if (poll.poll_type === 'ranked') {
+      return (
+        <RankedBallot
+          poll={poll}
+          hasVoted={hasVoted}
+          submittedRanking={userRanking}
+          voting={voting}
+          onSubmit={(ranking) => handleBallotSubmit({ ranking })}
+        />
+      );
+    }
+    if (poll.poll_type === 'approval') {
+      return (
+        <ApprovalBallot
+          poll={poll}
+          hasVoted={hasVoted}
+          submittedSelection={userVotes}
+          voting={voting}
+          onSubmit={(optionIds) => handleBallotSubmit({ option_ids: optionIds })}
+        />
+      );
+    }
+    if (isScorePoll(poll)) {
+      return (
+        <ScaleBallot
+          poll={poll}
+          hasVoted={hasVoted}
+          submittedOptionId={userVotes[0]}
+          voting={voting}
+          onSubmit={(score) => handleBallotSubmit({ score })}
+        />
+      );
+    }
+
+    return (
+      <div className={pollHasImages(poll) ? 'grid grid-cols-2 md:grid-cols-3 gap-4' : 'space-y-4'}>
+        {poll.options.map(option => (
+          <button
+            key={option.id}
+            onClick={() => handleBallotSubmit({ option_id: option.id })}
+            disabled={voting || hasVoted}
+            className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:cursor-not-allowed ${
+              userVotes.includes(option.id)
+                ? 'border-blue-500 bg-blue-50 text-blue-900'
+                : 'border-gray-200 bg-white text-gray-900 disabled:opacity-50'
+            }`}
+          >
+            {option.image_url && (
+              <img
+                src={getOptionImageUrl(option.image_url)}
+                alt={option.text}
+                className="w-full aspect-square object-cover rounded-md mb-3"
+              />
+            )}
+            <div className="flex items-center justify-between">
+              <span>{option.text}</span>
+              {userVotes.includes(option.id) && <CheckCircle className="w-5 h-5 text-blue-600" />}
+            </div>
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Vote counts as bars, once the poll's reveal mode lets the guest see them
+  const renderResults = () => {
+    if (poll.results_hidden) {
+      return (
+        <p className="text-sm text-gray-500 text-center">{getHiddenResultsMessage(poll)}</p>
+      );
+    }
+
+    const totalSelections = poll.total_selections || poll.total_votes || 0;
+    return (
+      <div className="space-y-3">
+        {poll.options.map(option => {
+          const percentage = totalSelections > 0 ? Math.round((option.votes / totalSelections) * 100) : 0;
+          return (
+            <div key={option.id}>
+              <div className="flex justify-between text-sm text-gray-700 mb-1">
+                <span className="font-medium">{option.text}</span>
+                <span>{option.votes} ({percentage}%)</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${percentage}%` }} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderUnavailable = (message) => (
+    <div className="card text-center">
+      <AlertCircle className="w-10 h-10 text-gray-400 mx-auto mb-4" />
+      <p className="text-gray-600 mb-6">{message}</p>
+      <Link to="/login" className="btn-primary inline-flex px-6 py-3 rounded-lg font-semibold text-white">
+        Sign in to vote
+      </Link>
+    </div>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex items-center justify-center py-16">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      );
+    }
+    if (!poll) {
+      return renderUnavailable('This poll does not exist or is not shared with guests.');
+    }
+    if (!poll.allow_guest_votes || poll.password_protected) {
+      return renderUnavailable(`"${poll.title}" only takes votes from signed-in users.`);
+    }
+
+    return (
+      <div className="card">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{poll.title}</h1>
+        {poll.description && <p className="text-gray-600 mb-4">{poll.description}</p>}
+        <div className="flex items-center text-sm text-gray-500 mb-6">
+          <Users className="w-4 h-4 mr-1" />
+          {poll.total_votes} {poll.total_votes === 1 ? 'vote' : 'votes'}
+          {poll.status === 'closed' && <span className="ml-3 text-red-600 font-medium">Closed</span>}
+        </div>
+
+        {poll.status === 'closed' && !hasVoted ? (
+          <p className="mb-6 p-4 bg-gray-50 rounded-lg text-center text-gray-600 border border-gray-200">
+            This poll has been closed and is no longer accepting votes
+          </p>
+        ) : renderBallot()}
+
+        {(hasVoted || poll.status === 'closed') && (
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            {hasVoted && (
+              <p className="mb-4 text-green-700 font-medium flex items-center">
+                <CheckCircle className="w-5 h-5 mr-2" />
+                Thanks for voting! Guest votes cannot be changed.
+              </p>
+            )}
+            {renderResults()}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-blue-50 to-gray-50 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex items-center justify-between mb-8">
+          <div className="flex items-center">
+            <div className="w-10 h-10 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl flex items-center justify-center mr-3">
+              <BarChart3 className="w-5 h-5 text-white" />
+            </div>
+            <span className="text-xl font-bold text-gray-900">PollSpace</span>
+          </div>
+          <Link to="/login" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+            Sign in
+          </Link>
+        </div>
+
+        {renderContent()}
+
+        {poll && poll.allow_guest_votes && (
+          <p className="mt-6 text-center text-sm text-gray-500">
+            Voting as a guest.{' '}
+            <Link to="/register" className="font-medium text-blue-600 hover:text-blue-800">
+              Create an account
+            </Link>{' '}
+            to comment and follow results live.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GuestPollView;
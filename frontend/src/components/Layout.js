@@ -11,9 +11,13 @@ import {
   Home,
   FileText,
   Settings,
-  ChevronRight
+  ClipboardList,
+  LayoutTemplate,
+  ChevronRight,
+  Building2
 } from 'lucide-react';
 import { useNotifications } from '../context/NotificationContext';
+import { useWorkspaces } from '../context/WorkspaceContext';
 import NotificationService from '../services/NotificationService';
 import NotificationPanel from './NotificationPanel';
 
@@ -23,6 +27,7 @@ const Layout = ({ user, onLogout, children }) => {
     loading: notificationLoading,
     fetchNotifications
   } = useNotifications();
+  const { workspaces, currentWorkspaceId, currentRole, switchWorkspace } = useWorkspaces();
   
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [notificationPanelOpen, setNotificationPanelOpen] = useState(false);
@@ -61,6 +66,26 @@ const Layout = ({ user, onLogout, children }) => {
           </button>
         </div>
 
+        {/* Workspace Switcher - pages below only show the polls of the selected workspace */}
+        <div className="px-4 pt-4">
+          <label htmlFor="workspace_switcher" className="block text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">
+            Workspace
+          </label>
+          <select
+            id="workspace_switcher"
+            value={currentWorkspaceId || ''}
+            onChange={(e) => switchWorkspace(e.target.value || null)}
+            className="input text-sm"
+          >
+            <option value="">Shared space</option>
+            {workspaces.map(workspace => (
+              <option key={workspace.id} value={workspace.id}>
+                {workspace.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
         {/* Navigation Links */}
         <nav className="px-4 py-4 space-y-2">
           <Link
@@ -76,18 +101,21 @@ const Layout = ({ user, onLogout, children }) => {
             <span>Dashboard</span>
           </Link>
           
-          <Link
-            to="/create"
-            onClick={() => setSidebarOpen(false)}
-            className={`flex items-center space-x-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
-              isActive('/create') 
-                ? 'bg-blue-100 text-blue-700 border-r-2 border-blue-500' 
-                : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
-            }`}
-          >
-            <Plus className="w-5 h-5" />
-            <span>Create Poll</span>
-          </Link>
+          {/* Viewers cannot create polls in their workspace */}
+          {currentRole !== 'viewer' && (
+            <Link
+              to="/create"
+              onClick={() => setSidebarOpen(false)}
+              className={`flex items-center space-x-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                isActive('/create') 
+                  ? 'bg-blue-100 text-blue-700 border-r-2 border-blue-500' 
+                  : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
+              }`}
+            >
+              <Plus className="w-5 h-5" />
+              <span>Create Poll</span>
+            </Link>
+          )}
           
           <Link
             to="/my-polls"
@@ -115,6 +143,45 @@ const Layout = ({ user, onLogout, children }) => {
             <span>Poll Results</span>
           </Link>
           
+          <Link
+            to="/surveys"
+            onClick={() => setSidebarOpen(false)}
+            className={`flex items-center space-x-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              isActive('/surveys') 
+                ? 'bg-blue-100 text-blue-700 border-r-2 border-blue-500' 
+                : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
+            }`}
+          >
+            <ClipboardList className="w-5 h-5" />
+            <span>Surveys</span>
+          </Link>
+          
+          <Link
+            to="/templates"
+            onClick={() => setSidebarOpen(false)}
+            className={`flex items-center space-x-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              isActive('/templates') 
+                ? 'bg-blue-100 text-blue-700 border-r-2 border-blue-500' 
+                : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
+            }`}
+          >
+            <LayoutTemplate className="w-5 h-5" />
+            <span>Templates</span>
+          </Link>
+          
+          <Link
+            to="/workspaces"
+            onClick={() => setSidebarOpen(false)}
+            className={`flex items-center space-x-3 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              isActive('/workspaces') 
+                ? 'bg-blue-100 text-blue-700 border-r-2 border-blue-500' 
+                : 'text-gray-700 hover:text-gray-900 hover:bg-gray-100'
+            }`}
+          >
+            <Building2 className="w-5 h-5" />
+            <span>Workspaces</span>
+          </Link>
+          
           <Link
             to="/profile"
             onClick={() => setSidebarOpen(false)}
@@ -258,7 +325,8 @@ const Layout = ({ user, onLogout, children }) => {
         </div>
 
         {/* Page Content */}
-        <main className="min-h-screen">
+        {/* Switching workspace remounts the page so it loads the new workspace's polls */}
+        <main className="min-h-screen" key={currentWorkspaceId || 'shared'}>
           {children}
         </main>
       </div>
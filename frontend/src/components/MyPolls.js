@@ -1,28 +1,44 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Plus, BarChart3, Users, MessageCircle, Clock, Edit, Trash2, Eye, EyeOff } from 'lucide-react';
+import { Plus, BarChart3, Users, MessageCircle, Clock, Edit, Trash2, Eye, EyeOff, CalendarClock, Repeat, BookmarkPlus, Copy, Link2, Lock } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
+import { isScheduledPoll, getPollDisplayStatus, formatCountdown } from '../utils/scheduleUtils';
+import { formatCadence } from '../utils/seriesUtils';
+import { getPollVisibility, formatVisibility } from '../utils/sharingUtils';
+import DuplicatePollModal from './DuplicatePollModal';
+import PollTags from './PollTags';
 
 const MyPolls = () => {
   const [polls, setPolls] = useState([]);
+  const [series, setSeries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [updatingPollId, setUpdatingPollId] = useState(null);
-  const [filter, setFilter] = useState('all'); // all, active, closed, draft
+  const [filter, setFilter] = useState('all'); // all, active, closed, scheduled, draft
+  const [now, setNow] = useState(new Date());
+  const [duplicatingPoll, setDuplicatingPoll] = useState(null);
   const [stats, setStats] = useState({
     total: 0,
     active: 0,
     closed: 0,
+    scheduled: 0,
     draft: 0,
     totalVotes: 0
   });
 
   useEffect(() => {
     fetchMyPolls();
+    fetchMySeries();
     // Track that user visited My Polls page
     sessionStorage.setItem('lastVisitedPage', '/my-polls');
   }, []);
 
+  // Keep the countdowns of scheduled polls current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Listen for storage events to refresh data when returning from poll pages
   useEffect(() => {
     const handleStorageChange = (e) => {
@@ -59,10 +75,10 @@ const MyPolls = () => {
       // Calculate stats
       const stats = userPolls.reduce((acc, poll) => {
         acc.total++;
-        acc[poll.status]++;
+        acc[getPollDisplayStatus(poll)]++;
         acc.totalVotes += poll.total_votes || 0;
         return acc;
-      }, { total: 0, active: 0, closed: 0, draft: 0, totalVotes: 0 });
+      }, { total: 0, active: 0, closed: 0, scheduled: 0, draft: 0, totalVotes: 0 });
       
       setStats(stats);
     } catch (error) {
@@ -73,6 +89,36 @@ const MyPolls = () => {
     }
   };
 
+  const fetchMySeries = async () => {
+    try {
+      const response = await api.get('/poll-series');
+      setSeries(response.data);
+    } catch (error) {
+      console.error('Error fetching recurring polls:', error);
+    }
+  };
+
+  const handleSaveAsTemplate = async (poll) => {
+    const name = window.prompt('Name this template', poll.title);
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const response = await api.post('/poll-templates', { name: name.trim(), poll_id: poll.id });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to save template');
+        return;
+      }
+      toast.success('Template saved', {
+        description: `"${response.data.name}" is now in your templates`
+      });
+    } catch (error) {
+      console.error('Error saving template:', error);
+      toast.error('Failed to save template');
+    }
+  };
+
   const handleDeletePoll = async (pollId, pollTitle) => {
     if (!window.confirm(`Are you sure you want to delete "${pollTitle}"? This action cannot be undone.`)) {
       return;
@@ -87,10 +133,10 @@ const MyPolls = () => {
       const updatedPolls = polls.filter(poll => poll.id !== pollId);
       const newStats = updatedPolls.reduce((acc, poll) => {
         acc.total++;
-        acc[poll.status]++;
+        acc[getPollDisplayStatus(poll)]++;
         acc.totalVotes += poll.total_votes || 0;
         return acc;
-      }, { total: 0, active: 0, closed: 0, draft: 0, totalVotes: 0 });
+      }, { total: 0, active: 0, closed: 0, scheduled: 0, draft: 0, totalVotes: 0 });
       setStats(newStats);
       
     } catch (error) {
@@ -132,7 +178,7 @@ const MyPolls = () => {
       const statusMessage = newStatus === 'active' 
         ? (poll?.ends_at && new Date(poll.ends_at) <= new Date() 
            ? 'Poll reopened successfully' 
-           : 'Poll activated successfully')
+           : isScheduledPoll(poll) ? 'Poll published successfully' : 'Poll activated successfully')
         : 'Poll closed successfully';
       
       toast.success(statusMessage);
@@ -143,10 +189,10 @@ const MyPolls = () => {
       );
       const newStats = updatedPolls.reduce((acc, poll) => {
         acc.total++;
-        acc[poll.status]++;
+        acc[getPollDisplayStatus(poll)]++;
         acc.totalVotes += poll.total_votes || 0;
         return acc;
-      }, { total: 0, active: 0, closed: 0, draft: 0, totalVotes: 0 });
+      }, { total: 0, active: 0, closed: 0, scheduled: 0, draft: 0, totalVotes: 0 });
       setStats(newStats);
       
     } catch (error) {
@@ -159,7 +205,7 @@ const MyPolls = () => {
 
   const filteredPolls = polls.filter(poll => {
     if (filter === 'all') return true;
-    return poll.status === filter;
+    return getPollDisplayStatus(poll) === filter;
   });
 
   const formatTimeAgo = (date) => {
@@ -189,145 +235,184 @@ const MyPolls = () => {
     </div>
   );
 
-  const MyPollCard = ({ poll }) => (
-    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200">
-      <div className="flex items-start justify-between mb-4">
-        <div className="flex-1">
-          <div className="flex items-center space-x-2 mb-2">
-            <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
-              poll.status === 'active' ? 'bg-green-100 text-green-700' :
-              poll.status === 'closed' ? 'bg-red-100 text-red-700' :
-              'bg-yellow-100 text-yellow-700'
-            }`}>
-              {poll.status}
-            </span>
-            <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
-              poll.category === 'technology' ? 'bg-blue-100 text-blue-700' :
-              poll.category === 'politics' ? 'bg-red-100 text-red-700' :
-              poll.category === 'entertainment' ? 'bg-pink-100 text-pink-700' :
-              poll.category === 'sports' ? 'bg-green-100 text-green-700' :
-              poll.category === 'business' ? 'bg-yellow-100 text-yellow-700' :
-              'bg-gray-100 text-gray-700'
-            }`}>
-              {poll.category}
-            </span>
+  const MyPollCard = ({ poll }) => {
+    const isScheduled = isScheduledPoll(poll);
+    const countdown = isScheduled ? formatCountdown(poll.starts_at, now) : null;
+
+    return (
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex-1">
+            <div className="flex items-center space-x-2 mb-2">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
+                poll.status === 'active' ? 'bg-green-100 text-green-700' :
+                poll.status === 'closed' ? 'bg-red-100 text-red-700' :
+                isScheduled ? 'bg-blue-100 text-blue-700' :
+                'bg-yellow-100 text-yellow-700'
+              }`}>
+                {getPollDisplayStatus(poll)}
+              </span>
+              {poll.series_id && (
+                <Link
+                  to={`/series/${poll.series_id}`}
+                  className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700 flex items-center hover:bg-purple-200"
+                  title="Compare with the other runs of this recurring poll"
+                >
+                  <Repeat className="w-3 h-3 mr-1" />
+                  Run #{poll.series_run}
+                </Link>
+              )}
+              {getPollVisibility(poll) !== 'public' && (
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700 flex items-center">
+                  {getPollVisibility(poll) === 'unlisted' ? <Link2 className="w-3 h-3 mr-1" /> : <Lock className="w-3 h-3 mr-1" />}
+                  {formatVisibility(getPollVisibility(poll))}
+                </span>
+              )}
+              <PollTags poll={poll} />
+            </div>
+            
+            <Link
+              to={`/poll/${poll.id}`}
+              state={{ from: '/my-polls' }}
+              className="block hover:text-blue-600 transition-colors"
+            >
+              <h3 className="text-lg font-semibold text-gray-900 line-clamp-2 mb-2">
+                {poll.title}
+              </h3>
+            </Link>
+            
+            {poll.description && (
+              <p className="text-gray-600 text-sm line-clamp-2 mb-3">
+                {poll.description}
+              </p>
+            )}
           </div>
           
-          <Link
-            to={`/poll/${poll.id}`}
-            state={{ from: '/my-polls' }}
-            className="block hover:text-blue-600 transition-colors"
-          >
-            <h3 className="text-lg font-semibold text-gray-900 line-clamp-2 mb-2">
-              {poll.title}
-            </h3>
-          </Link>
-          
-          {poll.description && (
-            <p className="text-gray-600 text-sm line-clamp-2 mb-3">
-              {poll.description}
-            </p>
-          )}
-        </div>
-        
-        <div className="flex items-center text-gray-500 text-sm ml-4">
-          <Clock className="w-4 h-4 mr-1" />
-          {formatTimeAgo(poll.createdAt)}
+          <div className="flex items-center text-gray-500 text-sm ml-4">
+            <Clock className="w-4 h-4 mr-1" />
+            {formatTimeAgo(poll.createdAt)}
+          </div>
         </div>
-      </div>
 
-      {/* Poll Stats */}
-      <div className="flex items-center space-x-6 text-sm text-gray-500 mb-4">
-        <div className="flex items-center">
-          <Users className="w-4 h-4 mr-1" />
-          {poll.total_votes} votes
-        </div>
-        <div className="flex items-center">
-          <MessageCircle className="w-4 h-4 mr-1" />
-          {poll.comments_count || 0} comments
-        </div>
-        <div className="flex items-center">
-          <BarChart3 className="w-4 h-4 mr-1" />
-          {poll.options.length} options
+        {isScheduled && (
+          <div className="flex items-center p-3 mb-4 bg-blue-50 rounded-lg border border-blue-200 text-sm text-blue-800">
+            <CalendarClock className="w-4 h-4 mr-2 flex-shrink-0" />
+            {countdown ? `Publishes in ${countdown}` : 'Publishing now'}
+            <span className="ml-1 text-blue-600">({new Date(poll.starts_at).toLocaleString()})</span>
+          </div>
+        )}
+
+        {/* Poll Stats */}
+        <div className="flex items-center space-x-6 text-sm text-gray-500 mb-4">
+          <div className="flex items-center">
+            <Users className="w-4 h-4 mr-1" />
+            {poll.total_votes} votes
+          </div>
+          <div className="flex items-center">
+            <MessageCircle className="w-4 h-4 mr-1" />
+            {poll.comments_count || 0} comments
+          </div>
+          <div className="flex items-center">
+            <BarChart3 className="w-4 h-4 mr-1" />
+            {poll.options.length} options
+          </div>
         </div>
-      </div>
 
-      {/* Action Buttons */}
-      <div className="flex items-center justify-between pt-4 border-t border-gray-100">
-        <div className="flex space-x-2">
-          <Link
-            to={`/poll/${poll.id}`}
-            state={{ from: '/my-polls' }}
-            className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
-          >
-            <Eye className="w-4 h-4 mr-1" />
-            View
-          </Link>
-          
-          <div className="relative group">
+        {/* Action Buttons */}
+        <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+          <div className="flex space-x-2">
             <Link
-              to={`/poll/${poll.id}/edit`}
+              to={`/poll/${poll.id}`}
               state={{ from: '/my-polls' }}
-              className={`inline-flex items-center px-3 py-2 text-sm font-medium transition-colors ${
-                poll.status === 'closed' 
-                  ? 'text-gray-400 cursor-not-allowed' 
-                  : 'text-gray-600 hover:text-gray-500'
-              }`}
-              title={poll.status === 'closed' ? 'Activate poll before editing' : 'Edit poll'}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
             >
-              <Edit className="w-4 h-4 mr-1" />
-              {poll.status === 'closed' ? 'Needs Activation' : 'Edit'}
+              <Eye className="w-4 h-4 mr-1" />
+              View
             </Link>
-            {poll.status === 'closed' && (
-              <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 text-xs text-white bg-gray-900 rounded-lg opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none whitespace-nowrap z-10">
-                Activate poll first to enable editing
-                <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-900"></div>
-              </div>
-            )}
+            
+            <div className="relative group">
+              <Link
+                to={`/poll/${poll.id}/edit`}
+                state={{ from: '/my-polls' }}
+                className={`inline-flex items-center px-3 py-2 text-sm font-medium transition-colors ${
+                  poll.status === 'closed' 
+                    ? 'text-gray-400 cursor-not-allowed' 
+                    : 'text-gray-600 hover:text-gray-500'
+                }`}
+                title={poll.status === 'closed' ? 'Activate poll before editing' : 'Edit poll'}
+              >
+                <Edit className="w-4 h-4 mr-1" />
+                {poll.status === 'closed' ? 'Needs Activation' : 'Edit'}
+              </Link>
+              {poll.status === 'closed' && (
+                <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-3 py-2 text-xs text-white bg-gray-900 rounded-lg opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none whitespace-nowrap z-10">
+                  Activate poll first to enable editing
+                  <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-900"></div>
+                </div>
+              )}
+            </div>
+
+            <button
+              onClick={() => handleSaveAsTemplate(poll)}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-500 transition-colors"
+              title="Save this poll as a template"
+            >
+              <BookmarkPlus className="w-4 h-4 mr-1" />
+              Template
+            </button>
+
+            <button
+              onClick={() => setDuplicatingPoll(poll)}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-500 transition-colors"
+              title="Copy this poll into a new draft"
+            >
+              <Copy className="w-4 h-4 mr-1" />
+              Duplicate
+            </button>
           </div>
-        </div>
-        
-        <div className="flex space-x-2">
-          <button
-            onClick={() => handleTogglePollStatus(poll.id, poll.status)}
-            className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
-              poll.status === 'active'
-                ? 'text-red-600 hover:text-red-500 hover:bg-red-50'
-                : 'text-green-600 hover:text-green-500 hover:bg-green-50'
-            } ${
-              updatingPollId === poll.id ? 'opacity-50 cursor-not-allowed' : ''
-            }`}
-            disabled={poll.status === 'draft' || updatingPollId === poll.id}
-          >
-            {updatingPollId === poll.id ? (
-              <div className="flex items-center">
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-1"></div>
-                Updating...
-              </div>
-            ) : poll.status === 'active' ? (
-              <>
-                <EyeOff className="w-4 h-4 mr-1" />
-                Close
-              </>
-            ) : (
-              <>
-                <Eye className="w-4 h-4 mr-1" />
-                Activate
-              </>
-            )}
-          </button>
           
-          <button
-            onClick={() => handleDeletePoll(poll.id, poll.title)}
-            className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-          >
-            <Trash2 className="w-4 h-4 mr-1" />
-            Delete
-          </button>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleTogglePollStatus(poll.id, poll.status)}
+              className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                poll.status === 'active'
+                  ? 'text-red-600 hover:text-red-500 hover:bg-red-50'
+                  : 'text-green-600 hover:text-green-500 hover:bg-green-50'
+              } ${
+                updatingPollId === poll.id ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+              disabled={(poll.status === 'draft' && !isScheduled) || updatingPollId === poll.id}
+            >
+              {updatingPollId === poll.id ? (
+                <div className="flex items-center">
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-current mr-1"></div>
+                  Updating...
+                </div>
+              ) : poll.status === 'active' ? (
+                <>
+                  <EyeOff className="w-4 h-4 mr-1" />
+                  Close
+                </>
+              ) : (
+                <>
+                  <Eye className="w-4 h-4 mr-1" />
+                  {isScheduled ? 'Publish Now' : 'Activate'}
+                </>
+              )}
+            </button>
+            
+            <button
+              onClick={() => handleDeletePoll(poll.id, poll.title)}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Delete
+            </button>
+          </div>
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   if (loading) {
     return (
@@ -404,6 +489,32 @@ const MyPolls = () => {
         />
       </div>
 
+      {/* Recurring Polls */}
+      {series.length > 0 && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Repeat className="w-5 h-5 mr-2" />
+            Recurring Polls
+          </h2>
+          <div className="divide-y divide-gray-100">
+            {series.map(item => (
+              <Link
+                key={item.id}
+                to={`/series/${item.id}`}
+                className="flex items-center justify-between py-3 hover:text-blue-600 transition-colors"
+              >
+                <span className="font-medium text-gray-900">{item.template.title}</span>
+                <span className="text-sm text-gray-500">
+                  {formatCadence(item.cadence)} · {item.run_count} runs · {item.active && item.next_run_at
+                    ? `next ${new Date(item.next_run_at).toLocaleDateString()}`
+                    : 'paused'}
+                </span>
+              </Link>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Filter Tabs */}
       <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200">
         <div className="flex flex-wrap gap-2 mb-6">
@@ -411,6 +522,7 @@ const MyPolls = () => {
             { value: 'all', label: 'All Polls', count: stats.total },
             { value: 'active', label: 'Active', count: stats.active },
             { value: 'closed', label: 'Closed', count: stats.closed },
+            { value: 'scheduled', label: 'Scheduled', count: stats.scheduled },
             { value: 'draft', label: 'Drafts', count: stats.draft }
           ].map(tab => (
             <button
@@ -481,6 +593,12 @@ const MyPolls = () => {
           ))}
         </div>
       )}
+
+      <DuplicatePollModal
+        isOpen={!!duplicatingPoll}
+        onClose={() => setDuplicatingPoll(null)}
+        poll={duplicatingPoll}
+      />
     </div>
   );
 };
@@ -10,7 +10,9 @@ import {
   MessageSquare,
   BarChart3,
   PlusCircle,
-  Lock
+  Lock,
+  CalendarClock,
+  UserPlus
 } from 'lucide-react';
 import { useNotifications } from '../context/NotificationContext';
 import NotificationService from '../services/NotificationService';
@@ -87,8 +89,12 @@ const NotificationPanel = ({ isOpen, onClose }) => {
         return <span className="text-xs">👍</span>;
       case 'poll_created':
         return <PlusCircle className="w-3 h-3" />;
+      case 'poll_published':
+        return <CalendarClock className="w-3 h-3" />;
       case 'poll_closed':
         return <Lock className="w-3 h-3" />;
+      case 'collaborator_added':
+        return <UserPlus className="w-3 h-3" />;
       case 'system':
         return <Bell className="w-3 h-3" />;
       default:
@@ -186,7 +192,9 @@ const NotificationPanel = ({ isOpen, onClose }) => {
               <option value="comment">Comments</option>
               <option value="reply">Replies</option>
               <option value="poll_created">Poll Created</option>
+              <option value="poll_published">Poll Published</option>
               <option value="poll_closed">Poll Closed</option>
+              <option value="collaborator_added">Collaborations</option>
               <option value="system">System</option>
             </select>
             
@@ -0,0 +1,81 @@
+import React, { useRef, useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { getOptionImageUrl, validateOptionImage, uploadOptionImage } from '../utils/optionImageUtils';
+
+// Picture picker for one poll option in the create and edit poll forms
+const OptionImagePicker = ({ imageUrl, optionLabel, onChange, disabled = false }) => {
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const error = validateOptionImage(file);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setUploading(true);
+    try {
+      onChange(await uploadOptionImage(file));
+    } catch (error) {
+      console.error('Error uploading option image:', error);
+      toast.error(error.message || 'Failed to upload image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (imageUrl) {
+    return (
+      <div className="relative flex-shrink-0">
+        <img
+          src={getOptionImageUrl(imageUrl)}
+          alt={optionLabel}
+          className="w-10 h-10 rounded-lg object-cover border border-gray-200"
+        />
+        {!disabled && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-gray-700 text-white flex items-center justify-center hover:bg-red-600 transition-colors"
+            title="Remove image"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || uploading}
+        className="flex-shrink-0 p-2 text-gray-400 hover:text-blue-500 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        title="Add image"
+      >
+        {uploading ? (
+          <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
+        ) : (
+          <ImagePlus className="w-5 h-5" />
+        )}
+      </button>
+    </>
+  );
+};
+
+export default OptionImagePicker;
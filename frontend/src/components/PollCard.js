@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { Clock, Users, MessageCircle, TrendingUp } from 'lucide-react';
+import PollTags from './PollTags';
 
 const PollCard = ({ poll }) => {
   const location = useLocation();
@@ -18,19 +19,6 @@ const PollCard = ({ poll }) => {
     return `${diffDays}d ago`;
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      technology: 'bg-blue-100 text-blue-700',
-      politics: 'bg-red-100 text-red-700',
-      entertainment: 'bg-pink-100 text-pink-700',
-      sports: 'bg-green-100 text-green-700',
-      business: 'bg-yellow-100 text-yellow-700',
-      general: 'bg-gray-100 text-gray-700',
-      other: 'bg-purple-100 text-purple-700'
-    };
-    return colors[category] || colors.general;
-  };
-
   const getStatusColor = (status) => {
     const colors = {
       active: 'bg-green-100 text-green-700',
@@ -48,13 +36,11 @@ const PollCard = ({ poll }) => {
     >
       <div className="flex items-start justify-between mb-4">
         <div className="flex-1">
-          <div className="flex items-center space-x-2 mb-2">
-            <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getCategoryColor(poll.category)}`}>
-              {poll.category || 'general'}
-            </span>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
             <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(poll.status)}`}>
               {poll.status || 'active'}
             </span>
+            <PollTags poll={poll} />
           </div>
           <h3 className="text-lg font-semibold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
             {poll.title || poll.question}
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { AlertCircle, LogOut, Trash2, UserPlus, Users } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { COLLABORATOR_ROLES, formatCollaboratorRole } from '../utils/collaboratorUtils';
+
+// Co-owners of a poll on the edit page - the poll's owners invite and remove them, collaborators may leave
+// Changes are saved right away, separately from the poll form
+const PollCollaborators = ({ poll, onLeave }) => {
+  const [collaborators, setCollaborators] = useState(poll.collaborators || []);
+  const [identifier, setIdentifier] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+  const canManage = Boolean(poll.can_manage_collaborators);
+
+  // Runs a collaborator request; the server answers with the updated list
+  const runRequest = async (request, errorMessage) => {
+    if (saving) return null;
+
+    setSaving(true);
+    try {
+      const response = await request();
+      if (response.status >= 400) {
+        setError(response.data?.error || errorMessage);
+        return null;
+      }
+      setError(null);
+      return response;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      setError(errorMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const value = identifier.trim();
+    if (!value) return;
+
+    const response = await runRequest(() => api.post(`/polls/${poll.id}/collaborators`, { user: value, role }), 'Failed to add collaborator');
+    if (response) {
+      setCollaborators(response.data);
+      setIdentifier('');
+      toast.success(`${value} can now help run this poll`);
+    }
+  };
+
+  const handleChangeRole = async (collaborator, nextRole) => {
+    const response = await runRequest(
+      () => api.patch(`/polls/${poll.id}/collaborators/${collaborator.id}`, { role: nextRole }),
+      'Failed to change role'
+    );
+    if (response) {
+      setCollaborators(response.data);
+    }
+  };
+
+  const handleRemove = async (collaborator) => {
+    const isLeaving = collaborator.id === user.id;
+    const confirmMessage = isLeaving
+      ? `Stop collaborating on "${poll.title}"? You will no longer be able to manage it.`
+      : `Remove ${collaborator.username} from the collaborators of this poll?`;
+    if (!window.confirm(confirmMessage)) return;
+
+    const response = await runRequest(() => api.delete(`/polls/${poll.id}/collaborators/${collaborator.id}`), 'Failed to remove collaborator');
+    if (!response) return;
+
+    if (isLeaving) {
+      toast.success(response.data.message);
+      onLeave();
+    } else {
+      setCollaborators(response.data);
+    }
+  };
+
+  // Enter adds the collaborator instead of submitting anything else on the page
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleAdd();
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <Users className="w-5 h-5 mr-2" />
+        Collaborators
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        {canManage
+          ? 'People who run this poll with you. They are notified of new votes and comments.'
+          : 'People who run this poll. Only its owner can invite or remove collaborators.'}
+      </p>
+
+      {collaborators.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No collaborators yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 mb-6">
+          {collaborators.map(collaborator => (
+            <li key={collaborator.id} className="flex items-center justify-between py-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">
+                  {collaborator.username}
+                  {collaborator.id === user.id && <span className="text-gray-500 font-normal"> (you)</span>}
+                </p>
+                <p className="text-sm text-gray-500 truncate">{collaborator.email}</p>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                {canManage ? (
+                  <select
+                    value={collaborator.role}
+                    onChange={(e) => handleChangeRole(collaborator, e.target.value)}
+                    disabled={saving}
+                    className="input py-1 text-sm"
+                    aria-label={`Role of ${collaborator.username}`}
+                  >
+                    {COLLABORATOR_ROLES.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                    {formatCollaboratorRole(collaborator.role)}
+                  </span>
+                )}
+                {(canManage || collaborator.id === user.id) && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(collaborator)}
+                    disabled={saving}
+                    className="p-2 text-gray-400 hover:text-red-600 rounded-lg transition-colors disabled:opacity-50"
+                    title={collaborator.id === user.id ? 'Stop collaborating' : `Remove ${collaborator.username}`}
+                  >
+                    {collaborator.id === user.id ? <LogOut className="w-4 h-4" /> : <Trash2 className="w-4 h-4" />}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canManage && (
+        <div className="space-y-2">
+          <label htmlFor="collaborator_user" className="label">Invite a collaborator</label>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              id="collaborator_user"
+              type="text"
+              value={identifier}
+              onChange={(e) => {
+                setIdentifier(e.target.value);
+                setError(null);
+              }}
+              onKeyDown={handleKeyDown}
+              className={`input flex-1 ${error ? 'border-red-300 focus:ring-red-500' : ''}`}
+              placeholder="Username or email"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="input sm:w-48"
+              aria-label="Collaborator role"
+            >
+              {COLLABORATOR_ROLES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={!identifier.trim() || saving}
+              className="btn-primary inline-flex items-center justify-center px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <UserPlus className="w-4 h-4 mr-2" />
+              Invite
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            {COLLABORATOR_ROLES.find(option => option.value === role)?.description}
+          </p>
+        </div>
+      )}
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PollCollaborators;
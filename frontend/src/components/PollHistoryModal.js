@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { X, History, Plus, Minus, Pencil, Image, AlertCircle } from 'lucide-react';
+import api from '../utils/api';
+import { getRevisionFieldLabel, formatRevisionValue, getMigrationTargetText } from '../utils/revisionUtils';
+
+const PollHistoryModal = ({ isOpen, onClose, poll, userVotes = [] }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !poll) return;
+
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get(`/polls/${poll.id}/revisions`);
+        if (response.status >= 400) {
+          setError(response.data?.error || 'Failed to load edit history');
+          return;
+        }
+        setRevisions(response.data);
+        setError(null);
+      } catch (error) {
+        console.error('Error fetching poll revisions:', error);
+        setError('Failed to load edit history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, poll?.id, poll?.revision_count]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Edit History</h2>
+            <p className="text-sm text-gray-600 mt-1">Every change made to this poll, newest first</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {loading ? (
+            <div className="animate-pulse space-y-3">
+              <div className="h-4 bg-gray-300 rounded w-1/3"></div>
+              <div className="h-4 bg-gray-300 rounded w-2/3"></div>
+            </div>
+          ) : error ? (
+            <p className="text-red-600 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error}
+            </p>
+          ) : revisions.length === 0 ? (
+            <p className="text-gray-500 text-center">This poll has not been edited.</p>
+          ) : (
+            revisions.map(revision => (
+              <div key={revision.id} className="border-l-2 border-gray-200 pl-4">
+                <div className="flex items-center text-sm text-gray-500 mb-2">
+                  <History className="w-4 h-4 mr-1" />
+                  Edit #{revision.revision} · {new Date(revision.createdAt).toLocaleString()}
+                </div>
+
+                <ul className="space-y-1 text-sm text-gray-700">
+                  {revision.changes.map(change => (
+                    <li key={change.field}>
+                      <span className="font-medium">{getRevisionFieldLabel(change.field)}:</span>{' '}
+                      <span className="line-through text-gray-400">{formatRevisionValue(change.field, change.before)}</span>
+                      {' → '}
+                      {formatRevisionValue(change.field, change.after)}
+                    </li>
+                  ))}
+
+                  {revision.options_renamed.map(option => (
+                    <li key={`renamed-${option.id}`} className="flex items-start">
+                      <Pencil className="w-4 h-4 mr-2 mt-0.5 text-blue-500 flex-shrink-0" />
+                      <span>
+                        Option reworded: <span className="line-through text-gray-400">{option.before}</span> → {option.after}
+                        {userVotes.includes(option.id) && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                            Your choice
+                          </span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+
+                  {revision.options_added.map(option => (
+                    <li key={`added-${option.id}`} className="flex items-start">
+                      <Plus className="w-4 h-4 mr-2 mt-0.5 text-green-500 flex-shrink-0" />
+                      <span>Option added: {option.text}</span>
+                    </li>
+                  ))}
+
+                  {revision.options_removed.map(option => (
+                    <li key={`removed-${option.id}`} className="flex items-start">
+                      <Minus className="w-4 h-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+                      <span>
+                        Option removed: {option.text}
+                        {option.votes > 0 && (
+                          <span className="text-gray-500">
+                            {' '}({option.votes} votes {option.migrated_to
+                              ? `moved to "${getMigrationTargetText(option, revision, poll)}"`
+                              : 'discarded'})
+                          </span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+
+                  {revision.options_image_changed.map(option => (
+                    <li key={`image-${option.id}`} className="flex items-start">
+                      <Image className="w-4 h-4 mr-2 mt-0.5 text-gray-500 flex-shrink-0" />
+                      <span>Picture changed for: {option.text}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-end p-6 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="btn-secondary px-4 py-2 rounded-lg font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PollHistoryModal;
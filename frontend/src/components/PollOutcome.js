@@ -0,0 +1,55 @@
+import React from 'react';
+import { Trophy, Scale, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getOutcomeWinners, formatOutcomeReason } from '../utils/outcomeUtils';
+
+// Final outcome the server declared when the poll closed
+const PollOutcome = ({ poll }) => {
+  const { outcome } = poll;
+  if (poll.status !== 'closed' || !outcome) return null;
+
+  const winners = getOutcomeWinners(poll);
+
+  let headline;
+  if (outcome.total_votes === 0) {
+    headline = 'No votes were cast';
+  } else if (outcome.average_score !== null && outcome.average_score !== undefined) {
+    headline = `Average score: ${outcome.average_score}`;
+  } else if (outcome.tied) {
+    headline = `Tie between ${winners.map(option => option.text).join(' and ')}`;
+  } else if (winners.length === 1) {
+    headline = `Winner: ${winners[0].text}`;
+  } else {
+    headline = 'No winner could be declared';
+  }
+
+  const HeadlineIcon = outcome.tied ? Scale : Trophy;
+
+  return (
+    <div className={`card mb-6 border ${outcome.quorum_met ? 'border-green-200' : 'border-amber-200'}`}>
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <HeadlineIcon className={`w-5 h-5 mr-2 ${outcome.quorum_met ? 'text-yellow-500' : 'text-gray-400'}`} />
+        {headline}
+      </h2>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+        <span>{formatOutcomeReason(outcome.reason)} on {new Date(outcome.decided_at).toLocaleString()}</span>
+        <span>{outcome.total_votes} votes counted</span>
+        {poll.quorum ? (
+          outcome.quorum_met ? (
+            <span className="flex items-center text-green-700">
+              <CheckCircle className="w-4 h-4 mr-1" />
+              Quorum of {poll.quorum} met
+            </span>
+          ) : (
+            <span className="flex items-center text-amber-700">
+              <AlertTriangle className="w-4 h-4 mr-1" />
+              Quorum of {poll.quorum} not met - this result is not valid
+            </span>
+          )
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+export default PollOutcome;
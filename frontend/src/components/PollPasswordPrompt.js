@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Lock, AlertCircle } from 'lucide-react';
+import api from '../utils/api';
+import { savePollAccessGrant } from '../utils/pollAccessUtils';
+
+// Password form shown in place of a password-protected poll until the voter unlocks it
+const PollPasswordPrompt = ({ poll, shareConfig, onUnlock }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password || unlocking) return;
+
+    setUnlocking(true);
+    try {
+      const response = await api.post(`/polls/${poll.id}/unlock`, { password }, shareConfig);
+      if (response.status >= 400) {
+        setError(response.data?.error || 'Failed to unlock poll');
+        return;
+      }
+
+      savePollAccessGrant(poll.id, response.data);
+      onUnlock(response.data.access_token);
+    } catch (error) {
+      console.error('Unlock poll error:', error);
+      setError('Failed to unlock poll');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="card max-w-md mx-auto text-center">
+      <Lock className="w-10 h-10 text-gray-400 mx-auto mb-4" />
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">{poll.title}</h1>
+      <p className="text-gray-600 mb-6">This poll is password protected. Enter the password to vote and comment.</p>
+
+      <form onSubmit={handleSubmit} className="space-y-4 text-left">
+        <div>
+          <label htmlFor="poll_password" className="label">
+            Password
+          </label>
+          <input
+            type="password"
+            id="poll_password"
+            value={password}
+            onChange={(e) => {
+              setPassword(e.target.value);
+              setError(null);
+            }}
+            className={`input ${error ? 'border-red-300 focus:ring-red-500' : ''}`}
+            autoFocus
+          />
+          {error && (
+            <p className="mt-1 text-sm text-red-600 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-1" />
+              {error}
+            </p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={!password || unlocking}
+          className="btn-primary w-full py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {unlocking ? 'Unlocking...' : 'Unlock Poll'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PollPasswordPrompt;
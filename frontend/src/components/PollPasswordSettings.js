@@ -0,0 +1,52 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// Password protection toggle and password for the create and edit poll forms
+const PollPasswordSettings = ({ formData, errors, onChange, hasPassword = false }) => (
+  <div className="space-y-4">
+    <div className="flex items-start space-x-3">
+      <input
+        type="checkbox"
+        id="password_protected"
+        name="password_protected"
+        checked={formData.password_protected}
+        onChange={onChange}
+        className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+      />
+      <div>
+        <label htmlFor="password_protected" className="block text-sm font-medium text-gray-700">
+          Password protection
+        </label>
+        <p className="text-sm text-gray-500">
+          Voters must enter a password before they can vote or comment.
+        </p>
+      </div>
+    </div>
+
+    {formData.password_protected && (
+      <div>
+        <label htmlFor="password" className="label">
+          Poll Password
+        </label>
+        <input
+          type="password"
+          id="password"
+          name="password"
+          value={formData.password}
+          onChange={onChange}
+          className={`input ${errors.password ? 'border-red-300 focus:ring-red-500' : ''}`}
+          placeholder={hasPassword ? 'Leave blank to keep the current password' : 'At least 4 characters'}
+          autoComplete="new-password"
+        />
+        {errors.password && (
+          <p className="mt-1 text-sm text-red-600 flex items-center">
+            <AlertCircle className="w-4 h-4 mr-1" />
+            {errors.password}
+          </p>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default PollPasswordSettings;
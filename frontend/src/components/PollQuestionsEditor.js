@@ -0,0 +1,124 @@
+import React from 'react';
+import { Plus, AlertCircle, GitBranch } from 'lucide-react';
+import { toast } from 'sonner';
+import { createFormQuestion, getBranchChoices } from '../utils/surveyUtils';
+import SkipLogicEditor from './SkipLogicEditor';
+import SurveyQuestionEditor from './SurveyQuestionEditor';
+
+// Follow-up questions of the create and edit poll forms, with skip rules on the poll's own options and between
+// the follow-up questions. The poll's own question is question 1, so follow-up questions are numbered from 2.
+// onChange receives the changed questions and/or branches, and the error key the change may have fixed.
+const PollQuestionsEditor = ({ formData, errors, locked = false, onChange }) => {
+  const { questions, branches } = formData;
+
+  const pollTargets = questions.map((question, index) => ({
+    id: question.id,
+    label: `Question ${index + 2}${question.text ? `: ${question.text}` : ''}`
+  }));
+
+  const updateQuestion = (questionId, changes) => {
+    onChange({
+      questions: questions.map(question =>
+        question.id === questionId ? { ...question, ...changes } : question
+      )
+    }, `question_${questionId}`);
+  };
+
+  const addQuestion = () => {
+    if (questions.length >= 49) {
+      toast.error('A poll can have at most 49 follow-up questions');
+      return;
+    }
+    onChange({ questions: [...questions, createFormQuestion()] });
+  };
+
+  // Skip rules pointing at the removed question go with it
+  const removeQuestion = (questionId) => {
+    onChange({
+      questions: questions
+        .filter(question => question.id !== questionId)
+        .map(question => ({
+          ...question,
+          branches: question.branches.filter(branch => branch.next_question_id !== questionId)
+        })),
+      branches: branches.filter(branch => branch.next_question_id !== questionId)
+    }, 'branches');
+  };
+
+  const moveQuestion = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= questions.length) return;
+    const reordered = [...questions];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange({ questions: reordered });
+  };
+
+  return (
+    <>
+      <div className="card">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <GitBranch className="w-5 h-5 mr-2" />
+              Follow-up Questions
+            </h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {locked
+                ? 'Follow-up questions and their skip logic cannot be changed once the poll has votes.'
+                : 'Voters answer these after the poll question in one submission. Skip logic decides which ones they see.'}
+            </p>
+          </div>
+          {!locked && (
+            <button
+              type="button"
+              onClick={addQuestion}
+              className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all flex items-center"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Add Question
+            </button>
+          )}
+        </div>
+
+        {/* Skip rules on the poll's own options */}
+        {questions.length > 0 && (
+          <SkipLogicEditor
+            questionType={formData.poll_type}
+            branches={branches}
+            branchChoices={getBranchChoices({ question_type: formData.poll_type, options: formData.options })}
+            targets={pollTargets}
+            endLabel="End of poll"
+            locked={locked}
+            onChange={(nextBranches) => onChange({ branches: nextBranches }, 'branches')}
+          />
+        )}
+
+        {errors.branches && (
+          <p className="mt-3 text-sm text-red-600 flex items-center">
+            <AlertCircle className="w-4 h-4 mr-1" />
+            {errors.branches}
+          </p>
+        )}
+      </div>
+
+      {questions.map((question, index) => (
+        <SurveyQuestionEditor
+          key={question.id}
+          question={question}
+          index={index}
+          questions={questions}
+          error={errors[`question_${question.id}`]}
+          locked={locked}
+          firstNumber={2}
+          endLabel="End of poll"
+          canRemoveLast
+          onChange={(changes) => updateQuestion(question.id, changes)}
+          onMove={(direction) => moveQuestion(index, direction)}
+          onRemove={() => removeQuestion(question.id)}
+        />
+      ))}
+    </>
+  );
+};
+
+export default PollQuestionsEditor;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Info } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  POLL_QUESTION_ID,
+  getPollQuestionFlow,
+  buildSurveyAnswer,
+  isAnswered,
+  getSelectedOptionIds,
+  getSurveyPath
+} from '../utils/surveyUtils';
+import QuestionBallot from './QuestionBallot';
+
+// Ballot of a poll with follow-up questions: the poll's own question and the follow-up questions on the voter's
+// path are answered together and sent as one ballot. Once voted, the submitted answers are shown instead.
+const PollQuestionsForm = ({ poll, hasVoted, submittedVotes = [], submittedRanking = [], submittedAnswers = [], voting, onSubmit }) => {
+  const [answers, setAnswers] = useState({});
+  const [missing, setMissing] = useState([]);
+
+  const flow = getPollQuestionFlow(poll);
+  const isOpen = poll.status === 'active' && !hasVoted;
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+    setMissing(prev => prev.filter(missingId => missingId !== questionId));
+  };
+
+  // The poll's own answer comes from the ballot itself, the follow-up answers are stored with it
+  const getSubmittedAnswer = (questionId) => {
+    if (!hasVoted) return null;
+    if (questionId === POLL_QUESTION_ID) {
+      return { question_id: POLL_QUESTION_ID, option_ids: submittedVotes, ranking: submittedRanking };
+    }
+    return submittedAnswers.find(answer => answer.question_id === questionId);
+  };
+
+  const path = hasVoted
+    ? getSurveyPath(flow, (question) => {
+      const submitted = getSubmittedAnswer(question.id);
+      if (!submitted) return null;
+      return submitted.ranking.length > 0 ? submitted.ranking : submitted.option_ids;
+    })
+    : getSurveyPath(flow, (question) => getSelectedOptionIds(question, answers[question.id]));
+
+  const handleSubmit = () => {
+    if (voting) return;
+
+    const unanswered = flow.questions
+      .filter(question => path.includes(question.id) && question.required && !isAnswered(answers[question.id]))
+      .map(question => question.id);
+    if (unanswered.length > 0) {
+      setMissing(unanswered);
+      toast.error(`Please answer all required questions (${unanswered.length} left)`);
+      return;
+    }
+
+    // Answers to questions that were skipped along the way are left out
+    const [pollQuestion, ...followUps] = flow.questions;
+    const { question_id: _pollQuestionId, ...pollBallot } = buildSurveyAnswer(pollQuestion, answers[POLL_QUESTION_ID]);
+    onSubmit({
+      ...pollBallot,
+      answers: followUps
+        .filter(question => path.includes(question.id) && isAnswered(answers[question.id]))
+        .map(question => buildSurveyAnswer(question, answers[question.id]))
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {isOpen && flow.questions.some(question => (question.branches || []).length > 0) && (
+        <div className="p-3 bg-blue-50 rounded-lg border border-blue-200 flex items-center text-blue-800 text-sm">
+          <Info className="w-5 h-5 mr-2 flex-shrink-0" />
+          Some questions are skipped depending on your answers, so question numbers may jump.
+        </div>
+      )}
+
+      {/* Questions on the voter's path */}
+      {flow.questions.map((question, index) => path.includes(question.id) && (
+        <div
+          key={question.id}
+          className={`p-4 border border-gray-200 rounded-lg ${missing.includes(question.id) ? 'ring-2 ring-red-300' : ''}`}
+        >
+          <h3 className="font-semibold text-gray-900 mb-4">
+            {index + 1}. {question.text}
+            {question.required && <span className="text-red-500 ml-1">*</span>}
+          </h3>
+          <QuestionBallot
+            question={question}
+            parent={poll}
+            value={answers[question.id]}
+            submitted={getSubmittedAnswer(question.id)}
+            hasResponded={hasVoted}
+            isOpen={isOpen}
+            submitting={voting}
+            onChange={(value) => setAnswer(question.id, value)}
+          />
+          {missing.includes(question.id) && (
+            <p className="mt-3 text-sm text-red-600">This question requires an answer</p>
+          )}
+        </div>
+      ))}
+
+      {isOpen && (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={voting}
+            className="btn-primary px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {voting ? (
+              <div className="flex items-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Submitting...
+              </div>
+            ) : (
+              'Submit Answers'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PollQuestionsForm;
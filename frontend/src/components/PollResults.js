@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate, useLocation } from 'react-router-dom';
+import { useParams, useSearchParams, useNavigate, useLocation } from 'react-router-dom';
 import { 
   ArrowLeft, 
   Users, 
@@ -11,33 +11,69 @@ import {
   EyeOff,
   Share2,
   Download,
-  BarChart3
+  BarChart3,
+  UserX,
+  UserCheck,
+  Copy
 } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
 import PageHeader from './PageHeader';
+import { getResultsVisibility, formatResultsVisibility, getHiddenResultsMessage } from '../utils/resultsVisibilityUtils';
+import { getShareConfig } from '../utils/sharingUtils';
+import RankedResults from './RankedResults';
+import ScaleResults from './ScaleResults';
+import QuizResults from './QuizResults';
+import PollOutcome from './PollOutcome';
+import { generateScoreSummaryHTML } from '../utils/exportUtils';
+import { isScorePoll } from '../utils/scoreUtils';
+import { getOptionImageUrl } from '../utils/optionImageUtils';
+import DuplicatePollModal from './DuplicatePollModal';
+import QuestionResults from './QuestionResults';
 
 const PollResults = () => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  // Results of an unlisted poll opened through its share link
+  const shareToken = searchParams.get('token');
   const navigate = useNavigate();
   const location = useLocation();
   const [poll, setPoll] = useState(null);
+  const [runoff, setRunoff] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showDuplicateModal, setShowDuplicateModal] = useState(false);
 
   const user = JSON.parse(sessionStorage.getItem('user') || '{}');
 
   const fetchPollResults = useCallback(async () => {
     try {
-      const response = await api.get(`/polls/${id}`);
+      const response = await api.get(`/polls/${id}`, getShareConfig(shareToken));
       const pollData = response.data;
+      if (response.status === 404) {
+        setError('Poll not found');
+        return;
+      }
       
-      // Check if results are public or if user is the creator
-      if (!pollData.show_results && pollData.creator !== user.id) {
-        setError('Results are private for this poll');
+      // The server withholds the counts until the poll's reveal mode lets this user see them
+      if (pollData.results_hidden) {
+        setError(getHiddenResultsMessage(pollData));
         return;
       }
       
+      // Ranked-choice polls are decided by instant-runoff rounds
+      if (pollData.poll_type === 'ranked') {
+        const runoffResponse = await api.get(`/polls/${id}/runoff`, getShareConfig(shareToken));
+        setRunoff(runoffResponse.data);
+      }
+
+      // Quiz scores are only shared with voters once the quiz closes
+      if (pollData.is_quiz && (pollData.creator === user.id || pollData.status === 'closed')) {
+        const leaderboardResponse = await api.get(`/polls/${id}/leaderboard`, getShareConfig(shareToken));
+        setLeaderboard(leaderboardResponse.data);
+      }
+      
       setPoll(pollData);
     } catch (error) {
       console.error('Error fetching poll results:', error);
@@ -49,7 +85,7 @@ const PollResults = () => {
     } finally {
       setLoading(false);
     }
-  }, [id, user.id]);
+  }, [id, user.id, shareToken]);
 
   useEffect(() => {
     fetchPollResults();
@@ -282,6 +318,37 @@ const PollResults = () => {
     // Generate charts
     const pieChartSVG = generateChartForExport('pie');
     
+    // Generate instant-runoff rounds for ranked-choice polls
+    const generateRunoffHTML = () => {
+      const getOptionText = (optionId) => poll.options.find(o => o.id === optionId)?.text || 'Removed option';
+      const outcome = runoff.winner
+        ? `Winner: ${getOptionText(runoff.winner)}`
+        : runoff.tie.length > 0
+          ? `Tie: ${runoff.tie.map(getOptionText).join(', ')}`
+          : 'No ballots cast';
+      
+      return `
+        <div class="chart-title">${outcome}</div>
+        ${runoff.rounds.map(round => {
+          const activeBallots = runoff.total_ballots - round.exhausted;
+          return `
+            <div class="option">
+                <div class="option-header">
+                    <span class="option-text">Round ${round.round}</span>
+                    <span class="option-votes">${activeBallots} active ballots${round.exhausted > 0 ? `, ${round.exhausted} exhausted` : ''}</span>
+                </div>
+                ${Object.entries(round.tallies)
+                  .sort((a, b) => b[1] - a[1])
+                  .map(([optionId, count]) => `
+                    <div style="display: flex; font-family: Arial, sans-serif; font-size: 14px; padding: 4px 0; color: ${round.eliminated.includes(optionId) ? '#dc2626' : '#111827'};">
+                        <span style="flex: 1;">${getOptionText(optionId)}${round.eliminated.includes(optionId) ? ' (eliminated)' : ''}</span>
+                        <span>${count}</span>
+                    </div>`).join('')}
+            </div>`;
+        }).join('')}
+      `;
+    };
+    
     // Generate options list for HTML report
     const generateOptionsListHTML = (options) => {
       const total = options.reduce((sum, _option) => sum + _option.votes, 0);
@@ -297,6 +364,7 @@ const PollResults = () => {
             return `
               <div style="display: flex; align-items: center; padding: 12px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 8px; background-color: #fafafa;">
                 <div style="width: 16px; height: 16px; border-radius: 50%; background-color: ${colors[index % colors.length]}; margin-right: 12px;"></div>
+                ${_option.image_url ? `<img src="${getOptionImageUrl(_option.image_url)}" alt="" style="width: 40px; height: 40px; object-fit: cover; border-radius: 6px; margin-right: 12px;">` : ''}
                 <div style="flex: 1; font-family: Arial, sans-serif; font-size: 14px; font-weight: 500; color: #111827;">
                   ${_option.text}
                 </div>
@@ -496,9 +564,14 @@ const PollResults = () => {
         
         <div class="info-grid">
             <div class="info-item">
-                <div class="info-label">Total Votes</div>
+                <div class="info-label">${poll.poll_type === 'approval' ? 'Ballots' : 'Total Votes'}</div>
                 <div class="info-value">${poll.total_votes}</div>
             </div>
+            ${poll.poll_type === 'approval' ? `
+            <div class="info-item">
+                <div class="info-label">Selections</div>
+                <div class="info-value">${poll.total_selections || 0}</div>
+            </div>` : ''}
             <div class="info-item">
                 <div class="info-label">Status</div>
                 <div class="info-value">${poll.status.toUpperCase()}</div>
@@ -513,6 +586,21 @@ const PollResults = () => {
             </div>
         </div>
         
+        ${poll.poll_type === 'ranked' && runoff ? `
+        <div class="charts-section">
+            <h2 class="section-title">Instant-Runoff Rounds</h2>
+            <div class="chart-card">
+                ${generateRunoffHTML()}
+            </div>
+        </div>
+        ` : isScorePoll(poll) ? `
+        <div class="charts-section">
+            <h2 class="section-title">${poll.poll_type === 'nps' ? 'Net Promoter Score' : 'Rating Results'}</h2>
+            <div class="chart-card">
+                ${generateScoreSummaryHTML(poll)}
+            </div>
+        </div>
+        ` : `
         <div class="charts-section">
             <h2 class="section-title">Visual Results</h2>
             <div class="chart-card">
@@ -529,15 +617,17 @@ const PollResults = () => {
                 </div>
             </div>
         </div>
+        `}
         
         <div class="results-section">
-            <h2 class="section-title">Detailed Results</h2>
+            <h2 class="section-title">${poll.poll_type === 'ranked' ? 'First-Preference Votes' : 'Detailed Results'}</h2>
             ${sortedOptions
               .map(option => {
                 const percentage = poll.total_votes === 0 ? 0 : Math.round((option.votes / poll.total_votes) * 100);
                 return `
                 <div class="option">
                     <div class="option-header">
+                        ${option.image_url ? `<img src="${getOptionImageUrl(option.image_url)}" alt="" style="width: 48px; height: 48px; object-fit: cover; border-radius: 6px; margin-right: 12px;">` : ''}
                         <span class="option-text">${option.text}</span>
                         <span class="option-votes">${option.votes} votes</span>
                         <span class="option-percentage">${percentage}%</span>
@@ -686,6 +776,13 @@ const PollResults = () => {
               <Download className="w-4 h-4 mr-2" />
               Export
             </button>
+            <button
+              onClick={() => setShowDuplicateModal(true)}
+              className="btn-secondary px-4 py-2 rounded-lg font-medium flex items-center"
+            >
+              <Copy className="w-4 h-4 mr-2" />
+              Duplicate
+            </button>
           </div>
         )}
       />
@@ -699,7 +796,7 @@ const PollResults = () => {
                 <StatusIcon className="w-4 h-4 mr-2" />
                 <span className="text-sm font-medium">{statusInfo.label}</span>
               </div>
-              {poll.show_results ? (
+              {getResultsVisibility(poll) === 'always' ? (
                 <div className="flex items-center px-3 py-1 rounded-lg bg-blue-100 text-blue-700 border border-blue-200">
                   <Eye className="w-4 h-4 mr-2" />
                   <span className="text-sm font-medium">Public Results</span>
@@ -707,7 +804,13 @@ const PollResults = () => {
               ) : (
                 <div className="flex items-center px-3 py-1 rounded-lg bg-gray-100 text-gray-700 border border-gray-200">
                   <EyeOff className="w-4 h-4 mr-2" />
-                  <span className="text-sm font-medium">Private Results</span>
+                  <span className="text-sm font-medium">Results: {formatResultsVisibility(getResultsVisibility(poll))}</span>
+                </div>
+              )}
+              {poll.anonymous && (
+                <div className="flex items-center px-3 py-1 rounded-lg bg-gray-100 text-gray-700 border border-gray-200" title="Votes in this poll are not linked to voters">
+                  <UserX className="w-4 h-4 mr-2" />
+                  <span className="text-sm font-medium">Anonymous</span>
                 </div>
               )}
             </div>
@@ -719,7 +822,11 @@ const PollResults = () => {
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
               <div className="flex items-center text-gray-600">
                 <Users className="w-4 h-4 mr-2" />
-                <span>{poll.total_votes} votes</span>
+                <span>
+                  {poll.poll_type === 'approval'
+                    ? `${poll.total_votes} ballots · ${poll.total_selections || 0} selections`
+                    : `${poll.total_votes} votes`}
+                </span>
               </div>
               <div className="flex items-center text-gray-600">
                 <span>{poll.options.length} options</span>
@@ -734,6 +841,22 @@ const PollResults = () => {
                   <span>Ends {formatDate(poll.ends_at)}</span>
                 </div>
               )}
+              {poll.max_votes && (
+                <div className="flex items-center text-gray-600">
+                  <span>Closes at {poll.max_votes} votes</span>
+                </div>
+              )}
+              {poll.quorum && (
+                <div className="flex items-center text-gray-600">
+                  <span>Quorum {Math.min(poll.total_votes, poll.quorum)}/{poll.quorum}</span>
+                </div>
+              )}
+              {poll.guest_votes > 0 && (
+                <div className="flex items-center text-gray-600">
+                  <UserCheck className="w-4 h-4 mr-2" />
+                  <span>{poll.total_votes - poll.guest_votes} members · {poll.guest_votes} guests</span>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -741,8 +864,26 @@ const PollResults = () => {
         <p className="text-sm text-gray-500">{statusInfo.description}</p>
       </div>
 
+      {/* Winner, ties and quorum declared when the poll closed */}
+      <PollOutcome poll={poll} />
+
+      {/* Instant-runoff rounds replace the pie chart for ranked-choice polls */}
+      {poll.poll_type === 'ranked' && (
+        <RankedResults poll={poll} runoff={runoff} />
+      )}
+
+      {/* Quiz accuracy and leaderboard */}
+      {poll.is_quiz && (
+        <QuizResults poll={poll} leaderboard={leaderboard} />
+      )}
+
+      {/* Rating and NPS polls are summarised by their score figures */}
+      {isScorePoll(poll) && (
+        <ScaleResults poll={poll} />
+      )}
+
       {/* Charts Section */}
-      {poll.total_votes > 0 && (
+      {poll.poll_type !== 'ranked' && !isScorePoll(poll) && poll.total_votes > 0 && (
         <div className="card mb-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
             <BarChart3 className="w-5 h-5 mr-2" />
@@ -772,6 +913,13 @@ const PollResults = () => {
                             className="w-4 h-4 rounded-full mr-3 flex-shrink-0" 
                             style={{ backgroundColor: colors[index % colors.length] }}
                           ></div>
+                          {option.image_url && (
+                            <img
+                              src={getOptionImageUrl(option.image_url)}
+                              alt=""
+                              className="w-10 h-10 rounded-md object-cover mr-3 flex-shrink-0"
+                            />
+                          )}
                           <div className="flex-1 min-w-0">
                             <p className="font-medium text-gray-900 truncate">
                               {option.text}
@@ -805,62 +953,74 @@ const PollResults = () => {
       )}
 
       {/* Results Section */}
-      <div className="card">
-        <h2 className="text-xl font-semibold text-gray-900 mb-6">
-          Voting Results
-        </h2>
-
-        {poll.total_votes === 0 ? (
-          <div className="text-center py-8">
-            <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
-              <Users className="w-8 h-8 text-gray-400" />
+      {!isScorePoll(poll) && (
+        <div className="card">
+          <h2 className="text-xl font-semibold text-gray-900 mb-6">
+            {poll.poll_type === 'ranked' ? 'First-Preference Votes' : 'Voting Results'}
+          </h2>
+
+          {poll.total_votes === 0 ? (
+            <div className="text-center py-8">
+              <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <Users className="w-8 h-8 text-gray-400" />
+              </div>
+              <h3 className="text-lg font-medium text-gray-900 mb-2">No votes yet</h3>
+              <p className="text-gray-600">Be the first to cast your vote!</p>
             </div>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">No votes yet</h3>
-            <p className="text-gray-600">Be the first to cast your vote!</p>
-          </div>
-        ) : (
-          <div className="space-y-6">
-            {poll.options
-              .sort((a, b) => b.votes - a.votes) // Sort by votes descending
-              .map((option, index) => {
-                const percentage = calculatePercentage(option.votes, poll.total_votes);
+          ) : (
+            <div className="space-y-6">
+              {poll.options
+                .sort((a, b) => b.votes - a.votes) // Sort by votes descending
+                .map((option, index) => {
+                  const percentage = calculatePercentage(option.votes, poll.total_votes);
                 
-                return (
-                  <div key={option.id} className="space-y-3">
-                    <div className="flex items-center justify-between">
-                      <div className="flex-1">
-                        <h3 className="text-lg font-medium text-gray-900">{option.text}</h3>
-                        <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
-                          <span>{option.votes} votes</span>
-                          <span>{percentage}% of total</span>
+                  return (
+                    <div key={option.id} className="space-y-3">
+                      <div className="flex items-center justify-between">
+                        {option.image_url && (
+                          <img
+                            src={getOptionImageUrl(option.image_url)}
+                            alt={option.text}
+                            className="w-16 h-16 rounded-lg object-cover mr-4 flex-shrink-0"
+                          />
+                        )}
+                        <div className="flex-1">
+                          <h3 className="text-lg font-medium text-gray-900">{option.text}</h3>
+                          <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
+                            <span>{option.votes} votes</span>
+                            <span>{percentage}% of {poll.poll_type === 'approval' ? 'voters' : 'total'}</span>
+                            {option.guest_votes > 0 && (
+                              <span>{option.votes - option.guest_votes} from members, {option.guest_votes} from guests</span>
+                            )}
+                          </div>
+                        </div>
+                        <div className="text-right">
+                          <div className="text-2xl font-bold text-gray-900">{percentage}%</div>
                         </div>
                       </div>
-                      <div className="text-right">
-                        <div className="text-2xl font-bold text-gray-900">{percentage}%</div>
-                      </div>
-                    </div>
                     
-                    <div className="w-full bg-gray-200 rounded-full h-3">
-                      <div
-                        className="h-3 rounded-full transition-all duration-1000 bg-blue-500"
-                        style={{ width: `${percentage}%` }}
-                      ></div>
+                      <div className="w-full bg-gray-200 rounded-full h-3">
+                        <div
+                          className="h-3 rounded-full transition-all duration-1000 bg-blue-500"
+                          style={{ width: `${percentage}%` }}
+                        ></div>
+                      </div>
                     </div>
-                  </div>
-                );
-              })}
-          </div>
-        )}
-      </div>
+                  );
+                })}
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Additional Statistics */}
-      {poll.total_votes > 0 && (
+      {poll.total_votes > 0 && !isScorePoll(poll) && (
         <div className="card mt-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Statistics</h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div className="text-center">
               <div className="text-2xl font-bold text-blue-600">{poll.total_votes}</div>
-              <div className="text-sm text-gray-600">Total Votes</div>
+              <div className="text-sm text-gray-600">{poll.poll_type === 'approval' ? 'Total Ballots' : 'Total Votes'}</div>
             </div>
             <div className="text-center">
               <div className="text-2xl font-bold text-purple-600">
@@ -870,7 +1030,7 @@ const PollResults = () => {
             </div>
             <div className="text-center">
               <div className="text-2xl font-bold text-green-600">
-                {Math.round(poll.total_votes / poll.options.length)}
+                {Math.round((poll.poll_type === 'approval' ? (poll.total_selections || 0) : poll.total_votes) / poll.options.length)}
               </div>
               <div className="text-sm text-gray-600">Average per Option</div>
             </div>
@@ -883,6 +1043,28 @@ const PollResults = () => {
           </div>
         </div>
       )}
+
+      {/* Follow-up questions - each voter only answered the ones on their path */}
+      {(poll.questions || []).map((question, index) => (
+        <div key={question.id} className="mt-8">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <BarChart3 className="w-5 h-5 mr-2" />
+              {index + 2}. {question.text}
+            </h2>
+            <span className="text-sm text-gray-500">
+              {question.answer_count} of {poll.total_votes} answered
+            </span>
+          </div>
+          <QuestionResults question={question} parent={poll} />
+        </div>
+      ))}
+
+      <DuplicatePollModal
+        isOpen={showDuplicateModal}
+        onClose={() => setShowDuplicateModal(false)}
+        poll={poll}
+      />
     </div>
   </>
   );
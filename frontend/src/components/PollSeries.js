@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Repeat, CalendarClock, Users, Pause, Play, Trash2, XCircle } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { isScorePoll, computeScoreStats } from '../utils/scoreUtils';
+import { formatCadence, getRunPercentage } from '../utils/seriesUtils';
+
+const PollSeries = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [series, setSeries] = useState(null);
+  const [polls, setPolls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSeries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const fetchSeries = async () => {
+    try {
+      const response = await api.get(`/poll-series/${id}`);
+      if (response.status >= 400) {
+        setError(response.data?.error || 'Failed to load recurring poll');
+        return;
+      }
+      setSeries(response.data.series);
+      setPolls(response.data.polls);
+    } catch (error) {
+      console.error('Error fetching poll series:', error);
+      setError('Failed to load recurring poll');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleActive = async () => {
+    if (updating) return;
+
+    try {
+      setUpdating(true);
+      const response = await api.patch(`/poll-series/${id}`, { active: !series.active });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to update recurring poll');
+        return;
+      }
+      setSeries(response.data);
+      toast.success(response.data.active ? 'Recurring poll resumed' : 'Recurring poll paused');
+    } catch (error) {
+      console.error('Error updating poll series:', error);
+      toast.error('Failed to update recurring poll');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Stop this recurring poll? Polls it already opened are kept, but no new ones will be created.')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/poll-series/${id}`);
+      toast.success('Recurring poll stopped');
+      navigate('/my-polls');
+    } catch (error) {
+      console.error('Error deleting poll series:', error);
+      toast.error('Failed to stop recurring poll');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-5xl mx-auto p-6">
+        <div className="animate-pulse space-y-6">
+          <div className="h-8 bg-gray-300 rounded w-2/3"></div>
+          <div className="bg-white rounded-xl p-6 border border-gray-200 h-64"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-5xl mx-auto p-6">
+        <div className="bg-red-50 rounded-lg p-8 text-center">
+          <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-red-900 mb-2">Unable to Load Recurring Poll</h2>
+          <p className="text-red-700 mb-4">{error}</p>
+          <button
+            onClick={() => navigate('/my-polls')}
+            className="btn-primary px-6 py-3 rounded-lg font-medium"
+          >
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!series) return null;
+
+  const { template } = series;
+  const isScoreSeries = isScorePoll(template);
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 space-y-6">
+      <button
+        onClick={() => navigate('/my-polls')}
+        className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4 mr-2" />
+        Back to My Polls
+      </button>
+
+      {/* Series Header */}
+      <div className="card">
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="flex items-center space-x-2 mb-2">
+              <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700 flex items-center">
+                <Repeat className="w-3 h-3 mr-1" />
+                {formatCadence(series.cadence)}
+              </span>
+              {!series.active && (
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                  Paused
+                </span>
+              )}
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{template.title}</h1>
+            {template.description && <p className="text-gray-600">{template.description}</p>}
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={handleToggleActive}
+              disabled={updating}
+              className="btn-secondary inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg disabled:opacity-50"
+            >
+              {series.active ? <Pause className="w-4 h-4 mr-1" /> : <Play className="w-4 h-4 mr-1" />}
+              {series.active ? 'Pause' : 'Resume'}
+            </button>
+            <button
+              onClick={handleDelete}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Stop
+            </button>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-6 text-sm text-gray-500 mt-4">
+          <div className="flex items-center">
+            <Repeat className="w-4 h-4 mr-1" />
+            {series.run_count} runs so far
+          </div>
+          {series.next_run_at && (
+            <div className="flex items-center">
+              <CalendarClock className="w-4 h-4 mr-1" />
+              Next poll opens {new Date(series.next_run_at).toLocaleString()}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Results Across Runs */}
+      <div className="card">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Results Across Runs</h2>
+
+        {polls.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">
+            The first poll has not opened yet. Results will show up here after each run.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-left text-gray-600">
+                  <th className="py-2 pr-4 font-medium">Run</th>
+                  <th className="py-2 pr-4 font-medium">Opened</th>
+                  <th className="py-2 pr-4 font-medium">
+                    <Users className="w-4 h-4 inline mr-1" />
+                    Votes
+                  </th>
+                  {isScoreSeries ? (
+                    <th className="py-2 pr-4 font-medium">Average score</th>
+                  ) : (
+                    template.options.map(option => (
+                      <th key={option.id} className="py-2 pr-4 font-medium">{option.text}</th>
+                    ))
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {polls.map(poll => (
+                  <tr key={poll.id} className="border-b border-gray-100">
+                    <td className="py-3 pr-4">
+                      <Link
+                        to={`/poll/${poll.id}/results`}
+                        className="font-medium text-blue-600 hover:text-blue-500"
+                      >
+                        #{poll.series_run}
+                      </Link>
+                      {poll.status === 'active' && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-700">
+                          open
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 pr-4 text-gray-600">{new Date(poll.createdAt).toLocaleDateString()}</td>
+                    <td className="py-3 pr-4 text-gray-900">{poll.total_votes}</td>
+                    {isScoreSeries ? (
+                      <td className="py-3 pr-4 text-gray-900">
+                        {computeScoreStats(poll).average ?? '-'}
+                      </td>
+                    ) : (
+                      template.options.map(option => (
+                        <td key={option.id} className="py-3 pr-4 text-gray-900">
+                          {getRunPercentage(poll, option.id)}%
+                        </td>
+                      ))
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollSeries;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Copy, Link2, Lock, RefreshCw, UserCheck } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { getShareUrl } from '../utils/sharingUtils';
+import { getGuestPollUrl } from '../utils/guestUtils';
+
+// Share link and invitees of an unlisted or invite-only poll, and the guest voting link, shown to its creator
+const PollSharePanel = ({ poll, sharing }) => {
+  const [shareToken, setShareToken] = useState(sharing.share_token);
+  const [resetting, setResetting] = useState(false);
+
+  // Guests cannot be invited or unlock a password, so only public and unlisted polls get a guest link
+  const hasGuestLink = poll.allow_guest_votes && !poll.password_protected && sharing.visibility !== 'invite_only';
+  if (sharing.visibility === 'public' && !hasGuestLink) return null;
+
+  const shareUrl = getShareUrl({ ...poll, visibility: sharing.visibility, share_token: shareToken });
+  const guestUrl = getGuestPollUrl(poll, sharing.visibility === 'unlisted' ? shareToken : null);
+
+  const handleCopy = (url) => {
+    navigator.clipboard.writeText(url);
+    toast.success('Poll link copied to clipboard!');
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Reset the link? Anyone who has not voted yet will need the new link to open this poll.')) {
+      return;
+    }
+
+    setResetting(true);
+    try {
+      const response = await api.post(`/polls/${poll.id}/share-token`);
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to reset the link');
+        return;
+      }
+      setShareToken(response.data.share_token);
+      toast.success('Link reset', { description: 'The previous link no longer opens this poll' });
+    } catch (error) {
+      console.error('Reset share link error:', error);
+      toast.error('Failed to reset the link');
+    } finally {
+      setResetting(false);
+    }
+  };
+
+  const guestPanel = hasGuestLink && (
+    <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 text-sm text-green-800">
+      <div className="flex items-center font-medium mb-2">
+        <UserCheck className="w-4 h-4 mr-2" />
+        Guest voting - anyone with this link can vote without an account
+      </div>
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          readOnly
+          value={guestUrl}
+          onFocus={(e) => e.target.select()}
+          className="input flex-1 bg-white"
+        />
+        <button
+          onClick={() => handleCopy(guestUrl)}
+          className="btn-secondary inline-flex items-center px-3 py-2 rounded-lg"
+        >
+          <Copy className="w-4 h-4 mr-1" />
+          Copy
+        </button>
+      </div>
+    </div>
+  );
+
+  if (sharing.visibility === 'public') return guestPanel;
+
+  if (sharing.visibility === 'invite_only') {
+    const invited = [
+      ...sharing.invitees.map(invitee => invitee.username),
+      ...sharing.invited_emails,
+      ...sharing.invited_domains.map(domain => `@${domain}`)
+    ];
+
+    return (
+      <div className="mb-6 p-4 bg-purple-50 rounded-lg border border-purple-200 text-sm text-purple-800">
+        <div className="flex items-center font-medium mb-1">
+          <Lock className="w-4 h-4 mr-2" />
+          Invite-only poll
+        </div>
+        <p>
+          Open to {invited.join(', ')}.{' '}
+          <Link to={`/poll/${poll.id}/edit`} className="font-medium underline">
+            Manage invitees
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200 text-sm text-blue-800">
+        <div className="flex items-center font-medium mb-2">
+          <Link2 className="w-4 h-4 mr-2" />
+          Unlisted poll - only people with this link can open it
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            readOnly
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            className="input flex-1 bg-white"
+          />
+          <button
+            onClick={() => handleCopy(shareUrl)}
+            className="btn-secondary inline-flex items-center px-3 py-2 rounded-lg"
+          >
+            <Copy className="w-4 h-4 mr-1" />
+            Copy
+          </button>
+          <button
+            onClick={handleReset}
+            disabled={resetting}
+            className="inline-flex items-center px-3 py-2 text-blue-700 hover:text-blue-900 disabled:opacity-50"
+            title="Create a new link and stop the current one from working"
+          >
+            <RefreshCw className={`w-4 h-4 mr-1 ${resetting ? 'animate-spin' : ''}`} />
+            Reset
+          </button>
+        </div>
+      </div>
+      {guestPanel}
+    </>
+  );
+};
+
+export default PollSharePanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { getPollTags } from '../utils/tagUtils';
+
+// Tag chips of a poll; size is 'sm' on cards and lists, 'md' on the poll page
+const PollTags = ({ poll, size = 'sm', className = '' }) => {
+  const tags = getPollTags(poll);
+  if (tags.length === 0) return null;
+
+  const chipClass = size === 'md' ? 'px-3 py-1 text-sm' : 'px-2 py-1 text-xs';
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map(tag => (
+        <span key={tag} className={`${chipClass} rounded-full font-medium bg-gray-100 text-gray-700`}>
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default PollTags;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
+import { useParams, useSearchParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { 
   Clock, 
   Users, 
@@ -13,21 +13,60 @@ import {
   Calendar,
   Hash,
   BarChart3,
-  Info
+  Info,
+  Pencil,
+  Undo2,
+  UserX,
+  History,
+  Link2,
+  Lock,
+  KeyRound,
+  Eye
 } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../utils/api';
+import RankedBallot from './RankedBallot';
+import ApprovalBallot from './ApprovalBallot';
+import ScaleBallot from './ScaleBallot';
+import QuizPanel from './QuizPanel';
+import PollHistoryModal from './PollHistoryModal';
+import PollSharePanel from './PollSharePanel';
+import PollPasswordPrompt from './PollPasswordPrompt';
+import PollTags from './PollTags';
+import PollQuestionsForm from './PollQuestionsForm';
+import { isScorePoll } from '../utils/scoreUtils';
+import { getOptionImageUrl, pollHasImages } from '../utils/optionImageUtils';
+import { isScheduledPoll, getPollDisplayStatus } from '../utils/scheduleUtils';
+import { getShareConfig, getPollVisibility } from '../utils/sharingUtils';
+import { getPollAccessGrant, clearPollAccessGrant, withPollAccess, isPasswordRequired } from '../utils/pollAccessUtils';
+import { hasWorkspaceRole } from '../utils/workspaceUtils';
+import { createBallotKeyStore, withIdempotencyKey } from '../utils/ballotUtils';
+import { hasFollowUpQuestions } from '../utils/surveyUtils';
 
 const PollView = ({ socket }) => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const location = useLocation();
+  // Unlisted polls are opened through a link carrying their share token
+  const shareToken = searchParams.get('token');
+  const shareConfig = getShareConfig(shareToken);
   const [poll, setPoll] = useState(null);
+  const [sharing, setSharing] = useState(null);
+  // Grant from unlocking a password-protected poll (sent with votes and comments)
+  const [accessGrant, setAccessGrant] = useState(() => getPollAccessGrant(id));
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [voting, setVoting] = useState(false);
   const [hasVoted, setHasVoted] = useState(false);
   const [userVotes, setUserVotes] = useState([]);
+  const [userRanking, setUserRanking] = useState([]);
+  const [userAnswers, setUserAnswers] = useState([]); // Answers to the follow-up questions
+  const [changingVote, setChangingVote] = useState(false);
+  const [quizResult, setQuizResult] = useState(null);
+  const [quizStart, setQuizStart] = useState(null);
+  const [quizTimeLeft, setQuizTimeLeft] = useState(null);
+  const [startingQuiz, setStartingQuiz] = useState(false);
   const [newComment, setNewComment] = useState('');
   const [replyingTo, setReplyingTo] = useState(null);
   const [replyText, setReplyText] = useState('');
@@ -35,9 +74,28 @@ const PollView = ({ socket }) => {
   const [replyLoading, setReplyLoading] = useState(false);
   const [likingComments, setLikingComments] = useState(new Set());
   const [deletingComments, setDeletingComments] = useState(new Set());
+  const [showHistory, setShowHistory] = useState(false);
+  // Role in the poll's workspace (null outside workspaces) - not part of live updates
+  const [workspaceRole, setWorkspaceRole] = useState(null);
 
   const user = JSON.parse(sessionStorage.getItem('user') || '{}');
 
+  // Config for requests that act on the poll - the grant is read at call time so a fresh unlock is picked up
+  const getRequestConfig = () => withPollAccess(id, shareConfig);
+
+  // New ballots are sent with an idempotency key, so a retry after a lost response or a double click counts once
+  const [ballotKeys] = useState(createBallotKeyStore);
+  const getBallotConfig = (ballot) => withIdempotencyKey(getRequestConfig(), ballotKeys.getKey(ballot));
+
+  // Failed requests resolve with their status; an expired unlock brings the password prompt back
+  const handleFailedResponse = (response, fallbackMessage) => {
+    if (isPasswordRequired(response)) {
+      clearPollAccessGrant(id);
+      setAccessGrant(null);
+    }
+    toast.error(response.data?.error || fallbackMessage);
+  };
+
   
   const handleBackNavigation = () => {
     const referrer = location.state?.from;
@@ -86,8 +144,24 @@ const PollView = ({ socket }) => {
 
   const fetchPoll = async () => {
     try {
-      const response = await api.get(`/polls/${id}`);
+      const response = await api.get(`/polls/${id}`, shareConfig);
+      if (response.status === 404) {
+        toast.error('Poll not found');
+        navigate('/');
+        return;
+      }
       setPoll(response.data);
+      setWorkspaceRole(response.data.workspace_role || null);
+      // The share link and invitees only come back for the creator or a workspace admin and are not part of live updates
+      if (response.data.can_manage) {
+        setSharing({
+          visibility: getPollVisibility(response.data),
+          share_token: response.data.share_token,
+          invitees: response.data.invitees || [],
+          invited_emails: response.data.invited_emails || [],
+          invited_domains: response.data.invited_domains || []
+        });
+      }
     } catch (error) {
       console.error('Error fetching poll:', error);
       if (error.response?.status === 404) {
@@ -101,7 +175,9 @@ const PollView = ({ socket }) => {
 
   const fetchComments = async () => {
     try {
-      const response = await api.get(`/polls/${id}/comments`);
+      const response = await api.get(`/polls/${id}/comments`, getRequestConfig());
+      // Comments of a locked poll stay hidden until it is unlocked
+      if (response.status >= 400) return;
       // Enhance comments with user like status
       const commentsWithLikeStatus = response.data.map(comment => ({
         ...comment,
@@ -121,11 +197,23 @@ const PollView = ({ socket }) => {
   
   const displayCommentCount = actualCommentCount > 0 ? actualCommentCount : (poll?.comments_count || 0);
 
+  // Voters may change or withdraw a single ballot while the poll is open, if the creator allows it
+  const canChangeVote = hasVoted && poll?.status === 'active' && poll?.allow_vote_changes !== false && !poll?.allow_multiple_votes && !poll?.is_quiz;
+
+  // Workspace viewers follow the poll without voting or commenting
+  const isViewOnly = workspaceRole === 'viewer';
+
+  // Timed quizzes only show their options between starting and running out of time
+  const isQuizLocked = Boolean(poll?.is_quiz && poll?.time_limit_seconds && !hasVoted && (!quizStart || quizTimeLeft === 0));
+
   const checkUserVote = async () => {
     try {
-      const response = await api.get(`/polls/${id}/vote-status`);
+      const response = await api.get(`/polls/${id}/vote-status`, shareConfig);
       setHasVoted(response.data.hasVoted);
       setUserVotes(response.data.votes || []);
+      setUserRanking(response.data.ranking || []);
+      setUserAnswers(response.data.answers || []);
+      setQuizResult(response.data.quiz_result || null);
     } catch (error) {
       console.error('Error checking vote status:', error);
     }
@@ -138,7 +226,7 @@ const PollView = ({ socket }) => {
 
     // Listen for real-time updates
     if (socket) {
-      socket.emit('joinPoll', id);
+      socket.emit('joinPoll', id, shareToken, getPollAccessGrant(id));
 
       socket.on('pollUpdate', (updatedPoll) => {
         if (updatedPoll.id === id) {
@@ -194,8 +282,9 @@ const PollView = ({ socket }) => {
             description: data.message || 'This poll has been closed.',
             duration: 5000
           });
-          // Refresh poll data to get updated status
+          // Refresh poll data to get updated status (and revealed quiz answers)
           fetchPoll();
+          checkUserVote();
         }
       });
 
@@ -211,6 +300,20 @@ const PollView = ({ socket }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id, socket]);
 
+  // Count down a started timed quiz
+  useEffect(() => {
+    if (!quizStart?.expires_at) return;
+
+    const updateTimeLeft = () => {
+      const remaining = Math.ceil((new Date(quizStart.expires_at).getTime() - Date.now()) / 1000);
+      setQuizTimeLeft(Math.max(0, remaining));
+    };
+
+    updateTimeLeft();
+    const timer = setInterval(updateTimeLeft, 1000);
+    return () => clearInterval(timer);
+  }, [quizStart]);
+
   // Sync comment count with backend when comments change
   useEffect(() => {
     if (poll && comments.length > 0 && poll.comments_count !== comments.length) {
@@ -224,7 +327,7 @@ const PollView = ({ socket }) => {
       return;
     }
 
-    if (hasVoted && !poll?.allow_multiple_votes) {
+    if (hasVoted && !poll?.allow_multiple_votes && !changingVote) {
       toast.info('You have already voted in this poll');
       return;
     }
@@ -237,7 +340,19 @@ const PollView = ({ socket }) => {
     setVoting(true);
 
     try {
-      await api.post(`/polls/${id}/vote`, { option_id: optionId });
+      const ballot = { option_id: optionId };
+      const response = changingVote
+        ? await api.put(`/polls/${id}/vote`, ballot, getRequestConfig())
+        : await api.post(`/polls/${id}/vote`, ballot, getBallotConfig(ballot));
+      // The server settled this ballot; after a 5xx (thrown by api) it may not have, so a retry keeps the key
+      if (response.status < 500) {
+        ballotKeys.clear();
+      }
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to record vote');
+        return;
+      }
+      setQuizResult(response.data.quiz_result || null);
       
       // Update local state
       if (!poll.allow_multiple_votes) {
@@ -255,7 +370,8 @@ const PollView = ({ socket }) => {
       // Fetch updated poll data
       await fetchPoll();
 
-      toast.success('Vote recorded successfully!');
+      toast.success(changingVote ? 'Vote updated successfully!' : 'Vote recorded successfully!');
+      setChangingVote(false);
 
     } catch (error) {
       console.error('Error voting:', error);
@@ -266,6 +382,119 @@ const PollView = ({ socket }) => {
     }
   };
 
+  // Submit a whole ballot at once (ranked, approval, rating and NPS polls, and polls with follow-up questions)
+  const handleBallotSubmit = async (ballot) => {
+    if (poll?.status === 'closed') {
+      toast.error('This poll has been closed and is no longer accepting votes');
+      return;
+    }
+
+    if (hasVoted && !changingVote) {
+      toast.info('You have already voted in this poll');
+      return;
+    }
+
+    setVoting(true);
+
+    try {
+      const response = changingVote
+        ? await api.put(`/polls/${id}/vote`, ballot, getRequestConfig())
+        : await api.post(`/polls/${id}/vote`, ballot, getBallotConfig(ballot));
+      // The server settled this ballot; after a 5xx (thrown by api) it may not have, so a retry keeps the key
+      if (response.status < 500) {
+        ballotKeys.clear();
+      }
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to record vote');
+        return;
+      }
+      setQuizResult(response.data.quiz_result || null);
+
+      setHasVoted(true);
+      if (ballot.ranking) {
+        setUserVotes([ballot.ranking[0]]);
+        setUserRanking(ballot.ranking);
+      } else if (ballot.score !== undefined) {
+        const scoredOption = poll.options.find(option => option.value === ballot.score);
+        setUserVotes(scoredOption ? [scoredOption.id] : []);
+      } else {
+        setUserVotes(ballot.option_ids || [ballot.option_id]);
+      }
+
+      // The server stores the follow-up answers in their final form, so they are read back from it
+      if (ballot.answers) {
+        await checkUserVote();
+      }
+      await fetchPoll();
+
+      if (changingVote) {
+        toast.success('Vote updated successfully!');
+        setChangingVote(false);
+      } else {
+        toast.success(ballot.ranking ? 'Ranking submitted successfully!' : 'Vote recorded successfully!');
+      }
+    } catch (error) {
+      console.error('Error submitting ballot:', error);
+      const message = error.response?.data?.error || 'Failed to record vote';
+      toast.error(message);
+    } finally {
+      setVoting(false);
+    }
+  };
+
+  // Start the timer on a timed quiz (starting again resumes the original timer)
+  const handleStartQuiz = async () => {
+    setStartingQuiz(true);
+
+    try {
+      const response = await api.post(`/polls/${id}/quiz/start`, {}, getRequestConfig());
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to start quiz');
+        return;
+      }
+      setQuizStart(response.data);
+    } catch (error) {
+      console.error('Error starting quiz:', error);
+      const message = error.response?.data?.error || 'Failed to start quiz';
+      toast.error(message);
+    } finally {
+      setStartingQuiz(false);
+    }
+  };
+
+  // Withdraw the current user's vote so they can vote again from scratch
+  const handleWithdrawVote = async () => {
+    if (!window.confirm('Withdraw your vote from this poll?')) {
+      return;
+    }
+
+    setVoting(true);
+
+    try {
+      const response = await api.delete(`/polls/${id}/vote`, getRequestConfig());
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to withdraw vote');
+        return;
+      }
+
+      setHasVoted(false);
+      setUserVotes([]);
+      setUserRanking([]);
+      setUserAnswers([]);
+      setChangingVote(false);
+
+      await fetchPoll();
+
+      toast.success('Your vote has been withdrawn');
+    } catch (error) {
+      console.error('Error withdrawing vote:', error);
+      const message = error.response?.data?.error || 'Failed to withdraw vote';
+      toast.error(message);
+    } finally {
+      setVoting(false);
+    }
+  };
+
   const handleCommentSubmit = async (e) => {
     e.preventDefault();
     
@@ -292,7 +521,11 @@ const PollView = ({ socket }) => {
         parent_comment_id: null
       };
 
-      const response = await api.post('/comments', commentData);
+      const response = await api.post('/comments', commentData, getRequestConfig());
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to add comment');
+        return;
+      }
       const comment = response.data;
 
       // Add comment immediately (local update)
@@ -346,7 +579,11 @@ const PollView = ({ socket }) => {
         parent_comment_id: parentCommentId
       };
 
-      const response = await api.post('/comments', replyData);
+      const response = await api.post('/comments', replyData, getRequestConfig());
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to add reply');
+        return;
+      }
       const reply = response.data;
 
       // Add reply to comments immediately (local update)
@@ -395,8 +632,12 @@ const PollView = ({ socket }) => {
     setLikingComments(prev => new Set([...prev, commentId]));
 
     try {
-      const response = await api.post(`/comments/${commentId}/like`);
-      const { likes, hasLiked, message } = response.data;
+      const response = await api.post(`/comments/${commentId}/like`, {}, getRequestConfig());
+      if (response.status >= 400) {
+        handleFailedResponse(response, 'Failed to like comment');
+        return;
+      }
+      const { likes, hasLiked } = response.data;
       
       // Update comment like count and user's like status locally
       setComments(prev => 
@@ -512,24 +753,12 @@ const PollView = ({ socket }) => {
     const colors = {
       active: 'bg-green-100 text-green-700',
       closed: 'bg-red-100 text-red-700',
+      scheduled: 'bg-blue-100 text-blue-700',
       draft: 'bg-yellow-100 text-yellow-700'
     };
     return colors[status] || colors.active;
   };
 
-  const getCategoryColor = (category) => {
-    const colors = {
-      technology: 'bg-blue-100 text-blue-700',
-      politics: 'bg-red-100 text-red-700',
-      entertainment: 'bg-pink-100 text-pink-700',
-      sports: 'bg-green-100 text-green-700',
-      business: 'bg-yellow-100 text-yellow-700',
-      general: 'bg-gray-100 text-gray-700',
-      other: 'bg-purple-100 text-purple-700'
-    };
-    return colors[category] || colors.general;
-  };
-
   const Comment = ({ comment, isReply = false }) => (
     <div className={`${isReply ? 'ml-12 mt-4' : 'mb-6'} bg-gray-50 rounded-lg p-4`}>
       <div className="flex items-start justify-between mb-3">
@@ -546,7 +775,7 @@ const PollView = ({ socket }) => {
         </div>
         {/* Comment actions - show delete button for comment owner */}
         <div className="flex items-center space-x-2">
-          {comment.user === user.id && (
+          {(comment.user === user.id || hasWorkspaceRole(workspaceRole, 'admin')) && (
             <button
               onClick={() => handleCommentDelete(comment.id)}
               className={`p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors ${
@@ -687,6 +916,33 @@ const PollView = ({ socket }) => {
     );
   }
 
+  // Password-protected polls ask for the password before showing the options and comments
+  if (poll.password_protected && poll.creator !== user.id && !poll.collaborator_role && !accessGrant) {
+    const handleUnlock = (grant) => {
+      setAccessGrant(grant);
+      fetchComments();
+      if (socket) {
+        socket.emit('joinPoll', id, shareToken, grant);
+      }
+    };
+
+    return (
+      <div className="max-w-4xl mx-auto p-6 space-y-8">
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={handleBackNavigation}
+            className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5 mr-2" />
+            {getBackButtonText()}
+          </button>
+        </div>
+
+        <PollPasswordPrompt poll={poll} shareConfig={shareConfig} onUnlock={handleUnlock} />
+      </div>
+    );
+  }
+
   const parentComments = comments.filter(c => !c.parent_comment_id);
   const replies = comments.filter(c => c.parent_comment_id);
 
@@ -708,12 +964,50 @@ const PollView = ({ socket }) => {
         <div className="flex items-start justify-between mb-4">
           <div className="flex-1">
             <div className="flex items-center space-x-2 mb-3">
-              <span className={`px-3 py-1 rounded-full text-sm font-medium ${getCategoryColor(poll.category)}`}>
-                {poll.category}
-              </span>
-              <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(poll.status)}`}>
-                {poll.status}
+              <PollTags poll={poll} size="md" />
+              <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(getPollDisplayStatus(poll))}`}>
+                {getPollDisplayStatus(poll)}
               </span>
+              {poll.anonymous && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800" title="Votes in this poll are not linked to voters">
+                  <UserX className="w-4 h-4 mr-1" />
+                  Anonymous
+                </span>
+              )}
+              {getPollVisibility(poll) === 'unlisted' && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-blue-100 text-blue-800" title="Only people with the link can open this poll">
+                  <Link2 className="w-4 h-4 mr-1" />
+                  Unlisted
+                </span>
+              )}
+              {getPollVisibility(poll) === 'invite_only' && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-purple-100 text-purple-800" title="Only invited users can open this poll">
+                  <Lock className="w-4 h-4 mr-1" />
+                  Invite only
+                </span>
+              )}
+              {poll.password_protected && (
+                <span className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-gray-100 text-gray-800" title="Voters need a password to vote and comment">
+                  <KeyRound className="w-4 h-4 mr-1" />
+                  Password
+                </span>
+              )}
+              {poll.revision_count > 0 && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="flex items-center px-3 py-1 rounded-full text-sm font-medium bg-amber-100 text-amber-800 hover:bg-amber-200 transition-colors"
+                  title={`Edited ${new Date(poll.edited_at).toLocaleString()} - view the edit history`}
+                >
+                  <History className="w-4 h-4 mr-1" />
+                  Edited
+                </button>
+              )}
+              {isScheduledPoll(poll) && (
+                <span className="flex items-center text-sm text-blue-600">
+                  <Calendar className="w-4 h-4 mr-1" />
+                  Publishes {new Date(poll.starts_at).toLocaleString()}
+                </span>
+              )}
               {poll.ends_at && (
                 <span className={`flex items-center text-sm ${
                   poll.status === 'closed' && new Date(poll.ends_at) <= new Date() 
@@ -743,7 +1037,9 @@ const PollView = ({ socket }) => {
         <div className="flex items-center space-x-6 text-sm text-gray-500 mb-6">
           <div className="flex items-center">
             <Users className="w-4 h-4 mr-1" />
-            {poll.total_votes} votes
+            {poll.poll_type === 'approval'
+              ? `${poll.total_votes} ballots · ${poll.total_selections || 0} selections`
+              : `${poll.total_votes} votes`}
           </div>
           <div className="flex items-center">
             <MessageCircle className="w-4 h-4 mr-1" />
@@ -759,11 +1055,37 @@ const PollView = ({ socket }) => {
           </div>
         </div>
 
+        {sharing && <PollSharePanel poll={poll} sharing={sharing} />}
+
         {hasVoted && !poll.allow_multiple_votes && (
           <div className="mb-6 p-3 bg-green-50 rounded-lg border border-green-200">
-            <div className="flex items-center text-green-800">
-              <CheckCircle className="w-5 h-5 mr-2" />
-              <span className="font-medium">You have voted in this poll</span>
+            <div className="flex items-center justify-between text-green-800">
+              <div className="flex items-center">
+                <CheckCircle className="w-5 h-5 mr-2" />
+                <span className="font-medium">
+                  {changingVote ? 'Pick your new answer below' : 'You have voted in this poll'}
+                </span>
+              </div>
+              {canChangeVote && (
+                <div className="flex items-center space-x-3 text-sm">
+                  <button
+                    onClick={() => setChangingVote(prev => !prev)}
+                    disabled={voting}
+                    className="flex items-center font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                  >
+                    <Pencil className="w-4 h-4 mr-1" />
+                    {changingVote ? 'Cancel' : 'Change vote'}
+                  </button>
+                  <button
+                    onClick={handleWithdrawVote}
+                    disabled={voting}
+                    className="flex items-center font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    <Undo2 className="w-4 h-4 mr-1" />
+                    Withdraw
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         )}
@@ -794,33 +1116,102 @@ const PollView = ({ socket }) => {
         )}
         */}
 
-        {/* Voting Options */}
-        <div className="space-y-4">
-          {poll.options.map((option, index) => {
-            const isUserVote = userVotes.includes(option.id);
+        {poll.is_quiz && (
+          <QuizPanel
+            poll={poll}
+            hasVoted={hasVoted}
+            quizResult={quizResult}
+            quizStarted={Boolean(quizStart)}
+            timeLeft={quizTimeLeft}
+            starting={startingQuiz}
+            onStart={handleStartQuiz}
+          />
+        )}
 
-            return (
-              <div key={option.id} className="relative">
-                <button
-                  onClick={() => handleVote(option.id)}
-                  disabled={voting || poll.status === 'closed'}
-                  className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed ${
-                    poll.allow_multiple_votes && isUserVote
-                      ? 'border-blue-500 bg-blue-50 text-blue-900'
-                      : 'border-gray-200 bg-white text-gray-900'
-                  }`}
-                >
-                  <div className="flex items-center justify-between">
-                    <span>{option.text}</span>
-                    {poll.allow_multiple_votes && isUserVote && (
-                      <CheckCircle className="w-5 h-5 text-blue-600" />
+        {isViewOnly && (
+          <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center text-gray-700">
+              <Eye className="w-5 h-5 mr-2" />
+              <span className="font-medium">You are a viewer in this workspace - you can follow the poll but not vote or comment</span>
+            </div>
+          </div>
+        )}
+
+        {/* Voting Options */}
+        {isQuizLocked || isViewOnly ? null : hasFollowUpQuestions(poll) ? (
+          <PollQuestionsForm
+            key={changingVote ? 'changing' : 'voting'}
+            poll={poll}
+            hasVoted={hasVoted && !changingVote}
+            submittedVotes={userVotes}
+            submittedRanking={userRanking}
+            submittedAnswers={userAnswers}
+            voting={voting}
+            onSubmit={handleBallotSubmit}
+          />
+        ) : poll.poll_type === 'ranked' ? (
+          <RankedBallot
+            key={changingVote ? 'changing' : 'voting'}
+            poll={poll}
+            hasVoted={hasVoted && !changingVote}
+            submittedRanking={userRanking}
+            voting={voting}
+            onSubmit={(ranking) => handleBallotSubmit({ ranking })}
+          />
+        ) : poll.poll_type === 'approval' ? (
+          <ApprovalBallot
+            key={changingVote ? 'changing' : 'voting'}
+            poll={poll}
+            hasVoted={hasVoted && !changingVote}
+            submittedSelection={userVotes}
+            voting={voting}
+            onSubmit={(optionIds) => handleBallotSubmit({ option_ids: optionIds })}
+          />
+        ) : isScorePoll(poll) ? (
+          <ScaleBallot
+            key={changingVote ? 'changing' : 'voting'}
+            poll={poll}
+            hasVoted={hasVoted && !changingVote}
+            submittedOptionId={userVotes[0]}
+            voting={voting}
+            onSubmit={(score) => handleBallotSubmit({ score })}
+          />
+        ) : (
+          // Options with pictures are laid out as a grid so the images can be compared side by side
+          <div className={pollHasImages(poll) ? 'grid grid-cols-2 md:grid-cols-3 gap-4' : 'space-y-4'}>
+            {poll.options.map((option, index) => {
+              const isUserVote = userVotes.includes(option.id);
+
+              return (
+                <div key={option.id} className="relative">
+                  <button
+                    onClick={() => handleVote(option.id)}
+                    disabled={voting || poll.status === 'closed'}
+                    className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed ${
+                      (poll.allow_multiple_votes || changingVote) && isUserVote
+                        ? 'border-blue-500 bg-blue-50 text-blue-900'
+                        : 'border-gray-200 bg-white text-gray-900'
+                    }`}
+                  >
+                    {option.image_url && (
+                      <img
+                        src={getOptionImageUrl(option.image_url)}
+                        alt={option.text}
+                        className="w-full aspect-square object-cover rounded-md mb-3"
+                      />
                     )}
-                  </div>
-                </button>
-              </div>
-            );
-          })}
-        </div>
+                    <div className="flex items-center justify-between">
+                      <span>{option.text}</span>
+                      {(poll.allow_multiple_votes || changingVote) && isUserVote && (
+                        <CheckCircle className="w-5 h-5 text-blue-600" />
+                      )}
+                    </div>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
 
         {/* Multiple Votes Information - Always visible when poll allows multiple votes */}
         {poll.allow_multiple_votes && (
@@ -841,10 +1232,10 @@ const PollView = ({ socket }) => {
         )}
 
         {/* View Results Button */}
-        {(hasVoted || poll.status === 'closed' || (poll.show_results && poll.total_votes > 0)) && (
+        {!poll.results_hidden && (hasVoted || poll.status === 'closed' || poll.total_votes > 0) && (
           <div className="mt-6 text-center">
             <Link
-              to={`/poll/${poll.id}/results`}
+              to={`/poll/${poll.id}/results${shareToken ? `?token=${shareToken}` : ''}`}
               state={{ from: location.pathname }}
               className="btn-primary inline-flex items-center px-6 py-3 rounded-lg font-semibold text-white shadow-sm"
             >
@@ -865,11 +1256,13 @@ const PollView = ({ socket }) => {
 
         {/* Add Comment Form */}
         {user.id ? (
-          poll.status === 'closed' ? (
+          poll.status === 'closed' || isViewOnly ? (
             <div className="mb-8 p-4 bg-gray-50 rounded-lg text-center border border-gray-200">
               <p className="text-gray-600 mb-2 flex items-center justify-center">
                 <AlertCircle className="w-5 h-5 mr-2" />
-                This poll has been closed and no longer accepts new comments
+                {isViewOnly
+                  ? 'Viewers cannot comment in this workspace'
+                  : 'This poll has been closed and no longer accepts new comments'}
               </p>
             </div>
           ) : (
@@ -940,6 +1333,13 @@ const PollView = ({ socket }) => {
           )}
         </div>
       </div>
+
+      <PollHistoryModal
+        isOpen={showHistory}
+        onClose={() => setShowHistory(false)}
+        poll={poll}
+        userVotes={userVotes}
+      />
     </div>
   );
 };
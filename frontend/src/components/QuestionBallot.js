@@ -0,0 +1,63 @@
+import React from 'react';
+import { CheckCircle } from 'lucide-react';
+import { isScorePoll } from '../utils/scoreUtils';
+import { questionAsPoll } from '../utils/surveyUtils';
+import RankedBallot from './RankedBallot';
+import ApprovalBallot from './ApprovalBallot';
+import ScaleBallot from './ScaleBallot';
+
+// One question of a multi-question form (surveys and polls with follow-up questions), answered without its own
+// submit button. Once submitted, the voter's answer is shown instead and a missing answer reads as skipped.
+const QuestionBallot = ({ question, parent, value, submitted, hasResponded, isOpen, submitting, onChange }) => {
+  if (hasResponded && !submitted) {
+    return <p className="text-sm text-gray-500 italic">You skipped this question.</p>;
+  }
+
+  const questionPoll = questionAsPoll(question, parent);
+  // Answers are final once submitted, and nothing can be picked on a closed form
+  const ballotProps = {
+    poll: { ...questionPoll, status: isOpen ? questionPoll.status : 'closed' },
+    hasVoted: hasResponded,
+    voting: submitting,
+    onChange
+  };
+
+  switch (question.question_type) {
+    case 'ranked':
+      return <RankedBallot {...ballotProps} submittedRanking={submitted?.ranking || []} />;
+    case 'approval':
+      return <ApprovalBallot {...ballotProps} submittedSelection={submitted?.option_ids || []} />;
+    default:
+      if (isScorePoll(questionPoll)) {
+        return <ScaleBallot {...ballotProps} submittedOptionId={submitted?.option_ids[0]} />;
+      }
+  }
+
+  const selectedId = hasResponded ? submitted?.option_ids[0] : value;
+
+  return (
+    <div className="space-y-3">
+      {question.options.map(option => {
+        const isSelected = option.id === selectedId;
+        return (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => onChange(option.id)}
+            disabled={!isOpen || submitting}
+            className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:cursor-not-allowed ${
+              isSelected ? 'border-blue-500 bg-blue-50 text-blue-900' : 'border-gray-200 bg-white text-gray-900'
+            } ${!isOpen && !isSelected ? 'opacity-50' : ''}`}
+          >
+            <div className="flex items-center justify-between">
+              <span>{option.text}</span>
+              {isSelected && <CheckCircle className="w-5 h-5 text-blue-600" />}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuestionBallot;
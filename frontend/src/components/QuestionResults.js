@@ -0,0 +1,53 @@
+import React from 'react';
+import { isScorePoll } from '../utils/scoreUtils';
+import { questionAsPoll } from '../utils/surveyUtils';
+import RankedResults from './RankedResults';
+import ScaleResults from './ScaleResults';
+
+// Results of one question of a survey or one follow-up question of a poll
+const QuestionResults = ({ question, parent, runoff }) => {
+  const questionPoll = questionAsPoll(question, parent);
+  if (isScorePoll(questionPoll)) {
+    return <ScaleResults poll={questionPoll} />;
+  }
+
+  const isRanked = question.question_type === 'ranked';
+
+  return (
+    <>
+      {isRanked && <RankedResults poll={questionPoll} runoff={runoff} />}
+      <div className="card">
+        <div className="space-y-4">
+          {[...question.options]
+            .sort((a, b) => b.votes - a.votes)
+            .map(option => {
+              const percentage = question.answer_count > 0 ? Math.round((option.votes / question.answer_count) * 100) : 0;
+              return (
+                <div key={option.id}>
+                  <div className="flex items-center justify-between text-sm mb-1">
+                    <span className="font-medium text-gray-900">{option.text}</span>
+                    <span className="text-gray-600">
+                      {option.votes} {isRanked ? 'first choices' : 'votes'} ({percentage}%)
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-3">
+                    <div
+                      className="h-3 rounded-full bg-blue-600 transition-all duration-500"
+                      style={{ width: `${percentage}%` }}
+                    ></div>
+                  </div>
+                </div>
+              );
+            })}
+          {question.question_type === 'approval' && question.answer_count > 0 && (
+            <p className="text-sm text-gray-500">
+              Respondents selected {(question.total_selections / question.answer_count).toFixed(1)} options on average
+            </p>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default QuestionResults;
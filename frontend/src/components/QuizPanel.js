@@ -0,0 +1,81 @@
+import React from 'react';
+import { GraduationCap, Timer, CheckCircle, XCircle } from 'lucide-react';
+
+const formatSeconds = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Quiz details, timer and the voter's graded answer shown above the options
+const QuizPanel = ({ poll, hasVoted, quizResult, quizStarted, timeLeft, starting, onStart }) => {
+  const getOptionText = (optionId) => {
+    return poll.options.find(option => option.id === optionId)?.text || 'Removed option';
+  };
+
+  const isTimed = Boolean(poll.time_limit_seconds);
+
+  return (
+    <div className="mb-6 p-4 bg-purple-50 rounded-lg border border-purple-200">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-purple-800">
+          <GraduationCap className="w-5 h-5 mr-2" />
+          <span className="font-medium">
+            Quiz · {poll.quiz_points} {poll.quiz_points === 1 ? 'point' : 'points'}
+            {isTimed && ` · ${poll.time_limit_seconds}s to answer`}
+          </span>
+        </div>
+        {isTimed && quizStarted && !hasVoted && (
+          <span className={`flex items-center font-mono font-semibold ${timeLeft > 10 ? 'text-purple-800' : 'text-red-600'}`}>
+            <Timer className="w-4 h-4 mr-1" />
+            {formatSeconds(timeLeft)}
+          </span>
+        )}
+      </div>
+
+      {hasVoted ? (
+        quizResult ? (
+          <div className="mt-3">
+            <div className={`flex items-center font-medium ${quizResult.is_correct ? 'text-green-700' : 'text-red-700'}`}>
+              {quizResult.is_correct
+                ? <CheckCircle className="w-5 h-5 mr-2" />
+                : <XCircle className="w-5 h-5 mr-2" />}
+              {quizResult.is_correct
+                ? `Correct! You earned ${quizResult.points} ${quizResult.points === 1 ? 'point' : 'points'}.`
+                : 'Not quite.'}
+            </div>
+            <p className="text-sm text-purple-700 mt-1">
+              Correct {quizResult.correct_option_ids.length === 1 ? 'answer' : 'answers'}: {quizResult.correct_option_ids.map(getOptionText).join(', ')}
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-purple-700 mt-2">
+            Your answer has been recorded. Correct answers are revealed when the quiz closes.
+          </p>
+        )
+      ) : isTimed && !quizStarted ? (
+        <div className="mt-3 flex items-center justify-between">
+          <p className="text-sm text-purple-700">
+            The timer starts as soon as you begin and keeps running if you leave the page.
+          </p>
+          <button
+            onClick={onStart}
+            disabled={starting || poll.status !== 'active'}
+            className="btn-primary px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {starting ? 'Starting...' : 'Start Quiz'}
+          </button>
+        </div>
+      ) : isTimed && timeLeft === 0 ? (
+        <p className="text-sm text-red-600 font-medium mt-2">Time is up - answers can no longer be submitted.</p>
+      ) : (
+        <p className="text-sm text-purple-700 mt-2">
+          {poll.reveal_answers === 'immediately'
+            ? 'You will see whether you were right as soon as you answer. Answers cannot be changed.'
+            : 'Correct answers are revealed when the quiz closes. Answers cannot be changed.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default QuizPanel;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { GraduationCap, Trophy, CheckCircle, XCircle } from 'lucide-react';
+
+const formatAnswerTime = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  return `${(ms / 1000).toFixed(1)}s`;
+};
+
+// Accuracy, answer breakdown and leaderboard for quiz polls
+const QuizResults = ({ poll, leaderboard }) => {
+  if (!leaderboard) {
+    return (
+      <div className="card mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+          <GraduationCap className="w-5 h-5 mr-2" />
+          Quiz Results
+        </h2>
+        <p className="text-gray-600">Scores and correct answers are shared when the quiz closes.</p>
+      </div>
+    );
+  }
+
+  const correctIds = leaderboard.correct_option_ids || [];
+  const totalAnswers = poll.options.reduce((sum, option) => sum + option.votes, 0);
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
+        <GraduationCap className="w-5 h-5 mr-2" />
+        Quiz Results
+      </h2>
+
+      {/* Accuracy */}
+      <div className="grid grid-cols-3 gap-4 mb-6">
+        <div className="text-center p-4 bg-green-50 rounded-lg">
+          <div className="text-3xl font-bold text-green-600">{leaderboard.accuracy}%</div>
+          <div className="text-sm text-gray-600">Answered correctly</div>
+        </div>
+        <div className="text-center p-4 bg-gray-50 rounded-lg">
+          <div className="text-3xl font-bold text-gray-900">{leaderboard.correct_count}</div>
+          <div className="text-sm text-gray-600">Correct answers</div>
+        </div>
+        <div className="text-center p-4 bg-gray-50 rounded-lg">
+          <div className="text-3xl font-bold text-gray-900">{leaderboard.total_participants}</div>
+          <div className="text-sm text-gray-600">Participants</div>
+        </div>
+      </div>
+
+      {/* Answer breakdown */}
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">Answer Breakdown</h3>
+      <div className="space-y-2 mb-6">
+        {poll.options.map(option => {
+          const isCorrect = correctIds.includes(option.id);
+          const percentage = totalAnswers > 0 ? Math.round((option.votes / totalAnswers) * 100) : 0;
+
+          return (
+            <div key={option.id}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className={`flex items-center font-medium ${isCorrect ? 'text-green-700' : 'text-gray-900'}`}>
+                  {isCorrect && <CheckCircle className="w-4 h-4 mr-1" />}
+                  {option.text}
+                </span>
+                <span className="text-gray-600">{option.votes} ({percentage}%)</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full ${isCorrect ? 'bg-green-500' : 'bg-gray-400'}`}
+                  style={{ width: `${percentage}%` }}
+                ></div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Leaderboard */}
+      <h3 className="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+        <Trophy className="w-5 h-5 mr-2 text-yellow-500" />
+        Leaderboard
+      </h3>
+      {leaderboard.entries.length === 0 ? (
+        <p className="text-gray-600">No answers yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Rank</th>
+                <th className="py-2 pr-4 font-medium">Participant</th>
+                <th className="py-2 pr-4 font-medium">Answer</th>
+                <th className="py-2 pr-4 font-medium">Time</th>
+                <th className="py-2 font-medium text-right">Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.entries.map(entry => (
+                <tr key={entry.user_id} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 font-semibold text-gray-900">#{entry.rank}</td>
+                  <td className="py-2 pr-4 text-gray-900">{entry.username}</td>
+                  <td className="py-2 pr-4">
+                    {entry.is_correct
+                      ? <CheckCircle className="w-4 h-4 text-green-600" />
+                      : <XCircle className="w-4 h-4 text-red-500" />}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-600">{formatAnswerTime(entry.answer_time_ms)}</td>
+                  <td className="py-2 text-right font-semibold text-gray-900">{entry.points}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizResults;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { canBeQuiz } from '../utils/quizUtils';
+
+// Quiz mode toggle and settings for the create and edit poll forms
+const QuizSettings = ({ formData, errors, onChange, locked = false, lockedReason }) => {
+  if (!canBeQuiz(formData.poll_type)) return null;
+
+  const renderError = (field) => errors[field] && (
+    <p className="mt-1 text-sm text-red-600 flex items-center">
+      <AlertCircle className="w-4 h-4 mr-1" />
+      {errors[field]}
+    </p>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start space-x-3">
+        <input
+          type="checkbox"
+          id="is_quiz"
+          name="is_quiz"
+          checked={formData.is_quiz}
+          onChange={onChange}
+          className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          disabled={locked}
+        />
+        <div>
+          <label htmlFor="is_quiz" className="block text-sm font-medium text-gray-700">
+            Quiz mode
+            {locked && lockedReason && (
+              <span className="text-gray-500 text-xs block mt-1">{lockedReason}</span>
+            )}
+          </label>
+          <p className="text-sm text-gray-500">
+            Mark the correct options above and award points for right answers. Voters cannot change quiz answers.
+          </p>
+        </div>
+      </div>
+
+      {formData.is_quiz && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="quiz_points" className="label">
+              Points
+            </label>
+            <input
+              type="number"
+              id="quiz_points"
+              name="quiz_points"
+              min={1}
+              max={1000}
+              value={formData.quiz_points}
+              onChange={onChange}
+              className={`input ${errors.quiz_points ? 'border-red-300 focus:ring-red-500' : ''}`}
+              disabled={locked}
+            />
+            {renderError('quiz_points')}
+          </div>
+          <div>
+            <label htmlFor="time_limit_seconds" className="label">
+              Time Limit (seconds)
+            </label>
+            <input
+              type="number"
+              id="time_limit_seconds"
+              name="time_limit_seconds"
+              min={5}
+              max={3600}
+              value={formData.time_limit_seconds}
+              onChange={onChange}
+              placeholder="No limit"
+              className={`input ${errors.time_limit_seconds ? 'border-red-300 focus:ring-red-500' : ''}`}
+              disabled={locked}
+            />
+            {renderError('time_limit_seconds')}
+          </div>
+          <div>
+            <label htmlFor="reveal_answers" className="label">
+              Reveal Answers
+            </label>
+            <select
+              id="reveal_answers"
+              name="reveal_answers"
+              value={formData.reveal_answers}
+              onChange={onChange}
+              className="input"
+              disabled={locked}
+            >
+              <option value="on_close">When the quiz closes</option>
+              <option value="immediately">Right after answering</option>
+            </select>
+          </div>
+        </div>
+      )}
+      {formData.is_quiz && renderError('correct_option_ids')}
+    </div>
+  );
+};
+
+export default QuizSettings;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, X, ListOrdered, CheckCircle } from 'lucide-react';
+import { getOptionImageUrl } from '../utils/optionImageUtils';
+
+// Ballot for ranked-choice polls: voters click options in order of preference
+// Passing onChange embeds the ballot in a larger form (surveys) without its own submit button
+const RankedBallot = ({ poll, hasVoted, submittedRanking = [], voting, onSubmit, onChange }) => {
+  const [ranking, setRanking] = useState(hasVoted ? [] : submittedRanking);
+
+  const isLocked = hasVoted || poll.status === 'closed';
+  const displayedRanking = hasVoted ? submittedRanking : ranking;
+
+  const updateRanking = (next) => {
+    setRanking(next);
+    if (onChange) onChange(next);
+  };
+
+  const toggleOption = (optionId) => {
+    if (isLocked || voting) return;
+    updateRanking(
+      ranking.includes(optionId)
+        ? ranking.filter(rankedId => rankedId !== optionId)
+        : [...ranking, optionId]
+    );
+  };
+
+  const moveOption = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= ranking.length) return;
+    const next = [...ranking];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateRanking(next);
+  };
+
+  const getOptionText = (optionId) => {
+    return poll.options.find(option => option.id === optionId)?.text || 'Removed option';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="p-3 bg-blue-50 rounded-lg border border-blue-200">
+        <div className="flex items-start">
+          <ListOrdered className="w-5 h-5 text-blue-600 mr-2 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-blue-800 font-medium">Ranked-choice poll</p>
+            <p className="text-blue-700 text-sm mt-1">
+              {isLocked
+                ? 'The winner is decided by instant runoff: the last-place option is eliminated each round until one option has a majority.'
+                : 'Click the options in order of preference. You can rank as many or as few as you like.'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Unranked options */}
+      {!isLocked && (
+        <div className="space-y-3">
+          {poll.options.map(option => {
+            const rank = ranking.indexOf(option.id);
+            return (
+              <button
+                key={option.id}
+                onClick={() => toggleOption(option.id)}
+                disabled={voting}
+                className={`w-full p-4 border-2 rounded-lg text-left font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:opacity-50 disabled:cursor-not-allowed ${
+                  rank >= 0
+                    ? 'border-blue-500 bg-blue-50 text-blue-900'
+                    : 'border-gray-200 bg-white text-gray-900'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    {option.image_url && (
+                      <img
+                        src={getOptionImageUrl(option.image_url)}
+                        alt={option.text}
+                        className="w-12 h-12 rounded-md object-cover mr-3 flex-shrink-0"
+                      />
+                    )}
+                    <span>{option.text}</span>
+                  </div>
+                  {rank >= 0 && (
+                    <span className="w-7 h-7 rounded-full bg-blue-600 text-white text-sm flex items-center justify-center">
+                      {rank + 1}
+                    </span>
+                  )}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Current ranking */}
+      {displayedRanking.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-3">
+            {hasVoted ? 'Your submitted ranking' : 'Your ranking'}
+          </h3>
+          <ol className="space-y-2">
+            {displayedRanking.map((optionId, index) => (
+              <li
+                key={optionId}
+                className="flex items-center p-3 bg-gray-50 rounded-lg border border-gray-200"
+              >
+                <span className="w-7 h-7 rounded-full bg-blue-600 text-white text-sm flex items-center justify-center mr-3 flex-shrink-0">
+                  {index + 1}
+                </span>
+                <span className="flex-1 text-gray-900">{getOptionText(optionId)}</span>
+                {!isLocked && (
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => moveOption(index, -1)}
+                      disabled={index === 0 || voting}
+                      className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => moveOption(index, 1)}
+                      disabled={index === displayedRanking.length - 1 || voting}
+                      className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ArrowDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => toggleOption(optionId)}
+                      disabled={voting}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove from ranking"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                {hasVoted && index === 0 && (
+                  <CheckCircle className="w-5 h-5 text-green-600" />
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {!isLocked && !onChange && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => onSubmit(ranking)}
+            disabled={voting || ranking.length === 0}
+            className="btn-primary px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {voting ? (
+              <div className="flex items-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Submitting...
+              </div>
+            ) : (
+              'Submit Ranking'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RankedBallot;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { Trophy, ListOrdered } from 'lucide-react';
+
+// Instant-runoff rounds and outcome for ranked-choice polls
+const RankedResults = ({ poll, runoff }) => {
+  if (!runoff) return null;
+
+  const getOptionText = (optionId) => {
+    return poll.options.find(option => option.id === optionId)?.text || 'Removed option';
+  };
+
+  const winnerText = runoff.winner ? getOptionText(runoff.winner) : null;
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
+        <ListOrdered className="w-5 h-5 mr-2" />
+        Instant-Runoff Results
+      </h2>
+
+      {/* Outcome */}
+      <div className={`mb-6 p-4 rounded-lg border ${
+        winnerText ? 'bg-green-50 border-green-200' : 'bg-gray-50 border-gray-200'
+      }`}>
+        <div className="flex items-center">
+          <Trophy className={`w-6 h-6 mr-3 ${winnerText ? 'text-green-600' : 'text-gray-400'}`} />
+          <div>
+            {winnerText ? (
+              <>
+                <p className="text-sm text-green-700">Winner after {runoff.rounds.length} {runoff.rounds.length === 1 ? 'round' : 'rounds'}</p>
+                <p className="text-lg font-semibold text-green-900">{winnerText}</p>
+              </>
+            ) : runoff.tie.length > 0 ? (
+              <>
+                <p className="text-sm text-gray-600">Tie after {runoff.rounds.length} {runoff.rounds.length === 1 ? 'round' : 'rounds'}</p>
+                <p className="text-lg font-semibold text-gray-900">{runoff.tie.map(getOptionText).join(', ')}</p>
+              </>
+            ) : (
+              <p className="text-gray-600">No ballots have been cast yet</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Rounds */}
+      <div className="space-y-6">
+        {runoff.rounds.map(round => {
+          const activeBallots = runoff.total_ballots - round.exhausted;
+          const sortedTallies = Object.entries(round.tallies).sort((a, b) => b[1] - a[1]);
+
+          return (
+            <div key={round.round} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-gray-900">Round {round.round}</h3>
+                <span className="text-sm text-gray-500">
+                  {activeBallots} active {activeBallots === 1 ? 'ballot' : 'ballots'}
+                  {round.exhausted > 0 && ` · ${round.exhausted} exhausted`}
+                </span>
+              </div>
+              <div className="space-y-2">
+                {sortedTallies.map(([optionId, count]) => {
+                  const percentage = activeBallots > 0 ? Math.round((count / activeBallots) * 100) : 0;
+                  const isEliminated = round.eliminated.includes(optionId);
+                  const isWinner = runoff.winner === optionId && round.round === runoff.rounds.length;
+
+                  return (
+                    <div key={optionId}>
+                      <div className="flex items-center justify-between text-sm mb-1">
+                        <span className={`font-medium ${isEliminated ? 'text-red-600 line-through' : 'text-gray-900'}`}>
+                          {getOptionText(optionId)}
+                        </span>
+                        <span className="text-gray-600">
+                          {count} ({percentage}%)
+                          {isEliminated && <span className="ml-2 text-red-600">eliminated</span>}
+                          {isWinner && <span className="ml-2 text-green-600">winner</span>}
+                        </span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className={`h-2 rounded-full ${isEliminated ? 'bg-red-400' : isWinner ? 'bg-green-500' : 'bg-blue-500'}`}
+                          style={{ width: `${percentage}%` }}
+                        ></div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default RankedResults;
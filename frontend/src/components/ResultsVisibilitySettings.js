@@ -0,0 +1,29 @@
+import React from 'react';
+import { RESULTS_VISIBILITY_OPTIONS, getResultsVisibilityDescription } from '../utils/resultsVisibilityUtils';
+
+// Result reveal mode picker for the create and edit poll forms
+const ResultsVisibilitySettings = ({ formData, onChange }) => (
+  <div>
+    <label htmlFor="results_visibility" className="label">
+      Show Results
+    </label>
+    <select
+      id="results_visibility"
+      name="results_visibility"
+      value={formData.results_visibility}
+      onChange={onChange}
+      className="input"
+    >
+      {RESULTS_VISIBILITY_OPTIONS.map(option => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+    <p className="mt-1 text-sm text-gray-500">
+      {getResultsVisibilityDescription(formData.results_visibility)}
+    </p>
+  </div>
+);
+
+export default ResultsVisibilitySettings;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Star, Info } from 'lucide-react';
+
+// Ballot for rating (1-5 stars) and NPS (0-10) polls: voters pick a single score
+// Passing onChange embeds the ballot in a larger form (surveys) without its own submit button
+const ScaleBallot = ({ poll, hasVoted, submittedOptionId, voting, onSubmit, onChange }) => {
+  const submittedScore = poll.options.find(option => option.id === submittedOptionId)?.value ?? null;
+  const [score, setScore] = useState(hasVoted ? null : submittedScore);
+  const [hoverScore, setHoverScore] = useState(null);
+
+  const isNps = poll.poll_type === 'nps';
+  const isLocked = hasVoted || poll.status === 'closed';
+  const selectedScore = hasVoted ? submittedScore : score;
+
+  const scores = poll.options
+    .map(option => option.value)
+    .filter(value => value !== null && value !== undefined)
+    .sort((a, b) => a - b);
+
+  const selectScore = (value) => {
+    if (isLocked || voting) return;
+    setScore(value);
+    if (onChange) onChange(value);
+  };
+
+  const getNpsButtonClass = (value) => {
+    if (value !== selectedScore) {
+      return 'border-gray-200 bg-white text-gray-900';
+    }
+    if (value >= 9) return 'border-green-500 bg-green-50 text-green-900';
+    if (value >= 7) return 'border-yellow-500 bg-yellow-50 text-yellow-900';
+    return 'border-red-500 bg-red-50 text-red-900';
+  };
+
+  const litScore = hoverScore ?? selectedScore;
+
+  return (
+    <div className="space-y-6">
+      <div className="p-3 bg-blue-50 rounded-lg border border-blue-200">
+        <div className="flex items-start">
+          <Info className="w-5 h-5 text-blue-600 mr-2 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-blue-800 font-medium">{isNps ? 'Net Promoter Score' : 'Star rating'}</p>
+            <p className="text-blue-700 text-sm mt-1">
+              {hasVoted
+                ? `Your score: ${submittedScore ?? '-'}`
+                : isNps
+                  ? 'How likely are you to recommend this? 0 = not at all likely, 10 = extremely likely.'
+                  : 'Rate from 1 to 5 stars.'}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {isNps ? (
+        <div>
+          <div className="grid grid-cols-11 gap-2">
+            {scores.map(value => (
+              <button
+                key={value}
+                onClick={() => selectScore(value)}
+                disabled={voting || isLocked}
+                className={`py-3 border-2 rounded-lg font-medium transition-all hover:border-blue-500 hover:bg-blue-50 disabled:cursor-not-allowed ${getNpsButtonClass(value)}`}
+              >
+                {value}
+              </button>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-2">
+            <span>Not at all likely</span>
+            <span>Extremely likely</span>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-center justify-center space-x-2" onMouseLeave={() => setHoverScore(null)}>
+          {scores.map(value => (
+            <button
+              key={value}
+              onClick={() => selectScore(value)}
+              onMouseEnter={() => !isLocked && setHoverScore(value)}
+              disabled={voting || isLocked}
+              className="p-1 disabled:cursor-not-allowed"
+              title={`${value} star${value === 1 ? '' : 's'}`}
+            >
+              <Star
+                className={`w-10 h-10 ${
+                  litScore !== null && value <= litScore ? 'text-yellow-400 fill-current' : 'text-gray-300'
+                }`}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!isLocked && !onChange && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => onSubmit(score)}
+            disabled={voting || score === null}
+            className="btn-primary px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {voting ? (
+              <div className="flex items-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Submitting...
+              </div>
+            ) : (
+              'Submit Score'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScaleBallot;
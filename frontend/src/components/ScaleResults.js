@@ -0,0 +1,97 @@
+import React from 'react';
+import { Star, Gauge } from 'lucide-react';
+import { computeScoreStats } from '../utils/scoreUtils';
+
+// Average, median, histogram and (for NPS) the promoter breakdown of a score poll
+const ScaleResults = ({ poll }) => {
+  const stats = computeScoreStats(poll);
+  const isNps = poll.poll_type === 'nps';
+
+  const getBarColor = (score) => {
+    if (!isNps) return 'bg-yellow-400';
+    if (score >= 9) return 'bg-green-500';
+    if (score >= 7) return 'bg-yellow-400';
+    return 'bg-red-500';
+  };
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-6 flex items-center">
+        {isNps ? <Gauge className="w-5 h-5 mr-2" /> : <Star className="w-5 h-5 mr-2" />}
+        {isNps ? 'Net Promoter Score' : 'Rating Results'}
+      </h2>
+
+      {stats.count === 0 ? (
+        <p className="text-gray-600 text-center py-4">No scores have been submitted yet</p>
+      ) : (
+        <>
+          {/* Summary figures */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {isNps && (
+              <div className="text-center p-4 bg-blue-50 rounded-lg">
+                <div className={`text-3xl font-bold ${stats.nps >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
+                  {stats.nps > 0 ? `+${stats.nps}` : stats.nps}
+                </div>
+                <div className="text-sm text-gray-600">NPS</div>
+              </div>
+            )}
+            <div className="text-center p-4 bg-gray-50 rounded-lg">
+              <div className="text-3xl font-bold text-gray-900">{stats.average}</div>
+              <div className="text-sm text-gray-600">Average{!isNps && ' (out of 5)'}</div>
+            </div>
+            <div className="text-center p-4 bg-gray-50 rounded-lg">
+              <div className="text-3xl font-bold text-gray-900">{stats.median}</div>
+              <div className="text-sm text-gray-600">Median</div>
+            </div>
+            <div className="text-center p-4 bg-gray-50 rounded-lg">
+              <div className="text-3xl font-bold text-gray-900">{stats.count}</div>
+              <div className="text-sm text-gray-600">Responses</div>
+            </div>
+          </div>
+
+          {/* Promoters / passives / detractors */}
+          {isNps && (
+            <div className="mb-6">
+              <div className="flex w-full h-4 rounded-full overflow-hidden bg-gray-200">
+                <div className="bg-green-500" style={{ width: `${stats.promoters}%` }}></div>
+                <div className="bg-yellow-400" style={{ width: `${stats.passives}%` }}></div>
+                <div className="bg-red-500" style={{ width: `${stats.detractors}%` }}></div>
+              </div>
+              <div className="flex justify-between text-sm mt-2">
+                <span className="text-green-700">Promoters (9-10): {stats.promoters}%</span>
+                <span className="text-yellow-700">Passives (7-8): {stats.passives}%</span>
+                <span className="text-red-700">Detractors (0-6): {stats.detractors}%</span>
+              </div>
+            </div>
+          )}
+
+          {/* Distribution histogram */}
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Distribution</h3>
+          <div className="flex items-end justify-between gap-2 h-40">
+            {stats.distribution.map(entry => {
+              const height = stats.maxCount > 0 ? Math.round((entry.count / stats.maxCount) * 100) : 0;
+              return (
+                <div key={entry.score} className="flex-1 flex flex-col items-center justify-end h-full">
+                  <span className="text-xs text-gray-600 mb-1">{entry.count}</span>
+                  <div
+                    className={`w-full rounded-t ${getBarColor(entry.score)}`}
+                    style={{ height: `${height}%` }}
+                  ></div>
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex justify-between gap-2 mt-2">
+            {stats.distribution.map(entry => (
+              <span key={entry.score} className="flex-1 text-center text-sm font-medium text-gray-700">
+                {entry.score}{!isNps && '★'}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScaleResults;
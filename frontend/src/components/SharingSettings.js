@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { AlertCircle, Globe, Link2, Lock, Plus, X } from 'lucide-react';
+import {
+  VISIBILITY_OPTIONS,
+  getVisibilityDescription,
+  normalizeDomain,
+  isValidDomain
+} from '../utils/sharingUtils';
+
+const VISIBILITY_ICONS = {
+  public: Globe,
+  unlisted: Link2,
+  invite_only: Lock
+};
+
+// Visibility level and invitees for the create and edit poll forms
+const SharingSettings = ({ formData, errors, onChange }) => {
+  const [invitee, setInvitee] = useState('');
+  const [domain, setDomain] = useState('');
+  const [inputError, setInputError] = useState(null);
+
+  const updateList = (name, value) => onChange({ target: { name, value } });
+
+  const addInvitee = () => {
+    const value = invitee.trim();
+    if (!value) return;
+    if (formData.invitees.includes(value)) {
+      setInputError(`${value} is already invited`);
+      return;
+    }
+    updateList('invitees', [...formData.invitees, value]);
+    setInvitee('');
+    setInputError(null);
+  };
+
+  const addDomain = () => {
+    const value = normalizeDomain(domain);
+    if (!value) return;
+    if (!isValidDomain(value)) {
+      setInputError('Enter a domain like example.com');
+      return;
+    }
+    if (formData.invited_domains.includes(value)) {
+      setInputError(`${value} is already invited`);
+      return;
+    }
+    updateList('invited_domains', [...formData.invited_domains, value]);
+    setDomain('');
+    setInputError(null);
+  };
+
+  // Enter adds the entry instead of submitting the poll form
+  const handleKeyDown = (add) => (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  };
+
+  const renderChips = (name, values, prefix = '') => values.length > 0 && (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {values.map(value => (
+        <span key={value} className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-blue-100 text-blue-800">
+          {prefix}{value}
+          <button
+            type="button"
+            onClick={() => updateList(name, values.filter(item => item !== value))}
+            className="ml-2 text-blue-600 hover:text-blue-800"
+          >
+            <X className="w-3 h-3" />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <span className="label">Who Can Open This Poll</span>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {VISIBILITY_OPTIONS.map(option => {
+            const Icon = VISIBILITY_ICONS[option.value];
+            const selected = formData.visibility === option.value;
+            return (
+              <label
+                key={option.value}
+                className={`flex items-center p-3 rounded-lg border cursor-pointer transition-colors ${
+                  selected ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 hover:bg-gray-50 text-gray-700'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="visibility"
+                  value={option.value}
+                  checked={selected}
+                  onChange={onChange}
+                  className="sr-only"
+                />
+                <Icon className="w-4 h-4 mr-2" />
+                <span className="text-sm font-medium">{option.label}</span>
+              </label>
+            );
+          })}
+        </div>
+        <p className="mt-1 text-sm text-gray-500">
+          {getVisibilityDescription(formData.visibility)}
+          {formData.visibility === 'unlisted' && '. The link is available on the poll page once you save.'}
+        </p>
+      </div>
+
+      {formData.visibility === 'invite_only' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label htmlFor="invitee" className="label">
+              Invite Users
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                id="invitee"
+                value={invitee}
+                onChange={(e) => setInvitee(e.target.value)}
+                onKeyDown={handleKeyDown(addInvitee)}
+                className="input"
+                placeholder="Username or email"
+              />
+              <button type="button" onClick={addInvitee} className="btn-secondary px-3 rounded-lg">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+            {renderChips('invitees', formData.invitees)}
+          </div>
+
+          <div>
+            <label htmlFor="invited_domain" className="label">
+              Invite Email Domains
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                id="invited_domain"
+                value={domain}
+                onChange={(e) => setDomain(e.target.value)}
+                onKeyDown={handleKeyDown(addDomain)}
+                className="input"
+                placeholder="example.com"
+              />
+              <button type="button" onClick={addDomain} className="btn-secondary px-3 rounded-lg">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+            {renderChips('invited_domains', formData.invited_domains, '@')}
+          </div>
+        </div>
+      )}
+
+      {(inputError || errors.sharing) && (
+        <p className="text-sm text-red-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {inputError || errors.sharing}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SharingSettings;
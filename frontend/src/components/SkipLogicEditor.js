@@ -0,0 +1,108 @@
+import React from 'react';
+import { Plus, X, GitBranch } from 'lucide-react';
+import { toast } from 'sonner';
+import { generateFormId, END_OF_SURVEY } from '../utils/surveyUtils';
+
+// Skip rules of one question: each picks an answer and the question (or the end) it leads to.
+// targets are the questions a rule may jump to, in order; the first rule skips past the next one by default.
+const SkipLogicEditor = ({ questionType, branches, branchChoices, targets, endLabel = 'End of survey', locked = false, onChange }) => {
+  const addBranch = () => {
+    const usedOptions = branches.map(branch => branch.option_id);
+    const freeChoice = branchChoices.find(choice => !usedOptions.includes(choice.id));
+    if (!freeChoice) {
+      toast.error('Every answer already has a skip rule');
+      return;
+    }
+    onChange([...branches, {
+      id: generateFormId(),
+      option_id: freeChoice.id,
+      next_question_id: targets[1]?.id || END_OF_SURVEY
+    }]);
+  };
+
+  const updateBranch = (branchId, changes) => {
+    onChange(branches.map(branch =>
+      branch.id === branchId ? { ...branch, ...changes } : branch
+    ));
+  };
+
+  const removeBranch = (branchId) => {
+    onChange(branches.filter(branch => branch.id !== branchId));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 flex items-center">
+            <GitBranch className="w-4 h-4 mr-2" />
+            Skip logic
+          </h3>
+          <p className="text-sm text-gray-500">
+            {questionType === 'ranked'
+              ? 'Jump ahead based on the first choice. Without a matching rule the next question follows.'
+              : 'Jump ahead based on the answer. Without a matching rule the next question follows.'}
+          </p>
+        </div>
+        {!locked && (
+          <button
+            type="button"
+            onClick={addBranch}
+            className="btn-secondary px-3 py-2 rounded-lg text-sm font-medium transition-all flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Rule
+          </button>
+        )}
+      </div>
+
+      {branches.length > 0 && (
+        <div className="space-y-3">
+          {branches.map(branch => (
+            <div key={branch.id} className="flex items-center space-x-3 text-sm">
+              <span className="text-gray-600 whitespace-nowrap">If the answer is</span>
+              <select
+                value={branch.option_id}
+                onChange={(e) => updateBranch(branch.id, { option_id: e.target.value })}
+                className="input flex-1"
+                disabled={locked}
+              >
+                {branchChoices.map(choice => (
+                  <option key={choice.id} value={choice.id}>{choice.label}</option>
+                ))}
+              </select>
+              <span className="text-gray-600 whitespace-nowrap">go to</span>
+              <select
+                value={branch.next_question_id}
+                onChange={(e) => updateBranch(branch.id, { next_question_id: e.target.value })}
+                className="input flex-1"
+                disabled={locked}
+              >
+                {targets.map(target => (
+                  <option key={target.id} value={target.id}>{target.label}</option>
+                ))}
+                {/* Keep a target that moved above this question visible so it can be corrected */}
+                {branch.next_question_id !== END_OF_SURVEY && !targets.some(target => target.id === branch.next_question_id) && (
+                  <option value={branch.next_question_id}>An earlier question (not allowed)</option>
+                )}
+                <option value={END_OF_SURVEY}>{endLabel}</option>
+              </select>
+              {!locked && (
+                <button
+                  type="button"
+                  onClick={() => removeBranch(branch.id)}
+                  className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
+                  title="Remove rule"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SkipLogicEditor;
@@ -0,0 +1,264 @@
+import React from 'react';
+import { Plus, X, AlertCircle, ClipboardList, ChevronUp, ChevronDown, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { isScoreQuestion, getBranchChoices, generateFormId } from '../utils/surveyUtils';
+import SkipLogicEditor from './SkipLogicEditor';
+
+const questionTypes = [
+  { value: 'single', label: 'Single choice' },
+  { value: 'ranked', label: 'Ranked choice' },
+  { value: 'approval', label: 'Multiple choice' },
+  { value: 'rating', label: 'Star rating (1-5)' },
+  { value: 'nps', label: 'Net Promoter Score (0-10)' }
+];
+
+// One question card of the create and edit survey forms, including its skip logic. Follow-up questions of a poll
+// reuse it: they are numbered from firstNumber, end the poll instead of a survey and can all be removed.
+const SurveyQuestionEditor = ({
+  question,
+  index,
+  questions,
+  error,
+  locked = false,
+  firstNumber = 1,
+  endLabel = 'End of survey',
+  canRemoveLast = false,
+  onChange,
+  onMove,
+  onRemove
+}) => {
+  const branchTargets = questions.slice(index + 1).map((later, laterIndex) => ({
+    id: later.id,
+    label: `Question ${index + laterIndex + firstNumber + 1}${later.text ? `: ${later.text}` : ''}`
+  }));
+
+  const updateOption = (optionId, text) => {
+    onChange({
+      options: question.options.map(option =>
+        option.id === optionId ? { ...option, text } : option
+      )
+    });
+  };
+
+  const addOption = () => {
+    onChange({ options: [...question.options, { id: generateFormId(), text: '' }] });
+  };
+
+  const removeOption = (optionId) => {
+    if (question.options.length <= 2) {
+      toast.error('A question must have at least 2 options');
+      return;
+    }
+    onChange({
+      options: question.options.filter(option => option.id !== optionId),
+      branches: question.branches.filter(branch => branch.option_id !== optionId)
+    });
+  };
+
+  // Skip rules refer to this question's answers, which change with its type
+  const changeType = (questionType) => {
+    onChange({ question_type: questionType, branches: [] });
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ClipboardList className="w-5 h-5 mr-2" />
+          Question {index + firstNumber}
+        </h2>
+        {!locked && (
+          <div className="flex items-center space-x-1">
+            <button
+              type="button"
+              onClick={() => onMove(-1)}
+              disabled={index === 0}
+              className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+              title="Move up"
+            >
+              <ChevronUp className="w-5 h-5" />
+            </button>
+            <button
+              type="button"
+              onClick={() => onMove(1)}
+              disabled={index === questions.length - 1}
+              className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+              title="Move down"
+            >
+              <ChevronDown className="w-5 h-5" />
+            </button>
+            {(canRemoveLast || questions.length > 1) && (
+              <button
+                type="button"
+                onClick={onRemove}
+                className="p-2 text-gray-400 hover:text-red-500 transition-colors"
+                title="Remove question"
+              >
+                <Trash2 className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div className="md:col-span-2">
+            <label htmlFor={`question_text_${question.id}`} className="label">
+              Question *
+            </label>
+            <input
+              type="text"
+              id={`question_text_${question.id}`}
+              value={question.text}
+              onChange={(e) => onChange({ text: e.target.value })}
+              className="input"
+              placeholder="What would you like to ask?"
+              maxLength={200}
+              disabled={locked}
+            />
+          </div>
+          <div>
+            <label htmlFor={`question_type_${question.id}`} className="label">
+              Question Type
+            </label>
+            <select
+              id={`question_type_${question.id}`}
+              value={question.question_type}
+              onChange={(e) => changeType(e.target.value)}
+              className="input"
+              disabled={locked}
+            >
+              {questionTypes.map(questionType => (
+                <option key={questionType.value} value={questionType.value}>
+                  {questionType.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Options (rating and NPS questions use a fixed score scale) */}
+        {!isScoreQuestion(question) && (
+          <div className="space-y-3">
+            {question.options.map((option, optionIndex) => (
+              <div key={option.id} className="flex items-center space-x-4">
+                <div className="flex-shrink-0 w-8 h-10 bg-gray-100 rounded-lg flex items-center justify-center text-sm font-medium text-gray-600">
+                  {optionIndex + 1}
+                </div>
+                <input
+                  type="text"
+                  value={option.text}
+                  onChange={(e) => updateOption(option.id, e.target.value)}
+                  className="input flex-1"
+                  placeholder={`Option ${optionIndex + 1}`}
+                  maxLength={100}
+                  disabled={locked}
+                />
+                {!locked && question.options.length > 2 && (
+                  <button
+                    type="button"
+                    onClick={() => removeOption(option.id)}
+                    className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
+                    title="Remove option"
+                  >
+                    <X className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            ))}
+            {!locked && (
+              <button
+                type="button"
+                onClick={addOption}
+                className="btn-secondary px-4 py-2 rounded-lg font-medium transition-all flex items-center"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add Option
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Selection Limits */}
+        {question.question_type === 'approval' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor={`min_choices_${question.id}`} className="label">
+                Minimum selections
+              </label>
+              <input
+                type="number"
+                id={`min_choices_${question.id}`}
+                value={question.min_choices}
+                onChange={(e) => onChange({ min_choices: e.target.value })}
+                className="input"
+                min={1}
+                max={question.options.length}
+                disabled={locked}
+              />
+            </div>
+            <div>
+              <label htmlFor={`max_choices_${question.id}`} className="label">
+                Maximum selections (Optional)
+              </label>
+              <input
+                type="number"
+                id={`max_choices_${question.id}`}
+                value={question.max_choices}
+                onChange={(e) => onChange({ max_choices: e.target.value })}
+                className="input"
+                min={1}
+                max={question.options.length}
+                placeholder="No limit"
+                disabled={locked}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Required */}
+        <div className="flex items-start space-x-3">
+          <input
+            type="checkbox"
+            id={`required_${question.id}`}
+            checked={question.required}
+            onChange={(e) => onChange({ required: e.target.checked })}
+            className="mt-1 h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            disabled={locked}
+          />
+          <div>
+            <label htmlFor={`required_${question.id}`} className="block text-sm font-medium text-gray-700">
+              Required
+            </label>
+            <p className="text-sm text-gray-500">
+              Respondents must answer this question when it is on their path.
+            </p>
+          </div>
+        </div>
+
+        {/* Skip Logic */}
+        <div className="border-t border-gray-100 pt-6">
+          <SkipLogicEditor
+            questionType={question.question_type}
+            branches={question.branches}
+            branchChoices={getBranchChoices(question)}
+            targets={branchTargets}
+            endLabel={endLabel}
+            locked={locked}
+            onChange={(branches) => onChange({ branches })}
+          />
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 flex items-center">
+            <AlertCircle className="w-4 h-4 mr-1" />
+            {error}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SurveyQuestionEditor;
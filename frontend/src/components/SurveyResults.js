@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, BarChart3, Download, Users, ClipboardList, XCircle } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { exportSurveyToHTML } from '../utils/exportUtils';
+import QuestionResults from './QuestionResults';
+
+const SurveyResults = ({ socket }) => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [survey, setSurvey] = useState(null);
+  const [runoffs, setRunoffs] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSurveyResults = useCallback(async () => {
+    try {
+      const response = await api.get(`/surveys/${id}/results`);
+      setSurvey(response.data.survey);
+      setRunoffs(response.data.runoffs);
+    } catch (error) {
+      console.error('Error fetching survey results:', error);
+      if (error.response?.status === 404) {
+        setError('Survey not found');
+      } else if (error.response?.status === 403) {
+        setError(error.response.data.error);
+      } else {
+        setError('Failed to load survey results');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchSurveyResults();
+  }, [fetchSurveyResults]);
+
+  // Refresh when new responses come in
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleSurveyUpdate = (updatedSurvey) => {
+      if (updatedSurvey.id === id) {
+        fetchSurveyResults();
+      }
+    };
+
+    socket.on('surveyUpdate', handleSurveyUpdate);
+    return () => socket.off('surveyUpdate', handleSurveyUpdate);
+  }, [socket, id, fetchSurveyResults]);
+
+  const handleExport = () => {
+    try {
+      exportSurveyToHTML(survey, runoffs);
+      toast.success('Survey results exported');
+    } catch (error) {
+      console.error('Error exporting survey results:', error);
+      toast.error('Failed to export survey results');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="animate-pulse space-y-6">
+          <div className="h-8 bg-gray-300 rounded w-2/3"></div>
+          {[1, 2].map(i => (
+            <div key={i} className="bg-white rounded-xl p-6 border border-gray-200 h-48"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="bg-red-50 rounded-lg p-8 text-center">
+          <XCircle className="w-12 h-12 text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-red-900 mb-2">Unable to Load Results</h2>
+          <p className="text-red-700 mb-4">{error}</p>
+          <button
+            onClick={() => navigate('/surveys')}
+            className="btn-primary px-6 py-3 rounded-lg font-medium"
+          >
+            Go Back
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!survey) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto p-6">
+      {/* Back Navigation */}
+      <div className="flex items-center justify-between mb-6">
+        <button
+          onClick={() => navigate(`/survey/${survey.id}`)}
+          className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Survey
+        </button>
+        <button
+          onClick={handleExport}
+          className="btn-secondary px-4 py-2 rounded-lg font-medium flex items-center"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export Results
+        </button>
+      </div>
+
+      {/* Survey Summary */}
+      <div className="card mb-6">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{survey.title}</h1>
+        {survey.description && <p className="text-gray-600 mb-4">{survey.description}</p>}
+        <div className="grid grid-cols-3 gap-4">
+          <div className="text-center p-4 bg-gray-50 rounded-lg">
+            <div className="text-3xl font-bold text-gray-900 flex items-center justify-center">
+              <Users className="w-6 h-6 mr-2 text-blue-600" />
+              {survey.response_count}
+            </div>
+            <div className="text-sm text-gray-600">Responses</div>
+          </div>
+          <div className="text-center p-4 bg-gray-50 rounded-lg">
+            <div className="text-3xl font-bold text-gray-900 flex items-center justify-center">
+              <ClipboardList className="w-6 h-6 mr-2 text-blue-600" />
+              {survey.questions.length}
+            </div>
+            <div className="text-sm text-gray-600">Questions</div>
+          </div>
+          <div className="text-center p-4 bg-gray-50 rounded-lg">
+            <div className="text-3xl font-bold text-gray-900 capitalize">{survey.status}</div>
+            <div className="text-sm text-gray-600">Status</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Per-question Results */}
+      {survey.questions.map((question, index) => (
+        <div key={question.id} className="mb-8">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <BarChart3 className="w-5 h-5 mr-2" />
+              {index + 1}. {question.text}
+            </h2>
+            <span className="text-sm text-gray-500">
+              {question.answer_count} of {survey.response_count} answered
+            </span>
+          </div>
+          <QuestionResults question={question} parent={survey} runoff={runoffs[question.id]} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SurveyResults;
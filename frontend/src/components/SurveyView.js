@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, BarChart3, CheckCircle, ClipboardList, Clock, Users, Info } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { buildSurveyAnswer, isAnswered, getSelectedOptionIds, getSurveyPath } from '../utils/surveyUtils';
+import QuestionBallot from './QuestionBallot';
+
+const SurveyView = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [survey, setSurvey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [missing, setMissing] = useState([]);
+
+  const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+
+  useEffect(() => {
+    fetchSurvey();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id]);
+
+  const fetchSurvey = async () => {
+    try {
+      const response = await api.get(`/surveys/${id}`);
+      setSurvey(response.data);
+    } catch (error) {
+      console.error('Error fetching survey:', error);
+      toast.error(error.response?.status === 404 ? 'Survey not found' : 'Failed to load survey');
+      navigate('/surveys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+    setMissing(prev => prev.filter(missingId => missingId !== questionId));
+  };
+
+  // Questions the respondent reaches by following the skip logic from their answers
+  const getPath = () => getSurveyPath(survey, (question) => getSelectedOptionIds(question, answers[question.id]));
+
+  const handleSubmit = async () => {
+    if (submitting) return;
+
+    const path = getPath();
+    const unanswered = survey.questions
+      .filter(question => path.includes(question.id) && question.required && !isAnswered(answers[question.id]))
+      .map(question => question.id);
+    if (unanswered.length > 0) {
+      setMissing(unanswered);
+      toast.error(`Please answer all required questions (${unanswered.length} left)`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      // Answers to questions that were skipped along the way are left out
+      const payload = survey.questions
+        .filter(question => path.includes(question.id) && isAnswered(answers[question.id]))
+        .map(question => buildSurveyAnswer(question, answers[question.id]));
+
+      await api.post(`/surveys/${id}/responses`, { answers: payload });
+      toast.success('Thank you! Your answers have been recorded.');
+      await fetchSurvey();
+    } catch (error) {
+      console.error('Error submitting survey:', error);
+      toast.error(error.response?.data?.error || 'Failed to submit survey');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="animate-pulse space-y-6">
+          <div className="h-8 bg-gray-300 rounded w-2/3"></div>
+          <div className="h-4 bg-gray-300 rounded w-1/2"></div>
+          {[1, 2].map(i => (
+            <div key={i} className="bg-white rounded-xl p-6 border border-gray-200 h-40"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (!survey) return null;
+
+  const hasResponded = Boolean(survey.my_answers);
+  const isCreator = survey.creator === user.id;
+  const canViewResults = isCreator || survey.show_results;
+  const isOpen = survey.status === 'active' && !hasResponded;
+
+  const getSubmittedAnswer = (questionId) => {
+    return (survey.my_answers || []).find(answer => answer.question_id === questionId);
+  };
+
+  const path = hasResponded
+    ? getSurveyPath(survey, (question) => {
+      const submitted = getSubmittedAnswer(question.id);
+      if (!submitted) return null;
+      return submitted.ranking.length > 0 ? submitted.ranking : submitted.option_ids;
+    })
+    : getPath();
+  const hasSkipLogic = survey.questions.some(question => (question.branches || []).length > 0);
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6">
+      <button
+        onClick={() => navigate('/surveys')}
+        className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+      >
+        <ArrowLeft className="w-4 h-4 mr-2" />
+        Back to Surveys
+      </button>
+
+      {/* Survey Header */}
+      <div className="card">
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{survey.title}</h1>
+            {survey.description && <p className="text-gray-600">{survey.description}</p>}
+          </div>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
+            survey.status === 'active' ? 'bg-green-100 text-green-700' :
+            survey.status === 'closed' ? 'bg-red-100 text-red-700' :
+            'bg-yellow-100 text-yellow-700'
+          }`}>
+            {survey.status}
+          </span>
+        </div>
+
+        <div className="flex items-center space-x-6 text-sm text-gray-500 mt-4">
+          <div className="flex items-center">
+            <ClipboardList className="w-4 h-4 mr-1" />
+            {survey.questions.length} questions
+          </div>
+          <div className="flex items-center">
+            <Users className="w-4 h-4 mr-1" />
+            {survey.response_count} responses
+          </div>
+          {survey.ends_at && (
+            <div className="flex items-center">
+              <Clock className="w-4 h-4 mr-1" />
+              Ends {new Date(survey.ends_at).toLocaleString()}
+            </div>
+          )}
+        </div>
+
+        {hasResponded && (
+          <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-200 flex items-center justify-between">
+            <div className="flex items-center text-green-800">
+              <CheckCircle className="w-5 h-5 mr-2" />
+              You have responded to this survey. Your answers are shown below.
+            </div>
+            {canViewResults && (
+              <Link
+                to={`/survey/${survey.id}/results`}
+                className="inline-flex items-center text-sm font-medium text-green-700 hover:text-green-600"
+              >
+                <BarChart3 className="w-4 h-4 mr-1" />
+                View Results
+              </Link>
+            )}
+          </div>
+        )}
+        {!hasResponded && survey.status !== 'active' && (
+          <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200 flex items-center text-gray-700">
+            <Info className="w-5 h-5 mr-2" />
+            {survey.status === 'draft'
+              ? 'This survey is a draft. Publish it from the Surveys page to collect responses.'
+              : 'This survey has been closed and is no longer accepting responses.'}
+          </div>
+        )}
+      </div>
+
+      {hasSkipLogic && isOpen && (
+        <div className="p-3 bg-blue-50 rounded-lg border border-blue-200 flex items-center text-blue-800 text-sm">
+          <Info className="w-5 h-5 mr-2 flex-shrink-0" />
+          Some questions are skipped depending on your answers, so question numbers may jump.
+        </div>
+      )}
+
+      {/* Questions on the respondent's path */}
+      {survey.questions.map((question, index) => path.includes(question.id) && (
+        <div
+          key={question.id}
+          className={`card ${missing.includes(question.id) ? 'ring-2 ring-red-300' : ''}`}
+        >
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {index + 1}. {question.text}
+            {question.required && <span className="text-red-500 ml-1">*</span>}
+          </h2>
+          <QuestionBallot
+            question={question}
+            parent={survey}
+            value={answers[question.id]}
+            submitted={getSubmittedAnswer(question.id)}
+            hasResponded={hasResponded}
+            isOpen={isOpen}
+            submitting={submitting}
+            onChange={(value) => setAnswer(question.id, value)}
+          />
+          {missing.includes(question.id) && (
+            <p className="mt-3 text-sm text-red-600">This question requires an answer</p>
+          )}
+        </div>
+      ))}
+
+      {isOpen && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleSubmit}
+            disabled={submitting}
+            className="btn-primary px-6 py-3 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {submitting ? (
+              <div className="flex items-center">
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                Submitting...
+              </div>
+            ) : (
+              'Submit Answers'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SurveyView;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, ClipboardList, Users, Clock, BarChart3, Eye, EyeOff, Trash2, CheckCircle, Edit } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import PageHeader from './PageHeader';
+
+const Surveys = () => {
+  const [surveys, setSurveys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingSurveyId, setUpdatingSurveyId] = useState(null);
+
+  const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+
+  useEffect(() => {
+    fetchSurveys();
+  }, []);
+
+  const fetchSurveys = async () => {
+    try {
+      const response = await api.get('/surveys');
+      setSurveys(response.data);
+    } catch (error) {
+      console.error('Error fetching surveys:', error);
+      toast.error('Failed to load surveys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleSurveyStatus = async (survey) => {
+    if (updatingSurveyId === survey.id) {
+      return;
+    }
+
+    const newStatus = survey.status === 'active' ? 'closed' : 'active';
+
+    if (newStatus === 'active' && survey.ends_at && new Date(survey.ends_at) <= new Date()) {
+      const confirmReopen = window.confirm(
+        `This survey expired on ${new Date(survey.ends_at).toLocaleDateString()}. ` +
+        'Reopening it will clear the end date. Do you want to continue?'
+      );
+      if (!confirmReopen) {
+        return;
+      }
+    }
+
+    try {
+      setUpdatingSurveyId(survey.id);
+      const response = await api.patch(`/surveys/${survey.id}`, { status: newStatus });
+      setSurveys(prev => prev.map(item =>
+        item.id === survey.id ? { ...response.data, has_responded: item.has_responded } : item
+      ));
+      toast.success(newStatus === 'active' ? 'Survey activated successfully' : 'Survey closed successfully');
+    } catch (error) {
+      console.error('Error updating survey status:', error);
+      toast.error('Failed to update survey status');
+    } finally {
+      setUpdatingSurveyId(null);
+    }
+  };
+
+  const handleDeleteSurvey = async (survey) => {
+    if (!window.confirm(`Are you sure you want to delete "${survey.title}"? All responses will be lost. This action cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/surveys/${survey.id}`);
+      setSurveys(prev => prev.filter(item => item.id !== survey.id));
+      toast.success('Survey deleted successfully');
+    } catch (error) {
+      console.error('Error deleting survey:', error);
+      toast.error('Failed to delete survey');
+    }
+  };
+
+  const SurveyCard = ({ survey }) => {
+    const isCreator = survey.creator === user.id;
+    const canViewResults = isCreator || survey.show_results;
+
+    return (
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex-1">
+            <div className="flex items-center space-x-2 mb-2">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${
+                survey.status === 'active' ? 'bg-green-100 text-green-700' :
+                survey.status === 'closed' ? 'bg-red-100 text-red-700' :
+                'bg-yellow-100 text-yellow-700'
+              }`}>
+                {survey.status}
+              </span>
+              {survey.has_responded && (
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-700 flex items-center">
+                  <CheckCircle className="w-3 h-3 mr-1" />
+                  Responded
+                </span>
+              )}
+            </div>
+
+            <Link
+              to={`/survey/${survey.id}`}
+              className="block hover:text-blue-600 transition-colors"
+            >
+              <h3 className="text-lg font-semibold text-gray-900 line-clamp-2 mb-2">
+                {survey.title}
+              </h3>
+            </Link>
+
+            {survey.description && (
+              <p className="text-gray-600 text-sm line-clamp-2 mb-3">
+                {survey.description}
+              </p>
+            )}
+          </div>
+
+          {survey.ends_at && (
+            <div className="flex items-center text-gray-500 text-sm ml-4">
+              <Clock className="w-4 h-4 mr-1" />
+              {new Date(survey.ends_at).toLocaleDateString()}
+            </div>
+          )}
+        </div>
+
+        {/* Survey Stats */}
+        <div className="flex items-center space-x-6 text-sm text-gray-500 mb-4">
+          <div className="flex items-center">
+            <Users className="w-4 h-4 mr-1" />
+            {survey.response_count} responses
+          </div>
+          <div className="flex items-center">
+            <ClipboardList className="w-4 h-4 mr-1" />
+            {survey.questions.length} questions
+          </div>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+          <div className="flex space-x-2">
+            <Link
+              to={`/survey/${survey.id}`}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+            >
+              <Eye className="w-4 h-4 mr-1" />
+              {survey.status === 'active' && !survey.has_responded ? 'Take Survey' : 'View'}
+            </Link>
+            {canViewResults && (
+              <Link
+                to={`/survey/${survey.id}/results`}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-500 transition-colors"
+              >
+                <BarChart3 className="w-4 h-4 mr-1" />
+                Results
+              </Link>
+            )}
+            {isCreator && (
+              <Link
+                to={`/survey/${survey.id}/edit`}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-500 transition-colors"
+              >
+                <Edit className="w-4 h-4 mr-1" />
+                Edit
+              </Link>
+            )}
+          </div>
+
+          {isCreator && (
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleToggleSurveyStatus(survey)}
+                className={`inline-flex items-center px-3 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  survey.status === 'active'
+                    ? 'text-red-600 hover:text-red-500 hover:bg-red-50'
+                    : 'text-green-600 hover:text-green-500 hover:bg-green-50'
+                } ${
+                  updatingSurveyId === survey.id ? 'opacity-50 cursor-not-allowed' : ''
+                }`}
+                disabled={updatingSurveyId === survey.id}
+              >
+                {survey.status === 'active' ? (
+                  <>
+                    <EyeOff className="w-4 h-4 mr-1" />
+                    Close
+                  </>
+                ) : (
+                  <>
+                    <Eye className="w-4 h-4 mr-1" />
+                    {survey.status === 'draft' ? 'Publish' : 'Activate'}
+                  </>
+                )}
+              </button>
+
+              <button
+                onClick={() => handleDeleteSurvey(survey)}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 space-y-6">
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-300 rounded w-48 mb-2"></div>
+          <div className="h-4 bg-gray-300 rounded w-64 mb-8"></div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {[1, 2].map(i => (
+              <div key={i} className="bg-white rounded-xl p-6 border border-gray-200 h-48"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <PageHeader
+        title="Surveys"
+        subtitle="Ask several questions and collect all the answers in one go"
+        actions={
+          <Link
+            to="/surveys/create"
+            className="btn-primary inline-flex items-center px-6 py-3 rounded-lg font-semibold text-white shadow-sm"
+          >
+            <Plus className="w-5 h-5 mr-2" />
+            Create Survey
+          </Link>
+        }
+      />
+
+      {surveys.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-6">
+            <ClipboardList className="w-12 h-12 text-gray-400" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">
+            No surveys yet
+          </h3>
+          <p className="text-gray-600 mb-6 max-w-md mx-auto">
+            Create a survey to combine several questions, each with its own voting method.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {surveys.map(survey => (
+            <SurveyCard key={survey.id} survey={survey} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Surveys;
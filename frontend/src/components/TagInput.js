@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import api from '../utils/api';
+import { MAX_POLL_TAGS, normalizeTag } from '../utils/tagUtils';
+
+// Tags field for the create and edit poll forms, suggesting tags already used in the current workspace
+const TagInput = ({ formData, errors, onChange }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+
+  const tags = formData.tags;
+  const query = normalizeTag(input);
+
+  // Suggestions are looked up a moment after typing stops
+  useEffect(() => {
+    if (!showSuggestions) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/tags', { params: { q: query || undefined, limit: 8 } });
+        if (response.status < 400) {
+          setSuggestions(response.data);
+        }
+      } catch (error) {
+        console.error('Error fetching tag suggestions:', error);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [query, showSuggestions]);
+
+  const updateTags = (value) => onChange({ target: { name: 'tags', value } });
+
+  const addTag = (tag) => {
+    const value = normalizeTag(tag);
+    if (value && !tags.includes(value) && tags.length < MAX_POLL_TAGS) {
+      updateTags([...tags, value]);
+    }
+    setInput('');
+  };
+
+  // Enter and comma add the tag instead of submitting the poll form; backspace in the empty field removes the last one
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      updateTags(tags.slice(0, -1));
+    }
+  };
+
+  const visibleSuggestions = suggestions.filter(suggestion => !tags.includes(suggestion.tag));
+
+  return (
+    <div className="relative">
+      <label htmlFor="tag_input" className="label">
+        Tags
+      </label>
+      <div className={`input flex flex-wrap items-center gap-2 ${errors.tags ? 'border-red-300 focus-within:ring-red-500' : ''}`}>
+        {tags.map(tag => (
+          <span key={tag} className="inline-flex items-center px-2 py-0.5 rounded-full text-sm bg-blue-100 text-blue-800">
+            #{tag}
+            <button
+              type="button"
+              onClick={() => updateTags(tags.filter(item => item !== tag))}
+              className="ml-1 text-blue-600 hover:text-blue-800"
+              aria-label={`Remove tag ${tag}`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          id="tag_input"
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setShowSuggestions(true)}
+          // Delayed so a click on a suggestion still lands
+          onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
+          className="flex-1 min-w-[8rem] border-none p-0 focus:ring-0 focus:outline-none bg-transparent"
+          placeholder={tags.length < MAX_POLL_TAGS ? 'Add a tag' : ''}
+          disabled={tags.length >= MAX_POLL_TAGS}
+        />
+      </div>
+
+      {showSuggestions && visibleSuggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-48 overflow-y-auto">
+          {visibleSuggestions.map(suggestion => (
+            <li key={suggestion.tag}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(suggestion.tag)}
+                className="w-full flex items-center justify-between px-3 py-2 text-sm text-left hover:bg-gray-50"
+              >
+                <span>#{suggestion.tag}</span>
+                <span className="text-xs text-gray-500">
+                  {suggestion.count} {suggestion.count === 1 ? 'poll' : 'polls'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.tags ? (
+        <p className="mt-1 text-sm text-red-600 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-1" />
+          {errors.tags}
+        </p>
+      ) : (
+        <p className="mt-1 text-sm text-gray-500">Press Enter or comma to add a tag, up to {MAX_POLL_TAGS}</p>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
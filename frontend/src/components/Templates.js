@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LayoutTemplate, Plus, Share2, Lock, Trash2, BarChart3 } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { getTemplateScope } from '../utils/templateUtils';
+import PageHeader from './PageHeader';
+
+const pollTypeLabels = {
+  single: 'Single choice',
+  ranked: 'Ranked choice',
+  approval: 'Multiple choice',
+  rating: 'Star rating',
+  nps: 'Net Promoter Score'
+};
+
+const Templates = () => {
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all'); // all, built_in, mine, shared
+  const [updatingTemplateId, setUpdatingTemplateId] = useState(null);
+
+  const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.get('/poll-templates');
+      setTemplates(response.data);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+      toast.error('Failed to load templates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggleShared = async (template) => {
+    if (updatingTemplateId === template.id) return;
+
+    try {
+      setUpdatingTemplateId(template.id);
+      const response = await api.put(`/poll-templates/${template.id}`, { shared: !template.shared });
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to update template');
+        return;
+      }
+      setTemplates(prev => prev.map(item => (item.id === template.id ? response.data : item)));
+      toast.success(response.data.shared ? 'Template shared with everyone' : 'Template is now private');
+    } catch (error) {
+      console.error('Error updating template:', error);
+      toast.error('Failed to update template');
+    } finally {
+      setUpdatingTemplateId(null);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Are you sure you want to delete the "${template.name}" template? Polls created from it are not affected.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/poll-templates/${template.id}`);
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+      toast.success('Template deleted successfully');
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      toast.error('Failed to delete template');
+    }
+  };
+
+  const counts = templates.reduce((acc, template) => {
+    acc.all++;
+    acc[getTemplateScope(template, user.id)]++;
+    return acc;
+  }, { all: 0, built_in: 0, mine: 0, shared: 0 });
+
+  const filteredTemplates = templates.filter(template =>
+    filter === 'all' || getTemplateScope(template, user.id) === filter
+  );
+
+  const TemplateCard = ({ template }) => {
+    const isOwner = getTemplateScope(template, user.id) === 'mine';
+    const { poll } = template;
+
+    return (
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 hover:shadow-md transition-all duration-200 flex flex-col">
+        <div className="flex items-center space-x-2 mb-2">
+          <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-700">
+            {pollTypeLabels[poll.poll_type] || poll.poll_type}
+          </span>
+          {template.built_in ? (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700">
+              Starter
+            </span>
+          ) : template.shared && (
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">
+              Shared
+            </span>
+          )}
+        </div>
+
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">{template.name}</h3>
+        <p className="text-gray-600 text-sm line-clamp-2 mb-3">{poll.title}</p>
+
+        <div className="flex items-center text-sm text-gray-500 mb-4">
+          <BarChart3 className="w-4 h-4 mr-1" />
+          {poll.options.length} options
+          {!template.built_in && !isOwner && (
+            <span className="ml-3">by {template.creator_username || 'another user'}</span>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between pt-4 border-t border-gray-100 mt-auto">
+          <button
+            onClick={() => navigate(`/create?template=${template.id}`)}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Use Template
+          </button>
+
+          {isOwner && (
+            <div className="flex space-x-2">
+              <button
+                onClick={() => handleToggleShared(template)}
+                disabled={updatingTemplateId === template.id}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-500 rounded-lg transition-colors disabled:opacity-50"
+                title={template.shared ? 'Make this template private' : 'Share this template with everyone'}
+              >
+                {template.shared ? <Lock className="w-4 h-4 mr-1" /> : <Share2 className="w-4 h-4 mr-1" />}
+                {template.shared ? 'Unshare' : 'Share'}
+              </button>
+              <button
+                onClick={() => handleDelete(template)}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6 space-y-6">
+        <div className="animate-pulse">
+          <div className="h-8 bg-gray-300 rounded w-48 mb-2"></div>
+          <div className="h-4 bg-gray-300 rounded w-64 mb-8"></div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[1, 2, 3].map(i => (
+              <div key={i} className="bg-white rounded-xl p-6 border border-gray-200 h-48"></div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <PageHeader
+        title="Poll Templates"
+        subtitle="Start a new poll from a starter, one of your templates or one shared by others"
+      />
+
+      {/* Filter Tabs */}
+      <div className="flex flex-wrap gap-2">
+        {[
+          { value: 'all', label: 'All Templates' },
+          { value: 'built_in', label: 'Starters' },
+          { value: 'mine', label: 'My Templates' },
+          { value: 'shared', label: 'Shared With Me' }
+        ].map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setFilter(tab.value)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${
+              filter === tab.value
+                ? 'bg-blue-600 text-white shadow-sm'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {tab.label} ({counts[tab.value]})
+          </button>
+        ))}
+      </div>
+
+      {filteredTemplates.length === 0 ? (
+        <div className="text-center py-12">
+          <div className="w-24 h-24 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-6">
+            <LayoutTemplate className="w-12 h-12 text-gray-400" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">
+            No templates here yet
+          </h3>
+          <p className="text-gray-600 mb-6 max-w-md mx-auto">
+            Save a poll as a template from My Polls or the create form to reuse it later.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {filteredTemplates.map(template => (
+            <TemplateCard key={template.id} template={template} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Templates;
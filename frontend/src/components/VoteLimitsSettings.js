@@ -0,0 +1,58 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+
+// Vote cap and quorum inputs for the create and edit poll forms
+const VoteLimitsSettings = ({ formData, errors, onChange, votesCast = 0 }) => {
+  const renderError = (field) => errors[field] && (
+    <p className="mt-1 text-sm text-red-600 flex items-center">
+      <AlertCircle className="w-4 h-4 mr-1" />
+      {errors[field]}
+    </p>
+  );
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div>
+        <label htmlFor="max_votes" className="label">
+          Vote Cap (Optional)
+        </label>
+        <input
+          type="number"
+          id="max_votes"
+          name="max_votes"
+          value={formData.max_votes}
+          onChange={onChange}
+          className={`input ${errors.max_votes ? 'border-red-300 focus:ring-red-500' : ''}`}
+          min={votesCast + 1}
+          placeholder="No limit"
+        />
+        {renderError('max_votes')}
+        <p className="mt-1 text-sm text-gray-500">
+          The poll closes as soon as this many votes are cast
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="quorum" className="label">
+          Quorum (Optional)
+        </label>
+        <input
+          type="number"
+          id="quorum"
+          name="quorum"
+          value={formData.quorum}
+          onChange={onChange}
+          className={`input ${errors.quorum ? 'border-red-300 focus:ring-red-500' : ''}`}
+          min={1}
+          placeholder="None"
+        />
+        {renderError('quorum')}
+        <p className="mt-1 text-sm text-gray-500">
+          Votes needed for the result to count as valid
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VoteLimitsSettings;
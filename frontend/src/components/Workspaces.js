@@ -0,0 +1,392 @@
+import React, { useState, useEffect } from 'react';
+import { Building2, Plus, UserPlus, LogOut, Trash2, Users, Check } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../utils/api';
+import { useWorkspaces } from '../context/WorkspaceContext';
+import { ASSIGNABLE_ROLES, WORKSPACE_ROLES, formatWorkspaceRole, hasWorkspaceRole } from '../utils/workspaceUtils';
+import PageHeader from './PageHeader';
+
+const Workspaces = () => {
+  const { workspaces, currentWorkspaceId, switchWorkspace, fetchWorkspaces } = useWorkspaces();
+  const [selectedId, setSelectedId] = useState(currentWorkspaceId);
+  const [workspace, setWorkspace] = useState(null);
+  const [newWorkspace, setNewWorkspace] = useState({ name: '', description: '' });
+  const [details, setDetails] = useState({ name: '', description: '' });
+  const [newMember, setNewMember] = useState({ user: '', role: 'member' });
+  const [saving, setSaving] = useState(false);
+
+  const user = JSON.parse(sessionStorage.getItem('user') || '{}');
+
+  useEffect(() => {
+    if (!selectedId) {
+      setWorkspace(null);
+      return;
+    }
+
+    const fetchWorkspace = async () => {
+      try {
+        const response = await api.get(`/workspaces/${selectedId}`);
+        if (response.status >= 400) {
+          setSelectedId(null);
+          return;
+        }
+        setWorkspace(response.data);
+        setDetails({ name: response.data.name, description: response.data.description || '' });
+      } catch (error) {
+        console.error('Error fetching workspace:', error);
+        toast.error('Failed to load workspace');
+      }
+    };
+
+    fetchWorkspace();
+  }, [selectedId]);
+
+  // Runs a workspace request, reporting its error or refreshing the workspace list afterwards
+  const runRequest = async (request, errorMessage) => {
+    if (saving) return null;
+
+    setSaving(true);
+    try {
+      const response = await request();
+      if (response.status >= 400) {
+        toast.error(response.data?.error || errorMessage);
+        return null;
+      }
+      await fetchWorkspaces();
+      return response;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      toast.error(errorMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newWorkspace.name.trim()) return;
+
+    const response = await runRequest(() => api.post('/workspaces', newWorkspace), 'Failed to create workspace');
+    if (response) {
+      setNewWorkspace({ name: '', description: '' });
+      setSelectedId(response.data.id);
+      switchWorkspace(response.data.id);
+      toast.success(`Switched to "${response.data.name}"`);
+    }
+  };
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    const response = await runRequest(() => api.put(`/workspaces/${workspace.id}`, details), 'Failed to update workspace');
+    if (response) {
+      setWorkspace(response.data);
+      toast.success('Workspace updated');
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.user.trim()) return;
+
+    const response = await runRequest(() => api.post(`/workspaces/${workspace.id}/members`, newMember), 'Failed to add member');
+    if (response) {
+      setWorkspace(response.data);
+      setNewMember({ user: '', role: 'member' });
+      toast.success('Member added');
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    const response = await runRequest(() => api.patch(`/workspaces/${workspace.id}/members/${member.id}`, { role }), 'Failed to change role');
+    if (response) {
+      setWorkspace(response.data);
+      toast.success(`${member.username} is now ${formatWorkspaceRole(role).toLowerCase()}`);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const isLeaving = member.id === user.id;
+    const confirmMessage = isLeaving
+      ? `Leave "${workspace.name}"? You will lose access to its polls.`
+      : `Remove ${member.username} from "${workspace.name}"?`;
+    if (!window.confirm(confirmMessage)) return;
+
+    const response = await runRequest(() => api.delete(`/workspaces/${workspace.id}/members/${member.id}`), 'Failed to remove member');
+    if (!response) return;
+
+    toast.success(response.data.message);
+    if (isLeaving) {
+      setSelectedId(null);
+    } else {
+      setWorkspace(prev => ({ ...prev, members: prev.members.filter(item => item.id !== member.id) }));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Are you sure you want to delete "${workspace.name}"? This cannot be undone.`)) return;
+
+    const response = await runRequest(() => api.delete(`/workspaces/${workspace.id}`), 'Failed to delete workspace');
+    if (response) {
+      setSelectedId(null);
+      toast.success('Workspace deleted successfully');
+    }
+  };
+
+  const isAdmin = workspace && hasWorkspaceRole(workspace.role, 'admin');
+  const isOwner = workspace?.role === 'owner';
+
+  // Admins manage members below their own level; only the owner hands out the admin role
+  const canManageMember = (member) => (
+    isAdmin && member.id !== user.id && member.role !== 'owner' && (isOwner || member.role !== 'admin')
+  );
+  const assignableRoles = ASSIGNABLE_ROLES.filter(role => isOwner || role.value !== 'admin');
+
+  return (
+    <div className="p-6 space-y-6">
+      <PageHeader
+        title="Workspaces"
+        subtitle="Team spaces with their own polls, results and member roles"
+      />
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Your Workspaces</h2>
+            {workspaces.length === 0 ? (
+              <p className="text-sm text-gray-500">You are not a member of any workspace yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {workspaces.map(item => (
+                  <li key={item.id}>
+                    <button
+                      onClick={() => setSelectedId(item.id)}
+                      className={`w-full flex items-center justify-between px-3 py-2 rounded-lg text-left transition-colors ${
+                        selectedId === item.id ? 'bg-blue-50 text-blue-900' : 'hover:bg-gray-50 text-gray-700'
+                      }`}
+                    >
+                      <span className="flex items-center min-w-0">
+                        <Building2 className="w-4 h-4 mr-2 flex-shrink-0" />
+                        <span className="truncate font-medium">{item.name}</span>
+                        {item.id === currentWorkspaceId && <Check className="w-4 h-4 ml-2 text-green-600 flex-shrink-0" />}
+                      </span>
+                      <span className="text-xs text-gray-500 ml-2 flex-shrink-0">{formatWorkspaceRole(item.role)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <form onSubmit={handleCreate} className="card space-y-4">
+            <h2 className="text-lg font-semibold text-gray-900">New Workspace</h2>
+            <div>
+              <label htmlFor="workspace_name" className="label">Name</label>
+              <input
+                id="workspace_name"
+                type="text"
+                value={newWorkspace.name}
+                onChange={(e) => setNewWorkspace(prev => ({ ...prev, name: e.target.value }))}
+                className="input"
+                maxLength={60}
+                placeholder="e.g. Marketing team"
+              />
+            </div>
+            <div>
+              <label htmlFor="workspace_description" className="label">Description (optional)</label>
+              <input
+                id="workspace_description"
+                type="text"
+                value={newWorkspace.description}
+                onChange={(e) => setNewWorkspace(prev => ({ ...prev, description: e.target.value }))}
+                className="input"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={!newWorkspace.name.trim() || saving}
+              className="btn-primary w-full inline-flex items-center justify-center px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Create Workspace
+            </button>
+          </form>
+        </div>
+
+        <div className="lg:col-span-2">
+          {!workspace ? (
+            <div className="card text-center py-12">
+              <Users className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">Select a workspace to see its members, or create a new one.</p>
+            </div>
+          ) : (
+            <div className="card space-y-6">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-900">{workspace.name}</h2>
+                  {workspace.description && <p className="text-gray-600 text-sm mt-1">{workspace.description}</p>}
+                  <p className="text-sm text-gray-500 mt-1">You are {formatWorkspaceRole(workspace.role).toLowerCase()} of this workspace</p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {workspace.id !== currentWorkspaceId && (
+                    <button
+                      onClick={() => switchWorkspace(workspace.id)}
+                      className="btn-primary inline-flex items-center px-3 py-2 rounded-lg text-sm font-medium"
+                    >
+                      <Building2 className="w-4 h-4 mr-1" />
+                      Switch to Workspace
+                    </button>
+                  )}
+                  {isOwner ? (
+                    <button
+                      onClick={handleDelete}
+                      disabled={saving}
+                      className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <Trash2 className="w-4 h-4 mr-1" />
+                      Delete
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleRemoveMember(workspace.members.find(member => member.id === user.id))}
+                      disabled={saving}
+                      className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      <LogOut className="w-4 h-4 mr-1" />
+                      Leave
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {isOwner && (
+                <form onSubmit={handleSaveDetails} className="grid grid-cols-1 sm:grid-cols-2 gap-4 pt-6 border-t border-gray-200">
+                  <div>
+                    <label htmlFor="edit_workspace_name" className="label">Name</label>
+                    <input
+                      id="edit_workspace_name"
+                      type="text"
+                      value={details.name}
+                      onChange={(e) => setDetails(prev => ({ ...prev, name: e.target.value }))}
+                      className="input"
+                      maxLength={60}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="edit_workspace_description" className="label">Description</label>
+                    <input
+                      id="edit_workspace_description"
+                      type="text"
+                      value={details.description}
+                      onChange={(e) => setDetails(prev => ({ ...prev, description: e.target.value }))}
+                      className="input"
+                    />
+                  </div>
+                  <div className="sm:col-span-2">
+                    <button
+                      type="submit"
+                      disabled={!details.name.trim() || saving}
+                      className="px-4 py-2 text-sm font-medium text-blue-600 hover:text-blue-500 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      Save Details
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              <div className="pt-6 border-t border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Members ({workspace.members.length})</h3>
+                <ul className="divide-y divide-gray-100">
+                  {workspace.members.map(member => (
+                    <li key={member.id} className="flex items-center justify-between py-3">
+                      <div className="min-w-0">
+                        <p className="font-medium text-gray-900 truncate">
+                          {member.username}
+                          {member.id === user.id && <span className="text-gray-500 font-normal"> (you)</span>}
+                        </p>
+                        <p className="text-sm text-gray-500 truncate">{member.email}</p>
+                      </div>
+                      <div className="flex items-center space-x-2 ml-4">
+                        {canManageMember(member) ? (
+                          <>
+                            <select
+                              value={member.role}
+                              onChange={(e) => handleChangeRole(member, e.target.value)}
+                              disabled={saving}
+                              className="input py-1 text-sm"
+                              aria-label={`Role of ${member.username}`}
+                            >
+                              {assignableRoles.map(role => (
+                                <option key={role.value} value={role.value}>{role.label}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => handleRemoveMember(member)}
+                              disabled={saving}
+                              className="p-2 text-gray-400 hover:text-red-600 rounded-lg transition-colors disabled:opacity-50"
+                              title={`Remove ${member.username}`}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        ) : (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                            {formatWorkspaceRole(member.role)}
+                          </span>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              {isAdmin && (
+                <form onSubmit={handleAddMember} className="pt-6 border-t border-gray-200 space-y-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Add Member</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div className="sm:col-span-2">
+                      <label htmlFor="member_user" className="label">Username or email</label>
+                      <input
+                        id="member_user"
+                        type="text"
+                        value={newMember.user}
+                        onChange={(e) => setNewMember(prev => ({ ...prev, user: e.target.value }))}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="member_role" className="label">Role</label>
+                      <select
+                        id="member_role"
+                        value={newMember.role}
+                        onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+                        className="input"
+                      >
+                        {assignableRoles.map(role => (
+                          <option key={role.value} value={role.value}>{role.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {WORKSPACE_ROLES.find(role => role.value === newMember.role)?.description}
+                  </p>
+                  <button
+                    type="submit"
+                    disabled={!newMember.user.trim() || saving}
+                    className="btn-primary inline-flex items-center px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <UserPlus className="w-4 h-4 mr-2" />
+                    Add Member
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Workspaces;
@@ -11,7 +11,9 @@ export const NOTIFICATION_TYPES = {
   REPLY: 'reply',
   COMMENT_LIKE: 'comment_like',
   POLL_CREATED: 'poll_created',
+  POLL_PUBLISHED: 'poll_published',
   POLL_CLOSED: 'poll_closed',
+  COLLABORATOR_ADDED: 'collaborator_added',
   SYSTEM: 'system'
 };
 
@@ -145,8 +147,12 @@ export const NotificationProvider = ({ children }) => {
         return '👍 Someone Liked Your Comment';
       case NOTIFICATION_TYPES.POLL_CREATED:
         return '📊 Poll Created Successfully';
+      case NOTIFICATION_TYPES.POLL_PUBLISHED:
+        return '🚀 Scheduled Poll Published';
       case NOTIFICATION_TYPES.POLL_CLOSED:
         return '🔒 Poll Closed';
+      case NOTIFICATION_TYPES.COLLABORATOR_ADDED:
+        return '🤝 You Were Added to a Poll';
       case NOTIFICATION_TYPES.SYSTEM:
         return '🔔 PollSpace Notification';
       default:
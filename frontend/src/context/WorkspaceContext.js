@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import api from '../utils/api';
+import { getCurrentWorkspaceId, setCurrentWorkspaceId } from '../utils/workspaceUtils';
+
+const WorkspaceContext = createContext();
+
+// Workspaces of the signed-in user and the one they are currently working in (null = the shared space)
+export const WorkspaceProvider = ({ user, children }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentWorkspaceId, setCurrentId] = useState(getCurrentWorkspaceId);
+
+  const switchWorkspace = useCallback((workspaceId) => {
+    setCurrentWorkspaceId(workspaceId);
+    setCurrentId(workspaceId || null);
+  }, []);
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const response = await api.get('/workspaces');
+      if (response.status >= 400) return;
+      setWorkspaces(response.data);
+
+      // Fall back to the shared space when the user has left or been removed from the stored workspace
+      const storedId = getCurrentWorkspaceId();
+      if (storedId && !response.data.some(workspace => workspace.id === storedId)) {
+        switchWorkspace(null);
+      }
+    } catch (error) {
+      console.error('Error fetching workspaces:', error);
+    }
+  }, [switchWorkspace]);
+
+  useEffect(() => {
+    if (user) {
+      fetchWorkspaces();
+    } else {
+      setWorkspaces([]);
+    }
+  }, [user, fetchWorkspaces]);
+
+  const currentWorkspace = workspaces.find(workspace => workspace.id === currentWorkspaceId) || null;
+
+  const value = {
+    workspaces,
+    currentWorkspace,
+    currentWorkspaceId,
+    // Role in the current workspace - null in the shared space, where everyone may vote and create polls
+    currentRole: currentWorkspace ? currentWorkspace.role : null,
+    switchWorkspace,
+    fetchWorkspaces
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
+
+export const useWorkspaces = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspaces must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+export default WorkspaceContext;
@@ -24,9 +24,15 @@ class NotificationService {
       case NOTIFICATION_TYPES.POLL_CREATED:
         return `Your poll "${data.pollTitle}" has been created successfully`;
       
+      case NOTIFICATION_TYPES.POLL_PUBLISHED:
+        return `Your scheduled poll "${data.pollTitle}" is now live and accepting votes`;
+      
       case NOTIFICATION_TYPES.POLL_CLOSED:
         return `Your poll "${data.pollTitle}" has been closed. Final results are now available.`;
       
+      case NOTIFICATION_TYPES.COLLABORATOR_ADDED:
+        return `${data.ownerName || 'Someone'} added you as ${data.role === 'results_viewer' ? 'a results viewer' : 'an editor'} of the poll "${data.pollTitle}"`;
+      
       case NOTIFICATION_TYPES.SYSTEM:
         return data.message || 'System notification';
       
@@ -66,8 +72,12 @@ class NotificationService {
         return 'low';
       case NOTIFICATION_TYPES.POLL_CREATED:
         return 'low';
+      case NOTIFICATION_TYPES.POLL_PUBLISHED:
+        return 'medium';
       case NOTIFICATION_TYPES.POLL_CLOSED:
         return 'medium';
+      case NOTIFICATION_TYPES.COLLABORATOR_ADDED:
+        return 'medium';
       default:
         return 'low';
     }
@@ -86,8 +96,12 @@ class NotificationService {
         return '👍';
       case NOTIFICATION_TYPES.POLL_CREATED:
         return '📊';
+      case NOTIFICATION_TYPES.POLL_PUBLISHED:
+        return '🚀';
       case NOTIFICATION_TYPES.POLL_CLOSED:
         return '🔒';
+      case NOTIFICATION_TYPES.COLLABORATOR_ADDED:
+        return '🤝';
       case NOTIFICATION_TYPES.SYSTEM:
         return '⚙️';
       default:
@@ -103,7 +117,9 @@ class NotificationService {
       reply: 'purple',
       comment_like: 'pink',
       poll_created: 'indigo',
+      poll_published: 'teal',
       poll_closed: 'orange',
+      collaborator_added: 'cyan',
       system: 'red'
     };
 
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { isValidTokenFormat } from './tokenUtils';
+import { getCurrentWorkspaceId } from './workspaceUtils';
 
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || window.location.origin;
@@ -181,6 +182,12 @@ api.interceptors.request.use(
         return Promise.reject(new Error('Invalid token format'));
       }
     }
+
+    // Scope poll lists and new polls to the current workspace
+    const workspaceId = getCurrentWorkspaceId();
+    if (workspaceId && !config.headers['X-Workspace-Id']) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
     
     return config;
   },
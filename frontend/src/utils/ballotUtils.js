@@ -0,0 +1,31 @@
+// Ballot submission - a new ballot carries an idempotency key, so a retried or double-submitted vote is only counted once
+
+const createIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+// Keeps the key of the ballot being submitted; submitting the same ballot again reuses it until the server answers
+export const createBallotKeyStore = () => {
+  let pending = null;
+
+  return {
+    getKey: (ballot) => {
+      const ballotJson = JSON.stringify(ballot);
+      if (!pending || pending.ballot !== ballotJson) {
+        pending = { ballot: ballotJson, key: createIdempotencyKey() };
+      }
+      return pending.key;
+    },
+    // Called once the server answered, so the next ballot gets a key of its own
+    clear: () => {
+      pending = null;
+    }
+  };
+};
+
+export const withIdempotencyKey = (config, key) => ({
+  ...config,
+  headers: { ...config.headers, 'Idempotency-Key': key }
+});
@@ -0,0 +1,10 @@
+// Poll collaborators - people the creator lets run the poll with them
+
+export const COLLABORATOR_ROLES = [
+  { value: 'editor', label: 'Editor', description: 'Edits, closes and deletes the poll' },
+  { value: 'results_viewer', label: 'Results viewer', description: 'Sees the results even while they are hidden from voters' }
+];
+
+export const formatCollaboratorRole = (role) => (
+  COLLABORATOR_ROLES.find(option => option.value === role)?.label || role
+);
@@ -1,3 +1,56 @@
+import { computeScoreStats, isScorePoll } from './scoreUtils';
+import { questionAsPoll } from './surveyUtils';
+import { getOptionImageUrl } from './optionImageUtils';
+
+// Score summary (average, median, distribution and NPS breakdown) for rating and NPS polls.
+// Styled inline so it can be dropped into any of the HTML reports.
+export const generateScoreSummaryHTML = (poll) => {
+  const stats = computeScoreStats(poll);
+  const isNps = poll.poll_type === 'nps';
+
+  if (stats.count === 0) {
+    return '<p style="color: #6b7280; text-align: center;">No scores have been submitted yet</p>';
+  }
+
+  const figure = (label, value) => `
+    <div style="flex: 1; text-align: center; padding: 16px; background: #f9fafb; border-radius: 8px;">
+        <div style="font-size: 1.75rem; font-weight: bold; color: #3b82f6;">${value}</div>
+        <div style="color: #374151; font-weight: 600;">${label}</div>
+    </div>`;
+
+  const barColor = (score) => {
+    if (!isNps) return '#facc15';
+    if (score >= 9) return '#10b981';
+    if (score >= 7) return '#facc15';
+    return '#ef4444';
+  };
+
+  return `
+    <div style="display: flex; gap: 12px; margin-bottom: 24px;">
+        ${isNps ? figure('NPS', stats.nps > 0 ? `+${stats.nps}` : stats.nps) : ''}
+        ${figure(isNps ? 'Average' : 'Average (out of 5)', stats.average)}
+        ${figure('Median', stats.median)}
+        ${figure('Responses', stats.count)}
+    </div>
+    ${isNps ? `
+    <div style="display: flex; justify-content: space-between; margin-bottom: 24px; font-weight: 600;">
+        <span style="color: #047857;">Promoters (9-10): ${stats.promoters}%</span>
+        <span style="color: #a16207;">Passives (7-8): ${stats.passives}%</span>
+        <span style="color: #b91c1c;">Detractors (0-6): ${stats.detractors}%</span>
+    </div>` : ''}
+    ${stats.distribution.map(entry => {
+      const percentage = Math.round((entry.count / stats.count) * 100);
+      return `
+    <div style="display: flex; align-items: center; margin-bottom: 8px;">
+        <span style="width: 60px; font-weight: 600;">${entry.score}${isNps ? '' : ' &#9733;'}</span>
+        <div style="flex: 1; height: 12px; background: #e5e7eb; border-radius: 6px; overflow: hidden;">
+            <div style="height: 100%; width: ${percentage}%; background: ${barColor(entry.score)};"></div>
+        </div>
+        <span style="width: 110px; text-align: right; color: #6b7280;">${entry.count} (${percentage}%)</span>
+    </div>`;
+    }).join('')}`;
+};
+
 // Export as HTML report
 export const exportToHTML = (poll) => {
   const html = `
@@ -143,6 +196,12 @@ export const exportToHTML = (poll) => {
             </div>
         </div>
         
+        ${isScorePoll(poll) ? `
+        <div class="results-section">
+            <h2 class="section-title">${poll.poll_type === 'nps' ? 'Net Promoter Score' : 'Rating Results'}</h2>
+            ${generateScoreSummaryHTML(poll)}
+        </div>
+        ` : `
         <div class="results-section">
             <h2 class="section-title">Voting Results</h2>
             ${poll.options
@@ -152,6 +211,7 @@ export const exportToHTML = (poll) => {
                 return `
                 <div class="option">
                     <div class="option-header">
+                        ${option.image_url ? `<img src="${getOptionImageUrl(option.image_url)}" alt="" style="width: 48px; height: 48px; object-fit: cover; border-radius: 6px; margin-right: 12px;">` : ''}
                         <span class="option-text">${option.text}</span>
                         <span class="option-votes">${option.votes} votes (${percentage}%)</span>
                     </div>
@@ -161,6 +221,7 @@ export const exportToHTML = (poll) => {
                 </div>`;
               }).join('')}
         </div>
+        `}
         
         <div class="footer">
             <p>Report generated on ${new Date().toLocaleString()}</p>
@@ -180,4 +241,178 @@ export const exportToHTML = (poll) => {
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
-};
\ No newline at end of file
+};
+// Export every question of a survey as one combined HTML report
+export const exportSurveyToHTML = (survey, runoffs = {}) => {
+  const getOptionText = (question, optionId) => {
+    return question.options.find(option => option.id === optionId)?.text || 'Removed option';
+  };
+
+  const generateQuestionHTML = (question, index) => {
+    const questionPoll = questionAsPoll(question, survey);
+    const runoff = runoffs[question.id];
+    let body;
+
+    if (isScorePoll(questionPoll)) {
+      body = generateScoreSummaryHTML(questionPoll);
+    } else {
+      const outcome = question.question_type === 'ranked' && runoff ? `
+            <p style="font-weight: 600; color: #047857; margin-bottom: 16px;">
+                ${runoff.winner
+                  ? `Instant-runoff winner: ${getOptionText(question, runoff.winner)} (after ${runoff.rounds.length} ${runoff.rounds.length === 1 ? 'round' : 'rounds'})`
+                  : runoff.tie.length > 0
+                    ? `Tie: ${runoff.tie.map(optionId => getOptionText(question, optionId)).join(', ')}`
+                    : 'No ballots yet'}
+            </p>` : '';
+
+      body = outcome + [...question.options]
+        .sort((a, b) => b.votes - a.votes)
+        .map(option => {
+          const percentage = question.answer_count === 0 ? 0 : Math.round((option.votes / question.answer_count) * 100);
+          return `
+            <div class="option">
+                <div class="option-header">
+                    <span class="option-text">${option.text}</span>
+                    <span class="option-votes">${option.votes} ${question.question_type === 'ranked' ? 'first choices' : 'votes'} (${percentage}%)</span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${percentage}%;"></div>
+                </div>
+            </div>`;
+        }).join('');
+    }
+
+    return `
+        <div class="results-section">
+            <h2 class="section-title">${index + 1}. ${question.text}</h2>
+            <p class="question-meta">${question.answer_count} of ${survey.response_count} respondents answered</p>
+            ${body}
+        </div>`;
+  };
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Survey Results - ${survey.title}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            margin: 0;
+            padding: 40px;
+            background-color: #f8fafc;
+            color: #1f2937;
+        }
+        .container {
+            max-width: 800px;
+            margin: 0 auto;
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 40px;
+            padding-bottom: 20px;
+            border-bottom: 2px solid #e5e7eb;
+        }
+        .title {
+            font-size: 2.5rem;
+            font-weight: bold;
+            color: #1f2937;
+            margin-bottom: 10px;
+        }
+        .subtitle {
+            color: #6b7280;
+            font-size: 1.1rem;
+        }
+        .results-section {
+            margin-bottom: 40px;
+        }
+        .section-title {
+            font-size: 1.5rem;
+            font-weight: bold;
+            margin-bottom: 4px;
+            color: #1f2937;
+        }
+        .question-meta {
+            color: #6b7280;
+            margin-bottom: 20px;
+        }
+        .option {
+            margin-bottom: 12px;
+            padding: 16px;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            background: #fafafa;
+        }
+        .option-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 10px;
+        }
+        .option-text {
+            font-weight: 600;
+            color: #1f2937;
+        }
+        .option-votes {
+            color: #6b7280;
+            font-weight: 500;
+        }
+        .progress-bar {
+            width: 100%;
+            height: 12px;
+            background-color: #e5e7eb;
+            border-radius: 6px;
+            overflow: hidden;
+        }
+        .progress-fill {
+            height: 100%;
+            background: linear-gradient(90deg, #3b82f6, #1d4ed8);
+        }
+        .footer {
+            text-align: center;
+            padding-top: 20px;
+            border-top: 1px solid #e5e7eb;
+            color: #6b7280;
+            font-size: 0.9rem;
+        }
+        @media print {
+            body { padding: 20px; }
+            .container { box-shadow: none; }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 class="title">${survey.title}</h1>
+            <p class="subtitle">${survey.description || 'Survey Results Report'}</p>
+            <p class="subtitle">${survey.response_count} ${survey.response_count === 1 ? 'response' : 'responses'} · ${survey.questions.length} questions · ${survey.status.toUpperCase()}</p>
+        </div>
+
+        ${survey.questions.map(generateQuestionHTML).join('')}
+
+        <div class="footer">
+            <p>Report generated on ${new Date().toLocaleString()}</p>
+            <p>Exported from PollSpace</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8;' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', `survey-results-${survey.id}-${new Date().toISOString().slice(0, 10)}.html`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
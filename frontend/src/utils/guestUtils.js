@@ -0,0 +1,34 @@
+// Guest voting - visitors without an account get a signed guest token that identifies their ballots
+import api from './api';
+
+const STORAGE_KEY = 'guest_voter';
+
+export const getGuestToken = () => {
+  const guest = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  if (!guest || new Date(guest.expires_at) <= new Date()) return null;
+  return guest.guest_token;
+};
+
+// Returns the stored guest token, asking the server for a new one when there is none or it expired
+export const ensureGuestToken = async () => {
+  const token = getGuestToken();
+  if (token) return token;
+
+  const response = await api.post('/guest/token');
+  if (response.status >= 400) {
+    throw new Error(response.data?.error || 'Failed to start a guest session');
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(response.data));
+  return response.data.guest_token;
+};
+
+// Adds the guest token, if there is one, to a request config
+export const withGuestToken = (config = {}, token = getGuestToken()) => {
+  return token ? { ...config, headers: { ...config.headers, 'X-Guest-Token': token } } : config;
+};
+
+// Public page where guests vote on a poll; unlisted polls keep their share token
+export const getGuestPollUrl = (poll, shareToken) => {
+  const url = `${window.location.origin}/p/${poll.id}`;
+  return shareToken ? `${url}?token=${shareToken}` : url;
+};
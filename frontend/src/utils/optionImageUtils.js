@@ -0,0 +1,36 @@
+import api from './api';
+
+// Pictures attached to poll options - stored as /uploads/ paths on the backend
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || window.location.origin;
+
+export const getOptionImageUrl = (imageUrl) => (imageUrl ? `${BACKEND_URL}${imageUrl}` : null);
+
+export const pollHasImages = (poll) => poll.options.some(option => option.image_url);
+
+// Same limits as the upload pipeline on the server
+export const validateOptionImage = (file) => {
+  if (file.size > 5 * 1024 * 1024) {
+    return 'File size must be less than 5MB';
+  }
+  if (!file.type.startsWith('image/')) {
+    return 'Please select an image file';
+  }
+  return null;
+};
+
+export const uploadOptionImage = async (file) => {
+  const formData = new FormData();
+  formData.append('optionImage', file);
+
+  const response = await api.post('/polls/option-images', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  });
+  // 4xx responses resolve (see validateStatus in api.js), so surface the server's message here
+  if (!response.data?.image_url) {
+    throw new Error(response.data?.error || 'Failed to upload image');
+  }
+  return response.data.image_url;
+};
@@ -0,0 +1,45 @@
+// Vote caps, quorums and the outcome the server declares when a poll closes
+
+const toLimit = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+// Form validation shared by the create and edit forms; votesCast is the number of ballots already in
+export const validateVoteLimits = (formData, votesCast = 0) => {
+  const errors = {};
+  const maxVotes = toLimit(formData.max_votes);
+  const quorum = toLimit(formData.quorum);
+
+  if (maxVotes !== null && (!Number.isInteger(maxVotes) || maxVotes < 1)) {
+    errors.max_votes = 'Vote cap must be a whole number of at least 1';
+  } else if (maxVotes !== null && maxVotes <= votesCast) {
+    errors.max_votes = `Vote cap must be higher than the ${votesCast} votes already cast`;
+  }
+
+  if (quorum !== null && (!Number.isInteger(quorum) || quorum < 1)) {
+    errors.quorum = 'Quorum must be a whole number of at least 1';
+  } else if (quorum !== null && maxVotes !== null && quorum > maxVotes) {
+    errors.quorum = 'Quorum cannot be larger than the vote cap';
+  }
+  return errors;
+};
+
+export const buildVoteLimitsPayload = (formData) => ({
+  max_votes: toLimit(formData.max_votes),
+  quorum: toLimit(formData.quorum)
+});
+
+// Options the outcome declared as winners (several when the poll ended in a tie)
+export const getOutcomeWinners = (poll) => {
+  if (!poll.outcome) return [];
+  return poll.outcome.winner_ids
+    .map(winnerId => poll.options.find(option => option.id === winnerId))
+    .filter(Boolean);
+};
+
+const OUTCOME_REASONS = {
+  ends_at: 'Closed at its end date',
+  max_votes: 'Closed after reaching its vote cap',
+  manual: 'Closed by the creator',
+  series: 'Closed when the next run opened'
+};
+
+export const formatOutcomeReason = (reason) => OUTCOME_REASONS[reason] || 'Closed';
@@ -0,0 +1,42 @@
+// Password-protected polls - unlocking one returns a short-lived grant that is sent along with votes and comments
+
+const getStorageKey = (pollId) => `poll_access_${pollId}`;
+
+export const getPollAccessGrant = (pollId) => {
+  const grant = JSON.parse(sessionStorage.getItem(getStorageKey(pollId)) || 'null');
+  if (!grant || new Date(grant.expires_at) <= new Date()) return null;
+  return grant.access_token;
+};
+
+export const savePollAccessGrant = (pollId, grant) => {
+  sessionStorage.setItem(getStorageKey(pollId), JSON.stringify(grant));
+};
+
+export const clearPollAccessGrant = (pollId) => {
+  sessionStorage.removeItem(getStorageKey(pollId));
+};
+
+// Adds the poll's grant, if there is one, to a request config
+export const withPollAccess = (pollId, config = {}) => {
+  const grant = getPollAccessGrant(pollId);
+  return grant ? { ...config, headers: { ...config.headers, 'X-Poll-Access': grant } } : config;
+};
+
+// The server answers requests without a valid grant with 403 and password_required
+export const isPasswordRequired = (response) => response?.status === 403 && Boolean(response.data?.password_required);
+
+// hasPassword: whether the poll being edited already has a password, which a blank field keeps
+export const validatePollPassword = (formData, hasPassword = false) => {
+  if (!formData.password_protected) return {};
+  if (!formData.password && hasPassword) return {};
+  if (formData.password.length < 4 || formData.password.length > 100) {
+    return { password: 'Password must be between 4 and 100 characters' };
+  }
+  return {};
+};
+
+// null removes the password and leaving it out keeps the current one
+export const buildPasswordPayload = (formData) => {
+  if (!formData.password_protected) return { password: null };
+  return formData.password ? { password: formData.password } : {};
+};
@@ -0,0 +1,64 @@
+// Quiz mode helpers shared by the create and edit poll forms
+
+// Voting methods that have right and wrong options
+export const QUIZ_POLL_TYPES = ['single', 'approval'];
+
+export const canBeQuiz = (pollType) => QUIZ_POLL_TYPES.includes(pollType);
+
+export const isQuizEnabled = (formData) => formData.is_quiz && canBeQuiz(formData.poll_type);
+
+// Mark or unmark an option as correct - single choice quizzes have exactly one correct option
+export const toggleCorrectOption = (formData, optionId) => {
+  const current = formData.correct_option_ids || [];
+  if (current.includes(optionId)) {
+    return current.filter(correctId => correctId !== optionId);
+  }
+  return formData.poll_type === 'single' ? [optionId] : [...current, optionId];
+};
+
+export const validateQuizSettings = (formData) => {
+  const errors = {};
+  if (!isQuizEnabled(formData)) return errors;
+
+  const optionIds = formData.options.map(option => option.id);
+  const correctIds = (formData.correct_option_ids || []).filter(correctId => optionIds.includes(correctId));
+  if (correctIds.length === 0) {
+    errors.correct_option_ids = 'Mark at least one option as correct';
+  } else if (formData.poll_type === 'single' && correctIds.length !== 1) {
+    errors.correct_option_ids = 'Single choice quizzes must have exactly one correct option';
+  }
+
+  const points = Number(formData.quiz_points);
+  if (!Number.isInteger(points) || points < 1 || points > 1000) {
+    errors.quiz_points = 'Points must be a whole number between 1 and 1000';
+  }
+
+  if (formData.time_limit_seconds !== '') {
+    const timeLimit = Number(formData.time_limit_seconds);
+    if (!Number.isInteger(timeLimit) || timeLimit < 5 || timeLimit > 3600) {
+      errors.time_limit_seconds = 'Time limit must be between 5 and 3600 seconds';
+    }
+  }
+
+  if (formData.anonymous) {
+    errors.anonymous = 'Quiz polls cannot be anonymous';
+  }
+
+  return errors;
+};
+
+// Quiz fields for the create/update poll request
+export const buildQuizPayload = (formData) => {
+  if (!isQuizEnabled(formData)) {
+    return { is_quiz: false };
+  }
+
+  const optionIds = formData.options.map(option => option.id);
+  return {
+    is_quiz: true,
+    correct_option_ids: formData.correct_option_ids.filter(correctId => optionIds.includes(correctId)),
+    quiz_points: Number(formData.quiz_points),
+    time_limit_seconds: formData.time_limit_seconds === '' ? null : Number(formData.time_limit_seconds),
+    reveal_answers: formData.reveal_answers
+  };
+};
@@ -0,0 +1,32 @@
+// Result reveal modes - the server withholds vote counts from viewers who may not see them yet
+
+export const RESULTS_VISIBILITY_OPTIONS = [
+  { value: 'always', label: 'Always visible', description: 'Anyone can see the results at any time' },
+  { value: 'after_vote', label: 'After voting', description: 'Voters see the results once they vote, everyone else once the poll closes' },
+  { value: 'after_close', label: 'After the poll closes', description: 'Results stay hidden until the poll is closed' },
+  { value: 'creator_only', label: 'Creator only', description: 'Only you can see the results' }
+];
+
+// Older polls only carry the show_results flag
+export const getResultsVisibility = (poll) => {
+  if (poll?.results_visibility) return poll.results_visibility;
+  return poll?.show_results === false ? 'creator_only' : 'always';
+};
+
+const findOption = (mode) => RESULTS_VISIBILITY_OPTIONS.find(option => option.value === mode);
+
+export const formatResultsVisibility = (mode) => findOption(mode)?.label || mode;
+
+export const getResultsVisibilityDescription = (mode) => findOption(mode)?.description || '';
+
+// Why the results of a poll are hidden from the current viewer
+export const getHiddenResultsMessage = (poll) => {
+  switch (getResultsVisibility(poll)) {
+    case 'after_vote':
+      return 'Results will be visible once you vote on this poll';
+    case 'after_close':
+      return 'Results will be visible once this poll closes';
+    default:
+      return 'The creator has chosen to keep the results of this poll private';
+  }
+};
@@ -0,0 +1,66 @@
+import { formatResultsVisibility } from './resultsVisibilityUtils';
+import { formatVisibility } from './sharingUtils';
+
+// Poll edit history - the server stores every edit as a revision and moves the votes of removed options
+
+// Options removed in the edit form that voters had chosen; their votes must be moved or discarded
+export const getRemovedVotedOptions = (originalOptions, currentOptions) => {
+  const currentIds = currentOptions.map(option => option.id);
+  return originalOptions.filter(option => option.votes > 0 && !currentIds.includes(option.id));
+};
+
+// decisions maps a removed option id to the option taking over its votes, or 'discard'
+export const validateOptionRemovals = (removedOptions, decisions, currentOptions) => {
+  const currentIds = currentOptions.map(option => option.id);
+  const undecided = removedOptions.filter(option => {
+    const decision = decisions[option.id];
+    return decision !== 'discard' && !currentIds.includes(decision);
+  });
+
+  if (undecided.length === 0) return {};
+  return { removed_options: `Choose what happens to the votes of "${undecided[0].text}"` };
+};
+
+export const buildRemovedOptionsPayload = (removedOptions, decisions) => removedOptions.map(option => (
+  decisions[option.id] === 'discard'
+    ? { option_id: option.id, action: 'discard' }
+    : { option_id: option.id, action: 'migrate', target_option_id: decisions[option.id] }
+));
+
+const REVISION_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  category: 'Category', // Revisions recorded before tags
+  tags: 'Tags',
+  poll_type: 'Voting method',
+  ends_at: 'End date',
+  min_choices: 'Minimum selections',
+  max_choices: 'Maximum selections',
+  allow_multiple_votes: 'Multiple votes',
+  allow_vote_changes: 'Vote changes',
+  allow_guest_votes: 'Guest voting',
+  anonymous: 'Anonymous voting',
+  show_results: 'Public results', // Revisions recorded before reveal modes
+  results_visibility: 'Results shown',
+  visibility: 'Visibility',
+  max_votes: 'Vote cap',
+  quorum: 'Quorum'
+};
+
+export const getRevisionFieldLabel = (field) => REVISION_FIELD_LABELS[field] || field;
+
+export const formatRevisionValue = (field, value) => {
+  if (value === null || value === '') return 'none';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  if (field === 'ends_at') return new Date(value).toLocaleString();
+  if (field === 'results_visibility') return formatResultsVisibility(value);
+  if (field === 'visibility') return formatVisibility(value);
+  return String(value);
+};
+
+// Text of the option that took over a removed option's votes
+export const getMigrationTargetText = (removedOption, revision, poll) => {
+  const target = poll.options.find(option => option.id === removedOption.migrated_to)
+    || revision.options_added.find(option => option.id === removedOption.migrated_to);
+  return target ? target.text : 'another option';
+};
@@ -0,0 +1,35 @@
+// Scheduled publishing - the server keeps a scheduled poll as a draft until its start time
+
+export const isScheduledPoll = (poll) => poll.status === 'draft' && Boolean(poll.starts_at);
+
+// Status shown to the creator, telling scheduled polls apart from plain drafts
+export const getPollDisplayStatus = (poll) => (isScheduledPoll(poll) ? 'scheduled' : poll.status);
+
+// Time left until a scheduled poll goes live, e.g. "2d 4h" or "35m" (null once it is due)
+export const formatCountdown = (target, now = new Date()) => {
+  const diffMins = Math.ceil((new Date(target) - now) / (1000 * 60));
+  if (diffMins <= 0) return null;
+
+  const days = Math.floor(diffMins / (60 * 24));
+  const hours = Math.floor((diffMins % (60 * 24)) / 60);
+  const minutes = diffMins % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+// Form validation shared by the create and edit forms; returns field errors keyed like the form
+export const validateSchedule = (formData) => {
+  const errors = {};
+  if (formData.status !== 'scheduled') return errors;
+
+  if (!formData.starts_at) {
+    errors.starts_at = 'Choose when the poll should be published';
+  } else if (new Date(formData.starts_at) < new Date(Date.now() + 60000)) {
+    errors.starts_at = 'Publish time must be in the future (at least 1 minute from now)';
+  } else if (formData.ends_at && new Date(formData.ends_at) <= new Date(formData.starts_at)) {
+    errors.ends_at = 'End date must be after the publish time';
+  }
+  return errors;
+};
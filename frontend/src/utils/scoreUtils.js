@@ -0,0 +1,64 @@
+// Score figures for rating (1-5) and NPS (0-10) polls.
+// Each option of a score poll carries its numeric `value`, so option vote counts form the distribution.
+
+export const isScorePoll = (poll) => poll?.poll_type === 'rating' || poll?.poll_type === 'nps';
+
+const roundTo = (value, digits = 1) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+export const computeScoreStats = (poll) => {
+  const distribution = poll.options
+    .filter(option => option.value !== null && option.value !== undefined)
+    .map(option => ({ score: option.value, count: option.votes || 0 }))
+    .sort((a, b) => a.score - b.score);
+
+  const count = distribution.reduce((sum, entry) => sum + entry.count, 0);
+
+  const stats = {
+    count,
+    average: null,
+    median: null,
+    distribution,
+    maxCount: Math.max(0, ...distribution.map(entry => entry.count))
+  };
+
+  if (count === 0) {
+    return stats;
+  }
+
+  const total = distribution.reduce((sum, entry) => sum + entry.score * entry.count, 0);
+  stats.average = roundTo(total / count, 2);
+
+  // Median of the expanded scores, read straight from the cumulative counts
+  const scoreAt = (position) => {
+    let seen = 0;
+    for (const entry of distribution) {
+      seen += entry.count;
+      if (position < seen) return entry.score;
+    }
+    return distribution[distribution.length - 1].score;
+  };
+  stats.median = count % 2 === 1
+    ? scoreAt((count - 1) / 2)
+    : (scoreAt(count / 2 - 1) + scoreAt(count / 2)) / 2;
+
+  if (poll.poll_type === 'nps') {
+    const countWhere = (test) => distribution
+      .filter(entry => test(entry.score))
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    const promoters = countWhere(score => score >= 9);
+    const passives = countWhere(score => score >= 7 && score <= 8);
+    const detractors = countWhere(score => score <= 6);
+
+    stats.promoters = roundTo((promoters / count) * 100);
+    stats.passives = roundTo((passives / count) * 100);
+    stats.detractors = roundTo((detractors / count) * 100);
+    // NPS ranges from -100 (all detractors) to +100 (all promoters)
+    stats.nps = Math.round(((promoters - detractors) / count) * 100);
+  }
+
+  return stats;
+};
@@ -0,0 +1,63 @@
+import { computeScoreStats, isScorePoll } from './scoreUtils';
+
+const scorePoll = (pollType, votesByScore) => ({
+  poll_type: pollType,
+  options: Object.entries(votesByScore).map(([score, votes]) => ({ id: `score-${score}`, value: Number(score), votes }))
+});
+
+describe('isScorePoll', () => {
+  it('recognises rating and NPS polls', () => {
+    expect(isScorePoll({ poll_type: 'rating' })).toBe(true);
+    expect(isScorePoll({ poll_type: 'nps' })).toBe(true);
+    expect(isScorePoll({ poll_type: 'single' })).toBe(false);
+    expect(isScorePoll(null)).toBe(false);
+  });
+});
+
+describe('computeScoreStats', () => {
+  it('has no average or median without votes', () => {
+    const stats = computeScoreStats(scorePoll('rating', { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }));
+
+    expect(stats.count).toBe(0);
+    expect(stats.average).toBeNull();
+    expect(stats.median).toBeNull();
+    expect(stats.maxCount).toBe(0);
+  });
+
+  it('computes the average, median and distribution of a rating poll', () => {
+    const stats = computeScoreStats(scorePoll('rating', { 5: 1, 1: 1, 4: 2, 3: 0, 2: 0 }));
+
+    expect(stats.count).toBe(4);
+    expect(stats.average).toBe(3.5);
+    expect(stats.median).toBe(4);
+    expect(stats.distribution.map(entry => entry.score)).toEqual([1, 2, 3, 4, 5]);
+    expect(stats.maxCount).toBe(2);
+    expect(stats.nps).toBeUndefined();
+  });
+
+  it('takes the middle of the two central scores as the median of an even count', () => {
+    const stats = computeScoreStats(scorePoll('rating', { 2: 1, 3: 1 }));
+
+    expect(stats.median).toBe(2.5);
+  });
+
+  it('leaves out options without a value', () => {
+    const poll = scorePoll('rating', { 4: 1 });
+    poll.options.push({ id: 'other', value: null, votes: 3 });
+
+    expect(computeScoreStats(poll).count).toBe(1);
+  });
+
+  it('splits NPS answers into promoters, passives and detractors', () => {
+    const stats = computeScoreStats(scorePoll('nps', { 0: 1, 6: 1, 7: 1, 9: 1, 10: 1 }));
+
+    expect(stats.promoters).toBe(40);
+    expect(stats.passives).toBe(20);
+    expect(stats.detractors).toBe(40);
+    expect(stats.nps).toBe(0);
+  });
+
+  it('reaches +100 when everyone is a promoter', () => {
+    expect(computeScoreStats(scorePoll('nps', { 9: 2, 10: 3 })).nps).toBe(100);
+  });
+});
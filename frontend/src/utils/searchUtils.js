@@ -0,0 +1,115 @@
+// Poll search - pages of polls from the server's full-text search, fetched as the filters change
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'sonner';
+import api from './api';
+
+export const SEARCH_SORTS = [
+  { value: 'relevance', label: 'Most relevant' },
+  { value: 'recent', label: 'Newest first' },
+  { value: 'votes', label: 'Most votes' }
+];
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Query parameters for /polls/search; 'all' and empty filters are left out
+export const buildSearchParams = ({ q, status, tag, sort, creator, from, to, resultsOnly }) => ({
+  ...(q && q.trim() && { q: q.trim() }),
+  ...(status && status !== 'all' && { status }),
+  ...(tag && tag !== 'all' && { tag }),
+  ...(sort && { sort }),
+  ...(creator && { creator }),
+  ...(from && { from }),
+  ...(to && { to }),
+  ...(resultsOnly && { results_only: 'true' })
+});
+
+// Searches polls whenever the filters change and loads further pages on demand
+// loading is only true until the first page arrives; later searches keep the current list while searching
+export const usePollSearch = (filters) => {
+  const [polls, setPolls] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  // Bumped by every new search, so a page requested for earlier filters is dropped when it arrives
+  const searchRef = useRef(0);
+
+  // Compared as a string so a new filters object with the same values does not search again
+  const paramsKey = JSON.stringify(buildSearchParams(filters));
+
+  useEffect(() => {
+    let cancelled = false;
+    searchRef.current += 1;
+
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const response = await api.get('/polls/search', { params: JSON.parse(paramsKey) });
+        if (cancelled) return;
+        if (response.status >= 400) {
+          toast.error(response.data?.error || 'Failed to search polls');
+          return;
+        }
+
+        setPolls(response.data.polls);
+        setTotal(response.data.total);
+        setNextCursor(response.data.next_cursor);
+      } catch (error) {
+        console.error('Error searching polls:', error);
+        if (!cancelled) toast.error('Failed to load polls');
+      } finally {
+        if (!cancelled) {
+          setSearching(false);
+          setLoading(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [paramsKey, reloadCount]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    const search = searchRef.current;
+    setLoadingMore(true);
+    try {
+      const response = await api.get('/polls/search', { params: { ...JSON.parse(paramsKey), cursor: nextCursor } });
+      if (search !== searchRef.current) return;
+      if (response.status >= 400) {
+        toast.error(response.data?.error || 'Failed to load more polls');
+        return;
+      }
+
+      // A poll can move between pages while browsing (e.g. a new vote), so skip the ones already shown
+      setPolls(prev => [...prev, ...response.data.polls.filter(poll => !prev.some(item => item.id === poll.id))]);
+      setTotal(response.data.total);
+      setNextCursor(response.data.next_cursor);
+    } catch (error) {
+      console.error('Error loading more polls:', error);
+      if (search === searchRef.current) toast.error('Failed to load more polls');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const refresh = useCallback(() => setReloadCount(count => count + 1), []);
+
+  return {
+    polls,
+    setPolls,
+    total,
+    hasMore: Boolean(nextCursor),
+    loading,
+    searching,
+    loadingMore,
+    loadMore,
+    refresh
+  };
+};
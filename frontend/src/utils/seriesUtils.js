@@ -0,0 +1,31 @@
+// Recurring poll series - the server opens a fresh poll from the series template every period
+
+export const SERIES_CADENCES = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'weekly', label: 'Every week' },
+  { value: 'biweekly', label: 'Every two weeks' },
+  { value: 'monthly', label: 'Every month' }
+];
+
+// Select value for a series that runs on a cron expression instead of a named cadence
+export const CUSTOM_CADENCE = 'custom';
+
+// Shape check only (minute hour day-of-month month weekday) - the server validates the values
+export const validateCronCadence = (expression) => {
+  if (expression.trim().split(/\s+/).length !== 5) {
+    return 'Enter five fields: minute, hour, day of month, month and weekday';
+  }
+  return null;
+};
+
+export const formatCadence = (cadence) => {
+  const match = SERIES_CADENCES.find(option => option.value === cadence);
+  return match ? match.label : `On schedule ${cadence}`;
+};
+
+// Share of a run's ballots that went to an option - options keep their ids from run to run
+export const getRunPercentage = (poll, optionId) => {
+  const option = poll.options.find(item => item.id === optionId);
+  if (!option || poll.total_votes === 0) return 0;
+  return Math.round((option.votes / poll.total_votes) * 100);
+};
@@ -0,0 +1,51 @@
+// Poll visibility levels - unlisted polls open through a link with a share token, invite-only polls need an invitation
+
+export const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public', description: 'Listed on the dashboard for everyone' },
+  { value: 'unlisted', label: 'Unlisted', description: 'Not listed anywhere - only people with the link can open it' },
+  { value: 'invite_only', label: 'Invite only', description: 'Only the users and email domains you invite can open it' }
+];
+
+export const getPollVisibility = (poll) => poll?.visibility || 'public';
+
+export const formatVisibility = (visibility) => (
+  VISIBILITY_OPTIONS.find(option => option.value === visibility)?.label || visibility
+);
+
+export const getVisibilityDescription = (visibility) => (
+  VISIBILITY_OPTIONS.find(option => option.value === visibility)?.description || ''
+);
+
+// Link that opens an unlisted poll; the token is only known to the creator
+export const getShareUrl = (poll) => {
+  const url = `${window.location.origin}/poll/${poll.id}`;
+  return getPollVisibility(poll) === 'unlisted' && poll.share_token ? `${url}?token=${poll.share_token}` : url;
+};
+
+// Request config that carries the share token of the link the poll was opened with
+export const getShareConfig = (shareToken) => (shareToken ? { params: { token: shareToken } } : undefined);
+
+// Domains are stored without a leading @, e.g. example.com
+export const normalizeDomain = (domain) => domain.trim().toLowerCase().replace(/^@/, '');
+
+export const isValidDomain = (domain) => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain);
+
+export const validateSharing = (formData) => {
+  if (formData.visibility === 'invite_only' && formData.invitees.length === 0 && formData.invited_domains.length === 0) {
+    return { sharing: 'Invite at least one user or email domain' };
+  }
+  return {};
+};
+
+// Form fields for a poll's current sharing (only sent to its creator)
+export const sharingToFormData = (poll) => ({
+  visibility: getPollVisibility(poll),
+  invitees: [...(poll.invitees || []).map(invitee => invitee.username), ...(poll.invited_emails || [])],
+  invited_domains: poll.invited_domains || []
+});
+
+export const buildSharingPayload = (formData) => ({
+  visibility: formData.visibility,
+  invitees: formData.visibility === 'invite_only' ? formData.invitees : [],
+  invited_domains: formData.visibility === 'invite_only' ? formData.invited_domains : []
+});
@@ -0,0 +1,249 @@
+// Survey helpers - each survey question is shaped like a poll so the poll ballots and result views can render it
+
+export const questionAsPoll = (question, survey) => ({
+  ...question,
+  poll_type: question.question_type,
+  status: survey.status,
+  total_votes: question.answer_count
+});
+
+export const isScoreQuestion = (question) => question.question_type === 'rating' || question.question_type === 'nps';
+
+// Request payload for one answer, in the same shape the poll vote endpoint accepts
+export const buildSurveyAnswer = (question, value) => {
+  switch (question.question_type) {
+    case 'ranked':
+      return { question_id: question.id, ranking: value };
+    case 'approval':
+      return { question_id: question.id, option_ids: value };
+    case 'rating':
+    case 'nps':
+      return { question_id: question.id, score: value };
+    default:
+      return { question_id: question.id, option_id: value };
+  }
+};
+
+// An unanswered question holds null (or an empty list for ranked and multiple choice questions)
+export const isAnswered = (value) => (Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined);
+
+// Option ids picked by an in-progress answer (best first for ranked questions)
+export const getSelectedOptionIds = (question, value) => {
+  if (!isAnswered(value)) return null;
+  if (Array.isArray(value)) return value;
+  if (isScoreQuestion(question)) {
+    const option = question.options.find(opt => opt.value === value);
+    return option ? [option.id] : null;
+  }
+  return [value];
+};
+
+// Follows the skip logic the same way the server does and returns the ids of the questions on the path.
+// The first branch whose option was chosen decides where to go; otherwise the next question follows.
+export const getSurveyPath = (survey, getSelection) => {
+  const positions = new Map(survey.questions.map((question, index) => [question.id, index]));
+  const path = [];
+
+  let index = 0;
+  while (index < survey.questions.length && path.length < survey.questions.length) {
+    const question = survey.questions[index];
+    path.push(question.id);
+
+    const selection = getSelection(question) || [];
+    const chosen = question.question_type === 'ranked' ? selection.slice(0, 1) : selection;
+    const branch = (question.branches || []).find(b => chosen.includes(b.option_id));
+
+    if (!branch) {
+      index += 1;
+    } else if (branch.next_question_id) {
+      index = positions.get(branch.next_question_id);
+    } else {
+      break;
+    }
+  }
+
+  return path;
+};
+
+// Survey form helpers shared by the create and edit survey pages
+
+// Branch targets use this value for "end the survey"
+export const END_OF_SURVEY = 'end';
+
+export const generateFormId = () => {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 5);
+};
+
+export const createFormQuestion = () => ({
+  id: generateFormId(),
+  text: '',
+  question_type: 'single',
+  required: true,
+  min_choices: 1,
+  max_choices: '', // Empty means no upper limit
+  options: [
+    { id: generateFormId(), text: '' },
+    { id: generateFormId(), text: '' }
+  ],
+  branches: []
+});
+
+// Answers a branch can react to - score questions are referred to by their score
+export const getBranchChoices = (question) => {
+  if (question.question_type === 'rating') {
+    return [1, 2, 3, 4, 5].map(score => ({ id: String(score), label: `${score} ${score === 1 ? 'star' : 'stars'}` }));
+  }
+  if (question.question_type === 'nps') {
+    return Array.from({ length: 11 }, (_, score) => ({ id: String(score), label: String(score) }));
+  }
+  return question.options.map((option, index) => ({ id: option.id, label: option.text || `Option ${index + 1}` }));
+};
+
+export const validateFormQuestion = (question, index, questions, formName = 'survey') => {
+  if (!question.text.trim()) {
+    return 'Question text is required';
+  }
+  if (question.text.length > 200) {
+    return 'Question text must not exceed 200 characters';
+  }
+
+  if (!isScoreQuestion(question)) {
+    const optionTexts = question.options.map(option => option.text.trim().toLowerCase());
+    if (optionTexts.some(text => !text)) {
+      return 'Every option needs text';
+    }
+    if (optionTexts.some((text, optionIndex) => optionTexts.indexOf(text) !== optionIndex)) {
+      return 'All options must be unique';
+    }
+  }
+
+  if (question.question_type === 'approval') {
+    const optionCount = question.options.length;
+    const minChoices = Number(question.min_choices);
+    if (!Number.isInteger(minChoices) || minChoices < 1 || minChoices > optionCount) {
+      return `Minimum selections must be between 1 and ${optionCount}`;
+    }
+    if (question.max_choices !== '') {
+      const maxChoices = Number(question.max_choices);
+      if (!Number.isInteger(maxChoices) || maxChoices < minChoices || maxChoices > optionCount) {
+        return `Maximum selections must be between ${minChoices} and ${optionCount}`;
+      }
+    }
+  }
+
+  // Jumping back would send respondents round in a loop
+  const laterIds = questions.slice(index + 1).map(later => later.id);
+  if (question.branches.some(branch => branch.next_question_id !== END_OF_SURVEY && !laterIds.includes(branch.next_question_id))) {
+    return `Skip logic can only jump to a later question or the end of the ${formName}`;
+  }
+  const branchOptions = question.branches.map(branch => branch.option_id);
+  if (branchOptions.some((optionId, branchIndex) => branchOptions.indexOf(optionId) !== branchIndex)) {
+    return 'Each answer can only have one skip rule';
+  }
+
+  return null;
+};
+
+// Loads the stored skip rules of a question into the form shape used by the skip logic editor
+const toFormBranches = (question) => (question.branches || []).map(branch => ({
+  id: generateFormId(),
+  option_id: isScoreQuestion(question)
+    ? String(question.options.find(option => option.id === branch.option_id)?.value)
+    : branch.option_id,
+  next_question_id: branch.next_question_id || END_OF_SURVEY
+}));
+
+const buildBranchesPayload = (branches) => branches.map(branch => ({
+  option_id: branch.option_id,
+  next_question_id: branch.next_question_id === END_OF_SURVEY ? null : branch.next_question_id
+}));
+
+export const buildQuestionsPayload = (questions) => questions.map(question => ({
+  id: question.id,
+  text: question.text.trim(),
+  question_type: question.question_type,
+  required: question.required,
+  ...(question.question_type === 'approval' && {
+    min_choices: Number(question.min_choices),
+    max_choices: question.max_choices === '' ? null : Number(question.max_choices)
+  }),
+  options: isScoreQuestion(question)
+    ? []
+    : question.options.map(option => ({ id: option.id, text: option.text.trim() })),
+  branches: buildBranchesPayload(question.branches)
+}));
+
+// Loads a stored survey into the form shape used by the question editor
+export const surveyToFormQuestions = (survey) => survey.questions.map(question => ({
+  id: question.id,
+  text: question.text,
+  question_type: question.question_type,
+  required: question.required,
+  min_choices: question.min_choices || 1,
+  max_choices: question.max_choices ?? '',
+  options: isScoreQuestion(question)
+    ? [{ id: generateFormId(), text: '' }, { id: generateFormId(), text: '' }]
+    : question.options.map(option => ({ id: option.id, text: option.text })),
+  branches: toFormBranches(question)
+}));
+
+// Polls with follow-up questions - the poll's own question is question 1 and its skip rules live on the poll
+
+// Id the server gives the poll's own question when it checks the skip logic
+export const POLL_QUESTION_ID = 'poll';
+
+export const hasFollowUpQuestions = (poll) => (poll.questions || []).length > 0;
+
+// A poll seen as a survey whose first question is the poll's own, so the survey helpers can follow its skip logic
+export const getPollQuestionFlow = (poll) => ({
+  status: poll.status,
+  questions: [
+    {
+      id: POLL_QUESTION_ID,
+      text: poll.title,
+      question_type: poll.poll_type,
+      required: true,
+      options: poll.options,
+      min_choices: poll.min_choices,
+      max_choices: poll.max_choices,
+      branches: poll.branches || [],
+      answer_count: poll.total_votes
+    },
+    ...(poll.questions || [])
+  ]
+});
+
+// Errors of the follow-up questions are keyed question_<id>; skip rules on the poll's own options are under branches
+export const validatePollQuestions = (formData) => {
+  const errors = {};
+  if (formData.is_quiz) return errors;
+
+  formData.questions.forEach((question, index) => {
+    const error = validateFormQuestion(question, index, formData.questions, 'poll');
+    if (error) {
+      errors[`question_${question.id}`] = error;
+    }
+  });
+
+  const questionIds = formData.questions.map(question => question.id);
+  const branchOptions = formData.branches.map(branch => branch.option_id);
+  if (formData.branches.some(branch => branch.next_question_id !== END_OF_SURVEY && !questionIds.includes(branch.next_question_id))) {
+    errors.branches = 'Skip logic can only jump to a follow-up question or the end of the poll';
+  } else if (branchOptions.some((optionId, branchIndex) => branchOptions.indexOf(optionId) !== branchIndex)) {
+    errors.branches = 'Each answer can only have one skip rule';
+  }
+
+  return errors;
+};
+
+// Quizzes are graded on a single question, so they never send follow-up questions
+export const buildPollQuestionsPayload = (formData) => (formData.is_quiz ? { questions: [], branches: [] } : {
+  questions: buildQuestionsPayload(formData.questions),
+  branches: buildBranchesPayload(formData.branches)
+});
+
+// Loads the follow-up questions and skip rules of a stored poll or template into the create and edit forms
+export const pollToFormQuestions = (poll) => ({
+  questions: surveyToFormQuestions({ questions: poll.questions || [] }),
+  branches: toFormBranches(getPollQuestionFlow(poll).questions[0])
+});
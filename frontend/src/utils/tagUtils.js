@@ -0,0 +1,21 @@
+// Poll tags - free-form labels that group polls; stored lowercase with hyphens instead of spaces
+
+export const MAX_POLL_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Same rules as the server, e.g. "Team Events" becomes "team-events"
+export const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-');
+
+// Polls saved before tags may still carry a single category
+export const getPollTags = (poll) => {
+  if (Array.isArray(poll?.tags)) return poll.tags;
+  return poll?.category ? [poll.category] : [];
+};
+
+export const pollHasTag = (poll, tag) => tag === 'all' || getPollTags(poll).includes(tag);
+
+export const validateTags = (tags) => {
+  if (tags.length > MAX_POLL_TAGS) return { tags: `A poll can have at most ${MAX_POLL_TAGS} tags` };
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return { tags: `Tags must be at most ${MAX_TAG_LENGTH} characters long` };
+  return {};
+};
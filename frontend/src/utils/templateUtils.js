@@ -0,0 +1,41 @@
+import { isScorePoll } from './scoreUtils';
+import { getResultsVisibility } from './resultsVisibilityUtils';
+import { getPollTags } from './tagUtils';
+import { pollToFormQuestions } from './surveyUtils';
+
+// Poll templates - saved poll content and settings that pre-fill the create form
+
+export const getTemplateScope = (template, userId) => {
+  if (template.built_in) return 'built_in';
+  return template.creator === userId ? 'mine' : 'shared';
+};
+
+// CreatePoll form fields for a template; option ids are kept so quiz answers still point at them
+export const templateToFormData = (poll) => ({
+  title: poll.title || '',
+  description: poll.description || '',
+  tags: getPollTags(poll),
+  poll_type: poll.poll_type || 'single',
+  min_choices: poll.min_choices || 1,
+  max_choices: poll.max_choices || '',
+  results_visibility: getResultsVisibility(poll),
+  allow_vote_changes: poll.allow_vote_changes !== false,
+  allow_guest_votes: !!poll.allow_guest_votes,
+  anonymous: !!poll.anonymous,
+  is_quiz: !!poll.is_quiz,
+  correct_option_ids: poll.correct_option_ids || [],
+  quiz_points: poll.quiz_points || 1,
+  time_limit_seconds: poll.time_limit_seconds || '',
+  reveal_answers: poll.reveal_answers || 'on_close',
+  max_votes: poll.max_votes || '',
+  quorum: poll.quorum || '',
+  ...pollToFormQuestions(poll),
+  // Score polls generate their options on the server
+  ...(!isScorePoll(poll) && {
+    options: poll.options.map(option => ({
+      id: option.id,
+      text: option.text,
+      image_url: option.image_url || null
+    }))
+  })
+});
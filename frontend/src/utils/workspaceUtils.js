@@ -0,0 +1,36 @@
+// Workspaces - team spaces with their own polls; requests carry the current workspace in the X-Workspace-Id header
+
+const STORAGE_KEY = 'current_workspace';
+
+export const WORKSPACE_ROLES = [
+  { value: 'viewer', label: 'Viewer', description: 'Sees polls, results and comments' },
+  { value: 'member', label: 'Member', description: 'Also votes, comments and creates polls' },
+  { value: 'admin', label: 'Admin', description: 'Also manages every poll and the members' },
+  { value: 'owner', label: 'Owner', description: 'Also renames and deletes the workspace' }
+];
+
+// Roles that can be given to members - a workspace has exactly one owner
+export const ASSIGNABLE_ROLES = WORKSPACE_ROLES.filter(role => role.value !== 'owner');
+
+export const formatWorkspaceRole = (role) => (
+  WORKSPACE_ROLES.find(option => option.value === role)?.label || role
+);
+
+export const hasWorkspaceRole = (role, minRole) => {
+  const roles = WORKSPACE_ROLES.map(option => option.value);
+  return roles.includes(role) && roles.indexOf(role) >= roles.indexOf(minRole);
+};
+
+// null means the shared space outside any workspace
+export const getCurrentWorkspaceId = () => sessionStorage.getItem(STORAGE_KEY) || null;
+
+export const setCurrentWorkspaceId = (workspaceId) => {
+  if (workspaceId) {
+    sessionStorage.setItem(STORAGE_KEY, workspaceId);
+  } else {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+// Live updates reach every page, so lists only keep the polls of the current workspace
+export const isInCurrentWorkspace = (poll) => (poll.workspace_id || null) === getCurrentWorkspaceId();